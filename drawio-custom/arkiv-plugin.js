@@ -12,6 +12,7 @@
 
     // Library loading system with cache busting
     const LIBRARIES = {
+        // Only decrypts diagrams saved in the legacy format; new content uses WebCrypto
         cryptoJS: {
             url: `https://cdnjs.cloudflare.com/ajax/libs/crypto-js/4.2.0/crypto-js.min.js?v=${PLUGIN_VERSION}`,
             test: () => typeof CryptoJS !== 'undefined',
@@ -371,27 +372,109 @@
             }
 
             // ===== ENCRYPTION HELPER FUNCTIONS =====
-            function encryptContent(content, password) {
+            // Content is encrypted with AES-256-GCM under a PBKDF2 key (WebCrypto) and saved as the versioned JSON
+            // envelope the backend writes as well: {"v":1,"alg":"AES-256-GCM","kdf":{...},"iv","tag","data"}.
+            // Diagrams saved by older plugin versions hold CryptoJS passphrase AES; they still decrypt and can be
+            // upgraded in place.
+            const ENCRYPTION_PBKDF2_ITERATIONS = 600000;
+            const LEGACY_ENCRYPTION_PREFIX = 'U2FsdGVkX1'; // base64 of "Salted__"
+            const GCM_TAG_BYTES = 16;
+
+            function bytesToBase64(bytes) {
+                let binary = '';
+                for (let i = 0; i < bytes.length; i += 0x8000) {
+                    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+                }
+                return btoa(binary);
+            }
+
+            function base64ToBytes(text) {
+                return Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+            }
+
+            function parseEncryptionEnvelope(content) {
+                if (typeof content !== 'string' || !content.startsWith('{')) {
+                    return null;
+                }
                 try {
-                    if (typeof CryptoJS === 'undefined') {
-                        throw new Error('CryptoJS library not loaded');
-                    }
-                    const encrypted = CryptoJS.AES.encrypt(content, password).toString();
+                    const envelope = JSON.parse(content);
+                    return envelope && envelope.v === 1 && envelope.alg === 'AES-256-GCM' && envelope.kdf &&
+                        typeof envelope.iv === 'string' && typeof envelope.tag === 'string' && typeof envelope.data === 'string'
+                        ? envelope : null;
+                } catch (error) {
+                    return null;
+                }
+            }
+
+            // How content is encrypted: 'aes-256-gcm' (envelope), 'cryptojs-aes' (legacy) or null for plain content
+            function encryptionFormat(content) {
+                if (parseEncryptionEnvelope(content)) {
+                    return 'aes-256-gcm';
+                }
+                return typeof content === 'string' && content.startsWith(LEGACY_ENCRYPTION_PREFIX) ? 'cryptojs-aes' : null;
+            }
+
+            async function deriveContentKey(password, kdf, usage) {
+                if (kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256') {
+                    throw new Error(`${kdf.name} keys can only be derived by the backend`);
+                }
+                const material = await window.crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveKey']);
+                return await window.crypto.subtle.deriveKey(
+                    { name: 'PBKDF2', hash: 'SHA-256', salt: base64ToBytes(kdf.salt), iterations: kdf.iterations },
+                    material,
+                    { name: 'AES-GCM', length: 256 },
+                    false,
+                    [usage]
+                );
+            }
+
+            async function encryptContent(content, password) {
+                try {
+                    const kdf = {
+                        name: 'PBKDF2',
+                        hash: 'SHA-256',
+                        iterations: ENCRYPTION_PBKDF2_ITERATIONS,
+                        salt: bytesToBase64(window.crypto.getRandomValues(new Uint8Array(16)))
+                    };
+                    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+                    const key = await deriveContentKey(password, kdf, 'encrypt');
+                    const sealed = new Uint8Array(await window.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(content)));
+
+                    // WebCrypto appends the authentication tag to the ciphertext; the envelope keeps it apart
+                    const envelope = {
+                        v: 1,
+                        alg: 'AES-256-GCM',
+                        kdf,
+                        iv: bytesToBase64(iv),
+                        tag: bytesToBase64(sealed.subarray(sealed.length - GCM_TAG_BYTES)),
+                        data: bytesToBase64(sealed.subarray(0, sealed.length - GCM_TAG_BYTES))
+                    };
                     console.log('🔐 Content encrypted successfully');
-                    return encrypted;
+                    return JSON.stringify(envelope);
                 } catch (error) {
                     console.error('❌ Encryption failed:', error);
                     throw new Error('Encryption failed: ' + error.message);
                 }
             }
 
-            function decryptContent(encryptedContent, password) {
+            async function decryptContent(encryptedContent, password) {
                 try {
-                    if (typeof CryptoJS === 'undefined') {
-                        throw new Error('CryptoJS library not loaded');
+                    let plaintext;
+                    const envelope = parseEncryptionEnvelope(encryptedContent);
+                    if (envelope) {
+                        const key = await deriveContentKey(password, envelope.kdf, 'decrypt');
+                        const data = base64ToBytes(envelope.data);
+                        const sealed = new Uint8Array(data.length + GCM_TAG_BYTES);
+                        sealed.set(data);
+                        sealed.set(base64ToBytes(envelope.tag), data.length);
+                        plaintext = new TextDecoder().decode(await window.crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(envelope.iv) }, key, sealed));
+                    } else {
+                        if (typeof CryptoJS === 'undefined') {
+                            throw new Error('CryptoJS library not loaded');
+                        }
+                        const decrypted = CryptoJS.AES.decrypt(encryptedContent, password);
+                        plaintext = decrypted.toString(CryptoJS.enc.Utf8);
                     }
-                    const decrypted = CryptoJS.AES.decrypt(encryptedContent, password);
-                    const plaintext = decrypted.toString(CryptoJS.enc.Utf8);
 
                     if (!plaintext) {
                         throw new Error('Decryption failed - invalid password or corrupted data');
@@ -401,18 +484,27 @@
                     return plaintext;
                 } catch (error) {
                     console.error('❌ Decryption failed:', error);
-                    throw new Error('Decryption failed - invalid password');
+                    throw new Error(error.message.includes('backend') ? `Decryption failed - ${error.message}` : 'Decryption failed - invalid password');
                 }
             }
 
-            // Check if content appears to be encrypted (basic heuristic)
-            function looksEncrypted(content) {
-                // CryptoJS encrypted content usually starts with base64-like pattern
-                return typeof content === 'string' &&
-                       content.length > 50 &&
-                       /^[A-Za-z0-9+/]/.test(content) &&
-                       !content.includes('<') && // XML typically contains <
-                       !content.includes('>');
+            // Offer (once per diagram and page load) to re-encrypt a diagram still in the legacy format, as a new version
+            const encryptionUpgradeOffered = new Set();
+            async function offerEncryptionUpgrade(diagramId, password) {
+                if (encryptionUpgradeOffered.has(diagramId)) return;
+                encryptionUpgradeOffered.add(diagramId);
+
+                const upgrade = await showConfirm('🔐 Upgrade Encryption', 'This diagram uses the old encryption format (CryptoJS AES with an MD5-based key).\n\nRe-encrypt it with AES-256-GCM now? A new version is saved and the password stays the same.');
+                if (!upgrade) return;
+
+                try {
+                    const result = await apiRequest(`/api/diagrams/${encodeURIComponent(diagramId)}/encryption/upgrade`, 'POST', { password });
+                    if (result.upgraded) {
+                        await showAlert('✅ Encryption Upgraded', `The diagram was re-encrypted and saved as version ${result.version}.`);
+                    }
+                } catch (error) {
+                    await showAlert('❌ Upgrade Failed', `The diagram keeps its old encryption.\n\nError: ${error.message}`);
+                }
             }
 
             // ===== GOLEM SDK FUNCTIONS =====
@@ -554,7 +646,7 @@
                         method: 'POST',
                         headers: {
                             'Content-Type': 'application/json',
-                            'x-wallet-address': walletAddress
+                            ...walletHeaders()
                         },
                         body: JSON.stringify(testExport)
                     });
@@ -608,7 +700,7 @@
             }
 
             // Save diagram using our custom SDK
-            async function saveToArkivViaSdk(xmlString, diagramId, title, author, encrypted = false) {
+            async function saveToArkivViaSdk(xmlString, diagramId, title, author, encrypted = false, tags = []) {
                 try {
                     console.log(`📦 Saving diagram via Golem Base SDK (${Math.round(xmlString.length/1024)}KB)`);
 
@@ -625,7 +717,8 @@
                         content: xmlString,
                         timestamp: Date.now(),
                         version: 1,
-                        encrypted: encrypted
+                        encrypted: encrypted,
+                        tags
                     };
 
                     const annotations = {
@@ -638,6 +731,9 @@
                         version: '1',
                         encrypted: encrypted ? '1' : '0'
                     };
+                    if (tags.length > 0) {
+                        annotations.tags = formatTagsAnnotation(tags);
+                    }
 
                     // Calculate BTL - default 100 days
                     const btlDays = userConfig?.btlDays || 100;
@@ -798,7 +894,8 @@
             }
 
             // Initialize MetaMask connection
-            async function connectWallet() {
+            // `offerGuestUpgrade`: offer to move a guest account of this browser to the wallet once connected
+            async function connectWallet({ offerGuestUpgrade = true } = {}) {
                 if (typeof window.ethereum === 'undefined') {
                     await showAlert('❌ MetaMask Required', 'MetaMask is not installed. Please install MetaMask extension to use Arkiv features.\n\nVisit: https://metamask.io');
                     return false;
@@ -826,6 +923,13 @@
 
                     console.log('✅ Wallet connected:', walletAddress);
 
+                    // Prove ownership of the address before the backend acts for it
+                    if (!(await ensureWalletSession())) {
+                        walletConnected = false;
+                        walletAddress = null;
+                        return false;
+                    }
+
                     // Setup wallet change detection
                     setupWalletChangeDetection();
 
@@ -851,6 +955,11 @@
 
                     const addressInfo = shouldShowAccountInfo() ? `Address: ${walletAddress}\n\n` : '';
                     await showAlert('✅ Wallet Connected', `${addressInfo}You can now save and load diagrams from Arkiv.`);
+
+                    // Guest diagrams stay with the guest account unless they are moved to the wallet
+                    if (offerGuestUpgrade !== false && hasGuestSession()) {
+                        await upgradeGuestToWallet();
+                    }
                     return true;
                 } catch (error) {
                     console.error('❌ Error connecting wallet:', error);
@@ -871,9 +980,429 @@
             async function disconnectWallet() {
                 walletConnected = false;
                 walletAddress = null;
+                clearWalletSession();
                 await showAlert('🔓 Wallet Disconnected', 'You can no longer save/load from Arkiv until reconnected.');
             }
 
+            // Sign-In with Ethereum session: the backend only acts for a wallet that proved it holds the key
+            const WALLET_SESSION_KEY = 'arkiv-wallet-session';
+            let walletSession = null; // { address, token, expiresAt }
+            try {
+                walletSession = JSON.parse(localStorage.getItem(WALLET_SESSION_KEY) || 'null');
+            } catch (error) {
+                walletSession = null;
+            }
+
+            function hasWalletSession() {
+                return !!(walletSession && walletAddress &&
+                    walletSession.address === walletAddress.toLowerCase() &&
+                    walletSession.expiresAt > Date.now() + 60 * 1000);
+            }
+
+            function clearWalletSession() {
+                walletSession = null;
+                localStorage.removeItem(WALLET_SESSION_KEY);
+            }
+
+            // Identity headers for backend requests made as the connected wallet
+            function walletHeaders() {
+                const headers = { 'X-Wallet-Address': walletAddress };
+                if (hasWalletSession()) {
+                    headers['Authorization'] = `Bearer ${walletSession.token}`;
+                }
+                return headers;
+            }
+
+            // Have MetaMask sign an EIP-4361 message for the connected wallet, with a fresh backend nonce
+            async function signSiweMessage(statement, resources = []) {
+                await loadExternalLibrary('ethers');
+
+                const nonceResponse = await fetchWithTimeout(`${BACKEND_URL}/api/auth/nonce`, {}, 10000);
+                const nonceResult = await nonceResponse.json();
+                if (!nonceResult.success) {
+                    throw new Error(nonceResult.error || 'Could not get a sign-in nonce');
+                }
+
+                // The backend only accepts messages for the Arkiv chain it writes to
+                const chainId = nonceResult.chainId || ARKIV_CONFIG.chainId;
+                const message = [
+                    `${window.location.host} wants you to sign in with your Ethereum account:`,
+                    ethers.utils.getAddress(walletAddress),
+                    '',
+                    statement,
+                    '',
+                    `URI: ${window.location.origin}`,
+                    'Version: 1',
+                    `Chain ID: ${chainId}`,
+                    `Nonce: ${nonceResult.nonce}`,
+                    `Issued At: ${new Date().toISOString()}`,
+                    ...(resources.length > 0 ? ['Resources:', ...resources.map((resource) => `- ${resource}`)] : [])
+                ].join('\n');
+                const signature = await safeMetaMaskRequest({
+                    method: 'personal_sign',
+                    params: [ethers.utils.hexlify(ethers.utils.toUtf8Bytes(message)), walletAddress]
+                });
+                return { message, signature };
+            }
+
+            function storeWalletSession(result) {
+                walletSession = { address: result.address, token: result.token, expiresAt: result.expiresAt };
+                localStorage.setItem(WALLET_SESSION_KEY, JSON.stringify(walletSession));
+            }
+
+            // Sign an EIP-4361 message with MetaMask and exchange it for a backend session token
+            async function signInWithEthereum() {
+                const { message, signature } = await signSiweMessage('Sign in to drawiodb to save, list and share your diagrams.');
+
+                const response = await fetchWithTimeout(`${BACKEND_URL}/api/auth/siwe`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ message, signature })
+                }, 10000);
+                const result = await response.json();
+                if (!result.success) {
+                    throw new Error(result.error || 'Sign-in failed');
+                }
+
+                storeWalletSession(result);
+                console.log('🔑 Signed in with Ethereum until', new Date(result.expiresAt).toLocaleTimeString());
+            }
+
+            // Sign in again when there is no session for the connected wallet or it is about to expire
+            async function ensureWalletSession() {
+                if (hasWalletSession()) {
+                    return true;
+                }
+                try {
+                    await signInWithEthereum();
+                    return true;
+                } catch (error) {
+                    console.error('❌ Sign-in with Ethereum failed:', error);
+                    await showAlert('❌ Sign-In Failed', `The backend only acts for a wallet after you sign the sign-in message in MetaMask.\n\nError: ${error.message}`);
+                    return false;
+                }
+            }
+
+            // Guest session: the backend acts for a guest account only with its session credential. The credential is
+            // renewed while in use; the recovery code opens a new session once it is lost (cleared storage, new device)
+            const GUEST_SESSION_KEY = 'arkiv-guest-session';
+            let guestSession = null; // { custodialId, credential, createdAt, expiresAt }
+            try {
+                guestSession = JSON.parse(localStorage.getItem(GUEST_SESSION_KEY) || 'null');
+            } catch (error) {
+                guestSession = null;
+            }
+            if (guestSession && guestSession.expiresAt > Date.now()) {
+                custodialId = guestSession.custodialId;
+                userTier = 'custodial';
+            }
+
+            function hasGuestSession() {
+                return !!(guestSession && guestSession.expiresAt > Date.now() + 60 * 1000);
+            }
+
+            function storeGuestSession(result) {
+                guestSession = {
+                    custodialId: result.custodialId || custodialId,
+                    credential: result.credential,
+                    createdAt: result.session.createdAt,
+                    expiresAt: result.session.expiresAt
+                };
+                localStorage.setItem(GUEST_SESSION_KEY, JSON.stringify(guestSession));
+                custodialId = guestSession.custodialId;
+                userTier = 'custodial';
+                if (result.userTier) {
+                    userLimits = result.userTier.limits;
+                }
+            }
+
+            function clearGuestSession() {
+                guestSession = null;
+                custodialId = null;
+                localStorage.removeItem(GUEST_SESSION_KEY);
+            }
+
+            // Identity headers for backend requests made as the guest account
+            function custodialHeaders() {
+                return hasGuestSession() ? { 'Authorization': `Bearer ${guestSession.credential}` } : {};
+            }
+
+            async function guestRequest(path, method, body, timeoutMs = 15000) {
+                const response = await fetchWithTimeout(`${BACKEND_URL}${path}`, {
+                    method,
+                    headers: { 'Content-Type': 'application/json', ...custodialHeaders() },
+                    body: body ? JSON.stringify(body) : undefined
+                }, timeoutMs);
+                const result = await response.json();
+                if (!result.success) {
+                    throw new Error(result.error || 'Request failed');
+                }
+                return result;
+            }
+
+            // Swap the credential for a fresh one once half of its lifetime has passed
+            async function refreshGuestSessionIfDue() {
+                if (!hasGuestSession() || Date.now() < (guestSession.createdAt + guestSession.expiresAt) / 2) {
+                    return;
+                }
+                try {
+                    storeGuestSession(await guestRequest('/api/auth/sessions/refresh', 'POST'));
+                    console.log('👤 Guest session renewed until', new Date(guestSession.expiresAt).toLocaleDateString());
+                } catch (error) {
+                    console.warn('Failed to renew guest session:', error);
+                }
+            }
+
+            // Show a recovery code once, with options to copy or download it
+            async function showRecoveryCode(recoveryCode) {
+                const message = 'Keep this recovery code somewhere safe. It is the only way back into your guest diagrams ' +
+                    'if this browser\'s storage is cleared, and it will not be shown again.\n\n' +
+                    `<code style="display: block; padding: 10px; background: #f4f4f4; border-radius: 6px; word-break: break-all; user-select: all;">${recoveryCode}</code>`;
+                while (true) {
+                    const choice = await createModal('🔑 Guest Recovery Code', message, [
+                        { text: 'Copy', style: 'secondary' },
+                        { text: 'Download', style: 'secondary' },
+                        { text: 'I saved it', style: 'primary' }
+                    ]);
+                    if (choice === 0) {
+                        try {
+                            await navigator.clipboard.writeText(recoveryCode);
+                        } catch (error) {
+                            console.warn('Clipboard unavailable:', error);
+                        }
+                    } else if (choice === 1) {
+                        const link = document.createElement('a');
+                        link.href = URL.createObjectURL(new Blob([`drawiodb guest recovery code\n\n${recoveryCode}\n`], { type: 'text/plain' }));
+                        link.download = 'drawiodb-recovery-code.txt';
+                        link.click();
+                        URL.revokeObjectURL(link.href);
+                    } else if (choice === 2) {
+                        return;
+                    } else if (await showConfirm('⚠️ Recovery Code', 'Close without saving the recovery code? A new one can be created later in Settings.')) {
+                        return;
+                    }
+                }
+            }
+
+            // Issue a new recovery code for the current guest account; the previous code stops working
+            async function exportRecoveryCode() {
+                if (!hasGuestSession()) {
+                    await showAlert('👤 Guest Account', 'There is no guest session in this browser.');
+                    return;
+                }
+                if (!(await showConfirm('🔑 Export Recovery Code', 'A new recovery code will be created and the previous one will stop working. Continue?'))) {
+                    return;
+                }
+                try {
+                    const result = await guestRequest('/api/auth/recovery-code', 'POST');
+                    await showRecoveryCode(result.recoveryCode);
+                } catch (error) {
+                    await showAlert('❌ Recovery Code Failed', `Could not create a recovery code.\n\nError: ${error.message}`);
+                }
+            }
+
+            // Open a new guest session from a recovery code
+            async function restoreGuestAccount() {
+                const recoveryCode = await showPrompt('🔑 Restore Guest Account', 'Enter your guest recovery code:');
+                if (!recoveryCode) return false;
+
+                try {
+                    const response = await fetchWithTimeout(`${BACKEND_URL}/api/auth/custodial/recover`, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ recoveryCode: recoveryCode.trim() })
+                    }, 15000);
+                    const result = await response.json();
+                    if (!result.success) {
+                        throw new Error(result.error || 'Recovery failed');
+                    }
+
+                    storeGuestSession(result);
+                    console.log('✅ Guest account restored:', custodialId);
+                    await showAlert('👤 Guest Account Restored', 'Your guest diagrams are available again in this browser.');
+                    return true;
+                } catch (error) {
+                    await showAlert('❌ Restore Failed', `Could not restore the guest account.\n\nError: ${error.message}`);
+                    return false;
+                }
+            }
+
+            // List the guest account's sessions and revoke the chosen one
+            async function manageGuestSessions() {
+                function escapeHtml(text) {
+                    const div = document.createElement('div');
+                    div.textContent = text;
+                    return div.innerHTML;
+                }
+
+                try {
+                    const { sessions } = await guestRequest('/api/auth/sessions', 'GET');
+                    const lines = sessions.map((session, index) =>
+                        `${index + 1}. ${session.current ? '<strong>(this browser)</strong> ' : ''}${escapeHtml(session.label || 'Unknown device')}\n` +
+                        `    created ${new Date(session.createdAt).toLocaleDateString()}, expires ${new Date(session.expiresAt).toLocaleDateString()}`
+                    ).join('\n\n');
+                    const choice = await createModal('🖥️ Guest Sessions', `<div style="text-align: left;">${lines}</div>`, [
+                        ...sessions.map((session, index) => ({ text: `Revoke ${index + 1}`, style: 'danger' })),
+                        { text: 'Close', style: 'secondary' }
+                    ]);
+                    const session = sessions[choice];
+                    if (!session) return;
+
+                    await guestRequest(`/api/auth/sessions/${encodeURIComponent(session.id)}`, 'DELETE');
+                    if (session.current) {
+                        clearGuestSession();
+                        await showAlert('🔓 Signed Out', 'This browser\'s guest session was revoked. Use your recovery code to sign in again.');
+                    } else {
+                        await showAlert('✅ Session Revoked', `Session ${choice + 1} can no longer access your diagrams.`);
+                    }
+                } catch (error) {
+                    await showAlert('❌ Sessions Failed', `Could not load guest sessions.\n\nError: ${error.message}`);
+                }
+            }
+
+            // Guided move of the guest account to a MetaMask wallet: the guest credential and a wallet signature prove
+            // both identities, then the backend re-homes the guest diagrams, folders, share links and settings
+            async function upgradeGuestToWallet() {
+                if (!hasGuestSession()) {
+                    await showAlert('👤 Guest Account', 'There is no guest session in this browser. Restore it with your recovery code first.');
+                    return false;
+                }
+
+                const proceed = await showConfirm('💳 Move Guest Diagrams to Wallet', 'Your guest diagrams, folders, share links and settings will be moved to your MetaMask wallet and get wallet storage time.\n\nMetaMask will ask you to sign a message naming this guest account. Afterwards the guest account and its recovery code stop working.');
+                if (!proceed) return false;
+
+                if (!walletConnected && !(await connectWallet({ offerGuestUpgrade: false }))) {
+                    return false;
+                }
+
+                try {
+                    const { message, signature } = await signSiweMessage(
+                        'Move my drawiodb guest account and its diagrams to this wallet.',
+                        [`urn:drawiodb:link-guest:${custodialId}`]
+                    );
+                    const result = await guestRequest('/api/auth/link-wallet', 'POST', { message, signature }, 120000);
+
+                    storeWalletSession(result);
+                    if (result.failed === 0) {
+                        clearGuestSession();
+                    }
+                    userTier = 'wallet';
+                    localStorage.setItem('arkiv-auth-choice', 'wallet');
+                    await updateUserInfo();
+
+                    const leftBehind = result.failed > 0
+                        ? `\n\n${result.failed} item(s) could not be moved and stay with the guest account. Run the move again to retry them.`
+                        : '';
+                    await showAlert('✅ Guest Account Moved', `${result.diagramIds.length} diagram(s) now belong to your wallet, ${result.liftedDiagrams} of them extended to wallet storage time.${leftBehind}`);
+                    return true;
+                } catch (error) {
+                    console.error('❌ Moving guest account failed:', error);
+                    await showAlert('❌ Move Failed', `Your guest diagrams were not moved.\n\nError: ${error.message}`);
+                    return false;
+                }
+            }
+
+            // ===== ACCESS TOKENS =====
+            const ACCESS_TOKEN_SCOPES = {
+                read: 'Read diagrams, folders and tags',
+                write: 'Save, move, tag and delete diagrams',
+                share: 'Create and revoke share links',
+                admin: 'Everything, including managing tokens'
+            };
+
+            // Fill the access token list of the settings dialog; every row has its own Revoke button
+            async function loadAccessTokens(container, onChange) {
+                function escapeHtml(text) {
+                    const div = document.createElement('div');
+                    div.textContent = text;
+                    return div.innerHTML;
+                }
+
+                try {
+                    const { tokens } = await apiRequest('/api/tokens', 'GET');
+                    if (tokens.length === 0) {
+                        container.innerHTML = '<div style="font-size: 11px; color: #999;">No access tokens yet.</div>';
+                        return;
+                    }
+                    container.innerHTML = tokens.map((token) => `
+                        <div style="display: flex; align-items: center; justify-content: space-between; gap: 8px; padding: 6px 0; border-bottom: 1px solid #f0f0f0; font-size: 11px;">
+                            <div>
+                                <strong>${escapeHtml(token.name)}</strong> <span style="color: #007bff;">${token.scopes.join(', ')}</span><br>
+                                <span style="color: #666;">expires ${new Date(token.expiresAt).toLocaleDateString()} · ${token.lastUsedAt ? `last used ${new Date(token.lastUsedAt).toLocaleString()}` : 'never used'}</span>
+                            </div>
+                            <button data-token-id="${escapeHtml(token.id)}" style="padding: 4px 10px; border: 1px solid #dc3545; color: #dc3545; background: white; border-radius: 4px; cursor: pointer;">Revoke</button>
+                        </div>
+                    `).join('');
+                    container.querySelectorAll('button[data-token-id]').forEach((button) => {
+                        button.onclick = async () => {
+                            button.disabled = true;
+                            try {
+                                await apiRequest(`/api/tokens/${encodeURIComponent(button.dataset.tokenId)}`, 'DELETE');
+                                onChange();
+                            } catch (error) {
+                                button.disabled = false;
+                                await showAlert('❌ Revoke Failed', `Could not revoke the access token.\n\nError: ${error.message}`);
+                            }
+                        };
+                    });
+                } catch (error) {
+                    container.innerHTML = `<div style="font-size: 11px; color: #dc3545;">Could not load access tokens: ${escapeHtml(error.message)}</div>`;
+                }
+            }
+
+            // Ask for a name, scopes and lifetime, create the token and show it once
+            async function createAccessToken() {
+                const form = `<div id="arkivAccessTokenForm" style="text-align: left; white-space: normal;">
+                    <label style="display: block; font-weight: bold; margin-bottom: 4px;">Name</label>
+                    <input type="text" name="name" maxlength="100" placeholder="e.g. CI export" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; margin-bottom: 12px; box-sizing: border-box;">
+                    <label style="display: block; font-weight: bold; margin-bottom: 4px;">Scopes</label>
+                    ${Object.entries(ACCESS_TOKEN_SCOPES).map(([scope, description]) => `
+                        <label style="display: block; cursor: pointer; font-size: 13px;">
+                            <input type="checkbox" name="scope" value="${scope}" ${scope === 'read' ? 'checked' : ''}> <strong>${scope}</strong> - ${description}
+                        </label>
+                    `).join('')}
+                    <label style="display: block; font-weight: bold; margin: 12px 0 4px 0;">Expires in (days)</label>
+                    <input type="number" name="expiresInDays" min="1" max="365" value="30" style="width: 100px; padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                </div>`;
+
+                // The modal removes itself on close; the detached form still holds the entered values
+                const choice = createModal('🎫 New Access Token', form, [
+                    { text: 'Cancel', style: 'secondary' },
+                    { text: 'Create', style: 'primary' }
+                ]);
+                const fields = document.getElementById('arkivAccessTokenForm');
+                if (await choice !== 1) return false;
+
+                try {
+                    const result = await apiRequest('/api/tokens', 'POST', {
+                        name: fields.querySelector('input[name="name"]').value,
+                        scopes: Array.from(fields.querySelectorAll('input[name="scope"]:checked')).map((input) => input.value),
+                        expiresInDays: Number(fields.querySelector('input[name="expiresInDays"]').value)
+                    });
+
+                    const message = 'Copy the token now, it will not be shown again. Send it as <code>Authorization: Bearer &lt;token&gt;</code>.\n\n' +
+                        `<code style="display: block; padding: 10px; background: #f4f4f4; border-radius: 6px; word-break: break-all; user-select: all;">${result.token}</code>`;
+                    while (true) {
+                        const action = await createModal('🎫 Access Token Created', message, [
+                            { text: 'Copy', style: 'secondary' },
+                            { text: 'Done', style: 'primary' }
+                        ]);
+                        if (action === 0) {
+                            try {
+                                await navigator.clipboard.writeText(result.token);
+                            } catch (error) {
+                                console.warn('Clipboard unavailable:', error);
+                            }
+                        } else if (action === 1 || await showConfirm('⚠️ Access Token', 'Close without copying the token? You can revoke it and create a new one later.')) {
+                            return true;
+                        }
+                    }
+                } catch (error) {
+                    await showAlert('❌ Access Token Failed', `Could not create the access token.\n\nError: ${error.message}`);
+                    return false;
+                }
+            }
+
             // User configuration state
             let userConfig = null;
             let ethBalance = 0;
@@ -882,6 +1411,23 @@
             let encryptionEnabled = false;
             let defaultEncryptionPassword = null;
             let lastSavedContent = null; // For auto-save tracking
+            let currentDiagram = null; // { id, title } of the Arkiv diagram being edited - saves append new versions to it
+
+            // Remember which Arkiv diagram is open so the next save continues its version chain
+            function setCurrentDiagram(id, title, tags) {
+                // A comparison overlay only makes sense on the diagram it was computed for
+                if (!currentDiagram || currentDiagram.id !== id) {
+                    closeComparisonOverlay();
+                }
+                // Saves that leave the tags alone keep the ones already known
+                const knownTags = currentDiagram && currentDiagram.id === id ? currentDiagram.tags : undefined;
+                currentDiagram = id ? { id, title, tags: tags || knownTags || [] } : null;
+            }
+
+            // Opening or creating a regular draw.io file detaches the editor from the Arkiv diagram
+            ui.editor.addListener('fileLoaded', function() {
+                setCurrentDiagram(null);
+            });
 
             // Helper function for MetaMask requests with circuit breaker handling
             async function safeMetaMaskRequest(request) {
@@ -903,6 +1449,22 @@
                 }
             }
 
+            // Send a transaction prepared by the backend (when it has no signing key) with MetaMask
+            async function sendPreparedTransaction(transaction) {
+                if (!window.ethereum) {
+                    throw new Error('MetaMask not found');
+                }
+
+                await ensureArkivNetwork();
+                const accounts = await safeMetaMaskRequest({ method: 'eth_requestAccounts' });
+                const from = Array.isArray(accounts) && accounts.length > 0 ? accounts[0] : walletAddress;
+
+                return await safeMetaMaskRequest({
+                    method: 'eth_sendTransaction',
+                    params: [{ from, to: transaction.to, data: transaction.data, value: transaction.value }]
+                });
+            }
+
             // Utility function for fetch with timeout
             async function fetchWithTimeout(url, options = {}, timeoutMs = 10000) {
                 const controller = new AbortController();
@@ -1026,6 +1588,8 @@
                                 console.log('🔄 MetaMask account changed:', newAddress);
                                 walletAddress = newAddress;
                                 lastWalletAddress = newAddress;
+                                clearWalletSession();
+                                await ensureWalletSession();
 
                                 // Reset SDK instances to use new account
                                 console.log('🔄 Resetting SDK for new account...');
@@ -1141,6 +1705,10 @@
                             </button>
                         </div>
 
+                        <div style="margin-bottom: 20px;">
+                            <a href="#" class="auth-restore-link" style="font-size: 13px; color: #3498db;">🔑 Restore a guest account with a recovery code</a>
+                        </div>
+
                         <button class="auth-cancel-btn" style="
                             padding: 10px 20px; background: #e74c3c; color: white;
                             border: none; border-radius: 5px; cursor: pointer;
@@ -1188,6 +1756,12 @@
                         resolve('free');
                     });
 
+                    content.querySelector('.auth-restore-link').addEventListener('click', (e) => {
+                        e.preventDefault();
+                        document.body.removeChild(modal);
+                        resolve('restore');
+                    });
+
                     content.querySelector('.auth-cancel-btn').addEventListener('click', () => {
                         document.body.removeChild(modal);
                         resolve(null);
@@ -1208,8 +1782,12 @@
             }
 
             async function ensureAuthentication() {
-                // If already authenticated, return true
-                if (walletConnected || custodialId) {
+                // If already authenticated, return true (a wallet also needs a live sign-in session)
+                if (walletConnected) {
+                    return await ensureWalletSession();
+                }
+                if (custodialId && hasGuestSession()) {
+                    await refreshGuestSessionIfDue();
                     return true;
                 }
 
@@ -1240,7 +1818,25 @@
                         }
                         return false;
 
+                    case 'restore':
+                        localStorage.setItem('arkiv-auth-choice', 'custodial');
+                        return await restoreGuestAccount();
+
                     case 'custodial':
+                        // The session of an existing guest account ran out: its diagrams are only reachable again with the recovery code
+                        if (guestSession) {
+                            const restoreChoice = await createModal('👤 Guest Session Expired', 'Your guest session in this browser has expired or was revoked.\n\nRestore it with your recovery code to keep working on your guest diagrams, or start a new guest account.', [
+                                { text: 'Restore', style: 'primary' },
+                                { text: 'New Guest Account', style: 'secondary' }
+                            ]);
+                            if (restoreChoice === 0) {
+                                return await restoreGuestAccount();
+                            } else if (restoreChoice !== 1) {
+                                return false;
+                            }
+                            clearGuestSession();
+                        }
+
                         try {
                             const response = await fetch(`${BACKEND_URL}/api/auth/custodial`, {
                                 method: 'POST',
@@ -1249,11 +1845,10 @@
                             const data = await response.json();
 
                             if (data.success) {
-                                custodialId = data.custodialId;
-                                userTier = 'custodial';
-                                userLimits = data.userTier.limits;
+                                storeGuestSession(data);
                                 console.log('✅ Custodial session created:', custodialId);
                                 await showAlert('👤 Guest Mode Active', `Guest session created!\n\nLimits: ${data.userTier.limits.maxDiagrams} diagrams, ${data.userTier.limits.defaultBTLDays} days storage`);
+                                await showRecoveryCode(data.recoveryCode);
                                 return true;
                             } else {
                                 await showAlert('❌ Guest Mode Failed', 'Failed to create guest session. Try again.');
@@ -1287,10 +1882,10 @@
                 try {
                     const headers = { 'Content-Type': 'application/json' };
                     if (walletAddress) {
-                        headers['x-wallet-address'] = walletAddress;
+                        Object.assign(headers, walletHeaders());
                     }
                     if (custodialId) {
-                        headers['x-custodial-id'] = custodialId;
+                        Object.assign(headers, custodialHeaders());
                     }
 
                     const response = await fetch(`${BACKEND_URL}/api/user/info`, { headers });
@@ -1310,9 +1905,12 @@
                 try {
                     if (!(await ensureAuthentication())) return;
 
-                    const title = await showPrompt('📝 Enter Title', 'Enter diagram title:', 'My Diagram');
+                    const title = await showPrompt('📝 Enter Title', 'Enter diagram title:', currentDiagram?.title || 'My Diagram');
                     if (!title) return;
 
+                    const tags = await showTagPicker('🏷️ Tags', currentDiagram?.tags || []);
+                    if (!tags) return;
+
                     // Check encryption capability based on user tier
                     let encryptThisDiagram = encryptionEnabled;
                     let encryptionPassword = defaultEncryptionPassword;
@@ -1346,7 +1944,7 @@
                     // Encrypt content if requested
                     if (encryptThisDiagram && encryptionPassword) {
                         try {
-                            xmlString = encryptContent(xmlString, encryptionPassword);
+                            xmlString = await encryptContent(xmlString, encryptionPassword);
                             console.log('🔐 Diagram content encrypted before saving');
                         } catch (encryptError) {
                             await showAlert('❌ Encryption Failed', `Failed to encrypt diagram: ${encryptError.message}`);
@@ -1362,7 +1960,8 @@
                         return;
                     }
 
-                    const diagramId = generateDiagramId();
+                    // Keep saving into the diagram that is open, otherwise start a new one
+                    const diagramId = currentDiagram ? currentDiagram.id : generateDiagramId();
                     const sizeInBytes = new Blob([xmlString]).size;
 
                     // Try SDK mode first with MetaMask, fallback to backend
@@ -1373,11 +1972,12 @@
                         const sdkAvailable = await checkSDKMode();
                         if (sdkAvailable) {
                             console.log('🚀 Using SDK mode for direct MetaMask signing');
-                            const result = await saveToArkivViaSdk(xmlString, diagramId, title.trim(), walletAddress, encryptThisDiagram);
+                            const result = await saveToArkivViaSdk(xmlString, diagramId, title.trim(), walletAddress, encryptThisDiagram, tags);
                             const explorerUrl = `https://explorer.kaolin.hoodi.arkiv.network/entity/${result.entityKey}`;
 
                             // Update last saved content for auto-save tracking
                             lastSavedContent = mxUtils.getXml(ui.editor.getGraphXml());
+                            setCurrentDiagram(result.diagramId, title.trim(), tags);
 
                             await showAlert('✅ Diagram Saved', `Diagram saved directly to Arkiv!\n\nDiagram ID: ${result.diagramId}\nEntity Key: <a href="${explorerUrl}" target="_blank" style="color: #4A90E2; text-decoration: underline;">${result.entityKey}</a>`);
                             return;
@@ -1391,10 +1991,10 @@
                     console.log('🔄 Using backend mode');
                     if (sizeInBytes > GOLEM_DB_MAX_SIZE) {
                         console.log(`📦 Document size ${Math.round(sizeInBytes/1024)}KB exceeds 128KB limit, using sharding...`);
-                        await saveShardedDocument(xmlString, diagramId, title.trim(), walletAddress, encryptThisDiagram, encryptionPassword);
+                        await saveShardedDocument(xmlString, diagramId, title.trim(), walletAddress, encryptThisDiagram, encryptionPassword, tags);
                     } else {
                         console.log(`💾 Document size ${Math.round(sizeInBytes/1024)}KB fits in single entity`);
-                        await saveSingleDocument(xmlString, diagramId, title.trim(), walletAddress, encryptThisDiagram, encryptionPassword);
+                        await saveSingleDocument(xmlString, diagramId, title.trim(), walletAddress, encryptThisDiagram, encryptionPassword, tags);
                     }
 
                 } catch (error) {
@@ -1411,13 +2011,14 @@
             });
 
             // Save single document (under 128KB)
-            async function saveSingleDocument(xmlString, diagramId, title, author, encrypted = false, encryptionPassword = null) {
+            async function saveSingleDocument(xmlString, diagramId, title, author, encrypted = false, encryptionPassword = null, tags = undefined) {
                 const saveData = {
                     title,
                     author,
                     content: xmlString,
                     diagramId,
-                    encrypted
+                    encrypted,
+                    tags
                 };
 
                 // Add encryption password for backend processing
@@ -1431,7 +2032,7 @@
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/json',
-                        'X-Wallet-Address': walletAddress
+                        ...walletHeaders()
                     },
                     body: JSON.stringify(saveData)
                 }, 30000);
@@ -1453,23 +2054,17 @@
                     const diagramData = result.diagramData;
                     const entityResult = await arkivClient.createEntity(
                         JSON.stringify(diagramData),
-                        {
-                            type: 'diagram',
-                            title: diagramData.title,
-                            author: diagramData.author,
-                            version: String(diagramData.version),
-                            timestamp: String(diagramData.timestamp),
-                            diagramId: diagramData.id
-                        }
+                        buildDiagramAnnotations(diagramData)
                     );
 
                     ui.spinner.stop();
 
                     // Update last saved content for auto-save tracking
                     lastSavedContent = mxUtils.getXml(ui.editor.getGraphXml());
+                    setCurrentDiagram(diagramData.id, diagramData.title, diagramData.tags);
 
                     const explorerUrl = `https://explorer.kaolin.hoodi.arkiv.network/entity/${entityResult.entityKey}`;
-                    await showAlert('✅ Diagram Saved', `Diagram saved directly to Arkiv!\n\nDiagram ID: ${diagramData.id}\nEntity Key: <a href="${explorerUrl}" target="_blank" style="color: #4A90E2; text-decoration: underline;">${entityResult.entityKey}</a>`);
+                    await showAlert('✅ Diagram Saved', `Diagram saved directly to Arkiv!\n\nDiagram ID: ${diagramData.id}\nVersion: ${diagramData.version}\nEntity Key: <a href="${explorerUrl}" target="_blank" style="color: #4A90E2; text-decoration: underline;">${entityResult.entityKey}</a>`);
                     return;
                 }
 
@@ -1482,32 +2077,88 @@
                 if (result.success) {
                     // Update last saved content for auto-save tracking
                     lastSavedContent = mxUtils.getXml(ui.editor.getGraphXml());
+                    setCurrentDiagram(result.diagramId, title, result.tags);
 
                     const explorerUrl = `https://explorer.kaolin.hoodi.arkiv.network/entity/${result.entityKey}`;
-                    await showAlert('✅ Diagram Saved', `Diagram saved to Arkiv!\n\nDiagram ID: ${result.diagramId}\nEntity Key: <a href="${explorerUrl}" target="_blank" style="color: #4A90E2; text-decoration: underline;">${result.entityKey}</a>`);
+                    await showAlert('✅ Diagram Saved', `Diagram saved to Arkiv!\n\nDiagram ID: ${result.diagramId}\nVersion: ${result.version || 1}\nEntity Key: <a href="${explorerUrl}" target="_blank" style="color: #4A90E2; text-decoration: underline;">${result.entityKey}</a>`);
                 } else {
                     throw new Error(result.error || 'Save failed');
                 }
             }
 
-            // Save sharded document (over 128KB)
-            async function saveShardedDocument(xmlString, diagramId, title, author, encrypted = false, encryptionPassword = null) {
+            // Hex SHA-256 of a byte array (chunk checksums for the upload manifest)
+            async function sha256Hex(bytes) {
+                const digest = await crypto.subtle.digest('SHA-256', bytes);
+                return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+            }
+
+            // Save sharded document (over 128KB) - resumable: saving the same content again only sends missing chunks
+            async function saveShardedDocument(xmlString, diagramId, title, author, encrypted = false, encryptionPassword = null, tags = undefined) {
                 const chunks = createDocumentChunks(xmlString, diagramId, title, author);
+                const MAX_CHUNK_ATTEMPTS = 3;
+
+                const headers = {
+                    'Content-Type': 'application/json'
+                };
+
+                // Add appropriate authentication header
+                if (walletConnected && walletAddress) {
+                    Object.assign(headers, walletHeaders());
+                } else if (custodialId) {
+                    Object.assign(headers, custodialHeaders());
+                }
 
                 ui.spinner.spin(document.body, `Saving ${chunks.length} chunks to Arkiv...`);
 
                 console.log(`💾 Saving ${chunks.length} chunks for diagram ${diagramId}`);
 
                 try {
-                    // Save all chunks
-                    const chunkResults = [];
+                    // Manifest: total chunks, byte length and a checksum per chunk
+                    const documentBytes = new TextEncoder().encode(xmlString);
+                    const manifestChunks = [];
+                    for (const chunk of chunks) {
+                        manifestChunks.push({
+                            index: chunk.chunkIndex,
+                            byteLength: chunk.dataSize,
+                            sha256: await sha256Hex(chunk.data)
+                        });
+                    }
+
+                    const manifestResponse = await fetchWithTimeout(`${BACKEND_URL}/api/diagrams/export-manifest`, {
+                        method: 'POST',
+                        headers,
+                        body: JSON.stringify({
+                            diagramId,
+                            title,
+                            author,
+                            totalChunks: chunks.length,
+                            byteLength: documentBytes.length,
+                            sha256: await sha256Hex(documentBytes),
+                            chunks: manifestChunks
+                        })
+                    }, 30000);
+
+                    const manifest = await manifestResponse.json();
+                    if (!manifest.success) {
+                        throw new Error(`Upload manifest failed: ${manifest.error || manifestResponse.status}`);
+                    }
+
+                    const uploaded = new Set(manifest.receivedChunks);
+                    if (uploaded.size > 0) {
+                        console.log(`🔁 Resuming upload ${manifest.uploadId}: ${uploaded.size}/${chunks.length} chunks already stored`);
+                    }
+
                     for (let i = 0; i < chunks.length; i++) {
                         const chunk = chunks[i];
+                        if (uploaded.has(chunk.chunkIndex)) {
+                            continue;
+                        }
 
                         // Update progress
                         ui.spinner.spin(document.body, `Saving chunk ${i + 1}/${chunks.length} to Arkiv...`);
 
                         const chunkData = {
+                            uploadId: manifest.uploadId,
                             chunkId: chunk.chunkId,
                             diagramId: chunk.diagramId,
                             title: chunk.title,
@@ -1524,32 +2175,60 @@
                             chunkData.encryptionPassword = encryptionPassword;
                         }
 
-                        const response = await fetchWithTimeout(`${BACKEND_URL}/api/diagrams/export-chunk`, {
-                            method: 'POST',
-                            headers: {
-                                'Content-Type': 'application/json',
-                                'X-Wallet-Address': walletAddress
-                            },
-                            body: JSON.stringify(chunkData)
-                        }, 45000); // Longer timeout for chunks
-
-                        if (!response.ok) {
-                            throw new Error(`Failed to save chunk ${i + 1}: ${response.status} ${response.statusText}`);
+                        // A failed chunk is re-sent on its own, the chunks already stored are kept
+                        let lastError = null;
+                        for (let attempt = 1; attempt <= MAX_CHUNK_ATTEMPTS; attempt++) {
+                            try {
+                                const response = await fetchWithTimeout(`${BACKEND_URL}/api/diagrams/export-chunk`, {
+                                    method: 'POST',
+                                    headers,
+                                    body: JSON.stringify(chunkData)
+                                }, 45000); // Longer timeout for chunks
+
+                                const result = await response.json();
+                                if (!result.success) {
+                                    throw new Error(result.error || `${response.status} ${response.statusText}`);
+                                }
+
+                                lastError = null;
+                                break;
+                            } catch (chunkError) {
+                                lastError = chunkError;
+                                console.warn(`⚠️ Chunk ${i + 1}/${chunks.length} attempt ${attempt}/${MAX_CHUNK_ATTEMPTS} failed:`, chunkError);
+                            }
                         }
 
-                        const result = await response.json();
-                        if (!result.success) {
-                            throw new Error(`Chunk ${i + 1} save failed: ${result.error}`);
+                        if (lastError) {
+                            throw new Error(`Chunk ${i + 1} save failed: ${lastError.message}\n\nChunks saved so far are kept - save again to resume the upload.`);
                         }
 
-                        chunkResults.push(result);
+                        uploaded.add(chunk.chunkIndex);
                         console.log(`✅ Chunk ${i + 1}/${chunks.length} saved successfully`);
                     }
 
+                    // Confirm the backend has every chunk matching the manifest
+                    const statusResponse = await fetchWithTimeout(`${BACKEND_URL}/api/diagrams/export-manifest/${encodeURIComponent(manifest.uploadId)}`, {
+                        headers
+                    }, 30000);
+                    const status = await statusResponse.json();
+                    if (!status.success || !status.complete) {
+                        throw new Error(`Upload incomplete: ${status.error || `missing chunks ${status.missingChunks.map(index => index + 1).join(', ')}`}\n\nSave again to resume the upload.`);
+                    }
+
+                    // Chunks carry no tags; they are recorded as a tag change once the upload is complete
+                    if (tags) {
+                        try {
+                            await apiRequest(`/api/diagrams/${diagramId}/tags`, 'PUT', { tags });
+                        } catch (tagError) {
+                            console.warn('⚠️ Diagram saved but its tags were not:', tagError);
+                        }
+                    }
+
                     ui.spinner.stop();
 
                     // Update last saved content for auto-save tracking
                     lastSavedContent = mxUtils.getXml(ui.editor.getGraphXml());
+                    setCurrentDiagram(diagramId, title, tags);
 
                     await showAlert('✅ Large Diagram Saved', `Large diagram saved to Arkiv!\n\nDiagram ID: ${diagramId}\nChunks: ${chunks.length}\nTotal size: ${Math.round(new Blob([xmlString]).size/1024)}KB`);
 
@@ -1565,6 +2244,29 @@
                 return Array.from(crypto.getRandomValues(new Uint8Array(16)), b => b.toString(16).padStart(2, '0')).join('');
             }
 
+            // Annotations for a diagram entity signed with MetaMask (mirrors the backend attributes)
+            function buildDiagramAnnotations(diagramData) {
+                const annotations = {
+                    type: 'diagram',
+                    id: diagramData.id,
+                    title: diagramData.title,
+                    author: diagramData.author,
+                    version: String(diagramData.version),
+                    timestamp: String(diagramData.timestamp),
+                    diagramId: diagramData.id
+                };
+                if (diagramData.previousEntityKey) {
+                    annotations.previous_entity_key = diagramData.previousEntityKey;
+                }
+                if (diagramData.restoredFromVersion) {
+                    annotations.restored_from_version = String(diagramData.restoredFromVersion);
+                }
+                if (diagramData.tags && diagramData.tags.length > 0) {
+                    annotations.tags = formatTagsAnnotation(diagramData.tags);
+                }
+                return annotations;
+            }
+
             // Enhanced dialog styles
             function createEnhancedDialog(title, maxWidth = '500px') {
                 // Create overlay with animation
@@ -1985,9 +2687,11 @@
 
                     if (loadResult.success) {
                         let content = loadResult.data.content;
+                        let legacyEncryptionPassword = null;
 
-                        // Check if diagram is encrypted
-                        if (loadResult.data.encrypted) {
+                        // Check if diagram is encrypted (the backend may already have removed its own layer)
+                        const contentEncryption = loadResult.data.encrypted ? encryptionFormat(content) : null;
+                        if (contentEncryption) {
                             console.log('🔐 Diagram is encrypted, requesting password...');
 
                             let decryptionPassword = defaultEncryptionPassword;
@@ -2002,8 +2706,11 @@
                             }
 
                             try {
-                                content = decryptContent(content, decryptionPassword);
+                                content = await decryptContent(content, decryptionPassword);
                                 console.log('🔓 Diagram decrypted successfully');
+                                if (contentEncryption === 'cryptojs-aes') {
+                                    legacyEncryptionPassword = decryptionPassword;
+                                }
                             } catch (decryptError) {
                                 console.error('Decryption failed:', decryptError);
                                 await showAlert('❌ Decryption Failed', 'Failed to decrypt diagram. Please check your password.');
@@ -2018,7 +2725,12 @@
                         } finally {
                             ui.editor.graph.getModel().endUpdate();
                         }
+                        setCurrentDiagram(selectedDiagram.id, selectedDiagram.title, selectedDiagram.tags);
+                        showExpiryBanner({ ...selectedDiagram, ...loadResult.data });
                         await showAlert('✅ Loaded', `Diagram "${selectedDiagram.title}" loaded successfully!`);
+                        if (legacyEncryptionPassword) {
+                            await offerEncryptionUpgrade(selectedDiagram.id, legacyEncryptionPassword);
+                        }
                     } else {
                         await showAlert('❌ Load Failed', loadResult.error);
                     }
@@ -2037,7 +2749,7 @@
                     const response = await fetch(`${BACKEND_URL}/api/diagrams/delete/${diagramId}`, {
                         method: 'DELETE',
                         headers: {
-                            'X-Wallet-Address': walletAddress
+                            ...walletHeaders()
                         }
                     });
 
@@ -2064,7 +2776,7 @@
                     ui.spinner.spin(document.body, 'Loading versions...');
 
                     const response = await fetchWithTimeout(`${BACKEND_URL}/api/diagrams/${diagram.id}/versions`, {
-                        headers: walletAddress ? { 'X-Wallet-Address': walletAddress } : {}
+                        headers: authHeaders()
                     }, 15000);
 
                     ui.spinner.stop();
@@ -2167,6 +2879,7 @@
                         versionInfo.innerHTML = `
                             <div style="font-weight: bold; color: #333; margin-bottom: 5px;">
                                 Version ${version.version} ${index === 0 ? '(Current)' : ''}
+                                ${version.restoredFromVersion ? `<span style="font-weight: normal; font-size: 11px; color: #856404;">⏪ restored from v${version.restoredFromVersion}</span>` : ''}
                             </div>
                             <div style="font-size: 12px; color: #666; line-height: 1.4;">
                                 📅 ${new Date(version.timestamp).toLocaleDateString()} ${new Date(version.timestamp).toLocaleTimeString()}<br>
@@ -2196,6 +2909,44 @@
                         };
 
                         versionActions.appendChild(loadVersionBtn);
+
+                        // The current version cannot be restored onto itself
+                        if (index > 0) {
+                            const restoreVersionBtn = document.createElement('button');
+                            restoreVersionBtn.textContent = '⏪ Restore as current';
+                            restoreVersionBtn.style.cssText = `
+                                background: #f39c12;
+                                color: white;
+                                border: none;
+                                padding: 6px 12px;
+                                border-radius: 4px;
+                                cursor: pointer;
+                                font-size: 11px;
+                            `;
+                            restoreVersionBtn.onclick = async () => {
+                                safeRemoveElement(overlay);
+                                await restoreDiagramVersion(diagram, version);
+                            };
+                            versionActions.appendChild(restoreVersionBtn);
+
+                            const compareVersionBtn = document.createElement('button');
+                            compareVersionBtn.textContent = '⚖️ Compare with…';
+                            compareVersionBtn.title = `Overlay the changes between v${version.version} and the current version`;
+                            compareVersionBtn.style.cssText = `
+                                background: #17a2b8;
+                                color: white;
+                                border: none;
+                                padding: 6px 12px;
+                                border-radius: 4px;
+                                cursor: pointer;
+                                font-size: 11px;
+                            `;
+                            compareVersionBtn.onclick = async () => {
+                                safeRemoveElement(overlay);
+                                await compareDiagramVersion(diagram, version, versions[0]);
+                            };
+                            versionActions.appendChild(compareVersionBtn);
+                        }
                         versionItem.appendChild(versionInfo);
                         versionItem.appendChild(versionActions);
                         versionsContainer.appendChild(versionItem);
@@ -2237,8 +2988,8 @@
                 try {
                     ui.spinner.spin(document.body, 'Loading diagram version...');
 
-                    const response = await fetchWithTimeout(`${BACKEND_URL}/api/diagrams/import/${version.entityKey}`, {
-                        headers: walletAddress ? { 'X-Wallet-Address': walletAddress } : {}
+                    const response = await fetchWithTimeout(`${BACKEND_URL}/api/diagrams/import/${encodeURIComponent(version.id)}?version=${version.version}`, {
+                        headers: authHeaders()
                     }, 15000);
 
                     ui.spinner.stop();
@@ -2274,6 +3025,9 @@
                         ui.getCurrentFile().setTitle(`${diagramData.title} (v${version.version})`);
                     }
 
+                    // Saving from here continues the same diagram's history
+                    setCurrentDiagram(version.id, diagramData.title, diagramData.tags);
+
                     await showAlert('✅ Version Loaded', `Successfully loaded version ${version.version} of "${diagramData.title}"`);
 
                 } catch (error) {
@@ -2283,6 +3037,409 @@
                 }
             }
 
+            // Republish a historical version as the new current version (history is kept)
+            async function restoreDiagramVersion(diagram, version) {
+                const confirmed = await showConfirm('⏪ Restore Version', `Restore version ${version.version} of "${diagram.title}" as the current version?\n\nA new version is created from it; no history is lost.`);
+                if (!confirmed) return;
+
+                try {
+                    ui.spinner.spin(document.body, 'Restoring version...');
+
+                    const headers = {
+                        'Content-Type': 'application/json'
+                    };
+
+                    // Add appropriate authentication header
+                    if (walletConnected && walletAddress) {
+                        Object.assign(headers, walletHeaders());
+                    } else if (custodialId) {
+                        Object.assign(headers, custodialHeaders());
+                    }
+
+                    const response = await fetchWithTimeout(`${BACKEND_URL}/api/diagrams/${encodeURIComponent(diagram.id)}/versions/${version.version}/restore`, {
+                        method: 'POST',
+                        headers
+                    }, 30000);
+
+                    const result = await response.json();
+                    ui.spinner.stop();
+
+                    let restoredVersion;
+
+                    // Backend without signing key - sign the restored version with MetaMask
+                    if (result.requiresFrontendTransaction) {
+                        if (!arkivClient) {
+                            throw new Error('MetaMask not connected. Please connect your wallet first.');
+                        }
+
+                        ui.spinner.spin(document.body, 'Restoring with MetaMask...');
+                        const diagramData = result.diagramData;
+                        await arkivClient.createEntity(
+                            JSON.stringify(diagramData),
+                            buildDiagramAnnotations(diagramData)
+                        );
+                        ui.spinner.stop();
+                        restoredVersion = diagramData.version;
+                    } else if (result.success) {
+                        restoredVersion = result.version;
+                    } else {
+                        throw new Error(result.error || 'Restore failed');
+                    }
+
+                    await showAlert('✅ Version Restored', `Version ${version.version} of "${diagram.title}" is now the current version (v${restoredVersion}).`);
+
+                    // The editor still shows the replaced head - reload it so the next save does not undo the restore
+                    if (currentDiagram && currentDiagram.id === diagram.id) {
+                        await loadDiagramVersion({ ...version, version: restoredVersion });
+                    } else {
+                        await showVersionsDialog(diagram);
+                    }
+
+                } catch (error) {
+                    ui.spinner.stop();
+                    console.error('Error restoring diagram version:', error);
+                    await showAlert('❌ Restore Failed', error.message);
+                }
+            }
+
+            // Version comparison overlay currently drawn on the graph (at most one)
+            let activeComparison = null;
+
+            function closeComparisonOverlay() {
+                if (activeComparison) {
+                    activeComparison.destroy();
+                    activeComparison = null;
+                }
+            }
+
+            // Compare a historical version with the current one directly on the canvas
+            async function compareDiagramVersion(diagram, version, currentVersion) {
+                try {
+                    // Changes are drawn on the editor graph, so it has to show the current version
+                    if (!currentDiagram || currentDiagram.id !== diagram.id) {
+                        const openCurrent = await showConfirm('⚖️ Compare Versions', `"${diagram.title}" is not open in the editor.\n\nOpen the current version (v${currentVersion.version}) and compare it with v${version.version}?`);
+                        if (!openCurrent) return;
+
+                        await loadDiagramVersion(currentVersion);
+                        if (!currentDiagram || currentDiagram.id !== diagram.id) return;
+                    }
+
+                    ui.spinner.spin(document.body, 'Comparing versions...');
+
+                    const headers = {};
+                    if (walletConnected && walletAddress) {
+                        Object.assign(headers, walletHeaders());
+                    } else if (custodialId) {
+                        Object.assign(headers, custodialHeaders());
+                    }
+
+                    const response = await fetchWithTimeout(`${BACKEND_URL}/api/diagrams/${encodeURIComponent(diagram.id)}/diff?from=${version.version}&to=${currentVersion.version}`, {
+                        headers
+                    }, 30000);
+
+                    const result = await response.json();
+                    ui.spinner.stop();
+
+                    if (!result.success) {
+                        throw new Error(result.error || 'Failed to compare versions');
+                    }
+
+                    showComparisonOverlay(result.data);
+
+                } catch (error) {
+                    ui.spinner.stop();
+                    console.error('Error comparing diagram versions:', error);
+                    await showAlert('❌ Compare Failed', error.message);
+                }
+            }
+
+            // Highlight added (green), changed (amber) and removed (ghosted red) cells with a legend to step through them
+            function showComparisonOverlay(diff) {
+                closeComparisonOverlay();
+
+                const graph = ui.editor.graph;
+                const model = graph.getModel();
+                const colors = { added: '#27ae60', removed: '#e74c3c', changed: '#f39c12' };
+
+                const currentPageId = ui.currentPage ? ui.currentPage.getId() : null;
+                const page = diff.pages.find(p => p.id === currentPageId) ||
+                    diff.pages.find(p => p.status !== 'removed') ||
+                    diff.pages[0];
+
+                // One entry per cell, in the order the navigation walks them
+                const changes = [];
+                if (page) {
+                    Object.values(page.added).forEach(cell => {
+                        if (cell.vertex || cell.edge) {
+                            changes.push({ id: cell.id, kind: 'added', label: cell.label });
+                        }
+                    });
+
+                    const changedIds = new Set([
+                        ...Object.keys(page.moved),
+                        ...Object.keys(page.restyled),
+                        ...Object.keys(page.relabelled)
+                    ]);
+                    changedIds.forEach(id => {
+                        const cell = model.getCell(id);
+                        if (cell && !model.isVertex(cell) && !model.isEdge(cell)) return;
+
+                        const details = [];
+                        if (page.moved[id]) details.push('moved');
+                        if (page.restyled[id]) details.push('restyled');
+                        if (page.relabelled[id]) details.push('relabelled');
+                        const label = page.relabelled[id] ? page.relabelled[id].to : (cell ? graph.convertValueToString(cell) : '');
+                        changes.push({ id, kind: 'changed', label, details });
+                    });
+
+                    Object.values(page.removed).forEach(cell => {
+                        if (cell.vertex || cell.edge) {
+                            changes.push({ id: cell.id, kind: 'removed', label: cell.label, snapshot: cell });
+                        }
+                    });
+                }
+
+                // Added and changed cells still exist in the graph
+                const highlights = [];
+                changes.forEach(change => {
+                    if (change.kind === 'removed') return;
+
+                    const cell = model.getCell(change.id);
+                    const state = cell ? graph.view.getState(cell) : null;
+                    if (!state) return;
+
+                    const highlight = new mxCellHighlight(graph, colors[change.kind], 3);
+                    highlight.highlight(state);
+                    highlights.push(highlight);
+                });
+
+                // Removed cells are drawn as dashed ghosts from their old geometry
+                const ghosts = [];
+
+                function ghostOrigin(snapshot) {
+                    const view = graph.view;
+                    const parent = snapshot.parent ? model.getCell(snapshot.parent) : null;
+                    const parentState = parent && model.isVertex(parent) ? view.getState(parent) : null;
+
+                    if (parentState) {
+                        return { x: parentState.x, y: parentState.y };
+                    }
+                    return { x: view.translate.x * view.scale, y: view.translate.y * view.scale };
+                }
+
+                function ghostShape(snapshot) {
+                    const geo = snapshot.geometry;
+                    const scale = graph.view.scale;
+                    const origin = ghostOrigin(snapshot);
+
+                    if (snapshot.edge) {
+                        const source = snapshot.source ? graph.view.getState(model.getCell(snapshot.source)) : null;
+                        const target = snapshot.target ? graph.view.getState(model.getCell(snapshot.target)) : null;
+                        if (!source || !target) return null;
+
+                        const waypoints = (geo && geo.points ? geo.points : [])
+                            .map(point => new mxPoint(origin.x + point.x * scale, origin.y + point.y * scale));
+                        const points = [
+                            new mxPoint(source.getCenterX(), source.getCenterY()),
+                            ...waypoints,
+                            new mxPoint(target.getCenterX(), target.getCenterY())
+                        ];
+                        return new mxPolyline(points, colors.removed, 2);
+                    }
+
+                    if (!geo || geo.relative) return null;
+
+                    const bounds = new mxRectangle(
+                        origin.x + geo.x * scale,
+                        origin.y + geo.y * scale,
+                        geo.width * scale,
+                        geo.height * scale
+                    );
+                    return new mxRectangleShape(bounds, 'none', colors.removed, 2);
+                }
+
+                function drawGhosts() {
+                    ghosts.forEach(shape => shape.destroy());
+                    ghosts.length = 0;
+
+                    changes.forEach(change => {
+                        if (change.kind !== 'removed') return;
+
+                        const shape = ghostShape(change.snapshot);
+                        change.bounds = null;
+                        if (!shape) return;
+
+                        shape.isDashed = true;
+                        shape.opacity = 70;
+                        shape.pointerEvents = false;
+                        shape.init(graph.view.getOverlayPane());
+                        shape.redraw();
+                        ghosts.push(shape);
+                        change.bounds = shape.bounds;
+                    });
+                }
+
+                const redrawGhosts = () => drawGhosts();
+                graph.view.addListener(mxEvent.SCALE, redrawGhosts);
+                graph.view.addListener(mxEvent.TRANSLATE, redrawGhosts);
+                graph.view.addListener(mxEvent.SCALE_AND_TRANSLATE, redrawGhosts);
+                model.addListener(mxEvent.CHANGE, redrawGhosts);
+                drawGhosts();
+
+                // Legend
+                const panel = document.createElement('div');
+                panel.style.cssText = `
+                    position: fixed;
+                    top: 80px;
+                    right: 20px;
+                    width: 280px;
+                    max-height: 70%;
+                    background: white;
+                    border-radius: 8px;
+                    box-shadow: 0 4px 20px rgba(0, 0, 0, 0.25);
+                    z-index: 10000;
+                    display: flex;
+                    flex-direction: column;
+                    font-size: 12px;
+                    color: #333;
+                `;
+
+                const header = document.createElement('div');
+                header.style.cssText = `display: flex; justify-content: space-between; align-items: center; padding: 12px 15px; border-bottom: 1px solid #eee;`;
+
+                const heading = document.createElement('strong');
+                heading.style.cssText = `font-size: 14px;`;
+                heading.textContent = `⚖️ v${diff.from.version} → v${diff.to.version}`;
+
+                const closeBtn = document.createElement('button');
+                closeBtn.textContent = '✕';
+                closeBtn.title = 'Close comparison';
+                closeBtn.style.cssText = `background: none; border: none; font-size: 16px; cursor: pointer; color: #666;`;
+                closeBtn.onclick = () => closeComparisonOverlay();
+
+                header.appendChild(heading);
+                header.appendChild(closeBtn);
+
+                const legend = document.createElement('div');
+                legend.style.cssText = `padding: 10px 15px; border-bottom: 1px solid #eee; line-height: 1.8;`;
+                if (page && diff.pages.length > 1) {
+                    const pageName = document.createElement('div');
+                    pageName.style.cssText = `color: #666;`;
+                    pageName.textContent = `📄 ${page.name}${page.renamedFrom ? ` (was "${page.renamedFrom}")` : ''}`;
+                    legend.appendChild(pageName);
+                }
+                [
+                    ['added', 'Added', 'solid'],
+                    ['changed', 'Changed', 'solid'],
+                    ['removed', 'Removed', 'dashed']
+                ].forEach(([kind, text, border]) => {
+                    const entry = document.createElement('div');
+                    const swatch = document.createElement('span');
+                    swatch.style.cssText = `display: inline-block; width: 12px; height: 12px; margin-right: 8px; vertical-align: middle; border: 2px ${border} ${colors[kind]}; border-radius: 2px;`;
+                    entry.appendChild(swatch);
+                    entry.appendChild(document.createTextNode(`${text}: ${changes.filter(change => change.kind === kind).length}`));
+                    legend.appendChild(entry);
+                });
+
+                const list = document.createElement('div');
+                list.style.cssText = `flex: 1; overflow-y: auto;`;
+
+                const rows = changes.map((change, index) => {
+                    const row = document.createElement('div');
+                    row.style.cssText = `padding: 6px 15px; cursor: pointer; border-left: 4px solid ${colors[change.kind]};`;
+                    row.textContent = `${change.label || change.id}${change.details ? ` (${change.details.join(', ')})` : ''}`;
+                    row.title = `Cell ${change.id}`;
+                    row.onclick = () => focusChange(index);
+                    list.appendChild(row);
+                    return row;
+                });
+
+                if (changes.length === 0) {
+                    list.style.cssText += `padding: 15px; color: #666; text-align: center;`;
+                    list.textContent = 'No differences on this page.';
+                }
+
+                const navigation = document.createElement('div');
+                navigation.style.cssText = `display: flex; justify-content: space-between; align-items: center; padding: 10px 15px; border-top: 1px solid #eee;`;
+
+                const navButtonStyle = `background: #007bff; color: white; border: none; padding: 6px 12px; border-radius: 4px; cursor: pointer; font-size: 11px;`;
+                const prevBtn = document.createElement('button');
+                prevBtn.textContent = '◀ Previous';
+                prevBtn.style.cssText = navButtonStyle;
+                prevBtn.disabled = changes.length === 0;
+                prevBtn.onclick = () => focusChange(current - 1);
+
+                const position = document.createElement('span');
+                position.style.cssText = `color: #666;`;
+                position.textContent = `– / ${changes.length}`;
+
+                const nextBtn = document.createElement('button');
+                nextBtn.textContent = 'Next ▶';
+                nextBtn.style.cssText = navButtonStyle;
+                nextBtn.disabled = changes.length === 0;
+                nextBtn.onclick = () => focusChange(current + 1);
+
+                navigation.appendChild(prevBtn);
+                navigation.appendChild(position);
+                navigation.appendChild(nextBtn);
+
+                panel.appendChild(header);
+                panel.appendChild(legend);
+                panel.appendChild(list);
+                panel.appendChild(navigation);
+                document.body.appendChild(panel);
+
+                let current = -1;
+
+                function focusChange(index) {
+                    if (changes.length === 0) return;
+
+                    current = (index + changes.length) % changes.length;
+                    const change = changes[current];
+
+                    if (change.kind === 'removed') {
+                        graph.clearSelection();
+                        if (change.bounds) {
+                            graph.scrollRectToVisible(change.bounds);
+                        }
+                    } else {
+                        const cell = model.getCell(change.id);
+                        if (cell) {
+                            graph.setSelectionCell(cell);
+                            graph.scrollCellToVisible(cell, true);
+                        }
+                    }
+
+                    rows.forEach((row, i) => {
+                        row.style.background = i === current ? '#eef4ff' : 'transparent';
+                    });
+                    rows[current].scrollIntoView({ block: 'nearest' });
+                    position.textContent = `${current + 1} / ${changes.length}`;
+                }
+
+                const keyHandler = (e) => {
+                    if (e.key === 'Escape') {
+                        closeComparisonOverlay();
+                    }
+                };
+                document.addEventListener('keydown', keyHandler);
+
+                activeComparison = {
+                    destroy() {
+                        highlights.forEach(highlight => highlight.destroy());
+                        ghosts.forEach(shape => shape.destroy());
+                        graph.view.removeListener(redrawGhosts);
+                        model.removeListener(redrawGhosts);
+                        document.removeEventListener('keydown', keyHandler);
+                        safeRemoveElement(panel);
+                    }
+                };
+
+                if (!page) {
+                    showAlert('⚖️ Compare Versions', 'Neither version contains any pages to compare.');
+                }
+            }
+
             function showAdvancedDiagramDialog(initialDiagrams) {
                 console.log('🎨 Creating file manager dialog UI...');
                 // Create overlay
@@ -2407,10 +3564,13 @@
                     max-height: 400px;
                 `;
 
+                const bulk = createBulkExtendBar(() => Array.from(resultsContainer.querySelectorAll('.arkiv-select-diagram')));
+
                 // Assemble dialog
                 dialog.appendChild(header);
                 dialog.appendChild(searchSection);
                 dialog.appendChild(advancedPanel);
+                dialog.appendChild(bulk.bar);
                 dialog.appendChild(resultsContainer);
                 overlay.appendChild(dialog);
                 document.body.appendChild(overlay);
@@ -2420,6 +3580,8 @@
                 // Function to render diagram list
                 function renderDiagrams(diagrams) {
                     resultsContainer.innerHTML = '';
+                    bulk.bar.querySelector('.arkiv-select-all').checked = false;
+                    bulk.update();
 
                     if (!diagrams || diagrams.length === 0) {
                         resultsContainer.innerHTML = `
@@ -2469,6 +3631,11 @@
                             detailsHtml += `<br>🔑 ${diagram.entityKey.substring(0, 16)}...`;
                         }
 
+                        const badge = expiryBadgeHtml(diagram);
+                        if (badge) {
+                            detailsHtml += `<br>${badge}`;
+                        }
+
                         details.innerHTML = detailsHtml;
 
                         info.appendChild(titleElement);
@@ -2518,6 +3685,7 @@
                         actionsContainer.appendChild(loadBtn);
                         actionsContainer.appendChild(versionsBtn);
 
+                        item.appendChild(createSelectCheckbox(diagram, bulk.update));
                         item.appendChild(info);
                         item.appendChild(actionsContainer);
 
@@ -2559,24 +3727,9 @@
                         params.append('sortBy', sortBy);
                         params.append('sortOrder', sortOrder);
 
-                        const response = await fetchWithTimeout(`${BACKEND_URL}/api/diagrams/search?${params}`, {
-                            headers: {
-                                'X-Wallet-Address': walletAddress
-                            }
-                        }, 15000);
-
+                        const diagrams = await listDiagramPages(`/api/diagrams/search?${params}`, 200);
                         ui.spinner.stop();
-
-                        if (!response.ok) {
-                            throw new Error(`Search error: ${response.status}`);
-                        }
-
-                        const result = await response.json();
-                        if (result.success) {
-                            renderDiagrams(result.data);
-                        } else {
-                            throw new Error(result.error || 'Search failed');
-                        }
+                        renderDiagrams(diagrams);
 
                     } catch (error) {
                         ui.spinner.stop();
@@ -2644,32 +3797,17 @@
 
                     ui.spinner.spin(document.body, 'Loading diagrams...');
 
-                    const response = await fetchWithTimeout(`${BACKEND_URL}/api/diagrams/list?limit=50&offset=0`, {
-                        headers: {
-                            'X-Wallet-Address': walletAddress
-                        }
-                    }, 15000);
-
-                    if (!response.ok) {
-                        throw new Error(`Server error: ${response.status} ${response.statusText}`);
-                    }
-
-                    const result = await response.json();
+                    const diagrams = await listDiagramPages('/api/diagrams/list');
                     ui.spinner.stop();
 
-                    console.log('📋 List response:', result);
-
-                    if (!result.success) {
-                        throw new Error(result.error || 'Failed to load diagrams');
-                    }
+                    console.log('📋 Listed diagrams:', diagrams.length);
 
-                    if (!result.data || result.data.length === 0) {
+                    if (diagrams.length === 0) {
                         await showAlert('📂 No Diagrams Found', 'No saved diagrams found.\n\nSave a diagram first using "Save to Arkiv"!');
                         return;
                     }
 
                     // Create HTML dialog with proper UI and search
-                    const diagrams = result.data;
                     console.log('📋 Opening file manager dialog with', diagrams.length, 'diagrams');
                     showAdvancedDiagramDialog(diagrams);
 
@@ -2849,7 +3987,7 @@
                                 method: 'POST',
                                 headers: {
                                     'Content-Type': 'application/json',
-                                    'X-Wallet-Address': walletAddress
+                                    ...walletHeaders()
                                 },
                                 body: JSON.stringify(diagramData)
                             }, 30000);
@@ -2914,7 +4052,7 @@
                                 method: 'POST',
                                 headers: {
                                     'Content-Type': 'application/json',
-                                    'X-Wallet-Address': walletAddress
+                                    ...walletHeaders()
                                 },
                                 body: JSON.stringify(shareData)
                             }, 15000);
@@ -2972,7 +4110,7 @@
 
                     const response = await fetchWithTimeout(`${BACKEND_URL}/api/diagrams/config`, {
                         headers: {
-                            'X-Wallet-Address': walletAddress
+                            ...walletHeaders()
                         }
                     }, 10000);
 
@@ -3007,7 +4145,7 @@
                         method: 'POST',
                         headers: {
                             'Content-Type': 'application/json',
-                            'X-Wallet-Address': walletAddress
+                            ...walletHeaders()
                         },
                         body: JSON.stringify(config)
                     }, 15000);
@@ -3105,6 +4243,8 @@
                     testnetChainId: 60138453025
                 };
 
+                const autoRenew = currentConfig.autoRenew || { mode: 'off' };
+
                 dialog.innerHTML = `
                     <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px; border-bottom: 1px solid #eee; padding-bottom: 10px;">
                         <h3 style="margin: 0;">⚙️ Configuration</h3>
@@ -3146,6 +4286,20 @@
                         <div style="font-size: 11px; color: #666; margin-top: 2px;">How many days documents should be stored in Arkiv (default: 100 days)</div>
                     </div>
 
+                    <div style="margin-bottom: 15px;">
+                        <label style="display: block; font-weight: bold; margin-bottom: 5px;">♻️ Auto-renew expiring diagrams:</label>
+                        <select id="autoRenewMode" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+                            <option value="off" ${autoRenew.mode === 'off' ? 'selected' : ''}>Off - only warn me</option>
+                            <option value="always" ${autoRenew.mode === 'always' ? 'selected' : ''}>Always keep alive</option>
+                            <option value="if_opened" ${autoRenew.mode === 'if_opened' ? 'selected' : ''}>Only if opened recently</option>
+                        </select>
+                        <div id="autoRenewOpenedConfig" style="margin-top: 8px; ${autoRenew.mode === 'if_opened' ? '' : 'display: none;'}">
+                            <label style="display: block; font-size: 12px; margin-bottom: 3px;">Opened or saved within (days):</label>
+                            <input type="number" id="autoRenewOpenedWithinDays" value="${autoRenew.openedWithinDays || 90}" min="1" style="width: 100%; padding: 6px; border: 1px solid #ddd; border-radius: 4px; font-size: 12px;">
+                        </div>
+                        <div style="font-size: 11px; color: #666; margin-top: 2px;">Diagrams about to expire are extended by the BTL above; otherwise you get a notification</div>
+                    </div>
+
                     <div style="margin-bottom: 15px;">
                         <label style="display: flex; align-items: center; cursor: pointer;">
                             <input type="checkbox" id="autoSave" ${currentConfig.autoSave ? 'checked' : ''} style="margin-right: 8px;">
@@ -3205,6 +4359,30 @@
                         </div>
                     </div>
 
+                    <div style="margin-bottom: 15px; border-top: 1px solid #eee; padding-top: 15px;">
+                        <h4 style="margin: 0 0 10px 0; font-size: 14px; color: #333;">👤 Guest Account</h4>
+                        <div style="font-size: 11px; color: #666; margin-bottom: 10px;">${hasGuestSession()
+                            ? `Signed in as guest in this browser until ${new Date(guestSession.expiresAt).toLocaleDateString()}. Keep a recovery code to get your guest diagrams back if browser storage is cleared.`
+                            : 'No guest session in this browser. A recovery code brings back an existing guest account.'}</div>
+                        <div style="display: flex; gap: 8px; flex-wrap: wrap;">
+                            ${hasGuestSession() ? `
+                                <button id="exportRecoveryCode" style="padding: 6px 12px; border: 1px solid #ddd; background: white; border-radius: 4px; cursor: pointer;">🔑 Export recovery code</button>
+                                <button id="manageGuestSessions" style="padding: 6px 12px; border: 1px solid #ddd; background: white; border-radius: 4px; cursor: pointer;">🖥️ Sessions</button>
+                                <button id="upgradeGuestToWallet" style="padding: 6px 12px; border: 1px solid #ddd; background: white; border-radius: 4px; cursor: pointer;">💳 Move to wallet</button>
+                            ` : ''}
+                            <button id="restoreGuestAccount" style="padding: 6px 12px; border: 1px solid #ddd; background: white; border-radius: 4px; cursor: pointer;">♻️ Restore from recovery code</button>
+                        </div>
+                    </div>
+
+                    ${hasWalletSession() || hasGuestSession() ? `
+                    <div style="margin-bottom: 15px; border-top: 1px solid #eee; padding-top: 15px;">
+                        <h4 style="margin: 0 0 10px 0; font-size: 14px; color: #333;">🔑 Access Tokens</h4>
+                        <div style="font-size: 11px; color: #666; margin-bottom: 10px;">Personal access tokens let scripts and CI use the API as your account, limited to the chosen scopes.</div>
+                        <div id="accessTokenList" style="margin-bottom: 10px; font-size: 11px; color: #999;">Loading…</div>
+                        <button id="createAccessToken" style="padding: 6px 12px; border: 1px solid #ddd; background: white; border-radius: 4px; cursor: pointer;">➕ New token</button>
+                    </div>
+                    ` : ''}
+
                     <div style="display: flex; gap: 10px; justify-content: flex-end;">
                         <button id="cancelConfig" style="padding: 8px 16px; border: 1px solid #ddd; background: white; border-radius: 4px; cursor: pointer;">Cancel</button>
                         <button id="saveConfig" style="padding: 8px 16px; border: none; background: #007bff; color: white; border-radius: 4px; cursor: pointer;">Save</button>
@@ -3218,12 +4396,48 @@
                 document.getElementById('closeConfig').onclick = () => safeRemoveElement(overlay);
                 document.getElementById('cancelConfig').onclick = () => safeRemoveElement(overlay);
 
+                // Guest account actions open their own dialogs
+                if (hasGuestSession()) {
+                    document.getElementById('exportRecoveryCode').onclick = () => {
+                        safeRemoveElement(overlay);
+                        exportRecoveryCode();
+                    };
+                    document.getElementById('manageGuestSessions').onclick = () => {
+                        safeRemoveElement(overlay);
+                        manageGuestSessions();
+                    };
+                    document.getElementById('upgradeGuestToWallet').onclick = () => {
+                        safeRemoveElement(overlay);
+                        upgradeGuestToWallet();
+                    };
+                }
+                document.getElementById('restoreGuestAccount').onclick = () => {
+                    safeRemoveElement(overlay);
+                    restoreGuestAccount();
+                };
+
+                // Access tokens are listed in place; creating one opens its own dialog
+                const accessTokenList = document.getElementById('accessTokenList');
+                if (accessTokenList) {
+                    const reloadAccessTokens = () => loadAccessTokens(accessTokenList, reloadAccessTokens);
+                    reloadAccessTokens();
+                    document.getElementById('createAccessToken').onclick = () => {
+                        safeRemoveElement(overlay);
+                        createAccessToken();
+                    };
+                }
+
                 // Toggle testnet config visibility
                 document.getElementById('useTestnet').onchange = function() {
                     const testnetConfig = document.getElementById('testnetConfig');
                     testnetConfig.style.display = this.checked ? 'block' : 'none';
                 };
 
+                // Toggle "opened within" visibility
+                document.getElementById('autoRenewMode').onchange = function() {
+                    document.getElementById('autoRenewOpenedConfig').style.display = this.value === 'if_opened' ? 'block' : 'none';
+                };
+
                 document.getElementById('saveConfig').onclick = async () => {
                     const btlDays = parseInt(document.getElementById('btlDays').value);
                     const autoSave = document.getElementById('autoSave').checked;
@@ -3238,6 +4452,13 @@
                         return;
                     }
 
+                    const autoRenewMode = document.getElementById('autoRenewMode').value;
+                    const openedWithinDays = parseInt(document.getElementById('autoRenewOpenedWithinDays').value);
+                    if (autoRenewMode === 'if_opened' && !(openedWithinDays >= 1)) {
+                        await showAlert('❌ Invalid Value', 'Auto-renew window must be at least 1 day');
+                        return;
+                    }
+
                     // Connection mode is always 'backend' (hidden from UI)
                     const selectedMode = 'backend';
                     const selectedAuthChoice = document.querySelector('input[name="authChoice"]:checked')?.value || '';
@@ -3262,6 +4483,9 @@
                         showBalance,
                         encryptByDefault,
                         encryptionPassword: encryptionPassword || undefined,
+                        autoRenew: autoRenewMode === 'if_opened'
+                            ? { mode: autoRenewMode, openedWithinDays }
+                            : { mode: autoRenewMode },
                         useTestnet,
                         testnetRpc: testnetRpc || undefined,
                         testnetChainId: testnetChainId || undefined
@@ -3304,17 +4528,23 @@
                     const modal = document.querySelector('.arkiv-modal-overlay');
                     if (!modal) return; // No modal to refresh
 
+                    if (managerView === 'trash') {
+                        const trashContent = modal.querySelector('.arkiv-manager-content');
+                        if (trashContent) await renderTrashView(trashContent);
+                        return;
+                    }
+
                     console.log('🔄 Refreshing diagram list...');
 
-                    // Get updated diagrams
-                    const diagrams = await listUserDiagrams(walletAddress);
+                    // Get updated diagrams (of the folder selected in the sidebar)
+                    const diagrams = managerFolder ? await listFolderDiagrams(managerFolder) : await listUserDiagrams(walletAddress);
 
-                    // Find the content div in the modal (last div in dialog)
-                    const dialog = modal.querySelector('div[style*="border-radius: 8px"]');
-                    if (!dialog) return;
-                    const content = dialog.lastElementChild;
+                    const content = modal.querySelector('.arkiv-manager-content');
                     if (!content) return;
 
+                    const sidebar = modal.querySelector('.arkiv-folder-sidebar');
+                    if (sidebar) renderFolderSidebar(sidebar);
+
                     // Clear current content
                     content.innerHTML = '';
 
@@ -3356,8 +4586,16 @@
             window.openWebManager = openWebManager;
 
 
+            // Which list the Arkiv Manager shows: 'diagrams' or 'trash'
+            let managerView = 'diagrams';
+            // Folder selected in the manager sidebar: null for all diagrams, 'root' for diagrams in no folder
+            let managerFolder = null;
+
             // Show Arkiv Manager modal (using improved design like Open dialog)
             function showManagerModal(diagrams) {
+                managerView = 'diagrams';
+                managerFolder = null;
+
                 // Create overlay
                 const overlay = document.createElement('div');
                 overlay.className = 'arkiv-modal-overlay';
@@ -3380,7 +4618,7 @@
                     background: white;
                     border-radius: 8px;
                     padding: 20px;
-                    max-width: 700px;
+                    max-width: 920px;
                     width: 90%;
                     max-height: 80%;
                     overflow-y: auto;
@@ -3413,11 +4651,33 @@
                 `;
                 closeBtn.onclick = () => safeRemoveElement(overlay);
 
+                // Switch between the diagram list and the trash
+                const trashBtn = document.createElement('button');
+                trashBtn.textContent = '🗑️ Trash';
+                trashBtn.style.cssText = `
+                    margin-left: auto;
+                    margin-right: 12px;
+                    background: #f8f9fa;
+                    border: 1px solid #ddd;
+                    border-radius: 4px;
+                    padding: 6px 12px;
+                    cursor: pointer;
+                    font-size: 12px;
+                `;
+                trashBtn.onclick = async () => {
+                    managerView = managerView === 'trash' ? 'diagrams' : 'trash';
+                    title.textContent = managerView === 'trash' ? '🗑️ Trash' : '🗂️ Arkiv Manager';
+                    trashBtn.textContent = managerView === 'trash' ? '📊 Diagrams' : '🗑️ Trash';
+                    await refreshDiagramList();
+                };
+
                 header.appendChild(title);
+                header.appendChild(trashBtn);
                 header.appendChild(closeBtn);
 
                 // Content
                 const content = document.createElement('div');
+                content.className = 'arkiv-manager-content';
 
                 if (diagrams.length === 0) {
                     content.innerHTML = `
@@ -3432,10 +4692,30 @@
                     content.appendChild(createDiagramList(diagrams));
                 }
 
+                // Folder tree on the left, diagram list on the right
+                const body = document.createElement('div');
+                body.style.cssText = 'display: flex; gap: 16px; align-items: flex-start;';
+
+                const sidebar = document.createElement('div');
+                sidebar.className = 'arkiv-folder-sidebar';
+                sidebar.style.cssText = `
+                    width: 210px;
+                    flex-shrink: 0;
+                    border-right: 1px solid #eee;
+                    padding-right: 12px;
+                    font-size: 13px;
+                `;
+                content.style.flex = '1';
+                content.style.minWidth = '0';
+
+                body.appendChild(sidebar);
+                body.appendChild(content);
+
                 dialog.appendChild(header);
-                dialog.appendChild(content);
+                dialog.appendChild(body);
                 overlay.appendChild(dialog);
                 document.body.appendChild(overlay);
+                renderFolderSidebar(sidebar);
 
                 // Click outside to close
                 overlay.onclick = (e) => {
@@ -3443,19 +4723,777 @@
                 };
             }
 
-            // Create diagram list with management options
-            function createDiagramList(diagrams) {
-                const list = document.createElement('div');
-                list.style.cssText = 'display: flex; flex-direction: column; gap: 12px;';
+            // ===== API REQUESTS =====
+            function authHeaders() {
+                const headers = {
+                    'Content-Type': 'application/json'
+                };
 
-                diagrams.forEach(diagram => {
-                    const item = document.createElement('div');
-                    item.style.cssText = `
-                        border: 1px solid #e0e0e0;
-                        border-radius: 8px;
-                        padding: 16px;
-                        background: #fafafa;
-                        transition: all 0.2s;
+                // Add appropriate authentication header
+                if (walletConnected && walletAddress) {
+                    Object.assign(headers, walletHeaders());
+                } else if (custodialId) {
+                    Object.assign(headers, custodialHeaders());
+                }
+                return headers;
+            }
+
+            // Call a backend endpoint; signs with MetaMask when the backend prepared a transaction
+            async function apiRequest(path, method, body, signInRetried = false) {
+                const response = await fetch(`${BACKEND_URL}${path}`, {
+                    method,
+                    headers: authHeaders(),
+                    body: body ? JSON.stringify(body) : undefined
+                });
+                const result = await response.json();
+
+                // The wallet session expired (or was never created): sign in again and repeat the request once
+                if (result.requiresSignIn && walletConnected && !signInRetried) {
+                    clearWalletSession();
+                    if (await ensureWalletSession()) {
+                        return await apiRequest(path, method, body, true);
+                    }
+                } else if (result.requiresSignIn && custodialId && !signInRetried) {
+                    // The guest session was revoked or expired: only the recovery code gets the same account back
+                    clearGuestSession();
+                    if (await restoreGuestAccount()) {
+                        return await apiRequest(path, method, body, true);
+                    }
+                }
+
+                if (result.success) {
+                    return result;
+                } else if (result.requiresFrontendTransaction && result.transaction) {
+                    const txHash = await sendPreparedTransaction(result.transaction);
+                    console.log('📤 Transaction sent:', txHash);
+                    return { ...result, success: true, txHash };
+                }
+                throw new Error(result.error || result.message || 'Request failed');
+            }
+
+            // Diagrams of a listing (/api/diagrams/list or /search), following the page cursors up to `max` diagrams
+            async function listDiagramPages(path, max = 500) {
+                const diagrams = [];
+                let cursor = null;
+                do {
+                    const separator = path.includes('?') ? '&' : '?';
+                    const cursorParam = cursor ? `&cursor=${encodeURIComponent(cursor)}` : '';
+                    const response = await fetchWithTimeout(`${BACKEND_URL}${path}${separator}limit=100${cursorParam}`, {
+                        headers: authHeaders()
+                    }, 15000);
+
+                    const result = await response.json();
+                    if (!result.success) {
+                        throw new Error(result.error || `Server error: ${response.status} ${response.statusText}`);
+                    }
+                    diagrams.push(...(result.data || []));
+                    cursor = result.cursor;
+                } while (cursor && diagrams.length < max);
+                return diagrams;
+            }
+
+            // ===== TAGS =====
+            // Tags as the backend stores them: lowercase, spaces become dashes
+            function normalizeTag(value) {
+                return value.trim().toLowerCase().replace(/\s+/g, '-');
+            }
+
+            // Same format as the backend's tags attribute, so a tag can be matched with tags ~ "*,tag,*"
+            function formatTagsAnnotation(tags) {
+                return `,${tags.join(',')},`;
+            }
+
+            // Tags currently on each diagram listed in the manager
+            const diagramTagsCache = new Map();
+
+            async function loadUserTags() {
+                try {
+                    return (await apiRequest('/api/tags', 'GET')).data.map(usage => usage.tag);
+                } catch (error) {
+                    console.warn('Could not load tags for autocomplete:', error);
+                    return [];
+                }
+            }
+
+            function tagChipsHtml(tags) {
+                function escapeHtml(text) {
+                    const div = document.createElement('div');
+                    div.textContent = text;
+                    return div.innerHTML;
+                }
+
+                return (tags || [])
+                    .map(tag => `<span style="display: inline-block; background: #e8ecff; color: #4a5bd4; border-radius: 10px; padding: 1px 8px; margin: 2px 4px 0 0; font-size: 11px;">#${escapeHtml(tag)}</span>`)
+                    .join('');
+            }
+
+            // Tag editor with autocomplete from the user's existing tags; resolves to the tags, or null when cancelled.
+            // Stacks above the manager instead of replacing it like showPrompt does.
+            async function showTagPicker(heading, initialTags) {
+                const knownTags = await loadUserTags();
+                const tags = [...initialTags];
+
+                return new Promise((resolve) => {
+                    const picker = document.createElement('div');
+                    picker.style.cssText = `
+                        position: fixed;
+                        top: 0;
+                        left: 0;
+                        width: 100%;
+                        height: 100%;
+                        background: rgba(0, 0, 0, 0.3);
+                        z-index: 10002;
+                        display: flex;
+                        align-items: center;
+                        justify-content: center;
+                    `;
+                    picker.innerHTML = `
+                        <div style="background: white; border-radius: 8px; padding: 20px; width: 360px; box-shadow: 0 8px 32px rgba(0, 0, 0, 0.3);">
+                            <h4 style="margin: 0 0 12px 0;">${heading}</h4>
+                            <div class="arkiv-tag-chips" style="margin-bottom: 8px; min-height: 20px;"></div>
+                            <input class="arkiv-tag-input" list="arkiv-known-tags" placeholder="Add a tag and press Enter"
+                                   style="width: 100%; box-sizing: border-box; padding: 6px 8px; border: 1px solid #ddd; border-radius: 4px;">
+                            <datalist id="arkiv-known-tags"></datalist>
+                            <div style="display: flex; justify-content: flex-end; gap: 8px; margin-top: 16px;">
+                                <button class="arkiv-picker-cancel" style="padding: 6px 12px; border: 1px solid #ddd; background: #f8f9fa; border-radius: 4px; cursor: pointer;">Cancel</button>
+                                <button class="arkiv-picker-ok" style="padding: 6px 12px; border: none; background: #667eea; color: white; border-radius: 4px; cursor: pointer;">OK</button>
+                            </div>
+                        </div>
+                    `;
+
+                    const chips = picker.querySelector('.arkiv-tag-chips');
+                    const input = picker.querySelector('.arkiv-tag-input');
+                    const datalist = picker.querySelector('datalist');
+
+                    const render = () => {
+                        chips.innerHTML = '';
+                        tags.forEach((tag, index) => {
+                            const chip = document.createElement('span');
+                            chip.style.cssText = 'display: inline-block; background: #e8ecff; color: #4a5bd4; border-radius: 10px; padding: 2px 8px; margin: 0 4px 4px 0; font-size: 12px; cursor: pointer;';
+                            chip.textContent = `#${tag} ✕`;
+                            chip.title = 'Remove tag';
+                            chip.onclick = () => {
+                                tags.splice(index, 1);
+                                render();
+                            };
+                            chips.appendChild(chip);
+                        });
+                        datalist.innerHTML = '';
+                        knownTags.filter(tag => !tags.includes(tag)).forEach(tag => {
+                            const option = document.createElement('option');
+                            option.value = tag;
+                            datalist.appendChild(option);
+                        });
+                    };
+
+                    const addTag = () => {
+                        const tag = normalizeTag(input.value.replace(/,/g, ' '));
+                        if (tag && !tags.includes(tag)) {
+                            tags.push(tag);
+                        }
+                        input.value = '';
+                        render();
+                    };
+
+                    const close = (result) => {
+                        safeRemoveElement(picker);
+                        resolve(result);
+                    };
+
+                    input.onkeydown = (e) => {
+                        if (e.key === 'Enter' || e.key === ',') {
+                            e.preventDefault();
+                            if (input.value.trim()) {
+                                addTag();
+                            } else if (e.key === 'Enter') {
+                                close(tags);
+                            }
+                        }
+                    };
+                    // Picking a suggestion fills the input without a key press
+                    input.onchange = () => {
+                        if (knownTags.includes(normalizeTag(input.value))) addTag();
+                    };
+                    picker.querySelector('.arkiv-picker-cancel').onclick = () => close(null);
+                    picker.querySelector('.arkiv-picker-ok').onclick = () => {
+                        if (input.value.trim()) addTag();
+                        close(tags);
+                    };
+
+                    render();
+                    document.body.appendChild(picker);
+                    input.focus();
+                });
+            }
+
+            window.editDiagramTags = async function(diagramId, title) {
+                const tags = await showTagPicker(`🏷️ Tags of "${title}"`, diagramTagsCache.get(diagramId) || []);
+                if (!tags) return;
+
+                try {
+                    const result = await apiRequest(`/api/diagrams/${diagramId}/tags`, 'PUT', { tags });
+                    if (currentDiagram && currentDiagram.id === diagramId) {
+                        setCurrentDiagram(diagramId, currentDiagram.title, result.tags);
+                    }
+                    await refreshDiagramList();
+                } catch (error) {
+                    console.error('Failed to update tags:', error);
+                    await showAlert('❌ Tags Not Saved', error.message);
+                }
+            };
+
+            // ===== FOLDERS =====
+            async function listFolderDiagrams(folderId) {
+                return await listDiagramPages(`/api/diagrams/list?folder=${encodeURIComponent(folderId)}`);
+            }
+
+            async function renderFolderSidebar(sidebar) {
+                let data;
+                try {
+                    data = (await apiRequest('/api/folders', 'GET')).data;
+                } catch (error) {
+                    console.error('Failed to load folders:', error);
+                    sidebar.innerHTML = `<div style="color: #e74c3c;">Failed to load folders</div>`;
+                    return;
+                }
+
+                sidebar.innerHTML = '';
+
+                const select = async (folderId) => {
+                    managerFolder = folderId;
+                    managerView = 'diagrams';
+                    await refreshDiagramList();
+                };
+
+                const addEntry = (label, folderId, depth, count) => {
+                    const entry = document.createElement('div');
+                    const selected = managerFolder === folderId;
+                    entry.style.cssText = `
+                        padding: 5px 8px 5px ${8 + depth * 14}px;
+                        border-radius: 4px;
+                        cursor: pointer;
+                        white-space: nowrap;
+                        overflow: hidden;
+                        text-overflow: ellipsis;
+                        background: ${selected ? '#e8ecff' : 'transparent'};
+                        font-weight: ${selected ? '600' : 'normal'};
+                    `;
+                    entry.textContent = count === undefined ? label : `${label} (${count})`;
+                    entry.title = label;
+                    entry.onclick = () => select(folderId);
+
+                    // Drop diagrams from the list onto a folder to move them
+                    if (folderId) {
+                        entry.ondragover = (e) => {
+                            e.preventDefault();
+                            entry.style.background = '#d6ddff';
+                        };
+                        entry.ondragleave = () => {
+                            entry.style.background = selected ? '#e8ecff' : 'transparent';
+                        };
+                        entry.ondrop = async (e) => {
+                            e.preventDefault();
+                            const diagramId = e.dataTransfer.getData('text/arkiv-diagram-id');
+                            if (diagramId) await moveDiagram(diagramId, folderId);
+                        };
+                    }
+                    sidebar.appendChild(entry);
+                };
+
+                addEntry('📚 All diagrams', null, 0);
+                addEntry('📂 Unfiled', 'root', 0, data.rootDiagramCount);
+                const addNodes = (nodes, depth) => nodes.forEach(node => {
+                    addEntry(`📁 ${node.name}`, node.id, depth, node.diagramCount);
+                    addNodes(node.children, depth + 1);
+                });
+                addNodes(data.tree, 0);
+
+                // New folder (under the selected folder) and actions on the selected folder
+                const selectedFolder = data.folders.find(folder => folder.id === managerFolder);
+                const actions = document.createElement('div');
+                actions.style.cssText = 'margin-top: 12px; display: flex; flex-direction: column; gap: 6px;';
+
+                const nameInput = document.createElement('input');
+                nameInput.placeholder = selectedFolder ? `New folder in ${selectedFolder.name}` : 'New folder';
+                nameInput.style.cssText = 'padding: 5px 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 12px;';
+                nameInput.onkeydown = async (e) => {
+                    if (e.key !== 'Enter' || !nameInput.value.trim()) return;
+                    try {
+                        const result = await apiRequest('/api/folders', 'POST', { name: nameInput.value, parentId: selectedFolder?.id });
+                        if (!result.txHash) managerFolder = result.folder.id;
+                        await refreshDiagramList();
+                    } catch (error) {
+                        await showAlert('❌ Folder Not Created', error.message);
+                    }
+                };
+                actions.appendChild(nameInput);
+
+                if (selectedFolder) {
+                    const buttonStyle = 'border: none; padding: 5px 8px; border-radius: 4px; cursor: pointer; font-size: 12px; color: white;';
+
+                    const shareBtn = document.createElement('button');
+                    shareBtn.textContent = '🔗 Share folder';
+                    shareBtn.style.cssText = buttonStyle + 'background: #16a085;';
+                    shareBtn.onclick = async () => {
+                        try {
+                            const result = await apiRequest(`/api/folders/${selectedFolder.id}/share`, 'POST', { isPublic: true });
+                            await showAlert('🔗 Folder Shared', `Anyone with this link can view the diagrams in ${selectedFolder.path}:\n\n${result.shareUrl}`);
+                        } catch (error) {
+                            await showAlert('❌ Share Failed', error.message);
+                        }
+                    };
+
+                    const deleteBtn = document.createElement('button');
+                    deleteBtn.textContent = '🗑️ Delete folder';
+                    deleteBtn.style.cssText = buttonStyle + 'background: #e74c3c;';
+                    deleteBtn.onclick = async () => {
+                        try {
+                            await apiRequest(`/api/folders/${selectedFolder.id}`, 'DELETE');
+                            managerFolder = selectedFolder.parentId || null;
+                            await refreshDiagramList();
+                        } catch (error) {
+                            await showAlert('❌ Folder Not Deleted', error.message);
+                        }
+                    };
+
+                    actions.appendChild(shareBtn);
+                    actions.appendChild(deleteBtn);
+                }
+
+                sidebar.appendChild(actions);
+            }
+
+            async function moveDiagram(diagramId, folderId) {
+                try {
+                    await apiRequest(`/api/diagrams/${diagramId}/folder`, 'PUT', { folderId: folderId === 'root' ? null : folderId });
+                    await refreshDiagramList();
+                } catch (error) {
+                    console.error('Failed to move diagram:', error);
+                    await showAlert('❌ Move Failed', error.message);
+                }
+            }
+
+            // Small folder chooser on top of the manager (showPrompt would close it)
+            window.moveDiagramToFolder = async function(diagramId, title) {
+                let data;
+                try {
+                    data = (await apiRequest('/api/folders', 'GET')).data;
+                } catch (error) {
+                    await showAlert('❌ Move Failed', error.message);
+                    return;
+                }
+
+                const picker = document.createElement('div');
+                picker.style.cssText = `
+                    position: fixed;
+                    top: 0;
+                    left: 0;
+                    width: 100%;
+                    height: 100%;
+                    background: rgba(0, 0, 0, 0.3);
+                    z-index: 10002;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                `;
+                picker.innerHTML = `
+                    <div style="background: white; border-radius: 8px; padding: 20px; width: 320px; box-shadow: 0 8px 32px rgba(0, 0, 0, 0.3);">
+                        <h4 style="margin: 0 0 12px 0;"></h4>
+                        <select style="width: 100%; padding: 6px; margin-bottom: 16px;">
+                            <option value="root">/ (no folder)</option>
+                        </select>
+                        <div style="display: flex; justify-content: flex-end; gap: 8px;">
+                            <button class="arkiv-picker-cancel" style="padding: 6px 12px; border: 1px solid #ddd; background: #f8f9fa; border-radius: 4px; cursor: pointer;">Cancel</button>
+                            <button class="arkiv-picker-ok" style="padding: 6px 12px; border: none; background: #667eea; color: white; border-radius: 4px; cursor: pointer;">Move</button>
+                        </div>
+                    </div>
+                `;
+
+                // Titles and folder names are user text, set them as text rather than markup
+                picker.querySelector('h4').textContent = `📁 Move "${title}"`;
+                const select = picker.querySelector('select');
+                data.folders.forEach(folder => {
+                    const option = document.createElement('option');
+                    option.value = folder.id;
+                    option.textContent = folder.path;
+                    select.appendChild(option);
+                });
+
+                picker.querySelector('.arkiv-picker-cancel').onclick = () => safeRemoveElement(picker);
+                picker.querySelector('.arkiv-picker-ok').onclick = async () => {
+                    const folderId = select.value;
+                    safeRemoveElement(picker);
+                    await moveDiagram(diagramId, folderId);
+                };
+                document.body.appendChild(picker);
+            };
+
+            // ===== TRASH =====
+            async function renderTrashView(content) {
+                const headers = {};
+                if (walletConnected && walletAddress) {
+                    Object.assign(headers, walletHeaders());
+                } else if (custodialId) {
+                    Object.assign(headers, custodialHeaders());
+                }
+
+                content.innerHTML = '<div style="text-align: center; color: #666; padding: 40px;">Loading trash...</div>';
+
+                try {
+                    const response = await fetchWithTimeout(`${BACKEND_URL}/api/diagrams/trash`, { headers }, 15000);
+                    const result = await response.json();
+                    if (!result.success) {
+                        throw new Error(result.error || 'Failed to load trash');
+                    }
+
+                    content.innerHTML = '';
+                    if (result.data.length === 0) {
+                        content.innerHTML = `
+                            <div style="text-align: center; color: #666; padding: 40px;">
+                                <div style="font-size: 48px; margin-bottom: 16px;">🗑️</div>
+                                <h3 style="margin: 0 0 8px 0; color: #333;">Trash is empty</h3>
+                                <p style="margin: 0;">Deleted diagrams stay here for ${result.retentionDays} days before they are removed for good.</p>
+                            </div>
+                        `;
+                        return;
+                    }
+
+                    content.appendChild(createTrashList(result.data, result.retentionDays));
+                } catch (error) {
+                    console.error('Failed to load trash:', error);
+                    content.innerHTML = `<div style="text-align: center; color: #e74c3c; padding: 40px;">Failed to load trash: ${error.message}</div>`;
+                }
+            }
+
+            function createTrashList(diagrams, retentionDays) {
+                const list = document.createElement('div');
+                list.style.cssText = 'display: flex; flex-direction: column; gap: 12px;';
+
+                const note = document.createElement('div');
+                note.style.cssText = 'font-size: 12px; color: #666;';
+                note.textContent = `Deleted diagrams can be restored for ${retentionDays} days.`;
+                list.appendChild(note);
+
+                diagrams.forEach(diagram => {
+                    const purgeDays = Math.max(0, Math.ceil((diagram.purgeAt - Date.now()) / DAY_MS));
+                    const item = document.createElement('div');
+                    item.style.cssText = `
+                        display: flex;
+                        justify-content: space-between;
+                        align-items: center;
+                        border: 1px solid #e0e0e0;
+                        border-radius: 8px;
+                        padding: 12px 16px;
+                        background: #fafafa;
+                    `;
+                    item.innerHTML = `
+                        <div>
+                            <div class="arkiv-trash-title" style="font-size: 15px; font-weight: 600; color: #333;"></div>
+                            <div style="font-size: 12px; color: #666; margin-top: 4px;">
+                                Deleted ${new Date(diagram.trashedAt).toLocaleString()} · removed for good in ${purgeDays} day${purgeDays === 1 ? '' : 's'}
+                            </div>
+                        </div>
+                        <div style="display: flex; gap: 8px;">
+                            <button data-action="restore"
+                                    style="background: #27ae60; color: white; border: none; padding: 6px 12px; border-radius: 4px; cursor: pointer; font-size: 12px;">
+                                ♻️ Restore
+                            </button>
+                            <button data-action="delete-forever"
+                                    style="background: #e74c3c; color: white; border: none; padding: 6px 12px; border-radius: 4px; cursor: pointer; font-size: 12px;">
+                                🗑️ Delete forever
+                            </button>
+                        </div>
+                    `;
+                    // Titles are user text, so they go in as text and the buttons get the diagram from here
+                    item.querySelector('.arkiv-trash-title').textContent = `📊 ${diagram.title || 'Untitled Diagram'}`;
+                    item.querySelector('[data-action="restore"]').addEventListener('click', () => restoreDiagram(diagram.id, diagram.title));
+                    item.querySelector('[data-action="delete-forever"]').addEventListener('click', () => deleteDiagramForever(diagram.id, diagram.title));
+                    list.appendChild(item);
+                });
+
+                return list;
+            }
+
+            window.restoreDiagram = async function(diagramId, title) {
+                try {
+                    const headers = {
+                        'Content-Type': 'application/json'
+                    };
+
+                    // Add appropriate authentication header
+                    if (walletConnected && walletAddress) {
+                        Object.assign(headers, walletHeaders());
+                    } else if (custodialId) {
+                        Object.assign(headers, custodialHeaders());
+                    }
+
+                    const response = await fetch(`${BACKEND_URL}/api/diagrams/${diagramId}/restore`, {
+                        method: 'POST',
+                        headers
+                    });
+
+                    const result = await response.json();
+
+                    if (result.success) {
+                        await showAlert('♻️ Restored', `"${title}" is back in your diagrams.`);
+                        await refreshDiagramList();
+                    } else if (result.requiresFrontendTransaction && result.transaction) {
+                        const txHash = await sendPreparedTransaction(result.transaction);
+                        console.log('♻️ Restore transaction sent:', txHash);
+                        await showAlert('♻️ Restore Sent', `Transaction ${txHash} sent.\n\n"${title}" is back in your diagrams once it is mined.`);
+                        await refreshDiagramList();
+                    } else {
+                        throw new Error(result.error || 'Restore failed');
+                    }
+                } catch (error) {
+                    console.error('Failed to restore diagram:', error);
+                    await showAlert('❌ Restore Failed', `Failed to restore: ${error.message}`);
+                }
+            };
+
+            // ===== EXPIRY =====
+            const DAY_MS = 24 * 60 * 60 * 1000;
+            const EXPIRY_WARNING_DAYS = 7;
+
+            // Remaining lifetime; the backend derives expiresAt from the expiry block of the diagram's entities
+            function getDiagramExpiry(diagram) {
+                let expiresAt = diagram.expiresAt;
+                if (!expiresAt && diagram.timestamp && diagram.btlDays) {
+                    expiresAt = diagram.timestamp + diagram.btlDays * DAY_MS;
+                }
+                if (!expiresAt) return null;
+
+                const msLeft = expiresAt - Date.now();
+                return { expiresAt, msLeft, daysLeft: msLeft / DAY_MS };
+            }
+
+            function expiryBadgeHtml(diagram) {
+                const expiry = getDiagramExpiry(diagram);
+                if (!expiry) return '';
+
+                let label;
+                let color;
+                if (expiry.msLeft <= 0) {
+                    label = 'Expired';
+                    color = '#7f8c8d';
+                } else if (expiry.daysLeft < 1) {
+                    label = `${Math.ceil(expiry.msLeft / (60 * 60 * 1000))}h left`;
+                    color = '#e74c3c';
+                } else {
+                    label = `${Math.floor(expiry.daysLeft)}d left`;
+                    color = expiry.daysLeft < EXPIRY_WARNING_DAYS ? '#e74c3c' : expiry.daysLeft < 30 ? '#f39c12' : '#27ae60';
+                }
+
+                const tooltip = `Expires ${new Date(expiry.expiresAt).toLocaleString()}${diagram.expiresAtBlock ? ` (block ${diagram.expiresAtBlock})` : ''}`;
+                return `<span class="arkiv-expiry-badge" title="${tooltip}" style="display: inline-block; padding: 2px 8px; border-radius: 10px; background: ${color}; color: white; font-size: 11px; font-weight: 600;">⏱️ ${label}</span>`;
+            }
+
+            // Extend one diagram through PUT /api/diagrams/:id/btl; signs with MetaMask when the backend cannot
+            async function extendDiagram(diagramId, newBTLDays) {
+                const headers = {
+                    'Content-Type': 'application/json'
+                };
+
+                // Add appropriate authentication header
+                if (walletConnected && walletAddress) {
+                    Object.assign(headers, walletHeaders());
+                } else if (custodialId) {
+                    Object.assign(headers, custodialHeaders());
+                }
+
+                const response = await fetch(`${BACKEND_URL}/api/diagrams/${diagramId}/btl`, {
+                    method: 'PUT',
+                    headers,
+                    body: JSON.stringify({ newBTLDays })
+                });
+
+                const result = await response.json();
+
+                if (result.success) {
+                    return { result, txHash: null };
+                } else if (result.requiresFrontendTransaction && result.transaction) {
+                    // Backend prepared the extension (diagram, chunks and manifests) - sign and pay with MetaMask
+                    const txHash = await sendPreparedTransaction(result.transaction);
+                    console.log('⏰ BTL extension transaction sent:', txHash);
+                    return { result, txHash };
+                } else if (result.requiresFrontendTransaction) {
+                    throw new Error(result.message);
+                }
+                throw new Error(result.error || 'BTL change failed');
+            }
+
+            // Prompt once, then extend every selected diagram in turn
+            async function extendSelectedDiagrams(diagramIds) {
+                if (!diagramIds.length) return;
+
+                const defaultDays = String(userConfig?.btlDays || 100);
+                const newBTL = await showPrompt('⏰ Extend Selected', `Keep ${diagramIds.length} diagram(s) for how many days from now?`, defaultDays);
+                if (!newBTL || isNaN(newBTL)) return;
+
+                const newBTLDays = parseInt(newBTL);
+                if (newBTLDays <= 0) {
+                    await showAlert('❌ Invalid BTL', 'BTL must be a positive number of days.');
+                    return;
+                }
+
+                const extended = [];
+                const failed = [];
+                for (let i = 0; i < diagramIds.length; i++) {
+                    ui.spinner.spin(document.body, `Extending ${i + 1}/${diagramIds.length}...`);
+                    try {
+                        await extendDiagram(diagramIds[i], newBTLDays);
+                        extended.push(diagramIds[i]);
+                    } catch (error) {
+                        console.error('Failed to extend diagram:', diagramIds[i], error);
+                        failed.push(`${diagramIds[i]}: ${error.message}`);
+                    } finally {
+                        ui.spinner.stop();
+                    }
+                }
+
+                await refreshDiagramList();
+                const summary = `${extended.length} of ${diagramIds.length} diagram(s) extended to ${newBTLDays} days.`;
+                if (failed.length) {
+                    await showAlert('⚠️ Extend Selected', `${summary}\n\nFailed:\n${failed.join('\n')}`);
+                } else {
+                    await showAlert('✅ Extend Selected', summary);
+                }
+            }
+
+            // Toolbar with a "select all" box and the bulk extend button for a list of diagram checkboxes
+            function createBulkExtendBar(getCheckboxes) {
+                const bar = document.createElement('div');
+                bar.style.cssText = 'display: flex; align-items: center; justify-content: space-between; gap: 10px; margin-bottom: 12px;';
+                bar.innerHTML = `
+                    <label style="display: flex; align-items: center; gap: 6px; font-size: 12px; color: #666; cursor: pointer;">
+                        <input type="checkbox" class="arkiv-select-all"> Select all
+                    </label>
+                    <button class="arkiv-extend-selected" disabled style="background: #3498db; color: white; border: none; padding: 6px 12px; border-radius: 4px; cursor: pointer; font-size: 12px; opacity: 0.5;">
+                        ⏰ Extend selected
+                    </button>
+                `;
+
+                const selectAll = bar.querySelector('.arkiv-select-all');
+                const extendButton = bar.querySelector('.arkiv-extend-selected');
+                const selectedIds = () => getCheckboxes().filter(box => box.checked).map(box => box.dataset.diagramId);
+
+                const update = () => {
+                    const count = selectedIds().length;
+                    extendButton.disabled = count === 0;
+                    extendButton.style.opacity = count === 0 ? '0.5' : '1';
+                    extendButton.textContent = count ? `⏰ Extend selected (${count})` : '⏰ Extend selected';
+                };
+
+                selectAll.onchange = () => {
+                    getCheckboxes().forEach(box => { box.checked = selectAll.checked; });
+                    update();
+                };
+                extendButton.onclick = (e) => {
+                    e.stopPropagation();
+                    extendSelectedDiagrams(selectedIds());
+                };
+
+                return { bar, update };
+            }
+
+            function createSelectCheckbox(diagram, onChange) {
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.className = 'arkiv-select-diagram';
+                checkbox.dataset.diagramId = diagram.id;
+                checkbox.title = 'Select for bulk actions';
+                checkbox.style.cssText = 'margin: 3px 10px 0 0; cursor: pointer; flex-shrink: 0;';
+                checkbox.onclick = (e) => e.stopPropagation();
+                checkbox.onchange = onChange;
+                return checkbox;
+            }
+
+            // Non-blocking banner offering renewal when an opened diagram is about to expire
+            function showExpiryBanner(diagram) {
+                const existing = document.getElementById('arkiv-expiry-banner');
+                if (existing) safeRemoveElement(existing);
+
+                const expiry = getDiagramExpiry(diagram);
+                if (!expiry || expiry.msLeft <= 0 || expiry.daysLeft >= EXPIRY_WARNING_DAYS) return;
+
+                const renewDays = userConfig?.btlDays || 100;
+                const banner = document.createElement('div');
+                banner.id = 'arkiv-expiry-banner';
+                banner.style.cssText = `
+                    position: fixed;
+                    top: 12px;
+                    left: 50%;
+                    transform: translateX(-50%);
+                    z-index: 10000;
+                    display: flex;
+                    align-items: center;
+                    gap: 12px;
+                    padding: 10px 16px;
+                    background: #fff3cd;
+                    border: 1px solid #f0ad4e;
+                    border-radius: 6px;
+                    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+                    font-size: 13px;
+                    color: #856404;
+                `;
+
+                const message = document.createElement('span');
+                message.textContent = `⏰ "${diagram.title}" expires on ${new Date(expiry.expiresAt).toLocaleString()}.`;
+
+                const renewBtn = document.createElement('button');
+                renewBtn.textContent = `Renew for ${renewDays} days`;
+                renewBtn.style.cssText = 'background: #3498db; color: white; border: none; padding: 5px 10px; border-radius: 4px; cursor: pointer; font-size: 12px;';
+
+                const dismissBtn = document.createElement('button');
+                dismissBtn.textContent = '✖';
+                dismissBtn.title = 'Dismiss';
+                dismissBtn.style.cssText = 'background: none; border: none; cursor: pointer; color: #856404; font-size: 14px;';
+                dismissBtn.onclick = () => safeRemoveElement(banner);
+
+                renewBtn.onclick = async () => {
+                    renewBtn.disabled = true;
+                    renewBtn.textContent = 'Renewing...';
+                    try {
+                        const { result, txHash } = await extendDiagram(diagram.id, renewDays);
+                        message.textContent = txHash
+                            ? `✅ Renewal sent (${txHash.substring(0, 10)}...) - "${diagram.title}" expires ${new Date(result.expiresAt).toLocaleString()} once mined.`
+                            : `✅ "${diagram.title}" now expires ${new Date(result.expiresAt).toLocaleString()}.`;
+                        safeRemoveElement(renewBtn);
+                        setTimeout(() => safeRemoveElement(banner), 8000);
+                    } catch (error) {
+                        console.error('Failed to renew diagram:', error);
+                        message.textContent = `❌ Renewal failed: ${error.message}`;
+                        renewBtn.disabled = false;
+                        renewBtn.textContent = 'Retry';
+                    }
+                };
+
+                banner.appendChild(message);
+                banner.appendChild(renewBtn);
+                banner.appendChild(dismissBtn);
+                document.body.appendChild(banner);
+            }
+
+            // Create diagram list with management options
+            function createDiagramList(diagrams) {
+                const container = document.createElement('div');
+                const list = document.createElement('div');
+                list.style.cssText = 'display: flex; flex-direction: column; gap: 12px;';
+
+                const bulk = createBulkExtendBar(() => Array.from(list.querySelectorAll('.arkiv-select-diagram')));
+                container.appendChild(bulk.bar);
+                container.appendChild(list);
+
+                diagrams.forEach(diagram => {
+                    diagramTagsCache.set(diagram.id, diagram.tags || []);
+
+                    const item = document.createElement('div');
+                    item.style.cssText = `
+                        border: 1px solid #e0e0e0;
+                        border-radius: 8px;
+                        padding: 16px;
+                        background: #fafafa;
+                        transition: all 0.2s;
                         cursor: pointer;
                     `;
 
@@ -3468,24 +5506,24 @@
                         item.style.borderColor = '#e0e0e0';
                     };
 
-                    // Calculate disappear time
                     const createdDate = new Date(diagram.timestamp);
-                    const btlDays = 100; // Default BTL is 100 days
-                    const disappearDate = new Date(createdDate.getTime() + (btlDays * 24 * 60 * 60 * 1000));
-                    const daysLeft = Math.max(0, Math.ceil((disappearDate - new Date()) / (24 * 60 * 60 * 1000)));
+                    // Diagrams listed before the backend reported expiry fall back to the default 100 day BTL
+                    const expiry = getDiagramExpiry({ ...diagram, btlDays: diagram.btlDays || 100 });
 
                     item.innerHTML = `
                         <div style="display: flex; justify-content: space-between; align-items: flex-start; margin-bottom: 12px;">
                             <div style="flex-grow: 1;">
                                 <h4 style="margin: 0 0 4px 0; color: #333; font-size: 16px; font-weight: 600;">
-                                    📊 ${diagram.title || 'Untitled Diagram'}
+                                    📊 ${diagram.title || 'Untitled Diagram'}${diagram.protected ? ' <span title="Protected">🛡️</span>' : ''}
                                 </h4>
                                 <div style="font-size: 12px; color: #666; margin-bottom: 8px;">
                                     Created: ${createdDate.toLocaleDateString()} ${createdDate.toLocaleTimeString()}
                                 </div>
-                                <div style="font-size: 12px; color: ${daysLeft < 7 ? '#e74c3c' : '#27ae60'}; font-weight: 500;">
-                                    ⏱️ Disappears in: ${daysLeft} days
+                                <div style="font-size: 12px; color: #666;">
+                                    ${expiryBadgeHtml({ ...diagram, btlDays: diagram.btlDays || 100 })}
+                                    ${expiry ? `<span style="margin-left: 6px;">Disappears: ${new Date(expiry.expiresAt).toLocaleDateString()}</span>` : ''}
                                 </div>
+                                <div>${tagChipsHtml(diagram.tags)}</div>
                             </div>
                             <div style="display: flex; gap: 8px; flex-shrink: 0;">
                                 <button onclick="openDiagram('${diagram.id}')"
@@ -3503,6 +5541,11 @@
                                         title="Change expiration time">
                                     ⏰ BTL
                                 </button>
+                                <button data-action="tags"
+                                        style="background: #667eea; color: white; border: none; padding: 6px 10px; border-radius: 4px; cursor: pointer; font-size: 12px;"
+                                        title="Edit tags">
+                                    🏷️ Tags
+                                </button>
                                 <button onclick="protectDiagram('${diagram.id}', '${diagram.title}')"
                                         style="background: #e74c3c; color: white; border: none; padding: 6px 10px; border-radius: 4px; cursor: pointer; font-size: 12px;"
                                         title="Protect diagram content">
@@ -3518,6 +5561,11 @@
                                         title="View in Golem Explorer">
                                     🔍 Explorer
                                 </button>
+                                <button data-action="move"
+                                        style="background: #34495e; color: white; border: none; padding: 6px 10px; border-radius: 4px; cursor: pointer; font-size: 12px;"
+                                        title="Move to a folder (or drag onto a folder)">
+                                    📁 Move
+                                </button>
                                 <button onclick="deleteDiagram('${diagram.id}', '${diagram.title}')"
                                         style="background: #e74c3c; color: white; border: none; padding: 6px 10px; border-radius: 4px; cursor: pointer; font-size: 12px;"
                                         title="Delete diagram">
@@ -3527,10 +5575,21 @@
                         </div>
                     `;
 
+                    item.querySelector('[data-action="tags"]').addEventListener('click', () => editDiagramTags(diagram.id, diagram.title));
+                    item.querySelector('[data-action="move"]').addEventListener('click', () => moveDiagramToFolder(diagram.id, diagram.title));
+
+                    const checkbox = createSelectCheckbox(diagram, bulk.update);
+                    const row = item.firstElementChild;
+                    row.insertBefore(checkbox, row.firstChild);
+
+                    // Drag onto a folder in the sidebar to move
+                    item.draggable = true;
+                    item.ondragstart = (e) => e.dataTransfer.setData('text/arkiv-diagram-id', diagram.id);
+
                     list.appendChild(item);
                 });
 
-                return list;
+                return container;
             }
 
             // Get user's diagrams from backend
@@ -3540,28 +5599,7 @@
                     throw new Error('Authentication required to list diagrams');
                 }
 
-                const headers = {
-                    'Content-Type': 'application/json'
-                };
-
-                // Add appropriate authentication header
-                if (walletConnected && walletAddress) {
-                    headers['X-Wallet-Address'] = walletAddress;
-                } else if (custodialId) {
-                    headers['X-Custodial-Id'] = custodialId;
-                }
-
-                const response = await fetch(`${BACKEND_URL}/api/diagrams/list?limit=50&offset=0`, {
-                    method: 'GET',
-                    headers
-                });
-
-                const result = await response.json();
-                if (!result.success) {
-                    throw new Error(result.error || 'Failed to load diagrams');
-                }
-
-                return result.data || [];
+                return await listDiagramPages('/api/diagrams/list');
             }
 
             // Import diagram helper function
@@ -3587,11 +5625,11 @@
                 if (loadResult.success) {
                     let content = loadResult.data.content;
 
-                    // Check if diagram is encrypted
-                    if (loadResult.data.encrypted) {
+                    // Check if diagram is encrypted (the backend may already have removed its own layer)
+                    if (loadResult.data.encrypted && encryptionFormat(content)) {
                         console.log('🔐 Diagram is encrypted, decrypting...');
                         try {
-                            content = await decrypt(content);
+                            content = await decryptContent(content, defaultEncryptionPassword);
                         } catch (decryptError) {
                             throw new Error('Failed to decrypt diagram');
                         }
@@ -3600,7 +5638,9 @@
                     return {
                         content: content,
                         title: loadResult.data.title,
-                        id: diagramId
+                        id: diagramId,
+                        expiresAt: loadResult.data.expiresAt,
+                        expiresAtBlock: loadResult.data.expiresAtBlock
                     };
                 } else {
                     throw new Error(loadResult.error || 'Failed to load diagram');
@@ -3626,6 +5666,8 @@
                         } finally {
                             ui.editor.graph.getModel().endUpdate();
                         }
+                        setCurrentDiagram(diagramData.id, diagramData.title, diagramData.tags);
+                        showExpiryBanner(diagramData);
                         await showAlert('✅ Diagram Opened', `"${diagramData.title}" loaded successfully!`);
                     }
                 } catch (error) {
@@ -3647,9 +5689,9 @@
 
                     // Add appropriate authentication header
                     if (walletConnected && walletAddress) {
-                        headers['X-Wallet-Address'] = walletAddress;
+                        Object.assign(headers, walletHeaders());
                     } else if (custodialId) {
-                        headers['X-Custodial-Id'] = custodialId;
+                        Object.assign(headers, custodialHeaders());
                     }
 
                     const response = await fetch(`${BACKEND_URL}/api/diagrams/${diagramId}/rename`, {
@@ -3689,35 +5731,27 @@
                 try {
                     console.log('⏰ Changing BTL for diagram:', diagramId, 'to:', newBTLDays, 'days');
 
-                    const headers = {
-                        'Content-Type': 'application/json'
-                    };
-
-                    // Add appropriate authentication header
-                    if (walletConnected && walletAddress) {
-                        headers['X-Wallet-Address'] = walletAddress;
-                    } else if (custodialId) {
-                        headers['X-Custodial-Id'] = custodialId;
+                    ui.spinner.spin(document.body, 'Extending...');
+                    let extension;
+                    try {
+                        extension = await extendDiagram(diagramId, newBTLDays);
+                    } finally {
+                        ui.spinner.stop();
                     }
 
-                    const response = await fetch(`${BACKEND_URL}/api/diagrams/${diagramId}/btl`, {
-                        method: 'PUT',
-                        headers,
-                        body: JSON.stringify({ newBTLDays })
-                    });
-
-                    const result = await response.json();
+                    const { result, txHash } = extension;
+                    const expiry = `${new Date(result.expiresAt).toLocaleString()} (block ${result.expiresAtBlock})`;
+                    const capped = result.btlDays && result.btlDays < newBTLDays
+                        ? `\n\nYour tier allows at most ${result.btlDays} days.`
+                        : '';
 
-                    if (result.success) {
-                        await showAlert('✅ BTL Updated', `Diagram BTL changed to ${newBTLDays} days successfully!`);
-                        // Refresh diagram list without closing modal
-                        await refreshDiagramList();
-                    } else if (result.requiresFrontendTransaction) {
-                        await showAlert('⚠️ MetaMask Required', result.message);
-                        // Could implement frontend BTL change transaction here
+                    if (txHash) {
+                        await showAlert('✅ BTL Extension Sent', `Transaction ${txHash} sent.\n\nOnce it is mined the diagram expires ${expiry}.${capped}`);
                     } else {
-                        throw new Error(result.error || 'BTL change failed');
+                        await showAlert('✅ BTL Updated', `${result.message}.\n\nDiagram now expires ${expiry}.${capped}`);
                     }
+                    // Refresh diagram list without closing modal
+                    await refreshDiagramList();
                 } catch (error) {
                     console.error('Failed to change BTL:', error);
                     await showAlert('❌ BTL Change Failed', `Failed to change BTL: ${error.message}`);
@@ -3735,12 +5769,28 @@
                 window.open(explorerUrl, '_blank');
             };
 
+            // Summary of a cascading delete: counts per entity type plus anything that was left behind
+            function describeDeletion(deletionResult) {
+                const counts = {};
+                deletionResult.entities.forEach(entity => {
+                    counts[entity.type] = (counts[entity.type] || 0) + 1;
+                });
+                const lines = [`Entities: ${Object.entries(counts).map(([type, count]) => `${count} ${type}`).join(', ')}`];
+
+                const leftBehind = deletionResult.entities.filter(entity => entity.status === 'skipped' || entity.status === 'failed');
+                if (leftBehind.length) {
+                    lines.push('', 'Not deleted:');
+                    leftBehind.forEach(entity => lines.push(`• ${entity.type} ${entity.entityKey.substring(0, 10)}...: ${entity.reason}`));
+                }
+                return lines.join('\n');
+            }
+
             window.deleteDiagram = async function(diagramId, title) {
-                const confirmed = await showConfirm('🗑️ Delete Diagram', `Are you sure you want to delete "${title}"?\n\nThis action cannot be undone.`);
+                const confirmed = await showConfirm('🗑️ Move to Trash', `Move "${title}" to the trash?\n\nYou can restore it from the Trash view until it is removed for good.`);
                 if (!confirmed) return;
 
                 try {
-                    console.log('🗑️ Deleting diagram:', diagramId);
+                    console.log('🗑️ Moving diagram to the trash:', diagramId);
 
                     const headers = {
                         'Content-Type': 'application/json'
@@ -3748,9 +5798,9 @@
 
                     // Add appropriate authentication header
                     if (walletConnected && walletAddress) {
-                        headers['X-Wallet-Address'] = walletAddress;
+                        Object.assign(headers, walletHeaders());
                     } else if (custodialId) {
-                        headers['X-Custodial-Id'] = custodialId;
+                        Object.assign(headers, custodialHeaders());
                     }
 
                     const response = await fetch(`${BACKEND_URL}/api/diagrams/${diagramId}`, {
@@ -3761,12 +5811,70 @@
                     const result = await response.json();
 
                     if (result.success) {
-                        await showAlert('✅ Deleted', `"${title}" has been marked for deletion!`);
+                        await showAlert('🗑️ Moved to Trash', `"${title}" can be restored until ${new Date(result.trashResult.purgeAt).toLocaleDateString()}.`);
                         // Refresh diagram list without closing modal
                         await refreshDiagramList();
+                    } else if (result.requiresFrontendTransaction && result.transaction) {
+                        const txHash = await sendPreparedTransaction(result.transaction);
+                        console.log('🗑️ Trash transaction sent:', txHash);
+                        await showAlert('🗑️ Moved to Trash', `Transaction ${txHash} sent.\n\n"${title}" can be restored until ${new Date(result.trashResult.purgeAt).toLocaleDateString()}.`);
+                        await refreshDiagramList();
+                    } else {
+                        throw new Error(result.error || 'Delete failed');
+                    }
+                } catch (error) {
+                    console.error('Failed to move diagram to the trash:', error);
+                    await showAlert('❌ Delete Failed', `Failed to delete: ${error.message}`);
+                }
+            };
+
+            window.deleteDiagramForever = async function(diagramId, title) {
+                const confirmed = await showConfirm('🗑️ Delete Forever', `Permanently delete "${title}"?\n\nAll versions, chunks, share links and history of this diagram will be deleted. This action cannot be undone.`);
+                if (!confirmed) return;
+
+                try {
+                    console.log('🗑️ Deleting diagram:', diagramId);
+
+                    const headers = {
+                        'Content-Type': 'application/json'
+                    };
+
+                    // Add appropriate authentication header
+                    if (walletConnected && walletAddress) {
+                        Object.assign(headers, walletHeaders());
+                    } else if (custodialId) {
+                        Object.assign(headers, custodialHeaders());
+                    }
+
+                    const response = await fetch(`${BACKEND_URL}/api/diagrams/${diagramId}?permanent=true`, {
+                        method: 'DELETE',
+                        headers
+                    });
+
+                    const result = await response.json();
+
+                    if (result.success) {
+                        const { deletionResult } = result;
+                        const alertTitle = deletionResult.skipped || deletionResult.failed ? '⚠️ Partially Deleted' : '✅ Deleted';
+                        await showAlert(alertTitle, `"${title}": ${deletionResult.deleted} of ${deletionResult.entities.length} entities deleted.\n\n${describeDeletion(deletionResult)}`);
+                        // Refresh diagram list without closing modal
+                        await refreshDiagramList();
+                    } else if (result.requiresFrontendTransaction && result.transactions) {
+                        // Backend prepared the deletions - sign each batch with MetaMask
+                        const txHashes = [];
+                        for (let i = 0; i < result.transactions.length; i++) {
+                            ui.spinner.spin(document.body, `Signing deletion ${i + 1}/${result.transactions.length}...`);
+                            try {
+                                txHashes.push(await sendPreparedTransaction(result.transactions[i]));
+                            } finally {
+                                ui.spinner.stop();
+                            }
+                        }
+                        console.log('🗑️ Deletion transactions sent:', txHashes);
+                        await showAlert('✅ Deletion Sent', `${txHashes.length} deletion transaction(s) sent for "${title}".\n\n${describeDeletion(result.deletionResult)}`);
+                        await refreshDiagramList();
                     } else if (result.requiresFrontendTransaction) {
                         await showAlert('⚠️ MetaMask Required', result.message);
-                        // Could implement frontend delete transaction here
                     } else {
                         throw new Error(result.error || 'Delete failed');
                     }
@@ -3789,9 +5897,9 @@
 
                     // Add appropriate authentication header
                     if (walletConnected && walletAddress) {
-                        headers['X-Wallet-Address'] = walletAddress;
+                        Object.assign(headers, walletHeaders());
                     } else if (custodialId) {
-                        headers['X-Custodial-Id'] = custodialId;
+                        Object.assign(headers, custodialHeaders());
                     }
 
                     const response = await fetch(`${BACKEND_URL}/api/diagrams/${diagramId}/protect`, {
@@ -4170,6 +6278,10 @@
                             walletAddress = accounts[0];
                             walletConnected = true;
                             console.log('✅ Auto-connected to wallet:', walletAddress);
+                            // A stored sign-in session is reused; without one, the next action asks for a signature
+                            if (!hasWalletSession()) {
+                                console.log('🔑 No sign-in session for this wallet yet');
+                            }
 
                             // Setup wallet change detection
                             setupWalletChangeDetection();
@@ -4360,8 +6472,8 @@
                         return false;
                     }
 
-                    // Use auto-generated title or last used title
-                    const title = ui.getCurrentFile()?.getTitle() || `Auto-saved ${new Date().toLocaleString()}`;
+                    // Use the open Arkiv diagram's title, the file title or an auto-generated one
+                    const title = currentDiagram?.title || ui.getCurrentFile()?.getTitle() || `Auto-saved ${new Date().toLocaleString()}`;
 
                     const xml = ui.editor.getGraphXml();
                     let xmlString = mxUtils.getXml(xml);
@@ -4373,7 +6485,7 @@
                     // Encrypt if enabled
                     if (encryptThisDiagram && encryptionPassword) {
                         try {
-                            xmlString = encryptContent(xmlString, encryptionPassword);
+                            xmlString = await encryptContent(xmlString, encryptionPassword);
                             console.log('🔐 Auto-save: diagram encrypted');
                         } catch (encryptError) {
                             console.error('❌ Auto-save encryption failed:', encryptError);
@@ -4389,7 +6501,8 @@
                         return false;
                     }
 
-                    const diagramId = generateDiagramId();
+                    // Auto-save appends a version to the open diagram instead of creating a new one
+                    const diagramId = currentDiagram ? currentDiagram.id : generateDiagramId();
                     const sizeInBytes = new Blob([xmlString]).size;
 
                     // Try SDK mode first
@@ -4397,7 +6510,8 @@
                         await ensureArkivNetwork();
                         const sdkAvailable = await checkSDKMode();
                         if (sdkAvailable) {
-                            const result = await saveToArkivViaSdk(xmlString, diagramId, title.trim(), walletAddress, encryptThisDiagram);
+                            const result = await saveToArkivViaSdk(xmlString, diagramId, title.trim(), walletAddress, encryptThisDiagram, currentDiagram?.tags || []);
+                            setCurrentDiagram(result.diagramId, title.trim());
                             console.log(`✅ Auto-save completed (SDK): ${result.diagramId}`);
                             return true;
                         }
@@ -4422,7 +6536,7 @@
                         method: 'POST',
                         headers: {
                             'Content-Type': 'application/json',
-                            'X-Wallet-Address': walletAddress
+                            ...walletHeaders()
                         },
                         body: JSON.stringify(saveData)
                     }, 30000);
@@ -4444,21 +6558,16 @@
                         const diagramData = result.diagramData;
                         const entityResult = await arkivClient.createEntity(
                             JSON.stringify(diagramData),
-                            {
-                                type: 'diagram',
-                                title: diagramData.title,
-                                author: diagramData.author,
-                                version: String(diagramData.version),
-                                timestamp: String(diagramData.timestamp),
-                                diagramId: diagramData.id
-                            }
+                            buildDiagramAnnotations(diagramData)
                         );
-                        console.log(`✅ Auto-save completed (MetaMask): ${entityResult.entityKey}`);
+                        setCurrentDiagram(diagramData.id, diagramData.title);
+                        console.log(`✅ Auto-save completed (MetaMask): ${diagramData.id} v${diagramData.version} -> ${entityResult.entityKey}`);
                         return true;
                     }
 
                     if (result.success) {
-                        console.log(`✅ Auto-save completed (backend): ${result.diagramId} -> ${result.entityKey}`);
+                        setCurrentDiagram(result.diagramId, title.trim());
+                        console.log(`✅ Auto-save completed (backend): ${result.diagramId} v${result.version || 1} -> ${result.entityKey}`);
                         return true;
                     } else {
                         console.error(`❌ Auto-save failed: ${result.error || 'Unknown error'}`);
@@ -4866,8 +6975,8 @@
                         // Load the diagram into Draw.io
                         let xmlContent = result.data.content;
 
-                        // Check if diagram is encrypted
-                        if (result.data.encrypted) {
+                        // Check if diagram is encrypted (the backend may already have removed its own layer)
+                        if (result.data.encrypted && encryptionFormat(xmlContent)) {
                             console.log('🔐 Auto-load diagram is encrypted...');
 
                             let decryptionPassword = defaultEncryptionPassword;
@@ -4882,7 +6991,7 @@
                             }
 
                             try {
-                                xmlContent = decryptContent(xmlContent, decryptionPassword);
+                                xmlContent = await decryptContent(xmlContent, decryptionPassword);
                                 console.log('🔓 Auto-load diagram decrypted successfully');
                             } catch (decryptError) {
                                 console.error('Auto-load decryption failed:', decryptError);
@@ -4909,6 +7018,7 @@
 
                                 ui.editor.setModified(false);
                                 ui.editor.undoManager.clear();
+                                setCurrentDiagram(result.data.id || id, result.data.title, result.data.tags);
 
                                 showModal('✅ Success', `Diagram "${result.data.title}" loaded successfully!`, 3000);
                             } catch (loadError) {
@@ -1,19 +1,36 @@
-import { Hono } from 'hono';
+import { Hono, type Context } from 'hono';
 import { cors } from 'hono/cors';
 import { serveStatic } from 'hono/bun';
 import path from 'path';
 import { ArkivService } from './services/arkivService';
+import { ArkivStorageAdapter } from './services/arkivStorageAdapter';
+import { AuthService } from './services/authService';
+import { ExpiryWatchdog } from './services/expiryWatchdog';
+import { FakeArkivNode } from './services/fakeArkivNode';
+import { NotificationService } from './services/notificationService';
+import { TrashPurger } from './services/trashPurger';
+import { SqliteStorageAdapter } from './services/sqliteStorageAdapter';
+import type { StorageAdapter } from './services/storageAdapter';
+import { DiagramData, SearchRequest } from './types/diagram';
 import { createDiagramRoutes } from './routes/diagrams';
 import { config, validateConfig } from './utils/config';
+import { normalizeTags } from './utils/tags';
+import { notModifiedResponse, validatorHeaders } from './utils/httpCache';
 import { rateLimiter } from './middleware/rateLimiter';
 import { errorHandler, getRecentErrorLogs } from './middleware/errorHandler';
 import { metricsMiddleware, getMetrics, recordRateLimitHit } from './middleware/metrics';
+import { AuthVariables, sessionAuth } from './middleware/auth';
+
+// Shown in the guest's session list to tell devices apart
+function sessionLabel(c: Context): string | undefined {
+  return c.req.header('user-agent')?.slice(0, 120);
+}
 
 async function startServer() {
   try {
     validateConfig();
 
-    const app = new Hono();
+    const app = new Hono<{ Variables: AuthVariables }>();
 
     // Global error handler (must be first)
     app.use('*', errorHandler());
@@ -88,26 +105,64 @@ async function startServer() {
     // Share tokens are now stored in Arkiv blockchain
     // Using arkivService.createShareToken, accessSharedDiagram, etc.
 
-    const arkivService = new ArkivService(
-      config.arkiv.chainId,
-      config.arkiv.privateKey,
-      config.arkiv.rpcUrl,
-      config.arkiv.wsUrl
-    );
+    // Offline runs (CI, local development) point the localhost chain at an in-process fake node
+    if (config.storage.driver === 'arkiv' && config.arkiv.fakeNode.enabled) {
+      const rpcUrl = new URL(config.arkiv.rpcUrl);
+      await new FakeArkivNode({
+        hostname: rpcUrl.hostname,
+        port: Number(rpcUrl.port || 80),
+        blockTimeSeconds: config.arkiv.fakeNode.blockTimeSeconds
+      }).start();
+    }
 
-    console.log('Initializing Arkiv connection...');
+    // Air-gapped deployments keep entities in a local SQLite store instead of on chain
+    const storage: StorageAdapter = config.storage.driver === 'sqlite'
+      ? new SqliteStorageAdapter(config.storage.sqlitePath)
+      : new ArkivStorageAdapter(
+        config.arkiv.chainId,
+        config.arkiv.privateKey,
+        config.arkiv.rpcUrl,
+        config.arkiv.wsUrl
+      );
+    const arkivService = new ArkivService(storage, config.arkiv.payloadEncoding, config.cache, config.arkiv.encryptionKdf);
+
+    console.log(`Initializing ${storage.name} storage...`);
     await arkivService.initialize();
     if (!arkivService.hasWriteAccess()) {
       console.log('⚠️  Arkiv backend running without signing key – write endpoints will return read-only responses.');
     }
 
+    // Warn owners about (or auto-renew) diagrams close to their BTL expiry
+    const notificationService = new NotificationService();
+    const expiryWatchdog = new ExpiryWatchdog(arkivService, notificationService, config.expiryWatchdog);
+    if (config.expiryWatchdog.enabled) {
+      expiryWatchdog.start();
+      expiryWatchdog.runOnce().catch((error) => console.error('❌ Initial expiry watchdog run failed:', error));
+    }
+
+    // Permanently delete diagrams left in the trash past the restore window
+    const trashPurger = new TrashPurger(arkivService, config.trash);
+    trashPurger.start();
+    trashPurger.runOnce().catch((error) => console.error('❌ Initial trash purge run failed:', error));
+
+    // Callers act as a wallet only with a Sign-In with Ethereum session, as a guest only with a guest session
+    const authService = new AuthService({ ...config.auth, chainId: Number(config.arkiv.chainId) }, arkivService);
+    app.use('/api/*', sessionAuth(authService));
+
     // API routes FIRST - before static files
     // Add diagram routes directly to main app
     app.post('/api/diagrams/export', async (c) => {
       try {
         const exportRequest = await c.req.json();
-        const walletAddress = c.req.header('x-wallet-address');
-        const custodialId = c.req.header('x-custodial-id');
+        const walletAddress = c.get('walletAddress');
+        const custodialId = c.get('custodialId');
+
+        if (!walletAddress && !custodialId) {
+          return c.json({
+            success: false,
+            error: 'Authentication required'
+          }, 401);
+        }
 
         if (!exportRequest.title || !exportRequest.author || !exportRequest.content) {
           return c.json({
@@ -116,19 +171,39 @@ async function startServer() {
           }, 400);
         }
 
+        if (exportRequest.diagramId !== undefined && !/^[A-Za-z0-9_-]{1,128}$/.test(String(exportRequest.diagramId))) {
+          return c.json({
+            success: false,
+            error: 'Invalid diagramId'
+          }, 400);
+        }
+
+        let tags: string[] | undefined;
+        try {
+          tags = exportRequest.tags === undefined ? undefined : normalizeTags(exportRequest.tags);
+        } catch (tagError) {
+          return c.json({
+            success: false,
+            error: (tagError as Error).message
+          }, 400);
+        }
+
         // Allow export even without backend private key - user can sign with MetaMask
 
-        const diagramId = arkivService.generateDiagramId();
-        const diagramData = {
-          id: diagramId,
+        // Saving with an existing diagramId appends a new version to that diagram
+        const existingDiagramId: string | undefined = exportRequest.diagramId;
+        const diagramData: DiagramData = {
+          id: existingDiagramId || arkivService.generateDiagramId(),
           title: exportRequest.title,
           author: exportRequest.author,
           content: exportRequest.content,
           timestamp: Date.now(),
-          version: 1
+          version: 1,
+          tags
         };
 
-        const entityKey = await arkivService.exportDiagram(diagramData, walletAddress, undefined, exportRequest.encryptionPassword, custodialId);
+        const entityKey = await arkivService.exportDiagram(diagramData, walletAddress, undefined, exportRequest.encryptionPassword, custodialId, existingDiagramId);
+        const diagramId = diagramData.id;
 
         // Check if backend indicated frontend should handle transaction
         if (entityKey === 'USE_FRONTEND') {
@@ -143,15 +218,164 @@ async function startServer() {
         return c.json({
           success: true,
           diagramId,
-          entityKey
+          entityKey,
+          version: diagramData.version,
+          previousEntityKey: diagramData.previousEntityKey,
+          tags: diagramData.tags ?? []
         });
 
       } catch (error) {
         console.error('Export error:', error);
+        const message = (error as Error).message || 'Export failed';
         return c.json({
           success: false,
-          error: (error as Error).message || 'Export failed'
-        }, 500);
+          error: message
+        }, message.includes('Access denied') ? 403 : 500);
+      }
+    });
+
+    // Chunked upload for diagrams over the single entity limit:
+    // manifest first, then chunks (re-sending the same manifest resumes the upload)
+    app.post('/api/diagrams/export-manifest', async (c) => {
+      try {
+        const manifestRequest = await c.req.json();
+        const walletAddress = c.get('walletAddress');
+        const custodialId = c.get('custodialId');
+
+        if (!walletAddress && !custodialId) {
+          return c.json({
+            success: false,
+            error: 'Authentication required'
+          }, 401);
+        }
+
+        if (!manifestRequest.diagramId || !manifestRequest.title || !manifestRequest.author || !manifestRequest.sha256 || !Array.isArray(manifestRequest.chunks)) {
+          return c.json({
+            success: false,
+            error: 'Missing required fields: diagramId, title, author, totalChunks, byteLength, sha256, chunks'
+          }, 400);
+        }
+
+        if (!/^[A-Za-z0-9_-]{1,128}$/.test(String(manifestRequest.diagramId))) {
+          return c.json({
+            success: false,
+            error: 'Invalid diagramId'
+          }, 400);
+        }
+
+        const status = await arkivService.createChunkManifest(manifestRequest, walletAddress, custodialId);
+
+        return c.json({
+          success: true,
+          ...status
+        });
+
+      } catch (error) {
+        console.error('Chunk manifest error:', error);
+        const errorMessage = (error as Error).message || 'Failed to create chunk manifest';
+
+        let statusCode = 500;
+        if (errorMessage.includes('Invalid manifest')) {
+          statusCode = 400;
+        } else if (errorMessage.includes('Access denied')) {
+          statusCode = 403;
+        } else if (errorMessage.includes('without a signing key')) {
+          statusCode = 503;
+        }
+
+        return c.json({
+          success: false,
+          error: errorMessage
+        }, statusCode as any);
+      }
+    });
+
+    app.get('/api/diagrams/export-manifest/:uploadId', async (c) => {
+      try {
+        const uploadId = c.req.param('uploadId');
+        const walletAddress = c.get('walletAddress');
+        const custodialId = c.get('custodialId');
+
+        if (!walletAddress && !custodialId) {
+          return c.json({
+            success: false,
+            error: 'Authentication required'
+          }, 401);
+        }
+
+        const status = await arkivService.getChunkUploadStatus(uploadId, walletAddress, custodialId);
+
+        return c.json({
+          success: true,
+          ...status
+        });
+
+      } catch (error) {
+        console.error('Chunk upload status error:', error);
+        const errorMessage = (error as Error).message || 'Failed to get upload status';
+
+        let statusCode = 500;
+        if (errorMessage.includes('not found')) {
+          statusCode = 404;
+        } else if (errorMessage.includes('Access denied')) {
+          statusCode = 403;
+        }
+
+        return c.json({
+          success: false,
+          error: errorMessage
+        }, statusCode as any);
+      }
+    });
+
+    app.post('/api/diagrams/export-chunk', async (c) => {
+      try {
+        const chunkRequest = await c.req.json();
+        const walletAddress = c.get('walletAddress');
+        const custodialId = c.get('custodialId');
+
+        if (!walletAddress && !custodialId) {
+          return c.json({
+            success: false,
+            error: 'Authentication required'
+          }, 401);
+        }
+
+        if (!chunkRequest.uploadId || !chunkRequest.chunkId || !chunkRequest.diagramId ||
+            !Number.isInteger(chunkRequest.chunkIndex) || !Number.isInteger(chunkRequest.totalChunks) || !Array.isArray(chunkRequest.content)) {
+          return c.json({
+            success: false,
+            error: 'Missing required fields: uploadId, chunkId, diagramId, chunkIndex, totalChunks, content'
+          }, 400);
+        }
+
+        const entityKey = await arkivService.exportChunk(chunkRequest, walletAddress, custodialId);
+
+        return c.json({
+          success: true,
+          chunkId: chunkRequest.chunkId,
+          entityKey
+        });
+
+      } catch (error) {
+        console.error('Chunk export error:', error);
+        const errorMessage = (error as Error).message || 'Chunk export failed';
+
+        let statusCode = 500;
+        if (errorMessage.includes('not found')) {
+          statusCode = 404;
+        } else if (errorMessage.includes('Access denied')) {
+          statusCode = 403;
+        } else if (errorMessage.includes('does not match manifest')) {
+          statusCode = 422;
+        } else if (errorMessage.includes('without a signing key')) {
+          statusCode = 503;
+        }
+
+        return c.json({
+          success: false,
+          error: errorMessage
+        }, statusCode as any);
       }
     });
 
@@ -166,7 +390,21 @@ async function startServer() {
           }, 400);
         }
 
-        const diagramData = await arkivService.importDiagram(diagramId);
+        const versionParam = c.req.query('version');
+        const version = versionParam ? parseInt(versionParam, 10) : undefined;
+        if (version !== undefined && (Number.isNaN(version) || version < 1)) {
+          return c.json({
+            success: false,
+            error: 'Version must be a positive number'
+          }, 400);
+        }
+
+        // The newest version is public by ID, past versions only for the owner or with ?share=<share token>
+        if (version !== undefined) {
+          await arkivService.assertDiagramHistoryAccess(diagramId, c.get('walletAddress'), c.get('custodialId'), c.req.query('share'));
+        }
+
+        const diagramData = await arkivService.importDiagram(diagramId, undefined, version);
 
         if (!diagramData) {
           return c.json({
@@ -175,6 +413,12 @@ async function startServer() {
           }, 404);
         }
 
+        // Only the owner's own reads count as activity for auto-renew
+        if (version === undefined) {
+          expiryWatchdog.recordOpened(diagramId, c.get('walletAddress'), c.get('custodialId'))
+            .catch((error) => console.error(`❌ Could not record diagram ${diagramId} as opened:`, error));
+        }
+
         return c.json({
           success: true,
           data: diagramData
@@ -187,12 +431,18 @@ async function startServer() {
 
         // Determine appropriate HTTP status code based on error type
         let statusCode = 500;
-        if (errorMessage.includes('expired') || errorMessage.includes('BTL')) {
+        if (errorMessage.includes('Access denied')) {
+          statusCode = 403;
+        } else if (errorMessage.includes('expired') || errorMessage.includes('BTL')) {
           statusCode = 410; // Gone - resource existed but is no longer available
         } else if (errorMessage.includes('not found') || errorMessage.includes('never existed')) {
           statusCode = 404; // Not Found
         } else if (errorMessage.includes('encrypted') && errorMessage.includes('password')) {
           statusCode = 401; // Unauthorized - missing decryption password
+        } else if (errorMessage.includes('manifest verification')) {
+          statusCode = 422; // Chunks missing or not matching the upload manifest
+        } else if (errorMessage.includes('inflates to more than')) {
+          statusCode = 422; // Compression bomb written straight to the chain
         }
 
         return c.json({
@@ -205,46 +455,77 @@ async function startServer() {
     app.get('/api/diagrams/list', async (c) => {
       try {
         const author = c.req.query('author');
-        const walletAddress = c.req.header('x-wallet-address');
-        const custodialId = c.req.header('x-custodial-id');
+        const walletAddress = c.get('walletAddress');
+        const custodialId = c.get('custodialId');
+
+        if (!walletAddress && !custodialId) {
+          return c.json({
+            success: false,
+            error: 'Authentication required'
+          }, 401);
+        }
 
-        // Parse pagination parameters
+        // Cursor pagination: pass `cursor` from the previous response to get the next page
         const limitParam = c.req.query('limit');
-        const offsetParam = c.req.query('offset');
         const limit = limitParam ? parseInt(limitParam, 10) : 50; // Default 50, MVP requires 20+
-        const offset = offsetParam ? parseInt(offsetParam, 10) : 0;
-
-        console.log(`Listing diagrams for wallet: ${walletAddress}, custodial: ${custodialId}, limit: ${limit}, offset: ${offset}`);
-
-        const allDiagrams = await arkivService.listDiagrams(author, walletAddress, custodialId);
-
-        // Sort by timestamp (newest first) and apply pagination
-        const sortedDiagrams = allDiagrams.sort((a, b) => b.timestamp - a.timestamp);
-        const paginatedDiagrams = sortedDiagrams.slice(offset, offset + limit);
+        const cursor = c.req.query('cursor');
+        const sortBy = (c.req.query('sortBy') || 'timestamp') as SearchRequest['sortBy'];
+        const sortOrder = c.req.query('sortOrder') === 'asc' ? 'asc' : 'desc';
+
+        // Folder-scoped listing: ?folder=<id> ('root' for unfiled diagrams), &recursive=true for subfolders
+        const folderId = c.req.query('folder');
+        const recursive = c.req.query('recursive') === 'true';
+
+        console.log(`Listing diagrams for wallet: ${walletAddress}, custodial: ${custodialId}, folder: ${folderId}, limit: ${limit}, cursor: ${cursor ? 'yes' : 'no'}`);
+
+        const page = await arkivService.pageDiagrams({
+          author,
+          folderId,
+          recursive,
+          sortBy,
+          sortOrder,
+          limit,
+          cursor
+        }, walletAddress, custodialId);
 
         return c.json({
           success: true,
-          data: paginatedDiagrams,
-          count: paginatedDiagrams.length,
-          total: allDiagrams.length,
-          offset: offset,
+          data: page.data,
+          count: page.data.length,
+          total: page.total,
           limit: limit,
-          hasMore: (offset + limit) < allDiagrams.length
+          cursor: page.cursor,
+          hasMore: page.hasMore
         });
       } catch (error) {
         console.error('List error:', error);
+        const errorMessage = (error as Error).message || 'List operation failed';
+        let statusCode = 500;
+        if (errorMessage.includes('Invalid cursor') || errorMessage.includes('Invalid query')) {
+          statusCode = 400;
+        } else if (errorMessage.includes('not found')) {
+          statusCode = 404;
+        }
         return c.json({
           success: false,
-          error: (error as Error).message || 'List operation failed'
-        }, 500);
+          error: errorMessage
+        }, statusCode as any);
       }
     });
 
     // Enhanced search endpoint
     app.get('/api/diagrams/search', async (c) => {
       try {
-        const walletAddress = c.req.header('x-wallet-address');
-        const custodialId = c.req.header('x-custodial-id');
+        const walletAddress = c.get('walletAddress');
+        const custodialId = c.get('custodialId');
+
+        // Search only ever covers the caller's own diagrams
+        if (!walletAddress && !custodialId) {
+          return c.json({
+            success: false,
+            error: 'Authentication required'
+          }, 401);
+        }
 
         // Get search parameters
         const query = c.req.query('query'); // General text search
@@ -252,155 +533,66 @@ async function startServer() {
         const author = c.req.query('author'); // Author search
         const dateFrom = c.req.query('dateFrom'); // Timestamp range start
         const dateTo = c.req.query('dateTo'); // Timestamp range end
-        const sortBy = c.req.query('sortBy') || 'timestamp'; // Sort criteria
-        const sortOrder = c.req.query('sortOrder') || 'desc'; // Sort direction
+        const sortBy = (c.req.query('sortBy') || 'timestamp') as SearchRequest['sortBy']; // Sort criteria
+        const sortOrder = c.req.query('sortOrder') === 'asc' ? 'asc' : 'desc'; // Sort direction
         const limit = parseInt(c.req.query('limit') || '20'); // Maximum results
-        const offset = parseInt(c.req.query('offset') || '0'); // Pagination offset
-
-        console.log(`Searching diagrams: query="${query}", title="${title}", author="${author}"`);
-
-        // Get all diagrams for the user
-        const allDiagrams = await arkivService.listDiagrams(author, walletAddress, custodialId);
-
-        // Filter diagrams based on search criteria
-        let filteredDiagrams = allDiagrams.filter(diagram => {
-          // Title search
-          if (title && !diagram.title.toLowerCase().includes(title.toLowerCase())) {
-            return false;
-          }
-
-          // Author search
-          if (author && !diagram.author.toLowerCase().includes(author.toLowerCase())) {
-            return false;
-          }
-
-          // Date range filter
-          if (dateFrom && diagram.timestamp < parseInt(dateFrom)) {
-            return false;
-          }
-          if (dateTo && diagram.timestamp > parseInt(dateTo)) {
-            return false;
-          }
-
-          // General query search (search in title, author, and content if available)
-          if (query) {
-            const searchTerm = query.toLowerCase();
-            const titleMatch = diagram.title.toLowerCase().includes(searchTerm);
-            const authorMatch = diagram.author.toLowerCase().includes(searchTerm);
-
-            // For content search, we need to fetch the diagram content
-            // This is expensive, so we'll do title/author search first
-            if (!titleMatch && !authorMatch) {
-              return false;
+        const cursor = c.req.query('cursor'); // From the previous page
+        const folderId = c.req.query('folder'); // Folder scope ('root' for unfiled)
+        const recursive = c.req.query('recursive') === 'true'; // Include subfolders
+        const tagsParam = c.req.query('tags'); // Comma-separated, diagrams must carry all of them
+        const tags = tagsParam ? normalizeTags(tagsParam.split(',')) : [];
+
+        console.log(`Searching diagrams: query="${query}", title="${title}", author="${author}", folder="${folderId}"`);
+
+        // Date range is matched in the chain query, title and author on the effective (renamed) diagram
+        const searchTerm = query?.toLowerCase();
+        const page = await arkivService.pageDiagrams({
+          dateFrom: dateFrom ? parseInt(dateFrom, 10) : undefined,
+          dateTo: dateTo ? parseInt(dateTo, 10) : undefined,
+          tags,
+          folderId,
+          recursive,
+          // Matches are sorted by relevance
+          sortBy: query ? 'score' : sortBy,
+          sortOrder: query ? 'desc' : sortOrder,
+          limit,
+          cursor,
+          accept: (diagram) => {
+            if (title && !diagram.title.toLowerCase().includes(title.toLowerCase())) {
+              return null;
             }
-          }
-
-          return true;
-        });
-
-        // Sort results
-        filteredDiagrams.sort((a, b) => {
-          let aVal, bVal;
-
-          switch (sortBy) {
-            case 'title':
-              aVal = a.title.toLowerCase();
-              bVal = b.title.toLowerCase();
-              break;
-            case 'author':
-              aVal = a.author.toLowerCase();
-              bVal = b.author.toLowerCase();
-              break;
-            case 'timestamp':
-            default:
-              aVal = a.timestamp;
-              bVal = b.timestamp;
-              break;
-          }
-
-          if (sortOrder === 'asc') {
-            return aVal < bVal ? -1 : aVal > bVal ? 1 : 0;
-          } else {
-            return aVal > bVal ? -1 : aVal < bVal ? 1 : 0;
-          }
-        });
-
-        // Apply pagination
-        const paginatedResults = filteredDiagrams.slice(offset, offset + limit);
-
-        // For content search, fetch content for remaining diagrams if needed
-        if (query) {
-          const searchTerm = query.toLowerCase();
-          const contentSearchResults = [];
-
-          for (const diagram of paginatedResults) {
-            try {
-              // Check if already matched title/author
+            if (author && !diagram.author.toLowerCase().includes(author.toLowerCase())) {
+              return null;
+            }
+            return { ...diagram };
+          },
+          // General query search: title and author, plus the indexed text of pages and cells (BM25)
+          text: query && searchTerm ? {
+            query,
+            rank: (diagram, textMatch) => {
               const titleMatch = diagram.title.toLowerCase().includes(searchTerm);
               const authorMatch = diagram.author.toLowerCase().includes(searchTerm);
 
-              if (titleMatch || authorMatch) {
-                contentSearchResults.push({
-                  ...diagram,
-                  score: titleMatch ? 1.0 : 0.8, // Higher score for title matches
-                  excerpt: titleMatch ? diagram.title : diagram.author
-                });
-              } else {
-                // Fetch content for deep search
-                const diagramData = await arkivService.importDiagram(diagram.id);
-                if (diagramData && diagramData.content.toLowerCase().includes(searchTerm)) {
-                  // Extract excerpt around the match
-                  const content = diagramData.content.toLowerCase();
-                  const matchIndex = content.indexOf(searchTerm);
-                  const start = Math.max(0, matchIndex - 50);
-                  const end = Math.min(content.length, matchIndex + searchTerm.length + 50);
-                  const excerpt = diagramData.content.substring(start, end);
-
-                  contentSearchResults.push({
-                    ...diagram,
-                    score: 0.6, // Lower score for content matches
-                    excerpt: '...' + excerpt + '...'
-                  });
-                }
+              if (!titleMatch && !authorMatch && !textMatch) {
+                return null;
               }
-            } catch (error) {
-              console.warn(`Error searching content for diagram ${diagram.id}:`, error);
-              // Include diagram without content search
-              contentSearchResults.push({
+              return {
                 ...diagram,
-                score: 0.5,
-                excerpt: diagram.title
-              });
-            }
-          }
-
-          // Sort by relevance score
-          contentSearchResults.sort((a, b) => (b.score || 0) - (a.score || 0));
-
-          return c.json({
-            success: true,
-            data: contentSearchResults,
-            count: contentSearchResults.length,
-            total: filteredDiagrams.length,
-            query: {
-              query,
-              title,
-              author,
-              dateFrom,
-              dateTo,
-              sortBy,
-              sortOrder,
-              limit,
-              offset
+                score: (titleMatch ? 1.0 : authorMatch ? 0.8 : 0) + (textMatch?.score ?? 0), // Higher score for title matches
+                excerpt: textMatch?.excerpt ?? (titleMatch ? diagram.title : diagram.author),
+                match: textMatch?.match
+              };
             }
-          });
-        }
+          } : undefined
+        }, walletAddress, custodialId);
 
         return c.json({
           success: true,
-          data: paginatedResults,
-          count: paginatedResults.length,
-          total: filteredDiagrams.length,
+          data: page.data,
+          count: page.data.length,
+          total: page.total,
+          cursor: page.cursor,
+          hasMore: page.hasMore,
           query: {
             query,
             title,
@@ -409,25 +601,25 @@ async function startServer() {
             dateTo,
             sortBy,
             sortOrder,
-            limit,
-            offset
+            limit
           }
         });
 
       } catch (error) {
         console.error('Search error:', error);
+        const message = (error as Error).message || 'Search operation failed';
         return c.json({
           success: false,
-          error: (error as Error).message || 'Search operation failed'
-        }, 500);
+          error: message
+        }, message.includes('Invalid tag') || message.includes('Invalid cursor') || message.includes('Invalid query') ? 400 : 500);
       }
     });
 
     app.delete('/api/diagrams/:id', async (c) => {
       try {
         const diagramId = c.req.param('id');
-        const walletAddress = c.req.header('x-wallet-address');
-        const custodialId = c.req.header('x-custodial-id');
+        const walletAddress = c.get('walletAddress');
+        const custodialId = c.get('custodialId');
 
         if (!diagramId) {
           return c.json({
@@ -436,128 +628,606 @@ async function startServer() {
           }, 400);
         }
 
+        if (!walletAddress && !custodialId) {
+          return c.json({
+            success: false,
+            error: 'Authentication required'
+          }, 401);
+        }
+
+        // Without ?permanent=true the diagram only moves to the trash
+        if (c.req.query('permanent') !== 'true') {
+          console.log(`Moving diagram ${diagramId} to the trash for wallet: ${walletAddress}, custodial: ${custodialId}`);
+          const trashResult = await arkivService.trashDiagram(diagramId, config.trash.retentionDays, walletAddress, custodialId);
+
+          if (trashResult.transaction) {
+            return c.json({
+              success: false,
+              requiresFrontendTransaction: true,
+              diagramId,
+              transaction: trashResult.transaction,
+              trashResult,
+              message: 'Backend has no signing key. Sign the move to the trash with MetaMask.'
+            });
+          }
+
+          return c.json({
+            success: true,
+            trashed: true,
+            message: `Diagram moved to the trash, restorable until ${new Date(trashResult.purgeAt).toISOString()}`,
+            trashResult
+          });
+        }
+
         console.log(`Deleting diagram ${diagramId} for wallet: ${walletAddress}, custodial: ${custodialId}`);
 
         const result = await arkivService.deleteDiagram(diagramId, walletAddress, custodialId);
 
-        // Check if backend indicated frontend should handle deletion
-        if (result === false) {
+        // Backend has no signing key - the plugin signs the prepared deletions with MetaMask
+        if (result.transactionsToSign) {
           return c.json({
             success: false,
             requiresFrontendTransaction: true,
             diagramId,
-            message: 'Backend has no signing key. Please use the plugin with MetaMask to sign the deletion transaction.'
+            transactions: result.transactionsToSign,
+            deletionResult: result,
+            message: `Backend has no signing key. Sign ${result.transactions} deletion transaction(s) with MetaMask.`
           });
         }
 
         return c.json({
           success: true,
-          message: 'Diagram marked for deletion',
+          message: `Deleted ${result.deleted} of ${result.entities.length} entities of diagram ${diagramId}`,
           deletionResult: result
         });
 
       } catch (error) {
         console.error('Delete error:', error);
+        const errorMessage = (error as Error).message || 'Delete operation failed';
+        let statusCode = 500;
+        if (errorMessage.includes('not found')) statusCode = 404;
+        else if (errorMessage.includes('Access denied')) statusCode = 403;
+        else if (errorMessage.includes('no signing key')) statusCode = 401;
         return c.json({
           success: false,
-          error: (error as Error).message || 'Delete operation failed'
-        }, 500);
+          error: errorMessage
+        }, statusCode as any);
       }
     });
 
-    app.put('/api/diagrams/:id/rename', async (c) => {
+    app.get('/api/diagrams/trash', async (c) => {
       try {
-        const diagramId = c.req.param('id');
-        const walletAddress = c.req.header('x-wallet-address');
-        const custodialId = c.req.header('x-custodial-id');
-        const { newTitle } = await c.req.json();
+        const walletAddress = c.get('walletAddress');
+        const custodialId = c.get('custodialId');
 
-        if (!diagramId || !newTitle) {
+        if (!walletAddress && !custodialId) {
           return c.json({
             success: false,
-            error: 'Diagram ID and new title are required'
-          }, 400);
+            error: 'Authentication required'
+          }, 401);
         }
 
-        console.log(`Renaming diagram ${diagramId} to "${newTitle}" for wallet: ${walletAddress}, custodial: ${custodialId}`);
-
-        const result = await arkivService.renameDiagram(diagramId, newTitle, walletAddress, custodialId);
-
-        // Check if backend indicated frontend should handle rename
-        if (result === false) {
-          return c.json({
-            success: false,
-            requiresFrontendTransaction: true,
-            diagramId,
-            newTitle,
-            message: 'Backend has no signing key. Please use the plugin with MetaMask to sign the rename transaction.'
-          });
-        }
+        const diagrams = await arkivService.listTrashedDiagrams(walletAddress, custodialId);
 
         return c.json({
           success: true,
-          message: 'Diagram renamed successfully',
-          renameResult: result
+          data: diagrams,
+          count: diagrams.length,
+          retentionDays: config.trash.retentionDays
         });
-
       } catch (error) {
-        console.error('Rename error:', error);
+        console.error('Trash list error:', error);
         return c.json({
           success: false,
-          error: (error as Error).message || 'Rename operation failed'
+          error: (error as Error).message || 'Trash list failed'
         }, 500);
       }
     });
 
-    app.put('/api/diagrams/:id/btl', async (c) => {
+    app.post('/api/diagrams/:id/restore', async (c) => {
       try {
         const diagramId = c.req.param('id');
-        const walletAddress = c.req.header('x-wallet-address');
-        const custodialId = c.req.header('x-custodial-id');
-        const { newBTLDays } = await c.req.json();
+        const walletAddress = c.get('walletAddress');
+        const custodialId = c.get('custodialId');
 
-        if (!diagramId || !newBTLDays || isNaN(newBTLDays)) {
+        if (!walletAddress && !custodialId) {
           return c.json({
             success: false,
-            error: 'Diagram ID and valid BTL days are required'
-          }, 400);
+            error: 'Authentication required'
+          }, 401);
         }
 
-        console.log(`Changing BTL for diagram ${diagramId} to ${newBTLDays} days for wallet: ${walletAddress}, custodial: ${custodialId}`);
+        console.log(`Restoring diagram ${diagramId} from the trash for wallet: ${walletAddress}, custodial: ${custodialId}`);
 
-        const result = await arkivService.changeDiagramBTL(diagramId, newBTLDays, walletAddress, custodialId);
+        const result = await arkivService.restoreDiagram(diagramId, walletAddress, custodialId);
 
-        // Check if backend indicated frontend should handle BTL change
-        if (result === false) {
+        if (result.transaction) {
           return c.json({
             success: false,
             requiresFrontendTransaction: true,
             diagramId,
-            newBTLDays,
-            message: 'Backend has no signing key. Please use the plugin with MetaMask to sign the BTL change transaction.'
+            transaction: result.transaction,
+            message: 'Backend has no signing key. Sign the restore with MetaMask.'
           });
         }
 
         return c.json({
           success: true,
-          message: 'Diagram BTL updated successfully',
-          btlResult: result
+          message: 'Diagram restored from the trash',
+          restoreResult: result
         });
-
       } catch (error) {
-        console.error('BTL change error:', error);
+        console.error('Restore error:', error);
+        const errorMessage = (error as Error).message || 'Restore failed';
+        let statusCode = 500;
+        if (errorMessage.includes('not found')) statusCode = 404;
+        else if (errorMessage.includes('signed by') || errorMessage.includes('Access denied')) statusCode = 403;
+        return c.json({
+          success: false,
+          error: errorMessage
+        }, statusCode as any);
+      }
+    });
+
+    // Folders (collections) - GET returns the flat list and the nested tree
+    app.get('/api/folders', async (c) => {
+      try {
+        const walletAddress = c.get('walletAddress');
+        const custodialId = c.get('custodialId');
+
+        if (!walletAddress && !custodialId) {
+          return c.json({
+            success: false,
+            error: 'Authentication required'
+          }, 401);
+        }
+
+        const result = await arkivService.getFolderTree(walletAddress, custodialId);
+        return c.json({
+          success: true,
+          data: result
+        });
+      } catch (error) {
+        console.error('Folder list error:', error);
+        return c.json({
+          success: false,
+          error: (error as Error).message || 'Folder list failed'
+        }, 500);
+      }
+    });
+
+    app.post('/api/folders', async (c) => {
+      try {
+        const walletAddress = c.get('walletAddress');
+        const custodialId = c.get('custodialId');
+        const { name, parentId } = await c.req.json();
+
+        if (!walletAddress && !custodialId) {
+          return c.json({
+            success: false,
+            error: 'Authentication required'
+          }, 401);
+        }
+
+        const result = await arkivService.createFolder({ name, parentId }, walletAddress, custodialId);
+
+        if (result.transaction) {
+          return c.json({
+            success: false,
+            requiresFrontendTransaction: true,
+            folder: result.folder,
+            transaction: result.transaction,
+            message: 'Backend has no signing key. Sign the new folder with MetaMask.'
+          });
+        }
+
+        return c.json({
+          success: true,
+          folder: result.folder
+        });
+      } catch (error) {
+        console.error('Create folder error:', error);
+        const errorMessage = (error as Error).message || 'Create folder failed';
+        let statusCode = 500;
+        if (errorMessage.includes('not found')) statusCode = 404;
+        else if (errorMessage.includes('already exists')) statusCode = 409;
+        else if (errorMessage.includes('Invalid folder')) statusCode = 400;
+        return c.json({
+          success: false,
+          error: errorMessage
+        }, statusCode as any);
+      }
+    });
+
+    app.delete('/api/folders/:id', async (c) => {
+      try {
+        const folderId = c.req.param('id');
+        const walletAddress = c.get('walletAddress');
+        const custodialId = c.get('custodialId');
+
+        if (!walletAddress && !custodialId) {
+          return c.json({
+            success: false,
+            error: 'Authentication required'
+          }, 401);
+        }
+
+        const result = await arkivService.deleteFolder(folderId, walletAddress, custodialId);
+
+        if (result.transaction) {
+          return c.json({
+            success: false,
+            requiresFrontendTransaction: true,
+            folderId,
+            transaction: result.transaction,
+            message: 'Backend has no signing key. Sign the folder deletion with MetaMask.'
+          });
+        }
+
+        return c.json({
+          success: true,
+          folderId
+        });
+      } catch (error) {
+        console.error('Delete folder error:', error);
+        const errorMessage = (error as Error).message || 'Delete folder failed';
+        let statusCode = 500;
+        if (errorMessage.includes('not found')) statusCode = 404;
+        else if (errorMessage.includes('not empty')) statusCode = 409;
+        return c.json({
+          success: false,
+          error: errorMessage
+        }, statusCode as any);
+      }
+    });
+
+    app.post('/api/folders/:id/share', async (c) => {
+      try {
+        const folderId = c.req.param('id');
+        const walletAddress = c.get('walletAddress');
+        const custodialId = c.get('custodialId');
+        const body = await c.req.json().catch(() => ({}));
+
+        if (!walletAddress && !custodialId) {
+          return c.json({
+            success: false,
+            error: 'Authentication required'
+          }, 401);
+        }
+
+        const result = await arkivService.createFolderShareToken({
+          folderId,
+          isPublic: body.isPublic !== false,
+          expiresInDays: body.expiresInDays
+        }, walletAddress, custodialId);
+
+        return c.json(result);
+      } catch (error) {
+        console.error('Folder share error:', error);
+        const errorMessage = (error as Error).message || 'Folder share failed';
+        let statusCode = 500;
+        if (errorMessage.includes('not found')) statusCode = 404;
+        else if (errorMessage.includes('not available')) statusCode = 403;
+        return c.json({
+          success: false,
+          error: errorMessage
+        }, statusCode as any);
+      }
+    });
+
+    app.get('/api/folders/shared/:token', async (c) => {
+      try {
+        const shared = await arkivService.accessSharedFolder(c.req.param('token'));
+        if (!shared) {
+          return c.json({
+            success: false,
+            error: 'Shared folder not found or expired'
+          }, 404);
+        }
+
+        return c.json({
+          success: true,
+          data: shared
+        });
+      } catch (error) {
+        console.error('Shared folder access error:', error);
+        return c.json({
+          success: false,
+          error: (error as Error).message || 'Shared folder access failed'
+        }, 500);
+      }
+    });
+
+    app.get('/api/folders/shared/:token/diagrams/:diagramId', async (c) => {
+      try {
+        const diagram = await arkivService.accessSharedFolderDiagram(c.req.param('token'), c.req.param('diagramId'));
+        if (!diagram) {
+          return c.json({
+            success: false,
+            error: 'Diagram not found in the shared folder'
+          }, 404);
+        }
+
+        const validators = await arkivService.getDiagramValidators(diagram.id);
+        const cacheHeaders = validators ? validatorHeaders(validators) : {};
+        const notModified = validators && notModifiedResponse(c, cacheHeaders);
+        if (notModified) {
+          return notModified;
+        }
+        for (const [name, value] of Object.entries(cacheHeaders)) {
+          c.header(name, value);
+        }
+
+        return c.json({
+          success: true,
+          data: diagram
+        });
+      } catch (error) {
+        console.error('Shared folder diagram error:', error);
+        return c.json({
+          success: false,
+          error: (error as Error).message || 'Shared folder diagram access failed'
+        }, 500);
+      }
+    });
+
+    app.put('/api/diagrams/:id/folder', async (c) => {
+      try {
+        const diagramId = c.req.param('id');
+        const walletAddress = c.get('walletAddress');
+        const custodialId = c.get('custodialId');
+        const { folderId } = await c.req.json();
+
+        if (!walletAddress && !custodialId) {
+          return c.json({
+            success: false,
+            error: 'Authentication required'
+          }, 401);
+        }
+
+        const result = await arkivService.moveDiagram(diagramId, folderId || undefined, walletAddress, custodialId);
+
+        if (result.transaction) {
+          return c.json({
+            success: false,
+            requiresFrontendTransaction: true,
+            diagramId,
+            transaction: result.transaction,
+            message: 'Backend has no signing key. Sign the move with MetaMask.'
+          });
+        }
+
+        return c.json({
+          success: true,
+          diagramId,
+          folderId: result.folderId ?? null
+        });
+      } catch (error) {
+        console.error('Move diagram error:', error);
+        const errorMessage = (error as Error).message || 'Move failed';
+        let statusCode = 500;
+        if (errorMessage.includes('not found')) statusCode = 404;
+        else if (errorMessage.includes('Access denied')) statusCode = 403;
+        return c.json({
+          success: false,
+          error: errorMessage
+        }, statusCode as any);
+      }
+    });
+
+    app.put('/api/diagrams/:id/tags', async (c) => {
+      try {
+        const diagramId = c.req.param('id');
+        const walletAddress = c.get('walletAddress');
+        const custodialId = c.get('custodialId');
+        const { tags } = await c.req.json();
+
+        if (!walletAddress && !custodialId) {
+          return c.json({
+            success: false,
+            error: 'Authentication required'
+          }, 401);
+        }
+
+        const result = await arkivService.setDiagramTags(diagramId, tags, walletAddress, custodialId);
+
+        if (result.transaction) {
+          return c.json({
+            success: false,
+            requiresFrontendTransaction: true,
+            diagramId,
+            tags: result.tags,
+            transaction: result.transaction,
+            message: 'Backend has no signing key. Sign the tag change with MetaMask.'
+          });
+        }
+
+        return c.json({
+          success: true,
+          diagramId,
+          tags: result.tags
+        });
+      } catch (error) {
+        console.error('Tag diagram error:', error);
+        const errorMessage = (error as Error).message || 'Tagging failed';
+        let statusCode = 500;
+        if (errorMessage.includes('not found')) statusCode = 404;
+        if (errorMessage.includes('Access denied')) statusCode = 403;
+        if (errorMessage.includes('Invalid tag')) statusCode = 400;
         return c.json({
           success: false,
-          error: (error as Error).message || 'BTL change operation failed'
+          error: errorMessage
+        }, statusCode as any);
+      }
+    });
+
+    // The caller's tags with usage counts, for autocomplete
+    app.get('/api/tags', async (c) => {
+      try {
+        const walletAddress = c.get('walletAddress');
+        const custodialId = c.get('custodialId');
+
+        if (!walletAddress && !custodialId) {
+          return c.json({
+            success: false,
+            error: 'Authentication required'
+          }, 401);
+        }
+
+        const tags = await arkivService.listUserTags(walletAddress, custodialId);
+        return c.json({
+          success: true,
+          data: tags
+        });
+      } catch (error) {
+        console.error('Tag list error:', error);
+        return c.json({
+          success: false,
+          error: (error as Error).message || 'Tag list failed'
         }, 500);
       }
     });
 
+    app.put('/api/diagrams/:id/rename', async (c) => {
+      try {
+        const diagramId = c.req.param('id');
+        const walletAddress = c.get('walletAddress');
+        const custodialId = c.get('custodialId');
+
+        if (!walletAddress && !custodialId) {
+          return c.json({
+            success: false,
+            error: 'Authentication required'
+          }, 401);
+        }
+
+        const { newTitle } = await c.req.json();
+
+        if (!diagramId || !newTitle) {
+          return c.json({
+            success: false,
+            error: 'Diagram ID and new title are required'
+          }, 400);
+        }
+
+        console.log(`Renaming diagram ${diagramId} to "${newTitle}" for wallet: ${walletAddress}, custodial: ${custodialId}`);
+
+        const result = await arkivService.renameDiagram(diagramId, newTitle, walletAddress, custodialId);
+
+        // Check if backend indicated frontend should handle rename
+        if (result === false) {
+          return c.json({
+            success: false,
+            requiresFrontendTransaction: true,
+            diagramId,
+            newTitle,
+            message: 'Backend has no signing key. Please use the plugin with MetaMask to sign the rename transaction.'
+          });
+        }
+
+        return c.json({
+          success: true,
+          message: 'Diagram renamed successfully',
+          renameResult: result
+        });
+
+      } catch (error) {
+        console.error('Rename error:', error);
+        const errorMessage = (error as Error).message || 'Rename operation failed';
+        let statusCode = 500;
+        if (errorMessage.includes('not found')) statusCode = 404;
+        else if (errorMessage.includes('Access denied')) statusCode = 403;
+        return c.json({
+          success: false,
+          error: errorMessage
+        }, statusCode as any);
+      }
+    });
+
+    app.put('/api/diagrams/:id/btl', async (c) => {
+      try {
+        const diagramId = c.req.param('id');
+        const walletAddress = c.get('walletAddress');
+        const custodialId = c.get('custodialId');
+
+        if (!walletAddress && !custodialId) {
+          return c.json({
+            success: false,
+            error: 'Authentication required'
+          }, 401);
+        }
+
+        const { newBTLDays } = await c.req.json();
+
+        if (!diagramId || !newBTLDays || isNaN(newBTLDays)) {
+          return c.json({
+            success: false,
+            error: 'Diagram ID and valid BTL days are required'
+          }, 400);
+        }
+
+        console.log(`Changing BTL for diagram ${diagramId} to ${newBTLDays} days for wallet: ${walletAddress}, custodial: ${custodialId}`);
+
+        const result = await arkivService.changeDiagramBTL(diagramId, newBTLDays, walletAddress, custodialId);
+        const expiry = {
+          btlDays: result.btlDays,
+          expiresAtBlock: result.expiresAtBlock,
+          expiresAt: new Date(result.expiresAt).toISOString()
+        };
+
+        // Backend has no signing key: the plugin sends the prepared extension transaction with MetaMask
+        if (result.transaction) {
+          return c.json({
+            success: false,
+            requiresFrontendTransaction: true,
+            diagramId,
+            newBTLDays,
+            ...expiry,
+            transaction: result.transaction,
+            btlResult: result,
+            message: 'Backend has no signing key. Please use the plugin with MetaMask to sign the BTL change transaction.'
+          });
+        }
+
+        return c.json({
+          success: true,
+          message: result.extensions.length > 0
+            ? `Diagram BTL updated successfully (${result.extendedEntities.length} entities extended)`
+            : 'Diagram already expires at or after the requested time',
+          ...expiry,
+          btlResult: result
+        });
+
+      } catch (error) {
+        console.error('BTL change error:', error);
+        const errorMessage = (error as Error).message || 'BTL change operation failed';
+
+        let statusCode = 500;
+        if (errorMessage.includes('not found')) {
+          statusCode = 404;
+        } else if (errorMessage.includes('Access denied')) {
+          statusCode = 403;
+        }
+
+        return c.json({
+          success: false,
+          error: errorMessage
+        }, statusCode as any);
+      }
+    });
+
     app.put('/api/diagrams/:id/protect', async (c) => {
       try {
         const diagramId = c.req.param('id');
-        const walletAddress = c.req.header('x-wallet-address');
-        const custodialId = c.req.header('x-custodial-id');
+        const walletAddress = c.get('walletAddress');
+        const custodialId = c.get('custodialId');
+
+        if (!walletAddress && !custodialId) {
+          return c.json({
+            success: false,
+            error: 'Authentication required'
+          }, 401);
+        }
 
         if (!diagramId) {
           return c.json({
@@ -588,10 +1258,14 @@ async function startServer() {
 
       } catch (error) {
         console.error('Protect error:', error);
+        const errorMessage = (error as Error).message || 'Protect operation failed';
+        let statusCode = 500;
+        if (errorMessage.includes('not found')) statusCode = 404;
+        else if (errorMessage.includes('Access denied')) statusCode = 403;
         return c.json({
           success: false,
-          error: (error as Error).message || 'Protect operation failed'
-        }, 500);
+          error: errorMessage
+        }, statusCode as any);
       }
     });
 
@@ -624,6 +1298,17 @@ async function startServer() {
           `, 404);
         }
 
+        // Every format is rendered from the shared diagram alone
+        const validators = await arkivService.getDiagramValidators(diagramData.id);
+        const cacheHeaders = validators ? validatorHeaders(validators) : {};
+        const notModified = validators && notModifiedResponse(c, cacheHeaders);
+        if (notModified) {
+          return notModified;
+        }
+        for (const [name, value] of Object.entries(cacheHeaders)) {
+          c.header(name, value);
+        }
+
         // Handle different format requests
         if (format === 'viewer') {
           // Default viewer format - return HTML page with draw.io integration
@@ -1221,6 +1906,7 @@ async function startServer() {
             } else {
               return new Response(directResult.content, {
                 headers: {
+                  ...cacheHeaders,
                   'Content-Type': directResult.contentType,
                   'Cache-Control': 'public, max-age=3600',
                   'Content-Disposition': `inline; filename="${encodeURIComponent(directResult.title)}.${format}"`
@@ -1245,8 +1931,8 @@ async function startServer() {
     // Config endpoint with user tier information
     app.get('/api/diagrams/config', async (c) => {
       try {
-        const walletAddress = c.req.header('x-wallet-address');
-        const custodialId = c.req.header('x-custodial-id');
+        const walletAddress = c.get('walletAddress');
+        const custodialId = c.get('custodialId');
 
         // Get user tier information
         const userTierInfo = arkivService.getUserTierInfo(walletAddress, custodialId);
@@ -1279,8 +1965,8 @@ async function startServer() {
     // Save user configuration endpoint
     app.post('/api/diagrams/config', async (c) => {
       try {
-        const walletAddress = c.req.header('x-wallet-address');
-        const custodialId = c.req.header('x-custodial-id');
+        const walletAddress = c.get('walletAddress');
+        const custodialId = c.get('custodialId');
 
         if (!walletAddress && !custodialId) {
           return c.json({
@@ -1307,6 +1993,25 @@ async function startServer() {
           }, 400);
         }
 
+        // Validate auto-renew policy
+        if (configData.autoRenew !== undefined) {
+          const { mode, openedWithinDays, renewDays } = configData.autoRenew || {};
+          const isPositiveInteger = (value: unknown) => value === undefined || (Number.isInteger(value) && (value as number) > 0);
+
+          if (!['off', 'always', 'if_opened'].includes(mode)) {
+            return c.json({
+              success: false,
+              error: "autoRenew.mode must be 'off', 'always' or 'if_opened'"
+            }, 400);
+          }
+          if (!isPositiveInteger(openedWithinDays) || !isPositiveInteger(renewDays) || (renewDays && renewDays > 365)) {
+            return c.json({
+              success: false,
+              error: 'autoRenew.openedWithinDays and autoRenew.renewDays must be positive whole days (renewDays at most 365)'
+            }, 400);
+          }
+        }
+
         // Check if backend has write access
         if (!arkivService.hasWriteAccess()) {
           // Backend is in read-only mode - config should be saved client-side
@@ -1322,7 +2027,8 @@ async function startServer() {
         const configToSave = {
           ...configData,
           walletAddress: walletAddress || custodialId,
-          updatedAt: new Date().toISOString()
+          updatedAt: new Date().toISOString(),
+          timestamp: Date.now()
         };
 
         // Save configuration using ArkivService
@@ -1347,8 +2053,8 @@ async function startServer() {
     // User dashboard endpoint with usage statistics
     app.get('/api/diagrams/dashboard', async (c) => {
       try {
-        const walletAddress = c.req.header('x-wallet-address');
-        const custodialId = c.req.header('x-custodial-id');
+        const walletAddress = c.get('walletAddress');
+        const custodialId = c.get('custodialId');
 
         if (!walletAddress && !custodialId) {
           return c.json({
@@ -1433,25 +2139,38 @@ async function startServer() {
     // Enhanced search endpoint
     app.post('/api/diagrams/search', async (c) => {
       try {
-        const walletAddress = c.req.header('x-wallet-address');
-        const custodialId = c.req.header('x-custodial-id');
+        const walletAddress = c.get('walletAddress');
+        const custodialId = c.get('custodialId');
+
+        // Search only ever covers the caller's own diagrams
+        if (!walletAddress && !custodialId) {
+          return c.json({
+            success: false,
+            error: 'Authentication required'
+          }, 401);
+        }
+
         const searchRequest = await c.req.json();
 
         console.log(`Enhanced search by wallet: ${walletAddress}, custodial: ${custodialId}`, searchRequest);
 
-        const results = await arkivService.searchDiagrams(searchRequest, walletAddress, custodialId);
+        const page = await arkivService.searchDiagrams(searchRequest, walletAddress, custodialId);
 
         return c.json({
           success: true,
-          data: results,
-          count: results.length
+          data: page.data,
+          count: page.data.length,
+          total: page.total,
+          cursor: page.cursor,
+          hasMore: page.hasMore
         });
       } catch (error) {
         console.error('Enhanced search error:', error);
+        const message = (error as Error).message || 'Search operation failed';
         return c.json({
           success: false,
-          error: (error as Error).message || 'Search operation failed'
-        }, 500);
+          error: message
+        }, message.includes('Invalid query') || message.includes('Invalid tag') || message.includes('Invalid cursor') ? 400 : 500);
       }
     });
 
@@ -1459,8 +2178,16 @@ async function startServer() {
     app.post('/api/diagrams/:id/share', async (c) => {
       try {
         const diagramId = c.req.param('id');
-        const walletAddress = c.req.header('x-wallet-address');
-        const custodialId = c.req.header('x-custodial-id');
+        const walletAddress = c.get('walletAddress');
+        const custodialId = c.get('custodialId');
+
+        if (!walletAddress && !custodialId) {
+          return c.json({
+            success: false,
+            error: 'Authentication required'
+          }, 401);
+        }
+
         const shareRequest = await c.req.json();
 
         if (!diagramId) {
@@ -1477,10 +2204,14 @@ async function startServer() {
         return c.json(result);
       } catch (error) {
         console.error('Share token creation error:', error);
+        const errorMessage = (error as Error).message || 'Failed to create share token';
+        let statusCode = 500;
+        if (errorMessage.includes('not found')) statusCode = 404;
+        else if (errorMessage.includes('Access denied')) statusCode = 403;
         return c.json({
           success: false,
-          error: (error as Error).message || 'Failed to create share token'
-        }, 500);
+          error: errorMessage
+        }, statusCode as any);
       }
     });
 
@@ -1509,6 +2240,17 @@ async function startServer() {
           }, 404);
         }
 
+        // Every format is rendered from the shared diagram alone
+        const validators = await arkivService.getDiagramValidators(result.id);
+        const cacheHeaders = validators ? validatorHeaders(validators) : {};
+        const notModified = validators && notModifiedResponse(c, cacheHeaders);
+        if (notModified) {
+          return notModified;
+        }
+        for (const [name, value] of Object.entries(cacheHeaders)) {
+          c.header(name, value);
+        }
+
         // If requesting JSON (default), return the diagram data as is
         if (format === 'json') {
           return c.json({
@@ -1537,6 +2279,7 @@ async function startServer() {
           } else {
             return new Response(directResult.content, {
               headers: {
+                ...cacheHeaders,
                 'Content-Type': directResult.contentType,
                 'Cache-Control': 'public, max-age=3600'
               }
@@ -1562,8 +2305,15 @@ async function startServer() {
     app.get('/api/diagrams/:id/shares', async (c) => {
       try {
         const diagramId = c.req.param('id');
-        const walletAddress = c.req.header('x-wallet-address');
-        const custodialId = c.req.header('x-custodial-id');
+        const walletAddress = c.get('walletAddress');
+        const custodialId = c.get('custodialId');
+
+        if (!walletAddress && !custodialId) {
+          return c.json({
+            success: false,
+            error: 'Authentication required'
+          }, 401);
+        }
 
         if (!diagramId) {
           return c.json({
@@ -1582,10 +2332,14 @@ async function startServer() {
         });
       } catch (error) {
         console.error('List share tokens error:', error);
+        const errorMessage = (error as Error).message || 'Failed to list share tokens';
+        let statusCode = 500;
+        if (errorMessage.includes('not found')) statusCode = 404;
+        else if (errorMessage.includes('Access denied')) statusCode = 403;
         return c.json({
           success: false,
-          error: (error as Error).message || 'Failed to list share tokens'
-        }, 500);
+          error: errorMessage
+        }, statusCode as any);
       }
     });
 
@@ -1593,8 +2347,15 @@ async function startServer() {
     app.delete('/api/diagrams/shared/:token', async (c) => {
       try {
         const token = c.req.param('token');
-        const walletAddress = c.req.header('x-wallet-address');
-        const custodialId = c.req.header('x-custodial-id');
+        const walletAddress = c.get('walletAddress');
+        const custodialId = c.get('custodialId');
+
+        if (!walletAddress && !custodialId) {
+          return c.json({
+            success: false,
+            error: 'Authentication required'
+          }, 401);
+        }
 
         if (!token) {
           return c.json({
@@ -1620,10 +2381,14 @@ async function startServer() {
         });
       } catch (error) {
         console.error('Revoke share token error:', error);
+        const errorMessage = (error as Error).message || 'Failed to revoke share token';
+        let statusCode = 500;
+        if (errorMessage.includes('not found')) statusCode = 404;
+        else if (errorMessage.includes('Unauthorized')) statusCode = 403;
         return c.json({
           success: false,
-          error: (error as Error).message || 'Failed to revoke share token'
-        }, 500);
+          error: errorMessage
+        }, statusCode as any);
       }
     });
 
@@ -1642,9 +2407,15 @@ async function startServer() {
 
         console.log(`Direct diagram access: ${diagramId}, format: ${format}`);
 
-        // Check authentication headers for potential ownership verification
-        const walletAddress = c.req.header('x-wallet-address');
-        const custodialId = c.req.header('x-custodial-id');
+        // The viewer is public and the same for every caller, so it never reads an identity.
+        // Share links are created from the plugin, which holds the session token.
+        const validators = await arkivService.getDiagramValidators(diagramId);
+        if (validators) {
+          const notModified = notModifiedResponse(c, { ...validatorHeaders(validators), 'Cache-Control': 'public, max-age=3600' });
+          if (notModified) {
+            return notModified;
+          }
+        }
 
         let result;
         try {
@@ -1716,6 +2487,11 @@ async function startServer() {
           }
         }
 
+        const cacheHeaders = validatorHeaders(result);
+        for (const [name, value] of Object.entries(cacheHeaders)) {
+          c.header(name, value);
+        }
+
         // Set appropriate content type based on format
         let contentType = 'text/html';
         switch (format.toLowerCase()) {
@@ -1747,10 +2523,7 @@ async function startServer() {
             console.log('Could not load diagram metadata:', metaError);
           }
 
-          // Check if user can access sharing features
-          const userTier = arkivService.getUserTierInfo(walletAddress, custodialId);
-
-          // Enhanced HTML viewer with sharing options and metadata
+          // Enhanced HTML viewer with download options and metadata
           const enhancedContent = result.content
             .replace('</body>', `
               <div style="position: fixed; top: 20px; right: 20px; background: white; padding: 15px; border-radius: 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); max-width: 300px;">
@@ -1773,53 +2546,12 @@ async function startServer() {
                   </div>
                 </div>
 
-                ${userTier.limits.canShare && (walletAddress || custodialId) ? `
-                  <div style="margin: 10px 0;">
-                    <button onclick="createShareLink()" style="width: 100%; padding: 8px; background: #667eea; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 12px;">
-                      🔗 Create Share Link
-                    </button>
-                  </div>
-                ` : ''}
-
                 <div style="margin-top: 10px;">
                   <a href="/?lightbox=1&edit=_blank&title=${encodeURIComponent(result.title)}&xml=${encodeURIComponent(result.content)}" target="_blank" style="display: block; width: 100%; text-align: center; padding: 8px; background: #667eea; color: white; text-decoration: none; border-radius: 4px; font-size: 12px;">
                     🖼️ Edit in drawiodb.online
                   </a>
                 </div>
               </div>
-
-              ${userTier.limits.canShare && (walletAddress || custodialId) ? `
-                <script>
-                  async function createShareLink() {
-                    try {
-                      const response = await fetch('/api/diagrams/${diagramId}/share', {
-                        method: 'POST',
-                        headers: {
-                          'Content-Type': 'application/json',
-                          ${walletAddress ? `'x-wallet-address': '${walletAddress}',` : ''}
-                          ${custodialId ? `'x-custodial-id': '${custodialId}',` : ''}
-                        },
-                        body: JSON.stringify({
-                          diagramId: '${diagramId}',
-                          isPublic: true,
-                          expiresInDays: 30
-                        })
-                      });
-
-                      const result = await response.json();
-                      if (result.success) {
-                        const shareUrl = result.shareUrl;
-                        navigator.clipboard.writeText(shareUrl);
-                        alert('Share link copied to clipboard!\\n\\n' + shareUrl);
-                      } else {
-                        alert('Failed to create share link: ' + result.error);
-                      }
-                    } catch (error) {
-                      alert('Error creating share link: ' + error.message);
-                    }
-                  }
-                </script>
-              ` : ''}
             </body>`);
 
           c.header('Content-Type', 'text/html');
@@ -1836,113 +2568,462 @@ async function startServer() {
         } else {
           return new Response(result.content, {
             headers: {
+              ...cacheHeaders,
               'Content-Type': contentType,
               'Cache-Control': 'public, max-age=3600'
             }
           });
         }
       } catch (error) {
-        console.error('Direct diagram access error:', error);
+        console.error('Direct diagram access error:', error);
+        return c.json({
+          success: false,
+          error: (error as Error).message || 'Failed to access diagram'
+        }, 500);
+      }
+    });
+
+    // Diagram metadata endpoint
+    app.get('/diagram/:id/meta', async (c) => {
+      try {
+        const diagramId = c.req.param('id');
+
+        if (!diagramId) {
+          return c.json({
+            success: false,
+            error: 'Diagram ID is required'
+          }, 400);
+        }
+
+        console.log(`Diagram metadata access: ${diagramId}`);
+
+        const metadata = await arkivService.getDiagramMetadata(diagramId);
+
+        if (!metadata) {
+          return c.json({
+            success: false,
+            error: 'Diagram not found'
+          }, 404);
+        }
+
+        return c.json({
+          success: true,
+          data: metadata
+        });
+      } catch (error) {
+        console.error('Diagram metadata access error:', error);
+        return c.json({
+          success: false,
+          error: (error as Error).message || 'Failed to access diagram metadata'
+        }, 500);
+      }
+    });
+
+    // Diagram thumbnail endpoint
+    app.get('/diagram/:id/thumbnail', async (c) => {
+      try {
+        const diagramId = c.req.param('id');
+        const size = c.req.query('size') || 'medium'; // small, medium, large
+
+        if (!diagramId) {
+          return c.json({
+            success: false,
+            error: 'Diagram ID is required'
+          }, 400);
+        }
+
+        console.log(`Diagram thumbnail access: ${diagramId}, size: ${size}`);
+
+        const validators = await arkivService.getDiagramValidators(diagramId);
+        const cacheHeaders = validators ? { ...validatorHeaders(validators), 'Cache-Control': 'public, max-age=86400' } : null;
+        const notModified = cacheHeaders && notModifiedResponse(c, cacheHeaders);
+        if (notModified) {
+          return notModified;
+        }
+
+        const thumbnail = await arkivService.getDiagramThumbnail(diagramId, size);
+
+        if (!thumbnail) {
+          return c.json({
+            success: false,
+            error: 'Diagram thumbnail not found'
+          }, 404);
+        }
+
+        return new Response(thumbnail, {
+          headers: {
+            ...cacheHeaders,
+            'Content-Type': 'image/png',
+            'Cache-Control': 'public, max-age=86400'
+          }
+        });
+      } catch (error) {
+        console.error('Diagram thumbnail access error:', error);
+        return c.json({
+          success: false,
+          error: (error as Error).message || 'Failed to access diagram thumbnail'
+        }, 500);
+      }
+    });
+
+    // Nonce for a Sign-In with Ethereum (EIP-4361) message, valid once for a few minutes
+    app.get('/api/auth/nonce', (c) => {
+      const { nonce, expiresAt } = authService.issueNonce();
+      return c.json({
+        success: true,
+        nonce,
+        expiresAt,
+        chainId: Number(config.arkiv.chainId) // Sign-in messages have to name this chain
+      });
+    });
+
+    // Exchange a signed SIWE message for a session token (Authorization: Bearer <token>)
+    app.post('/api/auth/siwe', async (c) => {
+      try {
+        const { message, signature } = await c.req.json();
+        if (typeof message !== 'string' || typeof signature !== 'string') {
+          return c.json({
+            success: false,
+            error: 'message and signature are required'
+          }, 400);
+        }
+
+        const { token, session } = await authService.signIn(message, signature, c.req.header('host'));
+        console.log(`🔑 Wallet ${session.address} signed in`);
+
+        return c.json({
+          success: true,
+          token,
+          address: session.address,
+          expiresAt: session.expiresAt
+        });
+      } catch (error) {
+        console.error('SIWE sign-in error:', error);
+        const errorMessage = (error as Error).message;
+
+        let statusCode = 500;
+        if (errorMessage.includes('Invalid SIWE message')) {
+          statusCode = 400;
+        } else if (errorMessage.includes('Sign-in rejected')) {
+          statusCode = 401;
+        }
+
+        return c.json({
+          success: false,
+          error: errorMessage || 'Sign-in failed'
+        }, statusCode as any);
+      }
+    });
+
+    // Create a guest (custodial) account: returns its first session credential and a recovery code, both shown once
+    app.post('/api/auth/custodial', async (c) => {
+      try {
+        const { custodialId, credential, session, recoveryCode } = await authService.createGuest(sessionLabel(c));
+        const userInfo = await arkivService.getUserTierInfo(undefined, custodialId);
+
+        return c.json({
+          success: true,
+          custodialId,
+          credential,
+          session,
+          recoveryCode,
+          userTier: userInfo
+        });
+      } catch (error) {
+        console.error('Custodial session creation error:', error);
+        return c.json({
+          success: false,
+          error: (error as Error).message || 'Failed to create custodial session'
+        }, 500);
+      }
+    });
+
+    // Open a new guest session with a recovery code (lost credential, cleared browser storage, another device)
+    app.post('/api/auth/custodial/recover', async (c) => {
+      try {
+        const { recoveryCode } = await c.req.json();
+        if (typeof recoveryCode !== 'string' || !recoveryCode.trim()) {
+          return c.json({
+            success: false,
+            error: 'recoveryCode is required'
+          }, 400);
+        }
+
+        const { custodialId, credential, session } = await authService.recoverGuest(recoveryCode, sessionLabel(c));
+        const userInfo = await arkivService.getUserTierInfo(undefined, custodialId);
+
+        return c.json({
+          success: true,
+          custodialId,
+          credential,
+          session,
+          userTier: userInfo
+        });
+      } catch (error) {
+        console.error('Guest recovery error:', error);
+        const errorMessage = (error as Error).message;
+
+        let statusCode = 500;
+        if (errorMessage.includes('Recovery failed')) {
+          statusCode = 401;
+        }
+
+        return c.json({
+          success: false,
+          error: errorMessage || 'Failed to recover guest account'
+        }, statusCode as any);
+      }
+    });
+
+    // Replace the guest's recovery code; the previous one stops working
+    app.post('/api/auth/recovery-code', async (c) => {
+      try {
+        const custodialId = c.get('custodialId');
+        if (!custodialId) {
+          return c.json({
+            success: false,
+            error: 'A guest session is required'
+          }, 401);
+        }
+
+        const recoveryCode = await authService.rotateRecoveryCode(custodialId);
+        return c.json({
+          success: true,
+          recoveryCode
+        });
+      } catch (error) {
+        console.error('Recovery code rotation error:', error);
+        return c.json({
+          success: false,
+          error: (error as Error).message || 'Failed to create recovery code'
+        }, 500);
+      }
+    });
+
+    // Swap the current guest session for a new credential with a fresh expiry
+    app.post('/api/auth/sessions/refresh', async (c) => {
+      try {
+        const custodialId = c.get('custodialId');
+        const sessionId = c.get('custodialSessionId');
+        if (!custodialId || !sessionId) {
+          return c.json({
+            success: false,
+            error: 'A guest session is required'
+          }, 401);
+        }
+
+        const { credential, session } = await authService.refreshGuestSession({ custodialId, sessionId }, sessionLabel(c));
+        return c.json({
+          success: true,
+          credential,
+          session
+        });
+      } catch (error) {
+        console.error('Guest session refresh error:', error);
+        return c.json({
+          success: false,
+          error: (error as Error).message || 'Failed to refresh session'
+        }, 500);
+      }
+    });
+
+    // Active sessions of the guest account
+    app.get('/api/auth/sessions', async (c) => {
+      try {
+        const custodialId = c.get('custodialId');
+        const sessionId = c.get('custodialSessionId');
+        if (!custodialId || !sessionId) {
+          return c.json({
+            success: false,
+            error: 'A guest session is required'
+          }, 401);
+        }
+
+        const sessions = await authService.listGuestSessions({ custodialId, sessionId });
+        return c.json({
+          success: true,
+          sessions
+        });
+      } catch (error) {
+        console.error('Guest session listing error:', error);
         return c.json({
           success: false,
-          error: (error as Error).message || 'Failed to access diagram'
+          error: (error as Error).message || 'Failed to list sessions'
         }, 500);
       }
     });
 
-    // Diagram metadata endpoint
-    app.get('/diagram/:id/meta', async (c) => {
+    // Revoke one of the guest's sessions (revoking the current one signs this browser out)
+    app.delete('/api/auth/sessions/:id', async (c) => {
       try {
-        const diagramId = c.req.param('id');
-
-        if (!diagramId) {
+        const custodialId = c.get('custodialId');
+        const sessionId = c.req.param('id');
+        if (!custodialId) {
           return c.json({
             success: false,
-            error: 'Diagram ID is required'
-          }, 400);
+            error: 'A guest session is required'
+          }, 401);
         }
 
-        console.log(`Diagram metadata access: ${diagramId}`);
-
-        const metadata = await arkivService.getDiagramMetadata(diagramId);
-
-        if (!metadata) {
+        const revoked = await authService.revokeGuestSession(custodialId, sessionId);
+        if (!revoked) {
           return c.json({
             success: false,
-            error: 'Diagram not found'
+            error: 'Session not found'
           }, 404);
         }
 
+        console.log(`👤 Guest session ${sessionId} revoked`);
         return c.json({
           success: true,
-          data: metadata
+          revoked: sessionId
         });
       } catch (error) {
-        console.error('Diagram metadata access error:', error);
+        console.error('Guest session revocation error:', error);
         return c.json({
           success: false,
-          error: (error as Error).message || 'Failed to access diagram metadata'
+          error: (error as Error).message || 'Failed to revoke session'
         }, 500);
       }
     });
 
-    // Diagram thumbnail endpoint
-    app.get('/diagram/:id/thumbnail', async (c) => {
+    // Move the caller's guest account to a wallet: guest session credential plus a SIWE message naming the account
+    app.post('/api/auth/link-wallet', async (c) => {
       try {
-        const diagramId = c.req.param('id');
-        const size = c.req.query('size') || 'medium'; // small, medium, large
+        const custodialId = c.get('custodialId');
+        const sessionId = c.get('custodialSessionId');
+        if (!custodialId || !sessionId) {
+          return c.json({
+            success: false,
+            error: 'A guest session is required'
+          }, 401);
+        }
 
-        if (!diagramId) {
+        const { message, signature } = await c.req.json();
+        if (typeof message !== 'string' || typeof signature !== 'string') {
           return c.json({
             success: false,
-            error: 'Diagram ID is required'
+            error: 'message and signature are required'
           }, 400);
         }
 
-        console.log(`Diagram thumbnail access: ${diagramId}, size: ${size}`);
+        const { token, session, ...result } = await authService.linkWallet({ custodialId, sessionId }, message, signature, c.req.header('host'));
+        return c.json({
+          success: true,
+          ...result,
+          token,
+          address: session.address,
+          expiresAt: session.expiresAt
+        });
+      } catch (error) {
+        console.error('Wallet link error:', error);
+        const errorMessage = (error as Error).message;
 
-        const thumbnail = await arkivService.getDiagramThumbnail(diagramId, size);
+        let statusCode = 500;
+        if (errorMessage.includes('Invalid SIWE message')) {
+          statusCode = 400;
+        } else if (errorMessage.includes('Sign-in rejected') || errorMessage.includes('Link rejected')) {
+          statusCode = 401;
+        }
 
-        if (!thumbnail) {
+        return c.json({
+          success: false,
+          error: errorMessage || 'Failed to link wallet'
+        }, statusCode as any);
+      }
+    });
+
+    // Personal access tokens of the signed-in wallet or guest account, for scripts and CI; the token is shown once
+    app.post('/api/tokens', async (c) => {
+      try {
+        const walletAddress = c.get('walletAddress');
+        const custodialId = c.get('custodialId');
+        if (!walletAddress && !custodialId) {
           return c.json({
             success: false,
-            error: 'Diagram thumbnail not found'
-          }, 404);
+            error: 'Sign in with a wallet or a guest account to create access tokens'
+          }, 401);
         }
 
-        return new Response(thumbnail, {
-          headers: {
-            'Content-Type': 'image/png',
-            'Cache-Control': 'public, max-age=86400'
-          }
+        const { name, scopes, expiresInDays = 30 } = await c.req.json();
+        const { token, accessToken } = await authService.createAccessToken({ walletAddress, custodialId }, { name, scopes, expiresInDays });
+
+        return c.json({
+          success: true,
+          token,
+          accessToken
         });
       } catch (error) {
-        console.error('Diagram thumbnail access error:', error);
+        console.error('Access token creation error:', error);
+        const errorMessage = (error as Error).message;
+
+        let statusCode = 500;
+        if (errorMessage.includes('Invalid access token')) {
+          statusCode = 400;
+        }
+
         return c.json({
           success: false,
-          error: (error as Error).message || 'Failed to access diagram thumbnail'
+          error: errorMessage || 'Failed to create access token'
+        }, statusCode as any);
+      }
+    });
+
+    app.get('/api/tokens', async (c) => {
+      try {
+        const walletAddress = c.get('walletAddress');
+        const custodialId = c.get('custodialId');
+        if (!walletAddress && !custodialId) {
+          return c.json({
+            success: false,
+            error: 'Sign in with a wallet or a guest account to list access tokens'
+          }, 401);
+        }
+
+        const tokens = await authService.listAccessTokens({ walletAddress, custodialId });
+        return c.json({
+          success: true,
+          tokens
+        });
+      } catch (error) {
+        console.error('Access token listing error:', error);
+        return c.json({
+          success: false,
+          error: (error as Error).message || 'Failed to list access tokens'
         }, 500);
       }
     });
 
-    // Create custodial session
-    app.post('/api/auth/custodial', async (c) => {
+    app.delete('/api/tokens/:id', async (c) => {
       try {
-        const custodialId = arkivService.generateCustodialId();
-        console.log(`Created custodial session: ${custodialId}`);
+        const walletAddress = c.get('walletAddress');
+        const custodialId = c.get('custodialId');
+        const tokenId = c.req.param('id');
+        if (!walletAddress && !custodialId) {
+          return c.json({
+            success: false,
+            error: 'Sign in with a wallet or a guest account to revoke access tokens'
+          }, 401);
+        }
 
-        const userInfo = await arkivService.getUserTierInfo(undefined, custodialId);
+        const revoked = await authService.revokeAccessToken({ walletAddress, custodialId }, tokenId);
+        if (!revoked) {
+          return c.json({
+            success: false,
+            error: 'Access token not found'
+          }, 404);
+        }
 
+        console.log(`🎫 Access token ${tokenId} revoked`);
         return c.json({
           success: true,
-          custodialId,
-          userTier: userInfo
+          revoked: tokenId
         });
       } catch (error) {
-        console.error('Custodial session creation error:', error);
+        console.error('Access token revocation error:', error);
         return c.json({
           success: false,
-          error: (error as Error).message || 'Failed to create custodial session'
+          error: (error as Error).message || 'Failed to revoke access token'
         }, 500);
       }
     });
@@ -1950,8 +3031,8 @@ async function startServer() {
     // Get user tier information
     app.get('/api/user/info', async (c) => {
       try {
-        const walletAddress = c.req.header('x-wallet-address');
-        const custodialId = c.req.header('x-custodial-id');
+        const walletAddress = c.get('walletAddress');
+        const custodialId = c.get('custodialId');
 
         const userInfo = await arkivService.getUserTierInfo(walletAddress, custodialId);
 
@@ -1973,8 +3054,15 @@ async function startServer() {
     app.get('/api/diagrams/:id/versions', async (c) => {
       try {
         const diagramId = c.req.param('id');
-        const walletAddress = c.req.header('x-wallet-address');
-        const custodialId = c.req.header('x-custodial-id');
+        const walletAddress = c.get('walletAddress');
+        const custodialId = c.get('custodialId');
+
+        if (!walletAddress && !custodialId) {
+          return c.json({
+            success: false,
+            error: 'Authentication required'
+          }, 401);
+        }
 
         if (!diagramId) {
           return c.json({
@@ -1996,10 +3084,182 @@ async function startServer() {
 
       } catch (error) {
         console.error('Versions error:', error);
+        const errorMessage = (error as Error).message || 'Failed to get diagram versions';
         return c.json({
           success: false,
-          error: (error as Error).message || 'Failed to get diagram versions'
-        }, 500);
+          error: errorMessage
+        }, errorMessage.includes('Access denied') ? 403 : 500);
+      }
+    });
+
+    // Semantic diff between two versions (to defaults to the current version)
+    app.get('/api/diagrams/:id/diff', async (c) => {
+      try {
+        const diagramId = c.req.param('id');
+        const walletAddress = c.get('walletAddress');
+        const custodialId = c.get('custodialId');
+        const fromParam = c.req.query('from');
+        const toParam = c.req.query('to');
+
+        const fromVersion = fromParam ? parseInt(fromParam, 10) : NaN;
+        const toVersion = toParam ? parseInt(toParam, 10) : undefined;
+
+        if (Number.isNaN(fromVersion) || fromVersion < 1 || (toVersion !== undefined && (Number.isNaN(toVersion) || toVersion < 1))) {
+          return c.json({
+            success: false,
+            error: 'Query parameter "from" (and optional "to") must be a positive version number'
+          }, 400);
+        }
+
+        // Owners compare any versions; anyone else needs a share link for the diagram (?share=<token>)
+        const diff = await arkivService.diffDiagramVersions(diagramId, fromVersion, toVersion, walletAddress, custodialId, c.req.query('share'));
+
+        return c.json({
+          success: true,
+          data: diff
+        });
+
+      } catch (error) {
+        console.error('Diff error:', error);
+        const errorMessage = (error as Error).message || 'Failed to diff diagram versions';
+
+        let statusCode = 500;
+        if (errorMessage.includes('not found')) {
+          statusCode = 404;
+        } else if (errorMessage.includes('Access denied')) {
+          statusCode = 403;
+        } else if (errorMessage.includes('encrypted') && errorMessage.includes('password')) {
+          statusCode = 401;
+        } else if (errorMessage.includes('could not be parsed')) {
+          statusCode = 422;
+        }
+
+        return c.json({
+          success: false,
+          error: errorMessage
+        }, statusCode as any);
+      }
+    });
+
+    // Restore a historical version as the new current version
+    app.post('/api/diagrams/:id/versions/:version/restore', async (c) => {
+      try {
+        const diagramId = c.req.param('id');
+        const version = parseInt(c.req.param('version'), 10);
+        const walletAddress = c.get('walletAddress');
+        const custodialId = c.get('custodialId');
+
+        if (!walletAddress && !custodialId) {
+          return c.json({
+            success: false,
+            error: 'Authentication required'
+          }, 401);
+        }
+
+        if (!diagramId || Number.isNaN(version) || version < 1) {
+          return c.json({
+            success: false,
+            error: 'Diagram ID and a positive version number are required'
+          }, 400);
+        }
+
+        const { entityKey, diagramData } = await arkivService.restoreDiagramVersion(diagramId, version, walletAddress, custodialId);
+
+        if (entityKey === 'USE_FRONTEND') {
+          return c.json({
+            success: false,
+            requiresFrontendTransaction: true,
+            diagramData,
+            message: 'Backend has no signing key. Please use the plugin with MetaMask to sign the transaction.'
+          });
+        }
+
+        return c.json({
+          success: true,
+          diagramId,
+          entityKey,
+          version: diagramData.version,
+          restoredFromVersion: diagramData.restoredFromVersion
+        });
+
+      } catch (error) {
+        console.error('Restore version error:', error);
+        const errorMessage = (error as Error).message || 'Failed to restore diagram version';
+
+        let statusCode = 500;
+        if (errorMessage.includes('not found')) {
+          statusCode = 404;
+        } else if (errorMessage.includes('Access denied')) {
+          statusCode = 403;
+        }
+
+        return c.json({
+          success: false,
+          error: errorMessage
+        }, statusCode as any);
+      }
+    });
+
+    // Re-encrypt a diagram still in the legacy CryptoJS format with the AES-256-GCM envelope (as a new version)
+    app.post('/api/diagrams/:id/encryption/upgrade', async (c) => {
+      try {
+        const diagramId = c.req.param('id');
+        const walletAddress = c.get('walletAddress');
+        const custodialId = c.get('custodialId');
+
+        if (!walletAddress && !custodialId) {
+          return c.json({
+            success: false,
+            error: 'Authentication required'
+          }, 401);
+        }
+
+        const { password } = await c.req.json();
+
+        if (typeof password !== 'string' || !password) {
+          return c.json({
+            success: false,
+            error: 'password is required'
+          }, 400);
+        }
+
+        const { entityKey, diagramData, layers } = await arkivService.upgradeDiagramEncryption(diagramId, password, walletAddress, custodialId);
+
+        if (entityKey === 'USE_FRONTEND') {
+          return c.json({
+            success: false,
+            requiresFrontendTransaction: true,
+            diagramData,
+            message: 'Backend has no signing key. Please use the plugin with MetaMask to sign the transaction.'
+          });
+        }
+
+        return c.json({
+          success: true,
+          diagramId,
+          upgraded: entityKey !== null,
+          entityKey,
+          version: diagramData.version,
+          layers
+        });
+
+      } catch (error) {
+        console.error('Encryption upgrade error:', error);
+        const errorMessage = (error as Error).message || 'Failed to upgrade diagram encryption';
+
+        let statusCode = 500;
+        if (errorMessage.includes('not found')) {
+          statusCode = 404;
+        } else if (errorMessage.includes('Access denied')) {
+          statusCode = 403;
+        } else if (errorMessage.includes('Decryption failed')) {
+          statusCode = 401;
+        }
+
+        return c.json({
+          success: false,
+          error: errorMessage
+        }, statusCode as any);
       }
     });
 
@@ -2019,6 +3279,72 @@ async function startServer() {
       }
     });
 
+    app.get('/api/trash-purger/status', (c) => {
+      return c.json({
+        success: true,
+        data: trashPurger.getStatus()
+      });
+    });
+
+    app.get('/api/expiry-watchdog/status', (c) => {
+      return c.json({
+        success: true,
+        data: expiryWatchdog.getStatus()
+      });
+    });
+
+    // In-app notifications (expiry warnings, auto-renew results)
+    app.get('/api/notifications', (c) => {
+      const recipient = notificationService.recipientKey(c.get('walletAddress'), c.get('custodialId'));
+      if (!recipient) {
+        return c.json({
+          success: false,
+          error: 'Authentication required'
+        }, 401);
+      }
+
+      const notifications = notificationService.list(recipient, c.req.query('unread') === 'true');
+      return c.json({
+        success: true,
+        notifications,
+        unread: notifications.filter((notification) => !notification.read).length
+      });
+    });
+
+    app.post('/api/notifications/read-all', (c) => {
+      const recipient = notificationService.recipientKey(c.get('walletAddress'), c.get('custodialId'));
+      if (!recipient) {
+        return c.json({
+          success: false,
+          error: 'Authentication required'
+        }, 401);
+      }
+
+      return c.json({
+        success: true,
+        marked: notificationService.markAllRead(recipient)
+      });
+    });
+
+    app.post('/api/notifications/:id/read', (c) => {
+      const recipient = notificationService.recipientKey(c.get('walletAddress'), c.get('custodialId'));
+      if (!recipient) {
+        return c.json({
+          success: false,
+          error: 'Authentication required'
+        }, 401);
+      }
+
+      if (!notificationService.markRead(recipient, c.req.param('id'))) {
+        return c.json({
+          success: false,
+          error: 'Notification not found'
+        }, 404);
+      }
+
+      return c.json({ success: true });
+    });
+
     app.get('/health', (c) => {
       return c.json({
         status: 'healthy',
@@ -2151,6 +3477,11 @@ async function startServer() {
     console.log(`   POST /api/diagrams/export - Export diagram to Arkiv`);
     console.log(`   GET  /api/diagrams/import/:id - Import diagram from Arkiv`);
     console.log(`   GET  /api/diagrams/list - List all diagrams`);
+    console.log(`   GET  /api/folders - Folder tree (list a folder with /api/diagrams/list?folder=<id>)`);
+    console.log(`   GET  /api/tags - Your tags (filter with /api/diagrams/search?tags=a,b)`);
+    console.log(`   GET  /api/diagrams/trash - Diagrams in the trash (restorable for ${config.trash.retentionDays} days)`);
+    console.log(`   GET  /api/notifications - Expiry warnings and auto-renew results`);
+    console.log(`   POST /api/auth/siwe - Sign in with Ethereum (nonce from GET /api/auth/nonce)`);
 
     Bun.serve({
       fetch: app.fetch,
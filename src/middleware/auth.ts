@@ -0,0 +1,90 @@
+import type { Context, Next, MiddlewareHandler } from 'hono';
+import { ACCESS_TOKEN_PREFIX, GUEST_CREDENTIAL_PREFIX, type AuthService } from '../services/authService';
+import type { AccessTokenScope } from '../types/diagram';
+
+// Caller identity resolved by sessionAuth, read by the routes with c.get()
+export interface AuthVariables {
+  walletAddress?: string;
+  custodialId?: string;
+  custodialSessionId?: string; // Guest session the request was made with
+  accessTokenId?: string; // Access token the request was made with
+}
+
+/**
+ * Scope an access token needs for a request: managing tokens and sessions needs `admin`, creating, listing and
+ * revoking share links needs `share`, other reads (including search and shared links) need `read`, and anything else
+ * that changes data needs `write`. `admin` covers every scope.
+ */
+export function requiredScope(method: string, path: string): AccessTokenScope {
+  if (path === '/api/tokens' || path.startsWith('/api/tokens/') || path.startsWith('/api/auth/')) {
+    return 'admin';
+  }
+  const isRead = method === 'GET' || method === 'HEAD';
+  if (isRead && path.includes('/shared/')) {
+    return 'read';
+  }
+  if (/\/(share|shares|shared)(\/|$)/.test(path)) {
+    return 'share';
+  }
+  if (isRead || (method === 'POST' && path === '/api/diagrams/search')) {
+    return 'read';
+  }
+  return 'write';
+}
+
+/**
+ * Resolves the caller from `Authorization: Bearer <token>`: a wallet session token (see POST /api/auth/siwe), a
+ * guest session credential (`cs_...`, see POST /api/auth/custodial) or a personal access token (`pat_...`, see
+ * POST /api/tokens), which acts for its owner within its scopes. Identity headers are no longer trusted on their own:
+ * X-Wallet-Address / X-Custodial-Id sent without valid credentials, or for another identity than the credentials',
+ * get the request rejected.
+ */
+export function sessionAuth(authService: AuthService): MiddlewareHandler<{ Variables: AuthVariables }> {
+  return async (c: Context<{ Variables: AuthVariables }>, next: Next) => {
+    const authorization = c.req.header('authorization');
+    const claimedWallet = c.req.header('x-wallet-address');
+    const claimedCustodialId = c.req.header('x-custodial-id');
+
+    const token = authorization?.startsWith('Bearer ') ? authorization.slice('Bearer '.length).trim() : undefined;
+    const isGuestToken = token?.startsWith(GUEST_CREDENTIAL_PREFIX) ?? false;
+    const isAccessToken = token?.startsWith(ACCESS_TOKEN_PREFIX) ?? false;
+    const session = token && !isGuestToken && !isAccessToken ? authService.verifySession(token) : null;
+    const guest = token && isGuestToken ? await authService.verifyGuestCredential(token) : null;
+    const accessToken = token && isAccessToken ? await authService.verifyAccessToken(token) : null;
+
+    const walletAddress = session?.address ?? accessToken?.walletAddress;
+    const custodialId = guest?.custodialId ?? accessToken?.custodialId;
+
+    let error: string | undefined;
+    if (token && !session && !guest && !accessToken) {
+      error = isAccessToken
+        ? 'Access token is invalid, revoked or has expired.'
+        : isGuestToken
+          ? 'Guest session is invalid, revoked or has expired. Restore it with your recovery code.'
+          : 'Wallet session is invalid or has expired. Sign in with Ethereum again.';
+    } else if (claimedWallet && !walletAddress) {
+      error = 'Sign in with Ethereum to act as this wallet.';
+    } else if (claimedWallet && claimedWallet.toLowerCase() !== walletAddress) {
+      error = 'Wallet session belongs to another wallet. Sign in with Ethereum again.';
+    } else if (claimedCustodialId && claimedCustodialId !== custodialId) {
+      error = 'A guest session credential is required to act as this guest account.';
+    }
+    if (error) {
+      // Scripts holding an access token cannot sign in interactively
+      return c.json(isAccessToken ? { success: false, error } : { success: false, error, requiresSignIn: true }, 401);
+    }
+
+    if (accessToken) {
+      const scope = requiredScope(c.req.method, c.req.path);
+      if (!accessToken.scopes.includes(scope) && !accessToken.scopes.includes('admin')) {
+        return c.json({ success: false, error: `Access token lacks the "${scope}" scope` }, 403);
+      }
+    }
+
+    c.set('walletAddress', walletAddress);
+    c.set('custodialId', custodialId);
+    c.set('custodialSessionId', guest?.sessionId);
+    c.set('accessTokenId', accessToken?.tokenId);
+    await next();
+  };
+}
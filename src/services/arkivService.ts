@@ -1,18 +1,88 @@
-import { createPublicClient, createWalletClient, http, type Attribute, type Entity, type MimeType, type PublicArkivClient, type WalletArkivClient } from '@arkiv-network/sdk';
-import { privateKeyToAccount } from '@arkiv-network/sdk/accounts';
-import { kaolin, mendoza, marketplace, localhost } from '@arkiv-network/sdk/chains';
-import type { Chain, Hex } from 'viem';
-import { DiagramData, DiagramMetadata, UserConfig, ChunkExportRequest, ChunkData, UserTier, ShareToken, ShareTokenRequest, ShareTokenResponse, SearchRequest, SearchResult, DirectDiagramResult, DiagramThumbnailOptions } from '../types/diagram';
+import type { Attribute, MimeType } from '@arkiv-network/sdk';
+import { ArkivTransactionRequest, BTLExtension, BTLExtensionResult, DiagramData, DiagramDeletionResult, DiagramMoveResult, DiagramPage, DiagramPageQuery, DiagramRestoreResult, DiagramTagsResult, DiagramTextMatch, DiagramTrashResult, EntityDeletion, Folder, FolderNode, FolderRequest, FolderResult, FolderShareRequest, PurgeCandidate, SharedFolder, TagUsage, ExpiringDiagram, DiagramDiff, DiagramMetadata, DiagramProjection, UserConfig, ChunkExportRequest, ChunkData, ChunkManifest, ChunkManifestRequest, ChunkUploadStatus, UserTier, ShareToken, ShareTokenRequest, ShareTokenResponse, AccessToken, AccountLinkResult, CustodialAccount, CustodialSession, SearchRequest, SearchResult, DirectDiagramResult, DiagramThumbnailOptions, DiagramValidators } from '../types/diagram';
 import { UserService } from './userService';
 import { RetryQueue, RetryOperation } from './retryQueue';
 import { DrawIOExporterService } from './drawioExporter';
+import { DiagramDiffService } from './diagramDiff';
+import { DIAGRAM_EVENT_TYPES, DiagramProjectionService, ProjectionBase } from './diagramProjection';
+import { FolderTreeService, ROOT_FOLDER_ID } from './folderTree';
+import { SearchIndex } from './searchIndex';
+import { BLOCK_TIME_SECONDS, BlockTiming, CreateEntityRequest, ExtendEntityRequest, QueryOrder, StorageAdapter, StorageEntity } from './storageAdapter';
+import { buildQuery, Condition, where } from '../utils/queryBuilder';
+import { encodeArkivTransaction } from '../utils/arkivTransaction';
+import type { QueryNode } from '../utils/entityQuery';
+import { compressPayload, ContentEncoding, CONTENT_ENCODING_ATTRIBUTE, decompressPayload } from '../utils/payloadCodec';
+import { DiagramTextEntry, extractDiagramText } from '../utils/diagramText';
+import { formatTagsAttribute, normalizeTags, parseTagsAttribute, tagGlob, TAGS_ATTRIBUTE } from '../utils/tags';
+import { decodeListingCursor, encodeListingCursor, ListingCursor, listingFingerprint } from '../utils/listingCursor';
+import { LruCache } from '../utils/lruCache';
+import { decryptContent, encryptContent, EncryptionFormat, encryptionFormat, EncryptionKdf } from '../utils/contentCipher';
 import crypto from 'crypto';
-import CryptoJS from 'crypto-js';
-
-const BLOCK_TIME_SECONDS = 2;
-const KNOWN_CHAINS: Chain[] = [kaolin, mendoza, marketplace, localhost];
 
 const attr = (key: string, value: string | number): Attribute => ({ key, value });
+const readAttr = (entity: StorageEntity, key: string): string | number | undefined =>
+  entity.attributes?.find((attribute) => attribute.key === key)?.value;
+
+// Folders outlive most diagrams; they are cheap and empty ones can be deleted
+const FOLDER_BTL_DAYS = 365;
+// Guest accounts (the recovery code hash) outlive their sessions and diagrams
+const CUSTODIAL_ACCOUNT_BTL_DAYS = 365;
+// Records of the owner opening a diagram cover the longest 'if_opened' window worth keeping
+const OPENED_RECORD_BTL_DAYS = 365;
+// Backend-signed records that identify a caller; they are retired, not moved, when a guest account moves to a wallet
+const CREDENTIAL_RECORD_TYPES = ['custodial_account', 'custodial_session', 'access_token', 'access_token_use'] as const;
+type CredentialRecordType = typeof CREDENTIAL_RECORD_TYPES[number];
+
+// Lifetime of events whose diagram expiry is unknown
+const DEFAULT_EVENT_BTL_DAYS = 100;
+
+// Arkiv mutations are bounded by the block gas limit; larger deletions are split across transactions
+const MAX_DELETES_PER_TRANSACTION = 100;
+// Entities copied per transaction when a guest account moves to a wallet (they carry whole payloads)
+const MAX_REHOMED_PER_TRANSACTION = 20;
+
+// Diagram listings: page sizes, entities read per chain query and keys per `||` lookup
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const LISTING_QUERY_PAGE_SIZE = 500;
+const LOOKUP_BATCH_SIZE = 100;
+
+// Sorts the chain applies, on attributes of the saved version. Title and score depend on events and text, so those
+// listings are sorted here.
+const CHAIN_SORTS: Partial<Record<NonNullable<SearchRequest['sortBy']>, Omit<QueryOrder, 'desc'>>> = {
+  timestamp: { attribute: 'timestamp', type: 'numeric' },
+  author: { attribute: 'author', type: 'string' },
+  size: { attribute: 'size_kb', type: 'numeric' }
+};
+
+// Decoded payloads kept per entity key, on top of the memory limit
+const PAYLOAD_CACHE_ENTRIES = 10000;
+
+type EntityCreate = Omit<CreateEntityRequest, 'contentType'> & { contentType?: MimeType };
+
+export interface ArkivCacheOptions {
+  payloadMaxMb: number; // Decoded entity payloads (0 disables)
+  diagramEntries: number; // Resolved newest versions per diagram ID (0 disables)
+  diagramTtlSeconds: number; // Bounds how long writes this backend did not make (MetaMask, other instances) go unseen
+}
+
+const DEFAULT_CACHE_OPTIONS: ArkivCacheOptions = { payloadMaxMb: 64, diagramEntries: 500, diagramTtlSeconds: 30 };
+
+// Newest version of a diagram with its events applied, as served to the read-only routes
+interface ResolvedDiagram {
+  data: DiagramData;
+  validators: DiagramValidators;
+}
+
+// Request-level state of one listing page
+interface ListingPage {
+  limit: number;
+  cursor: ListingCursor | null;
+  fingerprint: string;
+  accept: (diagram: DiagramMetadata) => SearchResult | null;
+  walletAddress?: string;
+  custodialId?: string;
+}
 
 function blocksToSeconds(blocks?: number): number {
   if (!blocks || blocks <= 0) {
@@ -21,65 +91,37 @@ function blocksToSeconds(blocks?: number): number {
   return Math.max(1, Math.floor(blocks) * BLOCK_TIME_SECONDS);
 }
 
-function withCustomRpc(chain: Chain, rpcUrl: string, wsUrl?: string): Chain {
-  const httpUrls = [rpcUrl] as const;
-  const wsUrls = wsUrl ? ([wsUrl] as const) : undefined;
-  return {
-    ...chain,
-    rpcUrls: {
-      ...chain.rpcUrls,
-      default: {
-        ...chain.rpcUrls?.default,
-        http: httpUrls,
-        ...(wsUrls ? { webSocket: wsUrls } : {})
-      }
-    }
-  } as Chain;
-}
-
-function resolveChain(chainId: number, rpcUrl: string, wsUrl: string): Chain {
-  const match = KNOWN_CHAINS.find((chain) => chain.id === chainId);
-  if (match) {
-    return withCustomRpc(match, rpcUrl, wsUrl);
-  }
-
-  const httpUrls = [rpcUrl] as const;
-  const wsUrls = wsUrl ? ([wsUrl] as const) : undefined;
-
-  return {
-    id: chainId,
-    name: `Arkiv ${chainId}`,
-    network: `arkiv-${chainId}`,
-    nativeCurrency: {
-      name: 'Ether',
-      symbol: 'ETH',
-      decimals: 18
-    },
-    rpcUrls: {
-      default: {
-        http: httpUrls,
-        ...(wsUrls ? { webSocket: wsUrls } : {})
-      }
-    },
-    testnet: true
-  } as Chain;
-}
-
 export class ArkivService {
-  private writeClient: WalletArkivClient | null = null;
-  private readClient: PublicArkivClient | null = null;
   private encoder = new TextEncoder();
   private decoder = new TextDecoder();
   private userService = new UserService();
   private retryQueue: RetryQueue;
   private drawioExporter: DrawIOExporterService;
+  private diagramDiff = new DiagramDiffService();
+  private diagramProjection = new DiagramProjectionService();
+  private folderTree = new FolderTreeService();
+  private searchIndex = new SearchIndex();
+  // Entities never change under a key, so decoded payloads stay valid until evicted
+  private payloadCache: LruCache<string, string>;
+  // Diagram ID -> resolved diagram; dropped when a write through this backend touches the diagram
+  private diagramCache: LruCache<string, ResolvedDiagram>;
+  private diagramCacheGeneration = 0;
 
   constructor(
-    private chainId: string,
-    private privateKey: string | undefined,
-    private rpcUrl: string,
-    private wsUrl: string
+    private storage: StorageAdapter,
+    private payloadEncoding: ContentEncoding = 'br',
+    cacheOptions: ArkivCacheOptions = DEFAULT_CACHE_OPTIONS,
+    private encryptionKdf: EncryptionKdf = 'pbkdf2'
   ) {
+    this.payloadCache = new LruCache({
+      maxEntries: cacheOptions.payloadMaxMb > 0 ? PAYLOAD_CACHE_ENTRIES : 0,
+      maxWeight: cacheOptions.payloadMaxMb * 1024 * 1024,
+      weigh: (payload) => payload.length * 2 // UTF-16
+    });
+    this.diagramCache = new LruCache({
+      maxEntries: cacheOptions.diagramTtlSeconds > 0 ? cacheOptions.diagramEntries : 0,
+      ttlMs: cacheOptions.diagramTtlSeconds * 1000
+    });
     this.retryQueue = new RetryQueue();
     this.drawioExporter = new DrawIOExporterService(process.env.DRAWIO_EXPORTER_URL);
     this.setupRetryQueueHandlers();
@@ -125,119 +167,323 @@ export class ArkivService {
     return this.retryQueue.getQueueStatus();
   }
 
-  private getQueryClient(): PublicArkivClient {
-    if (!this.readClient) {
-      throw new Error('Arkiv client is not initialized');
+  private ensureWriteClient(): void {
+    if (!this.storage.canWrite()) {
+      throw new Error('Backend is running without a signing key. Use the Draw.io plugin with MetaMask to sign and pay for transactions.');
+    }
+  }
+
+  private async queryEntities(query: QueryNode): Promise<StorageEntity[]> {
+    return await this.storage.query(buildQuery(query));
+  }
+
+  // Orders diagram entities newest version first (timestamp breaks ties)
+  private compareDiagramVersions(a: StorageEntity, b: StorageEntity): number {
+    const versionDelta = Number(readAttr(b, 'version') ?? 0) - Number(readAttr(a, 'version') ?? 0);
+    if (versionDelta !== 0) {
+      return versionDelta;
     }
+    return Number(readAttr(b, 'timestamp') ?? 0) - Number(readAttr(a, 'timestamp') ?? 0);
+  }
 
-    return this.readClient;
+  // Orders diagram entities oldest first, by the block that created them where the node reports it
+  private compareVersionAge(a: StorageEntity, b: StorageEntity): number {
+    if (a.createdAtBlock !== undefined && b.createdAtBlock !== undefined && a.createdAtBlock !== b.createdAtBlock) {
+      return a.createdAtBlock < b.createdAtBlock ? -1 : 1;
+    }
+    return this.compareDiagramVersions(b, a);
   }
 
-  private ensureWriteClient(): WalletArkivClient {
-    if (!this.writeClient) {
-      throw new Error('Backend is running without a signing key. Use the Draw.io plugin with MetaMask to sign and pay for transactions.');
+  /**
+   * Versions written by the diagram's owner. Anyone can write an entity claiming a diagram ID, so the oldest entity
+   * starts the chain and later ones only count when they match its signer and owner attributes.
+   */
+  private ownedVersions(entities: StorageEntity[]): StorageEntity[] {
+    if (entities.length === 0) {
+      return [];
+    }
+    const origin = entities.reduce((oldest, entity) => this.compareVersionAge(entity, oldest) < 0 ? entity : oldest);
+    return entities.filter((entity) => entity === origin || this.isDiagramEventAuthorized(entity, origin));
+  }
+
+  // Head of the version chain for a diagram ID
+  private async findLatestDiagramEntity(diagramId: string): Promise<StorageEntity | null> {
+    const entities = this.ownedVersions(await this.queryEntities(where.and(where.eq('type', 'diagram'), where.eq('id', diagramId))));
+    if (entities.length === 0) {
+      return null;
+    }
+
+    return entities.sort((a, b) => this.compareDiagramVersions(a, b))[0];
+  }
+
+  // Entity holding a specific version of a diagram
+  private async findDiagramVersionEntity(diagramId: string, version: number): Promise<StorageEntity | null> {
+    const candidates = this.ownedVersions(await this.queryEntities(where.and(where.eq('type', 'diagram'), where.eq('id', diagramId))))
+      .sort((a, b) => this.compareDiagramVersions(a, b));
+    const tagged = candidates.find((entity) => Number(readAttr(entity, 'version')) === version);
+    if (tagged) {
+      return tagged;
+    }
+
+    // Entities signed from the plugin store the version as a string attribute, match on the payload instead
+    for (const entity of candidates) {
+      try {
+        const diagram: DiagramData = JSON.parse(await this.decodeEntityPayload(entity));
+        if ((diagram.version || 1) === version) {
+          return entity;
+        }
+      } catch (decodeError) {
+        console.log(`Could not decode entity ${entity.key}:`, decodeError);
+      }
+    }
+
+    return null;
+  }
+
+  // Collapse a query result to one entity (the newest version) per diagram ID
+  private latestDiagramVersions(entities: StorageEntity[]): StorageEntity[] {
+    const heads = new Map<string, StorageEntity>();
+    for (const entity of entities) {
+      const diagramId = String(readAttr(entity, 'id') ?? entity.key);
+      const current = heads.get(diagramId);
+      if (!current || this.compareDiagramVersions(entity, current) < 0) {
+        heads.set(diagramId, entity);
+      }
+    }
+    return Array.from(heads.values());
+  }
+
+  // Rename / BTL-change / protection / trash / move / tags events, optionally for some diagrams or one owner
+  private diagramEventsQuery(filters: { diagramId?: string; diagramIds?: string[]; walletAddress?: string; custodialId?: string }): QueryNode {
+    return where.and(
+      where.or(...DIAGRAM_EVENT_TYPES.map((type) => where.eq('type', type))),
+      filters.diagramId && where.eq('originalDiagramId', filters.diagramId),
+      filters.diagramIds?.length && where.or(...filters.diagramIds.map((diagramId) => where.eq('originalDiagramId', diagramId))),
+      filters.walletAddress && where.eq('wallet', filters.walletAddress),
+      filters.custodialId && where.eq('custodial_id', filters.custodialId)
+    );
+  }
+
+  /**
+   * An event counts only when it was signed by the diagram's signer (the backend key, or the owner's wallet via
+   * MetaMask) and recorded for the same wallet / custodial owner. Anyone can write an entity claiming a diagram ID.
+   */
+  private isDiagramEventAuthorized(event: StorageEntity, diagram: StorageEntity): boolean {
+    const normalize = (value: unknown) => String(value ?? '').toLowerCase();
+    const diagramWallet = normalize(readAttr(diagram, 'wallet'));
+
+    if (event.owner && diagram.owner) {
+      const signer = normalize(event.owner);
+      if (signer !== normalize(diagram.owner) && signer !== diagramWallet) {
+        return false;
+      }
+    }
+
+    return normalize(readAttr(event, 'wallet')) === diagramWallet
+      && normalize(readAttr(event, 'custodial_id')) === normalize(readAttr(diagram, 'custodial_id'));
+  }
+
+  // Effective state of a diagram: `diagram` is its newest version entity (or a chunk / manifest of a sharded one)
+  private projectDiagram(diagram: StorageEntity, base: ProjectionBase, eventEntities: StorageEntity[]): DiagramProjection {
+    const diagramId = String(readAttr(diagram, 'id') ?? readAttr(diagram, 'diagram_id') ?? '');
+    const events = eventEntities
+      .filter((entity) => readAttr(entity, 'originalDiagramId') === diagramId && this.isDiagramEventAuthorized(entity, diagram))
+      .map((entity) => this.diagramProjection.parseEvent(entity))
+      .filter((event): event is NonNullable<typeof event> => event !== null);
+
+    return this.diagramProjection.project({ ...base, tags: base.tags ?? parseTagsAttribute(readAttr(diagram, TAGS_ATTRIBUTE)) }, events);
+  }
+
+  private withProjection<T extends DiagramData | DiagramMetadata>(target: T, projection: DiagramProjection): T {
+    return {
+      ...target,
+      title: projection.title,
+      btlDays: projection.btlDays,
+      expiresAt: projection.expiresAt,
+      protected: projection.protected,
+      protectedAt: projection.protectedAt,
+      trashedAt: projection.trashedAt,
+      purgeAt: projection.purgeAt,
+      folderId: projection.folderId,
+      tags: projection.tags
+    };
+  }
+
+  // Fold a single diagram's events onto data read from its newest version, saved at `savedAt`
+  private async projectDiagramData<T extends DiagramData | DiagramMetadata>(target: T, diagram: StorageEntity, savedAt = target.timestamp): Promise<T> {
+    try {
+      const events = await this.queryEntities(this.diagramEventsQuery({ diagramId: target.id }));
+      const btlDays = Number(readAttr(diagram, 'btl_days'));
+      const projection = this.projectDiagram(diagram, {
+        title: target.title,
+        timestamp: savedAt,
+        btlDays: Number.isFinite(btlDays) && btlDays > 0 ? btlDays : undefined
+      }, events);
+
+      if (projection.appliedEvents > 0) {
+        console.log(`🧾 Applied ${projection.appliedEvents} event(s) to diagram ${target.id}`);
+      }
+      return await this.withEntityExpiry(this.withProjection(target, projection), [diagram]);
+    } catch (error) {
+      console.log(`Could not load events for diagram ${target.id}:`, error);
+      return target;
     }
+  }
 
-    return this.writeClient;
+  // Wall-clock estimate of when an absolute expiry block is reached
+  private expiryTime(expiresAtBlock: number, timing: BlockTiming): number {
+    return Date.now() + Math.max(0, expiresAtBlock - Number(timing.currentBlock)) * timing.blockTimeSeconds * 1000;
   }
 
-  private async queryEntities(query: string): Promise<Entity[]> {
-    const client = this.getQueryClient();
-    return await client.query(query);
+  /**
+   * Expiry read from the entities themselves rather than from the BTL they were saved with; a diagram is gone as
+   * soon as its earliest entity expires
+   */
+  private async withEntityExpiry<T extends DiagramData | DiagramMetadata>(target: T, entities: StorageEntity[], timing?: BlockTiming): Promise<T> {
+    try {
+      const expiries = (await Promise.all(entities.map((entity) => this.entityExpiryBlock(entity))))
+        .filter((block): block is number => block !== null);
+      if (expiries.length === 0) {
+        return target;
+      }
+
+      const expiresAtBlock = Math.min(...expiries);
+      return { ...target, expiresAtBlock, expiresAt: this.expiryTime(expiresAtBlock, timing ?? await this.storage.getBlockTiming()) };
+    } catch (error) {
+      console.log(`Could not read expiry of diagram ${target.id}:`, error);
+      return target;
+    }
   }
 
-  private async ensureEntityPayload(entity: Entity): Promise<Uint8Array> {
+  private async ensureEntityPayload(entity: StorageEntity): Promise<Uint8Array> {
     if (entity.payload && entity.payload.length > 0) {
       return entity.payload;
     }
 
-    const client = this.getQueryClient();
-    const fullEntity = await client.getEntity(entity.key as Hex);
-    if (!fullEntity.payload || fullEntity.payload.length === 0) {
+    const fullEntity = await this.storage.getEntity(entity.key);
+    if (!fullEntity || !fullEntity.payload || fullEntity.payload.length === 0) {
       throw new Error(`Entity ${entity.key} has no payload data`);
     }
 
     return fullEntity.payload;
   }
 
-  private async decodeEntityPayload(entity: Entity): Promise<string> {
+  private async decodeEntityPayload(entity: StorageEntity): Promise<string> {
+    const cached = this.payloadCache.get(entity.key);
+    if (cached !== undefined) {
+      return cached;
+    }
+
     const payload = await this.ensureEntityPayload(entity);
-    return this.decoder.decode(payload);
+    const encoding = readAttr(entity, CONTENT_ENCODING_ATTRIBUTE);
+    const decoded = this.decoder.decode(decompressPayload(payload, encoding === undefined ? undefined : String(encoding)));
+    this.payloadCache.set(entity.key, decoded);
+    return decoded;
+  }
+
+  // Compress a payload with the configured codec, keeping it as-is when compression does not pay off
+  private encodeEntityPayload(payload: Uint8Array): { payload: Uint8Array; encoding: ContentEncoding } {
+    if (this.payloadEncoding === 'identity') {
+      return { payload, encoding: 'identity' };
+    }
+
+    const compressed = compressPayload(payload, this.payloadEncoding);
+    if (compressed.length >= payload.length) {
+      return { payload, encoding: 'identity' };
+    }
+    return { payload: compressed, encoding: this.payloadEncoding };
   }
 
-  private async createEntities(requests: Array<{ payload: Uint8Array; attributes: Attribute[]; expiresInSeconds: number; contentType?: MimeType }>): Promise<Hex[]> {
+  private async createEntities(requests: EntityCreate[]): Promise<string[]> {
     if (!requests.length) {
       return [];
     }
 
-    const client = this.ensureWriteClient();
-    const result = await client.mutateEntities({
-      creates: requests.map((request) => ({
-        payload: request.payload,
-        attributes: request.attributes,
-        contentType: request.contentType ?? 'application/json',
-        expiresIn: Math.max(1, Math.floor(request.expiresInSeconds))
-      }))
-    });
+    this.ensureWriteClient();
+    try {
+      return await this.storage.createEntities(requests.map((request) => this.prepareEntityCreate(request)));
+    } finally {
+      this.invalidateDiagrams(requests.flatMap((request) => this.touchedDiagramIds(request.attributes)));
+    }
+  }
+
+  // Diagrams whose served state a new entity can change: versions, chunks / manifests and events
+  private touchedDiagramIds(attributes: Attribute[]): string[] {
+    const value = (key: string) => attributes.find((attribute) => attribute.key === key)?.value;
+    const type = String(value('type') ?? '');
+    const diagramId = type === 'diagram'
+      ? value('id')
+      : type === 'diagram_chunk' || type === 'diagram_manifest'
+        ? value('diagram_id')
+        : value('originalDiagramId');
+    return diagramId === undefined ? [] : [String(diagramId)];
+  }
+
+  private invalidateDiagrams(diagramIds: string[]) {
+    if (diagramIds.length === 0) {
+      return;
+    }
+    this.diagramCacheGeneration++;
+    diagramIds.forEach((diagramId) => this.diagramCache.delete(diagramId));
+  }
+
+  private prepareEntityCreate(request: EntityCreate): CreateEntityRequest {
+    // contentType describes the decoded payload, content_encoding how it is compressed (as in HTTP)
+    const { payload, encoding } = this.encodeEntityPayload(request.payload);
+    if (encoding !== 'identity') {
+      console.log(`🗜️ Payload compressed with ${encoding}: ${request.payload.length} → ${payload.length} bytes`);
+    }
 
-    return result.createdEntities ?? [];
+    return {
+      payload,
+      attributes: encoding === 'identity'
+        ? request.attributes
+        : [...request.attributes, attr(CONTENT_ENCODING_ATTRIBUTE, encoding)],
+      contentType: request.contentType ?? 'application/json',
+      expiresInSeconds: request.expiresInSeconds
+    };
   }
 
-  private async deleteEntities(entityKeys: Hex[]): Promise<Hex[]> {
+  // `diagramIds`: diagrams the deleted entities belong to
+  private async deleteEntities(entityKeys: string[], diagramIds: string[] = []): Promise<string[]> {
     if (!entityKeys.length) {
       return [];
     }
 
-    const client = this.ensureWriteClient();
-    const result = await client.mutateEntities({
-      deletes: entityKeys.map((entityKey) => ({ entityKey }))
-    });
+    this.ensureWriteClient();
+    try {
+      return await this.storage.deleteEntities(entityKeys);
+    } finally {
+      this.invalidateDiagrams(diagramIds);
+    }
+  }
+
+  private async extendEntities(extensions: ExtendEntityRequest[], diagramIds: string[] = []): Promise<string[]> {
+    if (!extensions.length) {
+      return [];
+    }
 
-    return result.deletedEntities ?? [];
+    this.ensureWriteClient();
+    try {
+      return await this.storage.extendEntities(extensions);
+    } finally {
+      this.invalidateDiagrams(diagramIds);
+    }
   }
 
   hasWriteAccess(): boolean {
-    return this.writeClient !== null;
+    return this.storage.canWrite();
   }
 
   async initialize(): Promise<void> {
-    try {
-      const numericChainId = parseInt(this.chainId, 10);
-      if (Number.isNaN(numericChainId)) {
-        throw new Error(`Invalid ARKIV_CHAIN_ID value: ${this.chainId}`);
-      }
-      const chain = resolveChain(numericChainId, this.rpcUrl, this.wsUrl);
+    await this.storage.initialize();
+  }
 
-      const publicClient = createPublicClient({
-        chain,
-        transport: http(this.rpcUrl)
-      });
-      this.readClient = publicClient;
-      console.log('Arkiv read-only client initialized successfully');
-
-      if (this.privateKey) {
-        const normalizedPrivateKey = this.privateKey.startsWith('0x')
-          ? (this.privateKey as Hex)
-          : (`0x${this.privateKey}` as Hex);
-
-        const account = privateKeyToAccount(normalizedPrivateKey);
-        const walletClient = createWalletClient({
-          chain,
-          transport: http(this.rpcUrl),
-          account
-        });
-        this.writeClient = walletClient;
-        console.log('Arkiv write client initialized successfully');
-      } else {
-        console.log('Arkiv write client not configured – operating in read-only mode');
-      }
-    } catch (error) {
-      console.error('Failed to initialize Arkiv client:', error);
-      throw new Error('Arkiv initialization failed');
+  async exportDiagram(diagramData: DiagramData, walletAddress?: string, customBtl?: number, encryptionPassword?: string, custodialId?: string, existingDiagramId?: string): Promise<string> {
+    if (existingDiagramId) {
+      await this.linkToPreviousVersion(diagramData, existingDiagramId, walletAddress, custodialId);
     }
-  }
 
-  async exportDiagram(diagramData: DiagramData, walletAddress?: string, customBtl?: number, encryptionPassword?: string, custodialId?: string): Promise<string> {
     // First try immediate export, if it fails, add to retry queue
     try {
       return await this.performExport({
@@ -256,6 +502,33 @@ export class ArkivService {
     }
   }
 
+  // Continue an existing diagram's version chain instead of minting a new diagram
+  private async linkToPreviousVersion(diagramData: DiagramData, diagramId: string, walletAddress?: string, custodialId?: string): Promise<void> {
+    diagramData.id = diagramId;
+
+    const previousEntity = await this.findLatestDiagramEntity(diagramId);
+    if (!previousEntity) {
+      console.log(`No previous version found for ${diagramId}, starting a new version chain`);
+      diagramData.version = 1;
+      return;
+    }
+
+    if (!this.isOwnedByCaller(previousEntity, walletAddress, custodialId)) {
+      throw new Error(`Access denied: cannot save a new version of diagram ${diagramId}`);
+    }
+
+    const previousDiagram: DiagramData = JSON.parse(await this.decodeEntityPayload(previousEntity));
+    const previousVersion = Math.max(previousDiagram.version || 1, Number(readAttr(previousEntity, 'version') ?? 0));
+    diagramData.version = previousVersion + 1;
+    diagramData.previousEntityKey = previousEntity.key;
+
+    // Saving without tags keeps the diagram's current tags
+    if (diagramData.tags === undefined) {
+      diagramData.tags = (await this.projectDiagramData(previousDiagram, previousEntity)).tags;
+    }
+    console.log(`📚 Saving ${diagramId} as version ${diagramData.version} (previous entity: ${previousEntity.key})`);
+  }
+
   private isNetworkTimeoutError(error: any): boolean {
     const errorMessage = error?.message?.toLowerCase() || '';
     return errorMessage.includes('timeout') ||
@@ -322,7 +595,8 @@ export class ArkivService {
       let currentCount = 0;
       try {
         const currentDiagrams = await this.listDiagrams(diagramData.author, walletAddress, custodialId);
-        currentCount = currentDiagrams.length;
+        // A new version of an existing diagram does not count against the limit
+        currentCount = currentDiagrams.filter((diagram) => diagram.id !== diagramData.id).length;
         console.log(`Found ${currentCount} existing diagrams for user`);
       } catch (listError) {
         console.log(`⚠️ Could not get diagram count (network timeout), skipping limit validation:`, listError);
@@ -340,7 +614,7 @@ export class ArkivService {
       }
 
       // If no backend private key, return indication that frontend should handle the transaction
-      if (!this.writeClient) {
+      if (!this.storage.canWrite()) {
         console.log('⚠️ Backend has no private key - frontend must handle transaction via MetaMask');
         return 'USE_FRONTEND'; // Plugin will detect this and use MetaMask
       }
@@ -390,16 +664,20 @@ export class ArkivService {
         }
       }
 
+      // Restored versions may carry content that is already encrypted - store it as-is
+      const contentAlreadyEncrypted = diagramData.encrypted === true;
+
       // Prepare diagram data with encryption flag
       const diagramDataToStore = {
         ...diagramData,
-        encrypted: shouldEncrypt
+        encrypted: shouldEncrypt || contentAlreadyEncrypted
       };
 
       // Encrypt content if needed
-      if (shouldEncrypt && password) {
+      if (shouldEncrypt && password && !contentAlreadyEncrypted) {
         console.log(`🔐 Encrypting diagram content`);
-        diagramDataToStore.content = this.encryptContent(diagramData.content, password);
+        diagramDataToStore.content = await encryptContent(diagramData.content, password, this.encryptionKdf);
+        console.log('🔐 Content encrypted successfully');
       }
 
       const diagramJson = JSON.stringify(diagramDataToStore);
@@ -423,9 +701,15 @@ export class ArkivService {
       if (custodialId) {
         stringAttributes.push(attr('custodial_id', custodialId));
       }
-      if (shouldEncrypt) {
+      if (diagramDataToStore.encrypted) {
         stringAttributes.push(attr('encrypted', '1'));
       }
+      if (diagramData.previousEntityKey) {
+        stringAttributes.push(attr('previous_entity_key', diagramData.previousEntityKey));
+      }
+      if (diagramData.tags && diagramData.tags.length > 0) {
+        stringAttributes.push(attr(TAGS_ATTRIBUTE, formatTagsAttribute(diagramData.tags)));
+      }
 
       const numericAttributes: Attribute[] = [
         attr('timestamp', diagramData.timestamp),
@@ -434,6 +718,10 @@ export class ArkivService {
         attr('btl_days', Math.max(1, btlDays))
       ];
 
+      if (diagramData.restoredFromVersion) {
+        numericAttributes.push(attr('restored_from_version', diagramData.restoredFromVersion));
+      }
+
       const attributes = [...stringAttributes, ...numericAttributes];
       const expiresInSeconds = blocksToSeconds(btlBlocks);
 
@@ -441,7 +729,7 @@ export class ArkivService {
   console.log(`String attributes count: ${stringAttributes.length}`);
   console.log(`Numeric attributes count: ${numericAttributes.length}`);
 
-  let createdEntityKeys: Hex[] = [];
+  let createdEntityKeys: string[] = [];
       try {
         createdEntityKeys = await this.createEntities([{
           payload: encodedData,
@@ -477,6 +765,7 @@ export class ArkivService {
       if (createdEntityKeys && createdEntityKeys.length > 0) {
         const entityKey = createdEntityKeys[0];
         console.log(`✅ Diagram exported successfully with entity key: ${entityKey}`);
+        this.indexDiagramText(diagramData.id, entityKey, { content: diagramData.content, encrypted: diagramDataToStore.encrypted });
 
         // Verify the data was saved correctly
         console.log(`🔍 Verifying saved data...`);
@@ -501,78 +790,40 @@ export class ArkivService {
     }
   }
 
-  async importDiagram(diagramId: string, decryptionPassword?: string): Promise<DiagramData | null> {
+  async importDiagram(diagramId: string, decryptionPassword?: string, version?: number): Promise<DiagramData | null> {
     try {
-      // First try to import as a regular diagram
-    const query = `type = "diagram" && id = "${diagramId}"`;
-    console.log(`Executing import query: ${query}`);
-    const queryResult = await this.queryEntities(query);
+      // A specific historical version was requested
+      if (version !== undefined) {
+        const versionEntity = await this.findDiagramVersionEntity(diagramId, version);
+        if (!versionEntity) {
+          throw new Error(`Version ${version} of diagram '${diagramId}' not found`);
+        }
+        return await this.decodeDiagramEntity(versionEntity, decryptionPassword);
+      }
 
-      console.log(`Import query result: ${queryResult?.length || 0} entities found`);
+      // First try to import as a regular diagram (newest version of the chain)
+      console.log(`Looking up latest version of diagram: ${diagramId}`);
+      const entity = await this.findLatestDiagramEntity(diagramId);
 
-      if (queryResult && queryResult.length > 0) {
-        const entity = queryResult[0];
+      if (entity) {
         console.log(`🔍 Import entity structure:`, entity);
-
-        try {
-          const decodedData = await this.decodeEntityPayload(entity);
-          console.log(`🔍 Import decoded payload: ${decodedData}`);
-          console.log(`🔍 Import decoded data length: ${decodedData.length}`);
-
-          if (!decodedData || decodedData.trim().length === 0) {
-            throw new Error('Decoded data is empty');
-          }
-
-          const diagramData: DiagramData = JSON.parse(decodedData);
-
-          // Handle decryption if needed
-          if (diagramData.encrypted) {
-            console.log(`🔐 Diagram is encrypted, attempting to decrypt`);
-
-            if (!decryptionPassword) {
-              // Try to get password from user config if not provided
-              const author = diagramData.author;
-              if (author) {
-                try {
-                  const userConfig = await this.getUserConfig(author);
-                  if (userConfig && userConfig.encryptionPassword) {
-                    decryptionPassword = userConfig.encryptionPassword;
-                    console.log(`🔐 Using encryption password from user config`);
-                  }
-                } catch (configError) {
-                  console.log(`Could not load user config for decryption:`, configError);
-                }
-              }
-            }
-
-            if (!decryptionPassword) {
-              throw new Error('Diagram is encrypted but no decryption password provided');
-            }
-
-            diagramData.content = this.decryptContent(diagramData.content, decryptionPassword);
-            console.log(`🔓 Content decrypted successfully`);
-          }
-
-          console.log(`✅ Diagram imported successfully: ${diagramId}`);
-          return diagramData;
-        } catch (decodeError) {
-          console.error('❌ Error decoding or parsing data:', decodeError);
-          try {
-            const rawPayload = await this.ensureEntityPayload(entity);
-            console.error('❌ Raw entity payload (utf-8):', this.decoder.decode(rawPayload));
-          } catch (payloadError) {
-            console.error('❌ Failed to load raw entity payload:', payloadError);
-          }
-          throw new Error(`Data decode/parse failed: ${(decodeError as Error).message}`);
-        }
+        const diagramData = await this.decodeDiagramEntity(entity, decryptionPassword);
+        return await this.projectDiagramData(diagramData, entity);
       } else {
         console.log(`❌ No single diagram found with ID: ${diagramId}`);
 
+        // Large diagrams are stored as chunks (with a manifest) rather than a diagram entity
+        console.log(`🧩 Trying sharded diagram import...`);
+        const shardedResult = await this.importShardedDiagram(diagramId, decryptionPassword);
+        if (shardedResult) {
+          return shardedResult;
+        }
+
         // Check if this diagram might have existed but expired
         console.log(`🔍 Checking for expired diagram evidence...`);
 
         // Try to find any entities with this diagram_id (including chunks, renames, etc.)
-        const evidenceQuery = `id = "${diagramId}" || diagram_id = "${diagramId}" || originalDiagramId = "${diagramId}"`;
+        const evidenceQuery = where.or(where.eq('id', diagramId), where.eq('diagram_id', diagramId), where.eq('originalDiagramId', diagramId));
         try {
           const evidenceResult = await this.queryEntities(evidenceQuery);
 
@@ -604,16 +855,8 @@ export class ArkivService {
           console.log(`Could not check for expiration evidence:`, evidenceError);
         }
 
-        // If no evidence found, try sharded import
-        console.log(`🧩 Trying sharded diagram import...`);
-        const shardedResult = await this.importShardedDiagram(diagramId, decryptionPassword);
-
-        if (!shardedResult) {
-          // Final check - provide helpful error message
-          throw new Error(`Diagram '${diagramId}' not found. It may have been deleted, never existed, or expired from the blockchain.`);
-        }
-
-        return shardedResult;
+        // Final check - provide helpful error message
+        throw new Error(`Diagram '${diagramId}' not found. It may have been deleted, never existed, or expired from the blockchain.`);
       }
     } catch (error) {
       console.error('❌ Error importing diagram from Arkiv:', error);
@@ -627,294 +870,511 @@ export class ArkivService {
     }
   }
 
-  async listDiagrams(author?: string, walletAddress?: string, custodialId?: string): Promise<DiagramMetadata[]> {
+  // Decode a diagram entity payload, decrypting it when needed
+  private async decodeDiagramEntity(entity: StorageEntity, decryptionPassword?: string): Promise<DiagramData> {
     try {
-      // Query for both regular diagrams and sharded diagrams
-      const regularQueryParts = ['type = "diagram"'];
-      const chunksQueryParts = ['type = "diagram_chunk"'];
+      const decodedData = await this.decodeEntityPayload(entity);
+      console.log(`🔍 Import decoded payload: ${decodedData}`);
+      console.log(`🔍 Import decoded data length: ${decodedData.length}`);
 
-      if (author) {
-        regularQueryParts.push(`author = "${author}"`);
-        chunksQueryParts.push(`author = "${author}"`);
+      if (!decodedData || decodedData.trim().length === 0) {
+        throw new Error('Decoded data is empty');
       }
 
-      if (walletAddress) {
-        regularQueryParts.push(`wallet = "${walletAddress}"`);
-        chunksQueryParts.push(`wallet = "${walletAddress}"`);
-      }
+      const diagramData: DiagramData = JSON.parse(decodedData);
 
-      if (custodialId) {
-        regularQueryParts.push(`custodial_id = "${custodialId}"`);
-        chunksQueryParts.push(`custodial_id = "${custodialId}"`);
+      // Handle decryption if needed
+      if (diagramData.encrypted) {
+        console.log(`🔐 Diagram is encrypted, attempting to decrypt`);
+
+        if (!decryptionPassword) {
+          // Try to get password from user config if not provided
+          const author = diagramData.author;
+          if (author) {
+            try {
+              const userConfig = await this.getUserConfig(author);
+              if (userConfig && userConfig.encryptionPassword) {
+                decryptionPassword = userConfig.encryptionPassword;
+                console.log(`🔐 Using encryption password from user config`);
+              }
+            } catch (configError) {
+              console.log(`Could not load user config for decryption:`, configError);
+            }
+          }
+        }
+
+        if (!decryptionPassword) {
+          throw new Error('Diagram is encrypted but no decryption password provided');
+        }
+
+        diagramData.content = await decryptContent(diagramData.content, decryptionPassword);
+        console.log(`🔓 Content decrypted successfully`);
       }
 
-      const regularQuery = regularQueryParts.join(' && ');
-      const chunksQuery = chunksQueryParts.join(' && ');
+      console.log(`✅ Diagram imported successfully: ${diagramData.id} (v${diagramData.version})`);
+      return diagramData;
+    } catch (decodeError) {
+      console.error('❌ Error decoding or parsing data:', decodeError);
+      try {
+        const rawPayload = await this.ensureEntityPayload(entity);
+        console.error('❌ Raw entity payload (utf-8):', this.decoder.decode(rawPayload));
+      } catch (payloadError) {
+        console.error('❌ Failed to load raw entity payload:', payloadError);
+      }
+      throw new Error(`Data decode/parse failed: ${(decodeError as Error).message}`);
+    }
+  }
 
-      console.log(`Executing regular query: ${regularQuery}`);
-      console.log(`Executing chunks query: ${chunksQuery}`);
+  // Diagrams in the trash are hidden from listings, search and quotas until restored
+  async listDiagrams(author?: string, walletAddress?: string, custodialId?: string): Promise<DiagramMetadata[]> {
+    return (await this.listAllDiagrams(author, walletAddress, custodialId)).filter((diagram) => !diagram.trashedAt);
+  }
 
-      const [regularResult, chunksResult] = await Promise.all([
-        this.queryEntities(regularQuery),
-        this.queryEntities(chunksQuery)
-      ]);
+  async listTrashedDiagrams(walletAddress?: string, custodialId?: string): Promise<DiagramMetadata[]> {
+    return (await this.listAllDiagrams(undefined, walletAddress, custodialId))
+      .filter((diagram) => diagram.trashedAt)
+      .sort((a, b) => b.trashedAt! - a.trashedAt!);
+  }
 
-      console.log(`Regular diagrams found: ${regularResult ? regularResult.length : 0}`);
-      console.log(`Chunks found: ${chunksResult ? chunksResult.length : 0}`);
+  private async listAllDiagrams(author?: string, walletAddress?: string, custodialId?: string): Promise<DiagramMetadata[]> {
+    try {
+      const query = this.diagramListingQuery({ author }, null, walletAddress, custodialId);
+      console.log(`Executing listing query: ${buildQuery(query)}`);
 
-      const diagrams: DiagramMetadata[] = [];
+      const { diagrams } = await this.scanListedDiagrams(query, walletAddress, custodialId);
+      console.log(`Found ${diagrams.length} diagrams`);
+      return diagrams;
+    } catch (error) {
+      console.error('Error listing diagrams from Arkiv:', error);
+      throw new Error(`List operation failed: ${(error as Error).message}`);
+    }
+  }
 
-      // Process regular diagrams
-      if (regularResult && regularResult.length > 0) {
-        for (const entity of regularResult) {
-          console.log('🔍 Regular diagram entity structure:', entity);
+  /**
+   * One page of the user's diagrams. Listings are built from entity attributes only; payloads are never read
+   * (except to index cell text for `text` queries). Sorts on saved attributes are cut in the chain query, title and
+   * relevance sorts are ranked here. Trashed diagrams are left out.
+   */
+  async pageDiagrams(query: DiagramPageQuery, walletAddress?: string, custodialId?: string): Promise<DiagramPage<SearchResult>> {
+    const limit = Math.min(Math.max(Math.floor(Number(query.limit)) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const sortBy = query.sortBy ?? 'timestamp';
+    const sortOrder = query.sortOrder === 'asc' ? 'asc' : 'desc';
+    const cursor = query.cursor ? decodeListingCursor(query.cursor) : null;
+    const block = cursor ? BigInt(cursor.block) : undefined;
+
+    // Tags are matched in the chain query: only diagrams whose version or tag event carries every tag are read
+    const tags = query.tags?.length ? normalizeTags(query.tags) : [];
+    const taggedIds = tags.length > 0 ? await this.findTaggedDiagramIds(tags, walletAddress, custodialId, block) : null;
+    if (taggedIds && taggedIds.length === 0) {
+      return { data: [], cursor: null, hasMore: false, total: 0 };
+    }
 
-          try {
-            const decodedData = await this.decodeEntityPayload(entity);
-            console.log('🔍 Regular diagram decoded storageValue:', decodedData);
-
-            const diagramData = JSON.parse(decodedData);
-            console.log('🔍 Regular diagram parsed data:', diagramData);
-
-            diagrams.push({
-              id: diagramData.id || 'unknown',
-              title: diagramData.title || 'Untitled',
-              author: diagramData.author || 'Unknown',
-              timestamp: diagramData.timestamp || Date.now(),
-              version: diagramData.version || 1,
-              entityKey: entity.key
-            });
-          } catch (error) {
-            console.error('🔍 Error parsing regular diagram entity:', error);
-            diagrams.push({
-              id: 'unknown',
-              title: 'Untitled',
-              author: 'Unknown',
-              timestamp: Date.now(),
-              version: 1,
-              entityKey: entity.key
-            });
-          }
-        }
+    const chainQuery = this.diagramListingQuery(query, taggedIds, walletAddress, custodialId);
+    const chainSort = query.text ? undefined : CHAIN_SORTS[sortBy];
+    const fingerprint = listingFingerprint(buildQuery(chainQuery), sortBy, sortOrder, query.text?.query ?? null);
+    if (cursor && cursor.fingerprint !== fingerprint) {
+      throw new Error('Invalid cursor: it belongs to a different listing');
+    }
+    console.log(`Listing page (${chainSort ? 'chain' : 'ranked'} ${sortBy} ${sortOrder}, limit ${limit}): ${buildQuery(chainQuery)}`);
+
+    // Trash, folder and tags come from events, so they are checked on the effective state
+    const folders = query.folderId ? await this.listFolders(walletAddress, custodialId) : [];
+    const folderScope = query.folderId ? this.folderTree.scope(folders, query.folderId, !!query.recursive) : null;
+    const accept = (diagram: DiagramMetadata): SearchResult | null => {
+      if (diagram.trashedAt
+        || (folderScope && !this.folderTree.inScope(diagram, folderScope, folders))
+        || !tags.every((tag) => diagram.tags?.includes(tag))) {
+        return null;
       }
+      return query.accept ? query.accept(diagram) : { ...diagram };
+    };
 
-      // Process sharded diagrams (group chunks by diagram_id)
-      if (chunksResult && chunksResult.length > 0) {
-        const shardedDiagrams: { [diagramId: string]: ChunkData[] } = {};
-
-        // Group chunks by diagram ID
-        for (const entity of chunksResult) {
-          try {
-            const decodedData = await this.decodeEntityPayload(entity);
-            const chunkData: ChunkData = JSON.parse(decodedData);
+    const page = { limit, cursor, fingerprint, accept, walletAddress, custodialId };
+    if (chainSort) {
+      return await this.streamDiagramPage(chainQuery, { ...chainSort, desc: sortOrder === 'desc' }, page);
+    }
 
-            if (!shardedDiagrams[chunkData.diagramId]) {
-              shardedDiagrams[chunkData.diagramId] = [];
-            }
-            shardedDiagrams[chunkData.diagramId].push(chunkData);
-          } catch (error) {
-            console.error('🔍 Error parsing chunk entity:', error);
-          }
-        }
+    // With filters on the saved version, the newest matching version is not necessarily the newest version
+    const versionFilters = !!(query.dateFrom || query.dateTo || query.sizeMin || query.sizeMax || query.encrypted !== undefined);
+    return await this.rankDiagramPage(chainQuery, sortBy, sortOrder, query.text, versionFilters, page);
+  }
 
-        // Add sharded diagrams to the list (use first chunk for metadata)
-        for (const [diagramId, chunks] of Object.entries(shardedDiagrams)) {
-          chunks.sort((a, b) => a.chunkIndex - b.chunkIndex);
-          const firstChunk = chunks[0];
+  // Newest-first entities of diagram versions and of the first chunk of each sharded upload, filtered on their attributes
+  private diagramListingQuery(filters: Omit<DiagramPageQuery, 'accept' | 'text'>, diagramIds: string[] | null, walletAddress?: string, custodialId?: string): QueryNode {
+    const common: Condition[] = [
+      walletAddress && where.eq('wallet', walletAddress),
+      custodialId && where.eq('custodial_id', custodialId),
+      filters.author && where.eq('author', filters.author),
+      filters.dateFrom && where.gte('timestamp', filters.dateFrom),
+      filters.dateTo && where.lte('timestamp', filters.dateTo)
+    ];
+
+    const versions = where.and(
+      where.eq('type', 'diagram'),
+      diagramIds && where.or(...diagramIds.map((diagramId) => where.eq('id', diagramId))),
+      ...common,
+      filters.sizeMin && where.gte('size_kb', filters.sizeMin),
+      filters.sizeMax && where.lte('size_kb', filters.sizeMax),
+      filters.encrypted !== undefined && (filters.encrypted
+        ? where.eq('encrypted', '1')
+        : where.neq('encrypted', '1'))
+    );
+
+    // Size and encryption are only recorded on versions
+    if (filters.sizeMin || filters.sizeMax || filters.encrypted !== undefined) {
+      return versions;
+    }
 
-          console.log(`🧩 Found sharded diagram: ${diagramId} with ${chunks.length} chunks`);
+    return where.or(versions, where.and(
+      where.eq('type', 'diagram_chunk'),
+      where.eq('chunk_index', 0),
+      diagramIds && where.or(...diagramIds.map((diagramId) => where.eq('diagram_id', diagramId))),
+      ...common
+    ));
+  }
 
-          diagrams.push({
-            id: firstChunk.diagramId,
-            title: firstChunk.title + ' (Sharded)',
-            author: firstChunk.author,
-            timestamp: Date.now(), // Use current timestamp for sharded diagrams
-            version: 1,
-            entityKey: `sharded:${diagramId}` // Special marker for sharded diagrams
-          });
-        }
-      }
+  // Every entity matching a query with its attributes (no payloads), read at one block
+  private async queryAttributes(query: QueryNode, atBlock?: bigint): Promise<{ entities: StorageEntity[]; block: bigint }> {
+    const entities: StorageEntity[] = [];
+    let block = atBlock;
+    let cursor: string | undefined;
+    do {
+      const page = await this.storage.queryPage(buildQuery(query), { limit: LISTING_QUERY_PAGE_SIZE, cursor, atBlock: block });
+      block ??= page.block;
+      entities.push(...page.entities);
+      cursor = page.cursor;
+    } while (cursor);
+    return { entities, block: block ?? 0n };
+  }
 
-      console.log(`Found ${diagrams.length} diagrams`);
-      return diagrams;
-    } catch (error) {
-      console.error('Error listing diagrams from Arkiv:', error);
-      throw new Error(`List operation failed: ${(error as Error).message}`);
+  private lookupBatches<T>(items: T[]): T[][] {
+    const batches: T[][] = [];
+    for (let index = 0; index < items.length; index += LOOKUP_BATCH_SIZE) {
+      batches.push(items.slice(index, index + LOOKUP_BATCH_SIZE));
     }
+    return batches;
   }
 
-  // Enhanced search functionality
-  async searchDiagrams(searchRequest: SearchRequest, walletAddress?: string, custodialId?: string): Promise<SearchResult[]> {
+  // Events of the owner's diagrams (or of some of them), attributes only
+  private async listingEvents(diagramIds: string[] | null, walletAddress?: string, custodialId?: string, atBlock?: bigint): Promise<StorageEntity[]> {
     try {
-      console.log('Enhanced search request:', searchRequest);
+      const queries = diagramIds
+        ? this.lookupBatches(diagramIds).map((batch) => this.diagramEventsQuery({ diagramIds: batch, walletAddress, custodialId }))
+        : [this.diagramEventsQuery({ walletAddress, custodialId })];
+      const results = await Promise.all(queries.map((query) => this.queryAttributes(query, atBlock)));
+      return results.flatMap((result) => result.entities);
+    } catch (error) {
+      console.log('Could not load diagram events:', error);
+      return [];
+    }
+  }
 
-      // Build base query for user's diagrams
-      const queryParts = ['type = "diagram"'];
+  // Newest upload of a sharded diagram first
+  private compareUploads(a: StorageEntity, b: StorageEntity): number {
+    return Number(readAttr(b, 'timestamp') ?? 0) - Number(readAttr(a, 'timestamp') ?? 0);
+  }
 
-      // Add user authentication filters
-      if (walletAddress) {
-        queryParts.push(`wallet = "${walletAddress}"`);
+  // One entity per diagram: the newest version, or the newest upload of a sharded diagram
+  private listedHeads(entities: StorageEntity[]): StorageEntity[] {
+    const uploads = new Map<string, StorageEntity>();
+    for (const entity of entities) {
+      if (readAttr(entity, 'type') !== 'diagram_chunk') {
+        continue;
       }
-      if (custodialId) {
-        queryParts.push(`custodial_id = "${custodialId}"`);
+      const diagramId = String(readAttr(entity, 'diagram_id') ?? '');
+      const current = uploads.get(diagramId);
+      if (!current || this.compareUploads(entity, current) < 0) {
+        uploads.set(diagramId, entity);
       }
+    }
 
-      // Add search filters
-      if (searchRequest.author) {
-        queryParts.push(`author = "${searchRequest.author}"`);
-      }
+    const versions = entities.filter((entity) => readAttr(entity, 'type') === 'diagram');
+    return [...this.latestDiagramVersions(versions), ...uploads.values()];
+  }
 
-      // Date range filters
-      if (searchRequest.dateFrom) {
-        queryParts.push(`timestamp >= ${searchRequest.dateFrom}`);
-      }
-      if (searchRequest.dateTo) {
-        queryParts.push(`timestamp <= ${searchRequest.dateTo}`);
+  /**
+   * Keys of listed entities that are not their diagram's newest: versions with a successor signed by the same owner,
+   * and uploads of a sharded diagram that was uploaded again
+   */
+  private async findSupersededKeys(entities: StorageEntity[], walletAddress?: string, custodialId?: string, atBlock?: bigint): Promise<Set<string>> {
+    const owner: Condition[] = [
+      walletAddress && where.eq('wallet', walletAddress),
+      custodialId && where.eq('custodial_id', custodialId)
+    ];
+    const versions = entities.filter((entity) => readAttr(entity, 'type') === 'diagram');
+    const uploads = entities.filter((entity) => readAttr(entity, 'type') === 'diagram_chunk');
+    const uploadIds = Array.from(new Set(uploads.map((entity) => String(readAttr(entity, 'diagram_id') ?? ''))));
+
+    const [successors, laterUploads] = await Promise.all([
+      Promise.all(this.lookupBatches(versions).map((batch) => this.queryAttributes(where.and(
+        where.eq('type', 'diagram'),
+        where.or(...batch.map((entity) => where.eq('previous_entity_key', entity.key))),
+        ...owner
+      ), atBlock))),
+      Promise.all(this.lookupBatches(uploadIds).map((batch) => this.queryAttributes(where.and(
+        where.eq('type', 'diagram_chunk'),
+        where.eq('chunk_index', 0),
+        where.or(...batch.map((diagramId) => where.eq('diagram_id', diagramId))),
+        ...owner
+      ), atBlock)))
+    ]);
+
+    const superseded = new Set<string>();
+    for (const successor of successors.flatMap((result) => result.entities)) {
+      const predecessor = versions.find((entity) => entity.key === readAttr(successor, 'previous_entity_key'));
+      if (predecessor && this.isDiagramEventAuthorized(successor, predecessor)) {
+        superseded.add(predecessor.key);
       }
+    }
 
-      // Size range filters
-      if (searchRequest.sizeMin) {
-        queryParts.push(`size_kb >= ${searchRequest.sizeMin}`);
-      }
-      if (searchRequest.sizeMax) {
-        queryParts.push(`size_kb <= ${searchRequest.sizeMax}`);
+    const others = laterUploads.flatMap((result) => result.entities);
+    for (const upload of uploads) {
+      if (others.some((other) => other.key !== upload.key
+        && readAttr(other, 'diagram_id') === readAttr(upload, 'diagram_id')
+        && this.compareUploads(other, upload) < 0)) {
+        superseded.add(upload.key);
       }
+    }
+    return superseded;
+  }
 
-      // Encryption filter
-      if (searchRequest.encrypted !== undefined) {
-        if (searchRequest.encrypted) {
-          queryParts.push(`encrypted = "1"`);
-        } else {
-          queryParts.push(`encrypted != "1"`);
-        }
-      }
+  // Metadata of a listed diagram from the attributes of its head entity, with its events folded in
+  private async listedDiagram(entity: StorageEntity, eventEntities: StorageEntity[], timing?: BlockTiming): Promise<DiagramMetadata | null> {
+    const sharded = readAttr(entity, 'type') === 'diagram_chunk';
+    const diagramId = readAttr(entity, sharded ? 'diagram_id' : 'id');
+    if (diagramId === undefined || diagramId === '') {
+      return null;
+    }
 
-  const query = queryParts.join(' && ');
-  console.log(`Executing enhanced search query: ${query}`);
+    const sizeKb = Number(readAttr(entity, 'size_kb'));
+    const metadata: DiagramMetadata = {
+      id: String(diagramId),
+      title: String(readAttr(entity, 'title') ?? 'Untitled'),
+      author: String(readAttr(entity, 'author') ?? 'Unknown'),
+      timestamp: Number(readAttr(entity, 'timestamp')) || 0,
+      version: sharded ? 1 : Number(readAttr(entity, 'version')) || 1,
+      entityKey: sharded ? `sharded:${diagramId}` : entity.key, // Special marker for sharded diagrams
+      ...(Number.isFinite(sizeKb) ? { sizeKb } : {})
+    };
 
-  const results = await this.queryEntities(query);
+    // An upload is not a version: every event of a sharded diagram applies
+    const btlDays = Number(readAttr(entity, 'btl_days'));
+    const projection = this.projectDiagram(entity, {
+      title: metadata.title,
+      timestamp: sharded ? 0 : metadata.timestamp,
+      btlDays: Number.isFinite(btlDays) && btlDays > 0 ? btlDays : undefined
+    }, eventEntities);
+
+    return await this.withEntityExpiry(
+      this.withProjection(metadata, sharded ? { ...projection, title: projection.title + ' (Sharded)' } : projection),
+      [entity],
+      timing
+    );
+  }
 
-      if (!results || results.length === 0) {
-        return [];
-      }
+  // Every diagram matching a listing query (trashed ones included)
+  private async scanListedDiagrams(query: QueryNode, walletAddress?: string, custodialId?: string, atBlock?: bigint, versionFilters = false): Promise<{ diagrams: DiagramMetadata[]; block: bigint }> {
+    const [{ entities, block }, eventEntities, timing] = await Promise.all([
+      this.queryAttributes(query, atBlock),
+      this.listingEvents(null, walletAddress, custodialId, atBlock),
+      this.storage.getBlockTiming().catch((error) => {
+        console.log('Could not load block timing:', error);
+        return undefined;
+      })
+    ]);
+
+    let heads = this.listedHeads(entities);
+    if (versionFilters) {
+      const superseded = await this.findSupersededKeys(heads, walletAddress, custodialId, block);
+      heads = heads.filter((entity) => !superseded.has(entity.key));
+    }
 
-      const searchResults: SearchResult[] = [];
+    const diagrams = await Promise.all(heads.map((entity) => this.listedDiagram(entity, eventEntities, timing)));
+    return { diagrams: diagrams.filter((diagram): diagram is DiagramMetadata => diagram !== null), block };
+  }
 
-      // Process each result
-      for (const entity of results) {
-        try {
-          const decodedData = await this.decodeEntityPayload(entity);
-          let diagramData: DiagramData;
+  /**
+   * Page cut in the chain: entities are read in sort order, a batch at a time, skipping superseded versions and
+   * diagrams that are not accepted until the page is full. The cursor points into the chain result.
+   */
+  private async streamDiagramPage(chainQuery: QueryNode, order: QueryOrder, page: ListingPage): Promise<DiagramPage<SearchResult>> {
+    const query = buildQuery(chainQuery);
+    const batchSize = Math.min(Math.max(page.limit * 2, 20), LISTING_QUERY_PAGE_SIZE);
+    const timing = await this.storage.getBlockTiming().catch(() => undefined);
+
+    let block = page.cursor ? BigInt(page.cursor.block) : undefined;
+    let chainCursor = page.cursor?.chainCursor;
+    let skip = page.cursor?.skip ?? 0;
+    let scanned = 0;
+    let exhausted = false;
+    // One diagram more than the page, to know whether another page follows
+    const found: Array<{ result: SearchResult; chainCursor?: string; skip: number }> = [];
+
+    while (found.length <= page.limit) {
+      const batch = await this.storage.queryPage(query, { orderBy: [order], limit: batchSize, cursor: chainCursor, atBlock: block });
+      block ??= batch.block;
+
+      const candidates = batch.entities.slice(skip);
+      const superseded = await this.findSupersededKeys(candidates, page.walletAddress, page.custodialId, block);
+      const diagramIds = candidates
+        .filter((entity) => !superseded.has(entity.key))
+        .map((entity) => String(readAttr(entity, 'id') ?? readAttr(entity, 'diagram_id') ?? ''))
+        .filter((diagramId) => diagramId !== '');
+      const eventEntities = diagramIds.length > 0 ? await this.listingEvents(diagramIds, page.walletAddress, page.custodialId, block) : [];
+
+      for (let index = 0; index < candidates.length && found.length <= page.limit; index++) {
+        scanned++;
+        if (superseded.has(candidates[index].key)) {
+          continue;
+        }
+        const diagram = await this.listedDiagram(candidates[index], eventEntities, timing);
+        const result = diagram && page.accept(diagram);
+        if (result) {
+          found.push({ result, chainCursor, skip: skip + index + 1 });
+        }
+      }
 
-          try {
-            diagramData = JSON.parse(decodedData);
-          } catch (parseError) {
-            // If parsing fails, it might be encrypted - skip for now
-            console.log('Failed to parse diagram data, might be encrypted, skipping:', parseError);
-            continue;
-          }
+      if (found.length > page.limit) {
+        break;
+      }
+      if (!batch.cursor) {
+        exhausted = true;
+        break;
+      }
+      chainCursor = batch.cursor;
+      skip = 0;
+    }
 
-          // Calculate relevance score
-          let score = 1.0;
-          let excerpt = '';
-          let tags: string[] = [];
-
-          // Title matching
-          if (searchRequest.title && diagramData.title) {
-            const titleMatch = this.calculateTextMatch(searchRequest.title, diagramData.title);
-            if (titleMatch > 0) {
-              score += titleMatch * 2; // Weight title matches higher
-            } else if (searchRequest.title) {
-              continue; // Skip if title specified but doesn't match
-            }
-          }
+    const hasMore = found.length > page.limit;
+    const total = page.cursor
+      ? page.cursor.total
+      : exhausted ? found.length : await this.estimateListingTotal(query, block!, found.length, scanned);
+    const last = found[page.limit - 1];
 
-          // General text search in title and content
-          if (searchRequest.query) {
-            const titleMatch = this.calculateTextMatch(searchRequest.query, diagramData.title);
-            const contentMatch = this.calculateTextMatch(searchRequest.query, diagramData.content);
-
-            const totalMatch = titleMatch * 2 + contentMatch; // Weight title higher
-            if (totalMatch > 0) {
-              score += totalMatch;
-              excerpt = this.extractExcerpt(diagramData.content, searchRequest.query);
-            } else {
-              continue; // Skip if general query doesn't match
-            }
-          }
+    return {
+      data: found.slice(0, page.limit).map((entry) => entry.result),
+      cursor: hasMore
+        ? encodeListingCursor({ fingerprint: page.fingerprint, block: String(block), total, chainCursor: last.chainCursor, skip: last.skip })
+        : null,
+      hasMore,
+      total
+    };
+  }
 
-          // Extract potential tags from content (simple implementation)
-          tags = this.extractTags(diagramData.content);
-
-          // Tag filtering
-          if (searchRequest.tags && searchRequest.tags.length > 0) {
-            const tagMatches = searchRequest.tags.filter(tag =>
-              tags.some(extractedTag =>
-                extractedTag.toLowerCase().includes(tag.toLowerCase())
-              )
-            );
-            if (tagMatches.length === 0) {
-              continue; // Skip if required tags not found
-            }
-            score += tagMatches.length * 0.5;
-          }
+  // Total of a streamed listing, extrapolated from the share of the entities read so far that were listed
+  private async estimateListingTotal(query: string, block: bigint, listed: number, scanned: number): Promise<number> {
+    try {
+      const matching = await this.storage.count(query, block);
+      return Math.max(listed, scanned > 0 ? Math.round(matching * listed / scanned) : 0);
+    } catch (error) {
+      console.log('Could not count listing entities:', error);
+      return listed;
+    }
+  }
 
-          const searchResult: SearchResult = {
-            id: diagramData.id,
-            title: diagramData.title,
-            author: diagramData.author,
-            timestamp: diagramData.timestamp,
-            version: diagramData.version,
-            entityKey: entity.key,
-            score: score,
-            excerpt: excerpt || diagramData.title,
-            tags: tags.slice(0, 10) // Limit to first 10 tags
-          };
+  /**
+   * Page cut after ranking: title and relevance depend on events and cell text, so every candidate is read
+   * (attributes only) and sorted here. The cursor is the offset in the ranked result at the snapshot block.
+   */
+  private async rankDiagramPage(
+    chainQuery: QueryNode,
+    sortBy: NonNullable<SearchRequest['sortBy']>,
+    sortOrder: 'asc' | 'desc',
+    text: DiagramPageQuery['text'],
+    versionFilters: boolean,
+    page: ListingPage
+  ): Promise<DiagramPage<SearchResult>> {
+    const { diagrams, block } = await this.scanListedDiagrams(
+      chainQuery,
+      page.walletAddress,
+      page.custodialId,
+      page.cursor ? BigInt(page.cursor.block) : undefined,
+      versionFilters
+    );
+
+    let results = diagrams.map(page.accept).filter((result): result is SearchResult => result !== null);
+    if (text) {
+      const hits = await this.searchDiagramText(text.query, results);
+      results = results
+        .map((result) => text.rank(result, hits.get(result.id)))
+        .filter((result): result is SearchResult => result !== null);
+    }
 
-          searchResults.push(searchResult);
-        } catch (error) {
-          console.warn('Failed to process search result:', error);
-        }
+    const sortValue = (result: SearchResult): string | number => {
+      switch (sortBy) {
+        case 'title':
+          return result.title.toLowerCase();
+        case 'author':
+          return result.author.toLowerCase();
+        case 'size':
+          return result.sizeKb ?? 0;
+        case 'score':
+          return result.score ?? 0;
+        case 'timestamp':
+        default:
+          return result.timestamp;
       }
+    };
+    // Ties are broken the same way on every page
+    results.sort((a, b) => {
+      const aValue = sortValue(a);
+      const bValue = sortValue(b);
+      const order = aValue < bValue ? -1 : aValue > bValue ? 1 : 0;
+      return (sortOrder === 'asc' ? order : -order) || b.timestamp - a.timestamp || a.id.localeCompare(b.id);
+    });
 
-      // Sort results
-      const sortBy = searchRequest.sortBy || 'score';
-      const sortOrder = searchRequest.sortOrder || 'desc';
-
-      searchResults.sort((a, b) => {
-        let aValue, bValue;
-
-        switch (sortBy) {
-          case 'title':
-            aValue = a.title.toLowerCase();
-            bValue = b.title.toLowerCase();
-            break;
-          case 'author':
-            aValue = a.author.toLowerCase();
-            bValue = b.author.toLowerCase();
-            break;
-          case 'timestamp':
-            aValue = a.timestamp;
-            bValue = b.timestamp;
-            break;
-          case 'score':
-          default:
-            aValue = a.score || 0;
-            bValue = b.score || 0;
-            break;
-        }
-
-        if (aValue < bValue) return sortOrder === 'asc' ? -1 : 1;
-        if (aValue > bValue) return sortOrder === 'asc' ? 1 : -1;
-        return 0;
-      });
+    const offset = page.cursor?.offset ?? 0;
+    const hasMore = offset + page.limit < results.length;
+    const total = page.cursor?.total ?? results.length;
 
-      // Apply pagination
-      const offset = searchRequest.offset || 0;
-      const limit = searchRequest.limit || 50;
+    return {
+      data: results.slice(offset, offset + page.limit),
+      cursor: hasMore
+        ? encodeListingCursor({ fingerprint: page.fingerprint, block: String(block), total, offset: offset + page.limit })
+        : null,
+      hasMore,
+      total
+    };
+  }
 
-      return searchResults.slice(offset, offset + limit);
+  // Enhanced search functionality
+  async searchDiagrams(searchRequest: SearchRequest, walletAddress?: string, custodialId?: string): Promise<DiagramPage<SearchResult>> {
+    try {
+      console.log('Enhanced search request:', searchRequest);
+      const { query, title, ...filters } = searchRequest;
 
+      return await this.pageDiagrams({
+        ...filters,
+        sortBy: searchRequest.sortBy || 'score',
+        accept: (diagram) => {
+          // Title matching, weighted higher
+          let score = 1.0;
+          if (title) {
+            const titleMatch = this.calculateTextMatch(title, diagram.title);
+            if (titleMatch === 0) {
+              return null;
+            }
+            score += titleMatch * 2;
+          }
+          return { ...diagram, score, excerpt: diagram.title };
+        },
+        // General text search in the title and the indexed cell text
+        text: query ? {
+          query,
+          rank: (diagram, hit) => {
+            const titleMatch = this.calculateTextMatch(query, diagram.title);
+            if (titleMatch === 0 && !hit) {
+              return null;
+            }
+            return {
+              ...diagram,
+              score: (diagram.score ?? 0) + titleMatch * 2 + (hit?.score ?? 0),
+              excerpt: hit?.excerpt ?? diagram.title,
+              match: hit?.match
+            };
+          }
+        } : undefined
+      }, walletAddress, custodialId);
     } catch (error) {
       console.error('Enhanced search failed:', error);
       throw new Error(`Search failed: ${(error as Error).message}`);
@@ -952,62 +1412,80 @@ export class ArkivService {
     return matches / queryWords.length;
   }
 
-  // Helper method to extract text excerpt around search terms
-  private extractExcerpt(content: string, query: string): string {
-    if (!content || !query) return '';
-
-    const queryLower = query.toLowerCase();
-    const contentLower = content.toLowerCase();
-
-    const index = contentLower.indexOf(queryLower);
-    if (index === -1) return content.substring(0, 200);
-
-    const start = Math.max(0, index - 100);
-    const end = Math.min(content.length, index + query.length + 100);
-
-    let excerpt = content.substring(start, end);
-    if (start > 0) excerpt = '...' + excerpt;
-    if (end < content.length) excerpt = excerpt + '...';
-
-    return excerpt;
+  // Excerpt citing where the text was found
+  private formatTextMatch(match: DiagramTextMatch): string {
+    const field = match.field === 'property' ? ` (${match.property})` : match.field === 'tooltip' ? ' (tooltip)' : '';
+    return `Page "${match.pageName}", cell ${match.cellId}${field}: ${match.text}`;
   }
 
-  // Helper method to extract tags from diagram content
-  private extractTags(content: string): string[] {
-    const tags: string[] = [];
+  // Index the text of a diagram version; encrypted content is never indexed, unreadable content is indexed empty
+  private indexDiagramText(diagramId: string, sourceKey: string, diagramData: Pick<DiagramData, 'content' | 'encrypted'>) {
+    let entries: DiagramTextEntry[] = [];
+    if (!diagramData.encrypted) {
+      try {
+        entries = extractDiagramText(diagramData.content);
+      } catch (error) {
+        console.log(`Could not extract text of diagram ${diagramId}:`, (error as Error).message);
+      }
+    }
+    this.searchIndex.upsert(diagramId, sourceKey, entries);
+  }
 
-    try {
-      // Look for common diagram elements that could serve as tags
-      const tagPatterns = [
-        /class="([^"]+)"/gi,           // CSS classes
-        /data-type="([^"]+)"/gi,       // Data types
-        /name="([^"]+)"/gi,            // Names
-        /<text[^>]*>([^<]+)<\/text>/gi // Text content
-      ];
+  /**
+   * Rank listed diagrams by their text (GET /api/diagrams/search); diagrams not indexed at their current version are
+   * read and indexed first
+   */
+  async searchDiagramText(query: string, diagrams: DiagramMetadata[]): Promise<Map<string, SearchResult>> {
+    const results = new Map<string, SearchResult>();
 
-      for (const pattern of tagPatterns) {
-        let match;
-        while ((match = pattern.exec(content)) !== null) {
-          const tag = match[1].trim();
-          if (tag.length > 2 && tag.length < 50 && !tags.includes(tag)) {
-            tags.push(tag);
+    for (const diagram of diagrams) {
+      const sourceKey = diagram.entityKey ?? diagram.id;
+      if (!this.searchIndex.isCurrent(diagram.id, sourceKey)) {
+        try {
+          const entity = diagram.entityKey?.startsWith('sharded:') ? null : await this.storage.getEntity(sourceKey);
+          const diagramData: DiagramData | null = entity
+            ? JSON.parse(await this.decodeEntityPayload(entity))
+            : await this.importShardedDiagram(diagram.id);
+          if (diagramData) {
+            this.indexDiagramText(diagram.id, sourceKey, diagramData);
           }
+        } catch (error) {
+          console.log(`Could not index diagram ${diagram.id}:`, (error as Error).message);
         }
       }
+    }
 
-      // Also look for words in title/description that might be tags
-      const words = content.match(/\b[A-Za-z]{3,20}\b/g) || [];
-      for (const word of words.slice(0, 20)) { // Limit extraction
-        if (word.length > 3 && !tags.includes(word)) {
-          tags.push(word);
-        }
-      }
-
-    } catch (error) {
-      console.warn('Tag extraction failed:', error);
+    for (const hit of this.searchIndex.search(query, diagrams.map((diagram) => diagram.id))) {
+      const diagram = diagrams.find((candidate) => candidate.id === hit.diagramId)!;
+      results.set(hit.diagramId, {
+        ...diagram,
+        score: hit.score,
+        excerpt: hit.match ? this.formatTextMatch(hit.match) : diagram.title,
+        match: hit.match
+      });
     }
+    return results;
+  }
 
-    return tags.slice(0, 20); // Limit total tags
+  // IDs of diagrams whose saved version or tag event carries every tag; the newest of those decides (see search)
+  private async findTaggedDiagramIds(tags: string[], walletAddress?: string, custodialId?: string, atBlock?: bigint): Promise<string[]> {
+    const tagged = (type: 'diagram' | 'tags') => where.and(
+      where.eq('type', type),
+      walletAddress && where.eq('wallet', walletAddress),
+      custodialId && where.eq('custodial_id', custodialId),
+      ...tags.map((tag) => where.glob(TAGS_ATTRIBUTE, tagGlob(tag)))
+    );
+
+    const [versions, events] = await Promise.all([
+      this.queryAttributes(tagged('diagram'), atBlock),
+      this.queryAttributes(tagged('tags'), atBlock)
+    ]);
+
+    const ids = new Set<string>();
+    versions.entities.forEach((entity) => ids.add(String(readAttr(entity, 'id') ?? '')));
+    events.entities.forEach((entity) => ids.add(String(readAttr(entity, 'originalDiagramId') ?? '')));
+    ids.delete('');
+    return Array.from(ids).sort();
   }
 
   // Direct diagram access methods
@@ -1015,11 +1493,11 @@ export class ArkivService {
     try {
       console.log(`Getting direct diagram access: ${diagramId}, format: ${format}`);
 
-      // Load the diagram data
-      const diagramData = await this.importDiagram(diagramId);
-      if (!diagramData) {
+      const resolved = await this.readDiagram(diagramId);
+      if (!resolved) {
         return null;
       }
+      const { data: diagramData, validators } = resolved;
 
       let content: string | Uint8Array;
       let contentType: string;
@@ -1058,7 +1536,8 @@ export class ArkivService {
       return {
         content,
         contentType,
-        title: diagramData.title
+        title: diagramData.title,
+        ...validators
       };
     } catch (error) {
       console.error('Direct diagram access failed:', error);
@@ -1066,19 +1545,70 @@ export class ArkivService {
     }
   }
 
+  /**
+   * ETag / Last-Modified of what the direct-access and share routes serve for a diagram, so they can answer
+   * If-None-Match before rendering anything
+   */
+  async getDiagramValidators(diagramId: string): Promise<DiagramValidators | null> {
+    try {
+      return (await this.readDiagram(diagramId))?.validators ?? null;
+    } catch (error) {
+      console.log(`Could not resolve diagram ${diagramId} for validators:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Newest version of a diagram with its events applied, for the read-only routes. Kept in the diagram cache until
+   * its TTL runs out or a write through this backend touches the diagram; encrypted diagrams are not cached.
+   */
+  private async readDiagram(diagramId: string): Promise<ResolvedDiagram | null> {
+    const cached = this.diagramCache.get(diagramId);
+    if (cached) {
+      return cached;
+    }
+
+    const generation = this.diagramCacheGeneration;
+    const entity = await this.findLatestDiagramEntity(diagramId);
+    const data = entity
+      ? await this.projectDiagramData(await this.decodeDiagramEntity(entity), entity)
+      : await this.importDiagram(diagramId); // Sharded, or the expired / not found errors
+    if (!data) {
+      return null;
+    }
+
+    const resolved: ResolvedDiagram = { data, validators: this.diagramValidators(data, entity?.key) };
+    // A write that landed while this was read may not be in it
+    if (!data.encrypted && generation === this.diagramCacheGeneration) {
+      this.diagramCache.set(diagramId, resolved);
+    }
+    return resolved;
+  }
+
+  // Sharded diagrams have no single version entity, their content identifies them instead
+  private diagramValidators(data: DiagramData, entityKey?: string): DiagramValidators {
+    const source = entityKey ?? crypto.createHash('sha256').update(data.content).digest('hex');
+    const state = crypto.createHash('sha256')
+      .update(JSON.stringify([data.title, data.btlDays, data.expiresAtBlock, data.protected, data.trashedAt, data.folderId, data.tags]))
+      .digest('hex')
+      .slice(0, 16);
+
+    return {
+      etag: `"${source}-${state}"`,
+      lastModified: Math.max(data.timestamp || 0, data.protectedAt ?? 0, data.trashedAt ?? 0)
+    };
+  }
+
   async getDiagramMetadata(diagramId: string): Promise<DiagramMetadata | null> {
     try {
       console.log(`Getting diagram metadata: ${diagramId}`);
 
-      // First try to find the diagram by ID
-      const query = `type = "diagram" && id = "${diagramId}"`;
-
-      const results = await this.queryEntities(query);
-      if (!results || results.length === 0) {
+      // Find the newest version of the diagram
+      const entity = await this.findLatestDiagramEntity(diagramId);
+      if (!entity) {
         return null;
       }
 
-      const entity = results[0];
       const decodedData = await this.decodeEntityPayload(entity);
 
       let diagramData: DiagramData;
@@ -1089,14 +1619,15 @@ export class ArkivService {
         return null;
       }
 
-      return {
+      return await this.projectDiagramData({
         id: diagramData.id,
         title: diagramData.title,
         author: diagramData.author,
         timestamp: diagramData.timestamp,
         version: diagramData.version,
-        entityKey: entity.key
-      };
+        entityKey: entity.key,
+        previousEntityKey: diagramData.previousEntityKey
+      }, entity);
     } catch (error) {
       console.error('Get diagram metadata failed:', error);
       return null;
@@ -1107,14 +1638,13 @@ export class ArkivService {
     try {
       console.log(`Getting diagram thumbnail: ${diagramId}, size: ${size}`);
 
-      // Load the diagram data
-      const diagramData = await this.importDiagram(diagramId);
-      if (!diagramData) {
+      const resolved = await this.readDiagram(diagramId);
+      if (!resolved) {
         return null;
       }
 
       // Convert diagram to thumbnail (basic implementation)
-      return await this.generateThumbnail(diagramData.content, size);
+      return await this.generateThumbnail(resolved.data.content, size);
     } catch (error) {
       console.error('Get diagram thumbnail failed:', error);
       return null;
@@ -1272,84 +1802,360 @@ export class ArkivService {
     return Uint8Array.from(atob(base64PNG), c => c.charCodeAt(0));
   }
 
-  async deleteDiagram(diagramId: string, walletAddress?: string, custodialId?: string): Promise<boolean> {
+  /**
+   * Delete a diagram with everything recorded for it: all versions, chunks and manifests of sharded uploads, share
+   * tokens and rename / BTL-change / protection events. Only entities owned by the caller are touched; entities
+   * signed by another account are reported as skipped. Without a backend key the deletions come back as unsigned
+   * transactions for MetaMask.
+   */
+  async deleteDiagram(diagramId: string, walletAddress?: string, custodialId?: string): Promise<DiagramDeletionResult> {
     try {
-      // If no backend private key, return indication that frontend should handle the transaction
-      if (!this.writeClient) {
-        console.log('⚠️ Backend has no private key - frontend must handle deletion via MetaMask');
-        return false; // Indicates frontend should handle
+      // Leftovers of an expired diagram can still be cleaned up, a live diagram only by its owner
+      await this.assertDiagramOwner(diagramId, walletAddress, custodialId).catch((error: Error) => {
+        if (!error.message.includes('not found')) {
+          throw error;
+        }
+      });
+      const related = await this.findRelatedEntities(diagramId);
+      const owned = related.filter((entity) => this.isOwnedByCaller(entity, walletAddress, custodialId));
+      if (owned.length === 0) {
+        throw new Error(`Diagram ${diagramId} not found`);
       }
 
-      this.ensureWriteClient();
-      // First find the diagram to ensure it exists and belongs to the user
-      const queryParts = ['type = "diagram"', `id = "${diagramId}"`];
+      // Chunks and manifests uploaded without an owner belong to whoever owns the rest of the diagram
+      const ownerlessUploads = related.filter((entity) => !owned.includes(entity) &&
+        ['diagram_chunk', 'diagram_manifest'].includes(String(readAttr(entity, 'type'))) &&
+        this.isUploadOwner(entity));
+      const candidates = [...owned, ...ownerlessUploads];
+      console.log(`🗑️ Deleting diagram ${diagramId}: ${candidates.length} related entities`);
+
+      const canWrite = this.storage.canWrite();
+      const signer = canWrite ? this.storage.signerAddress() : walletAddress;
+      if (!signer) {
+        throw new Error('Backend has no signing key. Connect a wallet to sign the deletion with MetaMask.');
+      }
 
-      if (walletAddress) {
-        queryParts.push(`wallet = "${walletAddress}"`);
+      const result: DiagramDeletionResult = { diagramId, deleted: 0, skipped: 0, failed: 0, transactions: 0, entities: [] };
+      const deletable: EntityDeletion[] = [];
+      for (const entity of candidates) {
+        const deletion: EntityDeletion = { entityKey: entity.key, type: String(readAttr(entity, 'type') ?? 'unknown'), status: 'pending' };
+        // Arkiv only lets the owning account delete an entity, and one foreign key reverts the whole transaction
+        if (entity.owner && entity.owner.toLowerCase() !== signer.toLowerCase()) {
+          deletion.status = 'skipped';
+          deletion.reason = `Signed by ${entity.owner}, only that account can delete it`;
+        } else {
+          deletable.push(deletion);
+        }
+        result.entities.push(deletion);
+      }
+
+      const batches: EntityDeletion[][] = [];
+      for (let i = 0; i < deletable.length; i += MAX_DELETES_PER_TRANSACTION) {
+        batches.push(deletable.slice(i, i + MAX_DELETES_PER_TRANSACTION));
       }
+      result.transactions = batches.length;
 
+      if (!canWrite) {
+        console.log('⚠️ Backend has no private key - frontend must sign the deletion via MetaMask');
+        result.transactionsToSign = batches.map((batch) => encodeArkivTransaction({ deletes: batch.map((deletion) => deletion.entityKey) }));
+      } else {
+        for (const batch of batches) {
+          try {
+            const deletedKeys = new Set((await this.deleteEntities(batch.map((deletion) => deletion.entityKey), [diagramId])).map((key) => key.toLowerCase()));
+            for (const deletion of batch) {
+              deletion.status = deletedKeys.has(deletion.entityKey.toLowerCase()) ? 'deleted' : 'failed';
+              if (deletion.status === 'failed') {
+                deletion.reason = 'Not deleted, it may have expired already';
+              }
+            }
+          } catch (batchError) {
+            console.error(`❌ Deletion batch for diagram ${diagramId} failed:`, batchError);
+            batch.forEach((deletion) => {
+              deletion.status = 'failed';
+              deletion.reason = (batchError as Error).message;
+            });
+          }
+        }
+      }
+
+      result.deleted = result.entities.filter((deletion) => deletion.status === 'deleted').length;
+      result.skipped = result.entities.filter((deletion) => deletion.status === 'skipped').length;
+      result.failed = result.entities.filter((deletion) => deletion.status === 'failed').length;
+      if (canWrite && result.failed === 0) {
+        this.searchIndex.remove(diagramId);
+      }
+      console.log(`✅ Diagram ${diagramId}: ${result.deleted} deleted, ${result.skipped} skipped, ${result.failed} failed in ${result.transactions} transaction(s)`);
+      return result;
+    } catch (error) {
+      console.error('❌ Error deleting diagram from Arkiv:', error);
+      throw new Error(`Delete failed: ${(error as Error).message}`);
+    }
+  }
+
+  // Every entity referring to a diagram ID: versions (`id`), chunks, manifests and share tokens (`diagram_id`), events (`originalDiagramId`)
+  private async findRelatedEntities(diagramId: string): Promise<StorageEntity[]> {
+    const results = await Promise.all(['id', 'diagram_id', 'originalDiagramId']
+      .map((key) => this.queryEntities(where.eq(key, diagramId))));
+
+    const unique = new Map<string, StorageEntity>();
+    results.flat().forEach((entity) => unique.set(entity.key.toLowerCase(), entity));
+    return Array.from(unique.values());
+  }
+
+  // Recorded for the caller's wallet or custodial ID, or a share token the caller created
+  private isOwnedByCaller(entity: StorageEntity, walletAddress?: string, custodialId?: string): boolean {
+    const createdBy = readAttr(entity, 'created_by');
+    if (walletAddress) {
+      const wallet = walletAddress.toLowerCase();
+      if ([readAttr(entity, 'wallet'), createdBy].some((value) => value !== undefined && String(value).toLowerCase() === wallet)) {
+        return true;
+      }
+    }
+    return !!custodialId && (readAttr(entity, 'custodial_id') === custodialId || createdBy === custodialId);
+  }
+
+  /**
+   * Throws unless the caller owns the diagram: its newest version, or for a sharded diagram its newest manifest, has
+   * to be recorded for the caller's wallet or guest account. Callers without either own nothing.
+   */
+  private async assertDiagramOwner(diagramId: string, walletAddress?: string, custodialId?: string): Promise<void> {
+    if (!walletAddress && !custodialId) {
+      throw new Error(`Access denied: sign in as the owner of diagram ${diagramId}`);
+    }
+
+    const head = await this.findLatestDiagramEntity(diagramId);
+    if (head) {
+      if (!this.isOwnedByCaller(head, walletAddress, custodialId)) {
+        throw new Error(`Access denied: diagram ${diagramId} belongs to another account`);
+      }
+      return;
+    }
+
+    const manifests = await this.queryEntities(where.and(where.eq('type', 'diagram_manifest'), where.eq('diagram_id', diagramId)));
+    if (manifests.length === 0) {
+      throw new Error(`Diagram ${diagramId} not found`);
+    }
+    if (!this.isUploadOwner([...manifests].sort((a, b) => this.compareUploads(a, b))[0], walletAddress, custodialId)) {
+      throw new Error(`Access denied: diagram ${diagramId} belongs to another account`);
+    }
+  }
+
+  /**
+   * Past versions and diffs are private: the caller has to own the diagram or present a live share link for it that
+   * the owner created
+   */
+  async assertDiagramHistoryAccess(diagramId: string, walletAddress?: string, custodialId?: string, shareToken?: string): Promise<void> {
+    if (shareToken && await this.isDiagramShareToken(shareToken, diagramId)) {
+      return;
+    }
+    await this.assertDiagramOwner(diagramId, walletAddress, custodialId);
+  }
+
+  private async isDiagramShareToken(token: string, diagramId: string): Promise<boolean> {
+    const [tokens, head] = await Promise.all([
+      this.queryEntities(where.and(where.eq('type', 'share_token'), where.eq('token', token), where.eq('diagram_id', diagramId))),
+      this.findLatestDiagramEntity(diagramId)
+    ]);
+    if (!head) {
+      return false;
+    }
+
+    // Tokens count when this backend or the diagram's signer wrote them, anyone can write a token entity
+    const signers = [this.storage.signerAddress(), head.owner].filter(Boolean).map((signer) => signer!.toLowerCase());
+    for (const entity of tokens.filter((token) => !token.owner || signers.includes(token.owner.toLowerCase()))) {
+      try {
+        const shareToken: ShareToken = JSON.parse(await this.decodeEntityPayload(entity));
+        const live = !shareToken.expiresAt || Date.now() <= shareToken.expiresAt;
+        if (live && shareToken.diagramId === diagramId && this.isOwnedByCaller(head, shareToken.createdBy, shareToken.createdBy)) {
+          return true;
+        }
+      } catch (decodeError) {
+        console.log(`Could not decode share token entity ${entity.key}:`, decodeError);
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Move a diagram to the trash. A trash event next to the diagram hides it from listings and search until it is
+   * restored or the purge job deletes it after `retentionDays`; the event outlives the window by a day so the job
+   * still sees it.
+   */
+  async trashDiagram(diagramId: string, retentionDays: number, walletAddress?: string, custodialId?: string): Promise<DiagramTrashResult> {
+    try {
+      await this.assertDiagramOwner(diagramId, walletAddress, custodialId);
+      const entities = await this.findDiagramEntitiesForBTL(diagramId, walletAddress, custodialId);
+      if (entities.length === 0) {
+        throw new Error(`Diagram ${diagramId} not found`);
+      }
+
+      const existing = (await this.findTrashMarkers(diagramId, entities[0].entity, walletAddress, custodialId))
+        .map((marker) => this.diagramProjection.parseEvent(marker))
+        .find((event) => event !== null);
+      if (existing) {
+        console.log(`ℹ️ Diagram ${diagramId} is already in the trash`);
+        return { diagramId, trashedAt: existing.timestamp, purgeAt: existing.purgeAt! };
+      }
+
+      const trashedAt = Date.now();
+      const purgeAt = trashedAt + retentionDays * 24 * 60 * 60 * 1000;
+      const attributes: Attribute[] = [
+        attr('type', 'trash'),
+        attr('originalDiagramId', diagramId),
+        attr('timestamp', trashedAt),
+        attr('purgeAt', purgeAt)
+      ];
+
+      if (walletAddress) {
+        attributes.push(attr('wallet', walletAddress));
+      }
       if (custodialId) {
-        queryParts.push(`custodial_id = "${custodialId}"`);
+        attributes.push(attr('custodial_id', custodialId));
       }
 
-      const query = queryParts.join(' && ');
-      console.log(`🗑️ Executing delete query: ${query}`);
+      const marker: EntityCreate = {
+        payload: this.encoder.encode(JSON.stringify({
+          type: 'trash',
+          originalDiagramId: diagramId,
+          trashedAt,
+          purgeAt,
+          wallet: walletAddress
+        })),
+        attributes,
+        expiresInSeconds: (retentionDays + 1) * 24 * 60 * 60,
+        contentType: 'application/json'
+      };
+      const result: DiagramTrashResult = { diagramId, trashedAt, purgeAt };
+
+      if (!this.storage.canWrite()) {
+        console.log('⚠️ Backend has no private key - frontend must send the trash event via MetaMask');
+        const create = this.prepareEntityCreate(marker);
+        result.transaction = encodeArkivTransaction({
+          creates: [{
+            payload: create.payload,
+            attributes: create.attributes,
+            contentType: create.contentType,
+            btlBlocks: Math.ceil(marker.expiresInSeconds / BLOCK_TIME_SECONDS)
+          }]
+        });
+        return result;
+      }
 
-      const queryResult = await this.queryEntities(query);
-      console.log(`🗑️ Delete query result: ${queryResult?.length || 0} entities found`);
+      await this.createEntities([marker]);
+      console.log(`🗑️ Diagram ${diagramId} moved to the trash until ${new Date(purgeAt).toISOString()}`);
+      return result;
+    } catch (error) {
+      console.error('❌ Error moving diagram to the trash:', error);
+      throw new Error(`Trash failed: ${(error as Error).message}`);
+    }
+  }
 
-      if (!queryResult || queryResult.length === 0) {
-        console.log(`❌ No diagram found with ID: ${diagramId} for wallet: ${walletAddress}`);
-        return false;
+  // Restoring deletes the trash events, which only their signer can do
+  async restoreDiagram(diagramId: string, walletAddress?: string, custodialId?: string): Promise<DiagramRestoreResult> {
+    try {
+      await this.assertDiagramOwner(diagramId, walletAddress, custodialId);
+      const entities = await this.findDiagramEntitiesForBTL(diagramId, walletAddress, custodialId);
+      if (entities.length === 0) {
+        throw new Error(`Diagram ${diagramId} not found`);
       }
 
-      const entity = queryResult[0];
-      console.log(`🗑️ Found entity to delete: ${entity.key}`);
+      const markers = await this.findTrashMarkers(diagramId, entities[0].entity, walletAddress, custodialId);
+      if (markers.length === 0) {
+        throw new Error(`Diagram ${diagramId} not found in the trash`);
+      }
 
-      const deletedKeys = await this.deleteEntities([entity.key as Hex]);
-      console.log(`🗑️ Delete receipt:`, deletedKeys);
+      const canWrite = this.storage.canWrite();
+      const signer = (canWrite ? this.storage.signerAddress() : walletAddress)?.toLowerCase();
+      const removable = markers.filter((marker) => !marker.owner || marker.owner.toLowerCase() === signer);
+      if (removable.length < markers.length) {
+        const foreign = markers.find((marker) => !removable.includes(marker))!;
+        throw new Error(`Trash event was signed by ${foreign.owner}, restore the diagram from that account`);
+      }
 
-      if (deletedKeys && deletedKeys.length > 0) {
-        console.log(`✅ Successfully deleted diagram: ${diagramId}`);
-        return true;
-      } else {
-        console.log(`❌ Failed to delete diagram: ${diagramId} - no receipt returned`);
-        return false;
+      const keys = removable.map((marker) => marker.key);
+      if (!canWrite) {
+        console.log('⚠️ Backend has no private key - frontend must delete the trash events via MetaMask');
+        return { diagramId, removedMarkers: [], transaction: encodeArkivTransaction({ deletes: keys }) };
       }
 
+      const removedMarkers = await this.deleteEntities(keys, [diagramId]);
+      console.log(`♻️ Diagram ${diagramId} restored from the trash`);
+      return { diagramId, removedMarkers };
     } catch (error) {
-      console.error('❌ Error deleting diagram from Arkiv:', error);
-      throw new Error(`Delete failed: ${(error as Error).message}`);
+      console.error('❌ Error restoring diagram from the trash:', error);
+      throw new Error(`Restore failed: ${(error as Error).message}`);
+    }
+  }
+
+  /**
+   * Trashed diagrams whose restore window has passed. Trash events are checked against the diagram like any other
+   * event, so nobody can get someone else's diagram purged by writing a trash entity for it.
+   */
+  async findDiagramsToPurge(now = Date.now()): Promise<PurgeCandidate[]> {
+    const markers = await this.queryEntities(where.and(where.eq('type', 'trash'), where.lte('purgeAt', now)));
+
+    const candidates = new Map<string, PurgeCandidate>();
+    for (const marker of markers) {
+      const event = this.diagramProjection.parseEvent(marker);
+      if (!event || candidates.has(event.diagramId)) {
+        continue;
+      }
+
+      const walletAddress = readAttr(marker, 'wallet') as string | undefined;
+      const custodialId = readAttr(marker, 'custodial_id') as string | undefined;
+      if (!walletAddress && !custodialId) {
+        continue;
+      }
+
+      const entities = await this.findDiagramEntitiesForBTL(event.diagramId, walletAddress, custodialId);
+      if (entities.length === 0 || !this.isDiagramEventAuthorized(marker, entities[0].entity)) {
+        continue;
+      }
+
+      candidates.set(event.diagramId, { diagramId: event.diagramId, walletAddress, custodialId, purgeAt: event.purgeAt! });
     }
+
+    return Array.from(candidates.values());
+  }
+
+  private async findTrashMarkers(diagramId: string, diagram: StorageEntity, walletAddress?: string, custodialId?: string): Promise<StorageEntity[]> {
+    const markers = await this.queryEntities(where.and(
+      where.eq('type', 'trash'),
+      where.eq('originalDiagramId', diagramId),
+      walletAddress && where.eq('wallet', walletAddress),
+      custodialId && where.eq('custodial_id', custodialId)
+    ));
+    return markers.filter((marker) => this.isDiagramEventAuthorized(marker, diagram));
   }
 
   async renameDiagram(diagramId: string, newTitle: string, walletAddress?: string, custodialId?: string): Promise<boolean> {
     try {
       // If no backend private key, return indication that frontend should handle the transaction
-      if (!this.writeClient) {
+      if (!this.storage.canWrite()) {
         console.log('⚠️ Backend has no private key - frontend must handle rename via MetaMask');
         return false; // Indicates frontend should handle
       }
 
       this.ensureWriteClient();
+      await this.assertDiagramOwner(diagramId, walletAddress, custodialId);
       console.log(`✏️ Renaming diagram ${diagramId} to "${newTitle}"`);
 
       // Find the original diagram
-      const queryParts = ['type = "diagram"', `id = "${diagramId}"`];
-      if (walletAddress) {
-        queryParts.push(`wallet = "${walletAddress}"`);
-      }
-
-      const queryConditions = queryParts.join(' && ');
+      const queryConditions = where.and(
+        where.eq('type', 'diagram'),
+        where.eq('id', diagramId),
+        walletAddress && where.eq('wallet', walletAddress),
+        custodialId && where.eq('custodial_id', custodialId)
+      );
       const diagrams = await this.queryEntities(queryConditions);
 
       if (!diagrams || diagrams.length === 0) {
         throw new Error(`Diagram ${diagramId} not found`);
       }
 
-      const entity = diagrams[0];
+      const entity = [...diagrams].sort((a, b) => this.compareDiagramVersions(a, b))[0];
       const decodedData = await this.decodeEntityPayload(entity);
-      const originalDiagram: DiagramData = JSON.parse(decodedData);
+      const originalDiagram = await this.projectDiagramData(JSON.parse(decodedData) as DiagramData, entity);
 
       // Create a new entry with updated title
       const renameData = {
@@ -1374,6 +2180,9 @@ export class ArkivService {
       if (walletAddress) {
         attributes.push(attr('wallet', walletAddress));
       }
+      if (custodialId) {
+        attributes.push(attr('custodial_id', custodialId));
+      }
 
       const createdKeys = await this.createEntities([{
         payload: encodedData,
@@ -1396,76 +2205,136 @@ export class ArkivService {
     }
   }
 
-  async changeDiagramBTL(diagramId: string, newBTLDays: number, walletAddress?: string, custodialId?: string): Promise<boolean> {
+  /**
+   * Move a diagram's expiry to `newBTLDays` from now (capped by the user's tier). The head version and, for sharded
+   * diagrams, every manifest and chunk are extended to one absolute expiry block. Arkiv cannot shorten an expiry, so
+   * entities that already outlive it are left as they are. Without a signing key the extension comes back as an
+   * unsigned transaction for the plugin to send with MetaMask.
+   */
+  async changeDiagramBTL(diagramId: string, newBTLDays: number, walletAddress?: string, custodialId?: string): Promise<BTLExtensionResult> {
     try {
-      // If no backend private key, return indication that frontend should handle the transaction
-      if (!this.writeClient) {
-        console.log('⚠️ Backend has no private key - frontend must handle BTL change via MetaMask');
-        return false; // Indicates frontend should handle
+      const userTier = this.userService.getUserTier(walletAddress, custodialId);
+      const btlDays = this.userService.validateBTL(userTier, newBTLDays);
+      console.log(`⏰ Changing BTL for diagram ${diagramId} to ${btlDays} days (requested ${newBTLDays}, ${userTier} tier)`);
+      await this.assertDiagramOwner(diagramId, walletAddress, custodialId);
+
+      const entities = await this.findDiagramEntitiesForBTL(diagramId, walletAddress, custodialId);
+      if (entities.length === 0) {
+        throw new Error(`Diagram ${diagramId} not found`);
       }
 
-    this.ensureWriteClient();
-    console.log(`⏰ Changing BTL for diagram ${diagramId} to ${newBTLDays} days`);
+      const timing = await this.storage.getBlockTiming();
+      const currentBlock = Number(timing.currentBlock);
+      const targetBlock = currentBlock + Math.ceil(btlDays * 24 * 60 * 60 / timing.blockTimeSeconds);
+
+      const extensions: BTLExtension[] = [];
+      const events: BTLExtension[] = [];
+      const oldExpiries: number[] = [];
+      for (const { entity, kind } of entities) {
+        const expiresAtBlock = await this.entityExpiryBlock(entity);
+        if (expiresAtBlock === null) {
+          console.log(`⚠️ Expiry of ${kind} entity ${entity.key} is unknown, not extending it`);
+          continue;
+        }
+        // The folder move only follows the diagram's lifetime, see below
+        if (kind === 'event') {
+          events.push({ entityKey: entity.key, kind, expiresAtBlock, numberOfBlocks: 0 });
+          continue;
+        }
+        oldExpiries.push(expiresAtBlock);
+        if (expiresAtBlock < targetBlock) {
+          extensions.push({ entityKey: entity.key, kind, expiresAtBlock, numberOfBlocks: targetBlock - expiresAtBlock });
+        }
+      }
 
-      // Find the original diagram
-      const queryParts = ['type = "diagram"', `id = "${diagramId}"`];
-      if (walletAddress) {
-        queryParts.push(`wallet = "${walletAddress}"`);
+      if (oldExpiries.length === 0) {
+        throw new Error(`Expiry of diagram ${diagramId} is unknown`);
       }
 
-    const queryConditions = queryParts.join(' && ');
-    const diagrams = await this.queryEntities(queryConditions);
+      // The diagram is gone as soon as any of its entities expires
+      const oldExpiresAtBlock = Math.min(...oldExpiries);
+      const expiresAtBlock = Math.min(...oldExpiries.map((block) => Math.max(block, targetBlock)));
+      for (const event of events.filter((candidate) => candidate.expiresAtBlock < expiresAtBlock)) {
+        extensions.push({ ...event, numberOfBlocks: expiresAtBlock - event.expiresAtBlock });
+      }
+      const secondsFor = (blocks: number) => Math.max(0, blocks) * timing.blockTimeSeconds;
+
+      const result: BTLExtensionResult = {
+        diagramId,
+        requestedBTLDays: newBTLDays,
+        btlDays,
+        oldBTLDays: Math.floor(secondsFor(oldExpiresAtBlock - currentBlock) / (24 * 60 * 60)),
+        currentBlock,
+        expiresAtBlock,
+        expiresAt: this.expiryTime(expiresAtBlock, timing),
+        extensions,
+        extendedEntities: []
+      };
 
-      if (!diagrams || diagrams.length === 0) {
-        throw new Error(`Diagram ${diagramId} not found`);
+      if (extensions.length === 0) {
+        console.log(`ℹ️ Diagram ${diagramId} already expires at block ${expiresAtBlock}, nothing to extend`);
+        return result;
       }
 
-    const entity = diagrams[0];
-    const decodedData = await this.decodeEntityPayload(entity);
-    const originalDiagram: DiagramData = JSON.parse(decodedData);
-      const newBTLBlocks = Math.floor(newBTLDays * 24 * 60 * 60 / 2); // Convert days to blocks (2 sec/block)
-
-      // Create a new entry with updated BTL
-      const btlData = {
-        type: 'btl_change',
-        originalDiagramId: diagramId,
-        oldBTLDays: 100, // Default was 100 days
-        newBTLDays: newBTLDays,
-        newBTLBlocks: newBTLBlocks,
-        timestamp: Date.now(),
-        wallet: walletAddress
-      };
-
-      const jsonData = JSON.stringify(btlData);
-      const encodedData = this.encoder.encode(jsonData);
-
-      const attributes: Attribute[] = [
-        attr('type', 'btl_change'),
-        attr('originalDiagramId', diagramId),
-        attr('newBTLDays', newBTLDays.toString()),
-        attr('timestamp', Date.now()),
-        attr('newBTLBlocks', newBTLBlocks),
-        attr('oldBTLDays', 100)
-      ];
+      // Recorded next to the diagram so reads report the new expiry (see DiagramProjectionService)
+      const lifetimeBlocks = expiresAtBlock - currentBlock;
+      const attributes: Attribute[] = [
+        attr('type', 'btl_change'),
+        attr('originalDiagramId', diagramId),
+        attr('newBTLDays', btlDays.toString()),
+        attr('timestamp', Date.now()),
+        attr('newBTLBlocks', lifetimeBlocks),
+        attr('oldBTLDays', result.oldBTLDays),
+        attr('expiresAtBlock', expiresAtBlock),
+        attr('expiresAt', result.expiresAt)
+      ];
 
       if (walletAddress) {
         attributes.push(attr('wallet', walletAddress));
       }
+      if (custodialId) {
+        attributes.push(attr('custodial_id', custodialId));
+      }
 
-      const createdKeys = await this.createEntities([{
-        payload: encodedData,
+      const btlEvent: EntityCreate = {
+        payload: this.encoder.encode(JSON.stringify({
+          type: 'btl_change',
+          originalDiagramId: diagramId,
+          oldBTLDays: result.oldBTLDays,
+          newBTLDays: btlDays,
+          newBTLBlocks: lifetimeBlocks,
+          expiresAtBlock,
+          timestamp: Date.now(),
+          wallet: walletAddress
+        })),
         attributes,
-        expiresInSeconds: blocksToSeconds(newBTLBlocks),
+        expiresInSeconds: blocksToSeconds(lifetimeBlocks),
         contentType: 'application/json'
-      }]);
+      };
 
-      if (createdKeys.length > 0) {
-        console.log(`✅ Diagram BTL change recorded: ${diagramId} -> ${newBTLDays} days`);
-        return true;
+      // If no backend private key, hand the frontend one transaction with the extensions and the event
+      if (!this.storage.canWrite()) {
+        console.log('⚠️ Backend has no private key - frontend must send the BTL extension via MetaMask');
+        const create = this.prepareEntityCreate(btlEvent);
+        result.transaction = encodeArkivTransaction({
+          creates: [{ payload: create.payload, attributes: create.attributes, contentType: create.contentType, btlBlocks: lifetimeBlocks }],
+          extensions: extensions.map(({ entityKey, numberOfBlocks }) => ({ entityKey, numberOfBlocks }))
+        });
+        return result;
       }
 
-      console.log(`❌ Failed to record BTL change for diagram: ${diagramId}`);
-      return false;
+      result.extendedEntities = await this.extendEntities(extensions.map((extension) => ({
+        entityKey: extension.entityKey,
+        expiresInSeconds: blocksToSeconds(extension.numberOfBlocks)
+      })), [diagramId]);
+
+      if (result.extendedEntities.length < extensions.length) {
+        console.log(`⚠️ Only ${result.extendedEntities.length}/${extensions.length} entities of diagram ${diagramId} were extended`);
+      }
+
+      await this.createEntities([btlEvent]);
+      console.log(`✅ Diagram ${diagramId} extended to block ${expiresAtBlock} (${result.extendedEntities.length} entities)`);
+      return result;
 
     } catch (error) {
       console.error('❌ Error changing diagram BTL:', error);
@@ -1473,31 +2342,240 @@ export class ArkivService {
     }
   }
 
+  // Entities that make up a diagram: its head version plus the manifests and chunks of sharded uploads
+  private async findDiagramEntitiesForBTL(diagramId: string, walletAddress?: string, custodialId?: string): Promise<Array<{ entity: StorageEntity; kind: BTLExtension['kind'] }>> {
+    const [diagrams, manifests, chunks] = await Promise.all([
+      this.queryEntities(where.and(
+        where.eq('type', 'diagram'),
+        where.eq('id', diagramId),
+        walletAddress && where.eq('wallet', walletAddress),
+        custodialId && where.eq('custodial_id', custodialId)
+      )),
+      this.queryEntities(where.and(where.eq('type', 'diagram_manifest'), where.eq('diagram_id', diagramId))),
+      this.queryEntities(where.and(where.eq('type', 'diagram_chunk'), where.eq('diagram_id', diagramId)))
+    ]);
+
+    const found: Array<{ entity: StorageEntity; kind: BTLExtension['kind'] }> = [];
+    const owned = this.ownedVersions(diagrams);
+    if (owned.length > 0) {
+      found.push({ entity: owned.sort((a, b) => this.compareDiagramVersions(a, b))[0], kind: 'diagram' });
+    }
+    for (const entity of manifests.filter((manifest) => this.isUploadOwner(manifest, walletAddress, custodialId))) {
+      found.push({ entity, kind: 'manifest' });
+    }
+    for (const entity of chunks.filter((chunk) => this.isUploadOwner(chunk, walletAddress, custodialId))) {
+      found.push({ entity, kind: 'chunk' });
+    }
+
+    // The current folder and tags of the diagram are its newest move and tag events, which have to live as long as the diagram
+    if (found.length > 0) {
+      const head = found[0].entity;
+      const [move, tags] = await Promise.all([
+        this.findLatestEvent('move', diagramId, head, walletAddress, custodialId),
+        this.findLatestEvent('tags', diagramId, head, walletAddress, custodialId)
+      ]);
+      if (move) {
+        found.push({ entity: move, kind: 'event' });
+      }
+      // Tag events older than the head version are superseded by it
+      if (tags && Number(readAttr(tags, 'timestamp') ?? 0) > Number(readAttr(head, 'timestamp') ?? 0)) {
+        found.push({ entity: tags, kind: 'event' });
+      }
+    }
+    return found;
+  }
+
+  private async findLatestEvent(type: 'move' | 'tags', diagramId: string, diagram: StorageEntity, walletAddress?: string, custodialId?: string): Promise<StorageEntity | null> {
+    const events = (await this.queryEntities(where.and(
+      where.eq('type', type),
+      where.eq('originalDiagramId', diagramId),
+      walletAddress && where.eq('wallet', walletAddress),
+      custodialId && where.eq('custodial_id', custodialId)
+    ))).filter((event) => this.isDiagramEventAuthorized(event, diagram));
+
+    return events.sort((a, b) => Number(readAttr(b, 'timestamp') ?? 0) - Number(readAttr(a, 'timestamp') ?? 0))[0] ?? null;
+  }
+
+  // Query results may omit entity metadata; fall back to a full entity read
+  private async entityExpiryBlock(entity: StorageEntity): Promise<number | null> {
+    const expiresAtBlock = entity.expiresAtBlock ?? (await this.storage.getEntity(entity.key))?.expiresAtBlock;
+    return expiresAtBlock === undefined ? null : Number(expiresAtBlock);
+  }
+
+  /**
+   * Wallets and guest accounts whose newest backend-signed configuration switches auto-renew on
+   */
+  private async findAutoRenewAccounts(): Promise<string[]> {
+    const signer = this.storage.signerAddress();
+    if (!this.storage.canWrite() || !signer) {
+      return [];
+    }
+
+    const { entities } = await this.queryAttributes(where.and(where.eq('type', 'user_config'), where.eq('$owner', signer)));
+    const byAccount = new Map<string, StorageEntity[]>();
+    for (const entity of entities) {
+      const account = String(readAttr(entity, 'wallet') ?? '');
+      if (account) {
+        byAccount.set(account, [...(byAccount.get(account) ?? []), entity]);
+      }
+    }
+
+    const accounts: string[] = [];
+    for (const [account, configs] of byAccount) {
+      const newest = this.newestUserConfig(configs);
+      // Configurations saved before the auto_renew attribute only record the policy in the payload
+      const mode = readAttr(newest, 'auto_renew')
+        ?? (JSON.parse(await this.decodeEntityPayload(newest).catch(() => '{}')) as Partial<UserConfig>).autoRenew?.mode;
+      if (mode === 'always' || mode === 'if_opened') {
+        accounts.push(account);
+      }
+    }
+    return accounts;
+  }
+
+  /**
+   * Records that the owner opened a diagram, for the 'if_opened' auto-renew policy. Only the owner's own reads count,
+   * so loading a public diagram cannot keep it alive.
+   */
+  async recordDiagramOpened(diagramId: string, walletAddress?: string, custodialId?: string): Promise<void> {
+    this.ensureWriteClient();
+    await this.assertDiagramOwner(diagramId, walletAddress, custodialId);
+
+    await this.createEntities([{
+      payload: this.encoder.encode(JSON.stringify({ diagramId, openedAt: Date.now() })),
+      attributes: [
+        attr('type', 'diagram_opened'),
+        attr('diagram_id', diagramId),
+        attr('opened_at', Date.now())
+      ],
+      expiresInSeconds: OPENED_RECORD_BTL_DAYS * 24 * 60 * 60,
+      contentType: 'application/json'
+    }]);
+  }
+
+  /**
+   * When the owner last opened a diagram through this backend, 0 if never (or longer ago than the records live)
+   */
+  async findDiagramLastOpened(diagramId: string): Promise<number> {
+    const signer = this.storage.signerAddress();
+    if (!signer) {
+      return 0;
+    }
+
+    const { entities } = await this.queryAttributes(where.and(
+      where.eq('type', 'diagram_opened'),
+      where.eq('diagram_id', diagramId),
+      where.eq('$owner', signer)
+    ));
+    return Math.max(0, ...entities.map((entity) => Number(readAttr(entity, 'opened_at')) || 0));
+  }
+
+  /**
+   * Diagrams of accounts with auto-renew switched on that expire within `withinDays`, soonest first. A diagram expires
+   * with its earliest entity: the head version, or any manifest or chunk of a sharded upload. Only attributes are
+   * read, one account at a time; other accounts see expiry in the plugin.
+   */
+  async findExpiringDiagrams(withinDays: number): Promise<ExpiringDiagram[]> {
+    try {
+      const accounts = await this.findAutoRenewAccounts();
+      if (accounts.length === 0) {
+        return [];
+      }
+
+      const diagrams: StorageEntity[] = [];
+      const uploads: StorageEntity[] = [];
+      for (const account of accounts) {
+        const { entities } = await this.queryAttributes(where.and(
+          where.or(where.eq('type', 'diagram'), where.eq('type', 'diagram_manifest'), where.eq('type', 'diagram_chunk')),
+          where.or(where.eq('wallet', account), where.eq('custodial_id', account))
+        ));
+        for (const entity of entities) {
+          (readAttr(entity, 'type') === 'diagram' ? diagrams : uploads).push(entity);
+        }
+      }
+
+      const timing = await this.storage.getBlockTiming();
+      const currentBlock = Number(timing.currentBlock);
+      const windowEndBlock = currentBlock + Math.ceil(withinDays * 24 * 60 * 60 / timing.blockTimeSeconds);
+
+      const groups = new Map<string, { head: StorageEntity; entities: StorageEntity[]; sharded: boolean }>();
+      for (const head of this.latestDiagramVersions(diagrams)) {
+        groups.set(String(readAttr(head, 'id')), { head, entities: [head], sharded: false });
+      }
+      for (const entity of uploads) {
+        const diagramId = String(readAttr(entity, 'diagram_id') ?? '');
+        const group = groups.get(diagramId);
+        if (group) {
+          group.entities.push(entity);
+        } else if (diagramId) {
+          groups.set(diagramId, { head: entity, entities: [entity], sharded: true });
+        }
+      }
+
+      const expiring: ExpiringDiagram[] = [];
+      for (const [diagramId, { head, entities, sharded }] of groups) {
+        const walletAddress = readAttr(head, 'wallet');
+        const custodialId = readAttr(head, 'custodial_id');
+        if (!walletAddress && !custodialId) {
+          continue;
+        }
+
+        const expiries = (await Promise.all(entities.map((entity) => this.entityExpiryBlock(entity))))
+          .filter((block): block is number => block !== null);
+        if (expiries.length === 0) {
+          continue;
+        }
+
+        const expiresAtBlock = Math.min(...expiries);
+        if (expiresAtBlock > windowEndBlock) {
+          continue;
+        }
+
+        expiring.push({
+          diagramId,
+          title: String(readAttr(head, 'title') ?? 'Untitled'),
+          walletAddress: walletAddress ? String(walletAddress) : undefined,
+          custodialId: custodialId ? String(custodialId) : undefined,
+          expiresAtBlock,
+          expiresAt: this.expiryTime(expiresAtBlock, timing),
+          lastSavedAt: Math.max(0, ...entities.map((entity) => Number(readAttr(entity, 'timestamp')) || 0)),
+          sharded
+        });
+      }
+
+      return expiring.sort((a, b) => a.expiresAtBlock - b.expiresAtBlock);
+    } catch (error) {
+      console.error('❌ Error scanning for expiring diagrams:', error);
+      throw new Error(`Expiry scan failed: ${(error as Error).message}`);
+    }
+  }
+
   async protectDiagram(diagramId: string, walletAddress?: string, custodialId?: string): Promise<boolean> {
     try {
       // If no backend private key, return indication that frontend should handle the transaction
-      if (!this.writeClient) {
+      if (!this.storage.canWrite()) {
         console.log('⚠️ Backend has no private key - frontend must handle protection via MetaMask');
         return false; // Indicates frontend should handle
       }
 
     this.ensureWriteClient();
+    await this.assertDiagramOwner(diagramId, walletAddress, custodialId);
     console.log(`🛡️ Protecting diagram ${diagramId}`);
 
       // Find the original diagram
-      const queryParts = ['type = "diagram"', `id = "${diagramId}"`];
-      if (walletAddress) {
-        queryParts.push(`wallet = "${walletAddress}"`);
-      }
-
-      const queryConditions = queryParts.join(' && ');
+      const queryConditions = where.and(
+        where.eq('type', 'diagram'),
+        where.eq('id', diagramId),
+        walletAddress && where.eq('wallet', walletAddress),
+        custodialId && where.eq('custodial_id', custodialId)
+      );
       const diagrams = await this.queryEntities(queryConditions);
 
       if (!diagrams || diagrams.length === 0) {
         throw new Error(`Diagram ${diagramId} not found`);
       }
 
-      const entity = diagrams[0];
+      const entity = [...diagrams].sort((a, b) => this.compareDiagramVersions(a, b))[0];
       const decodedData = await this.decodeEntityPayload(entity);
       const originalDiagram: DiagramData = JSON.parse(decodedData);
 
@@ -1527,6 +2605,9 @@ export class ArkivService {
       if (walletAddress) {
         attributes.push(attr('wallet', walletAddress));
       }
+      if (custodialId) {
+        attributes.push(attr('custodial_id', custodialId));
+      }
 
       const createdKeys = await this.createEntities([{
         payload: encodedData,
@@ -1567,95 +2648,112 @@ export class ArkivService {
         throw new Error(`Sharing is not available for ${userTier} tier. Upgrade to access sharing features.`);
       }
 
-      // Verify user owns the diagram
-      const diagrams = await this.listDiagrams(undefined, walletAddress, custodialId);
-      const diagram = diagrams.find(d => d.id === diagramId);
+      await this.assertDiagramOwner(diagramId, walletAddress, custodialId);
 
-      if (!diagram) {
-        throw new Error('Diagram not found or access denied');
-      }
+      // Create share token, always for the diagram that was checked above
+      const createdBy = (walletAddress || custodialId)!;
+      const shareTokenData = this.userService.createShareTokenData({ ...shareRequest, diagramId }, createdBy);
 
-      // Create share token
-      const createdBy = walletAddress || custodialId || 'anonymous';
-      const shareTokenData = this.userService.createShareTokenData(shareRequest, createdBy);
+      return await this.storeShareToken(shareTokenData, attr('diagram_id', diagramId));
+    } catch (error) {
+      console.error('Share token creation failed:', error);
+      throw new Error(`Share token creation failed: ${(error as Error).message}`);
+    }
+  }
 
-      // Store share token in Arkiv
-      const tokenValue = JSON.stringify(shareTokenData);
-      const tokenData = this.encoder.encode(tokenValue);
+  // Store a new share token; `target` is the diagram_id or folder_id attribute
+  private async storeShareToken(shareTokenData: ShareToken, target: Attribute): Promise<ShareTokenResponse> {
+    // Store share token in Arkiv
+    const tokenValue = JSON.stringify(shareTokenData);
+    const tokenData = this.encoder.encode(tokenValue);
 
-      if (!this.hasWriteAccess()) {
-        throw new Error('Backend cannot create share tokens without signing key');
-      }
+    if (!this.hasWriteAccess()) {
+      throw new Error('Backend cannot create share tokens without signing key');
+    }
 
-      const btlDays = shareTokenData.expiresAt ? Math.ceil((shareTokenData.expiresAt - Date.now()) / (1000 * 60 * 60 * 24)) : 365;
-      const btlBlocks = Math.max(1, Math.floor(btlDays * 24 * 60 * 60 / 2));
-      const attributes: Attribute[] = [
-        attr('type', 'share_token'),
-        attr('diagram_id', shareRequest.diagramId),
-        attr('created_by', createdBy),
-        attr('token', shareTokenData.token),
-        attr('is_public', shareRequest.isPublic ? 'true' : 'false'),
-        attr('created_at', shareTokenData.createdAt),
-        attr('access_count', 1)
-      ];
+    const btlDays = shareTokenData.expiresAt ? Math.ceil((shareTokenData.expiresAt - Date.now()) / (1000 * 60 * 60 * 24)) : 365;
+    const btlBlocks = Math.max(1, Math.floor(btlDays * 24 * 60 * 60 / 2));
+    const attributes: Attribute[] = [
+      attr('type', 'share_token'),
+      target,
+      attr('created_by', shareTokenData.createdBy),
+      attr('token', shareTokenData.token),
+      attr('is_public', shareTokenData.isPublic ? 'true' : 'false'),
+      attr('created_at', shareTokenData.createdAt),
+      attr('access_count', 1)
+    ];
+
+    if (shareTokenData.expiresAt) {
+      attributes.push(attr('expires_at', shareTokenData.expiresAt));
+    }
 
-      if (shareTokenData.expiresAt) {
-        attributes.push(attr('expires_at', shareTokenData.expiresAt));
-      }
+    const createdKeys = await this.createEntities([{
+      payload: tokenData,
+      attributes,
+      expiresInSeconds: blocksToSeconds(btlBlocks),
+      contentType: 'application/json'
+    }]);
 
-      const createdKeys = await this.createEntities([{
-        payload: tokenData,
-        attributes,
-        expiresInSeconds: blocksToSeconds(btlBlocks),
-        contentType: 'application/json'
-      }]);
+    if (!createdKeys.length) {
+      throw new Error('Failed to create share token entity');
+    }
 
-      if (!createdKeys.length) {
-        throw new Error('Failed to create share token entity');
-      }
+    console.log(`Share token stored with entity key: ${createdKeys[0]}`);
 
-      console.log(`Share token stored with entity key: ${createdKeys[0]}`);
+    // Generate share URL
+    const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+    const shareUrl = shareTokenData.folderId
+      ? `${baseUrl}/api/folders/shared/${shareTokenData.token}`
+      : `${baseUrl}/shared/${shareTokenData.token}`;
 
-      // Generate share URL
-      const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
-      const shareUrl = `${baseUrl}/shared/${shareTokenData.token}`;
+    return {
+      success: true,
+      token: shareTokenData.token,
+      shareUrl
+    };
+  }
 
-      return {
-        success: true,
-        token: shareTokenData.token,
-        shareUrl
-      };
-    } catch (error) {
-      console.error('Share token creation failed:', error);
-      throw new Error(`Share token creation failed: ${(error as Error).message}`);
+  /**
+   * Share token by its value. The token names the diagram or folder and who shared it, and anyone can write an entity
+   * with a known token, so only the ones this backend signed count. Every access count update writes a new entity, the
+   * one with the highest count is current.
+   */
+  private async findShareToken(token: string): Promise<ShareToken | null> {
+    const signer = this.storage.signerAddress();
+    if (!signer) {
+      return null;
     }
+
+    const query = where.and(where.eq('type', 'share_token'), where.eq('token', token), where.eq('$owner', signer));
+    console.log(`Searching for share token: ${buildQuery(query)}`);
+    const [latest] = (await this.queryEntities(query)).sort((a, b) =>
+      (Number(readAttr(b, 'access_count') ?? 0) - Number(readAttr(a, 'access_count') ?? 0))
+        || Number((b.createdAtBlock ?? 0n) - (a.createdAtBlock ?? 0n)));
+    return latest ? JSON.parse(await this.decodeEntityPayload(latest)) : null;
   }
 
   async accessSharedDiagram(token: string): Promise<DiagramData | null> {
     try {
-  // Search for share token by token annotation
-  const query = `type == "share_token" && token == "${token}"`;
-
-  console.log(`Searching for share token: ${query}`);
-  const results = await this.queryEntities(query);
-
-      if (!results || results.length === 0) {
+      const shareTokenData = await this.findShareToken(token);
+      if (!shareTokenData) {
         console.log(`Share token ${token} not found`);
         return null;
       }
 
-  const tokenEntity = results[0];
-  const tokenPayload = await this.decodeEntityPayload(tokenEntity);
-  const shareTokenData: ShareToken = JSON.parse(tokenPayload);
-
       // Check if token is expired
       if (shareTokenData.expiresAt && Date.now() > shareTokenData.expiresAt) {
         console.log(`Share token ${token} has expired`);
         return null;
       }
 
+      // Folder tokens are served by accessSharedFolder
+      if (!shareTokenData.diagramId) {
+        console.log(`Share token ${token} is for folder ${shareTokenData.folderId}`);
+        return null;
+      }
+
       // Load the actual diagram
-      const diagramData = await this.importDiagram(shareTokenData.diagramId);
+      const diagramData = (await this.readDiagram(shareTokenData.diagramId))?.data;
       if (!diagramData) {
         console.log(`❌ Shared diagram ${shareTokenData.diagramId} not found or expired`);
         return null;
@@ -1707,19 +2805,13 @@ export class ArkivService {
 
   async listShareTokens(diagramId: string, walletAddress?: string, custodialId?: string): Promise<ShareToken[]> {
     try {
-      // Verify user owns the diagram
-      const diagrams = await this.listDiagrams(undefined, walletAddress, custodialId);
-      const diagram = diagrams.find(d => d.id === diagramId);
-
-      if (!diagram) {
-        throw new Error('Diagram not found or access denied');
-      }
+      await this.assertDiagramOwner(diagramId, walletAddress, custodialId);
 
       // Search for share tokens for this diagram
-      const createdBy = walletAddress || custodialId || 'anonymous';
-      const query = `type == "share_token" && diagram_id == "${diagramId}" && created_by == "${createdBy}"`;
+      const createdBy = (walletAddress || custodialId)!;
+      const query = where.and(where.eq('type', 'share_token'), where.eq('diagram_id', diagramId), where.eq('created_by', createdBy));
 
-      console.log(`Searching for share tokens: ${query}`);
+      console.log(`Searching for share tokens: ${buildQuery(query)}`);
       const results = await this.queryEntities(query);
 
       const shareTokens: ShareToken[] = [];
@@ -1746,23 +2838,16 @@ export class ArkivService {
 
   async revokeShareToken(token: string, walletAddress?: string, custodialId?: string): Promise<boolean> {
     try {
-  // Search for share token by token annotation
-  const query = `type == "share_token" && token == "${token}"`;
-
-  console.log(`Searching for share token to revoke: ${query}`);
-  const results = await this.queryEntities(query);
-
-      if (!results || results.length === 0) {
+      const shareTokenData = await this.findShareToken(token);
+      if (!shareTokenData) {
         console.log(`Share token ${token} not found`);
         return false;
       }
 
-  const payload = await this.decodeEntityPayload(results[0]);
-  const shareTokenData: ShareToken = JSON.parse(payload);
-      const currentUser = walletAddress || custodialId || 'anonymous';
+      const currentUser = walletAddress || custodialId;
 
       // Check if user is authorized to revoke this token
-      if (shareTokenData.createdBy !== currentUser) {
+      if (!currentUser || shareTokenData.createdBy !== currentUser) {
         throw new Error('Unauthorized to revoke this share token');
       }
 
@@ -1774,7 +2859,7 @@ export class ArkivService {
       const revokedData = this.encoder.encode('REVOKED');
       const attributes: Attribute[] = [
         attr('type', 'share_token_revoked'),
-        attr('diagram_id', shareTokenData.diagramId),
+        shareTokenData.folderId ? attr('folder_id', shareTokenData.folderId) : attr('diagram_id', shareTokenData.diagramId ?? ''),
         attr('created_by', currentUser),
         attr('token', token),
         attr('revoked_at', Date.now().toString()),
@@ -1796,148 +2881,1020 @@ export class ArkivService {
     }
   }
 
-  async saveUserConfig(config: UserConfig): Promise<string> {
-    try {
-      console.log(`Saving user config for wallet: ${config.walletAddress}`);
-
-      this.ensureWriteClient();
-
-      const configJson = JSON.stringify(config);
-      const encodedData = this.encoder.encode(configJson);
-
-      const attributes: Attribute[] = [
-        attr('type', 'user_config'),
-        attr('wallet', config.walletAddress),
-        attr('timestamp', config.timestamp),
-        attr('btl_days', config.btlDays)
-      ];
-
-      const expiresInSeconds = blocksToSeconds(Math.floor(365 * 24 * 60 * 60 / 2));
-      const createdKeys = await this.createEntities([{
-        payload: encodedData,
-        attributes,
-        expiresInSeconds,
-        contentType: 'application/json'
-      }]);
-
-      if (!createdKeys.length) {
-        throw new Error('Failed to store user configuration');
-      }
-
-      console.log(`User config saved with entity key: ${createdKeys[0]}`);
-
-      return createdKeys[0];
-    } catch (error) {
-      console.error('Error saving user config:', error);
-      throw new Error(`Config save failed: ${(error as Error).message}`);
+  // Folders of a wallet or custodial user, one per folder ID
+  async listFolders(walletAddress?: string, custodialId?: string): Promise<Folder[]> {
+    if (!walletAddress && !custodialId) {
+      return [];
     }
-  }
-
-  async getUserConfig(walletAddress: string): Promise<UserConfig | null> {
-    try {
-      const query = `type = "user_config" && wallet = "${walletAddress}"`;
-      console.log(`Getting user config query: ${query}`);
-
-      const queryResult = await this.queryEntities(query);
-      console.log(`Config query result: ${queryResult?.length || 0} entities found`);
 
-      if (queryResult && queryResult.length > 0) {
-        // Bierz najnowszą konfigurację (ostatnia w liście)
-        const entity = queryResult[queryResult.length - 1];
+    const entities = await this.queryEntities(where.and(
+      where.eq('type', 'folder'),
+      walletAddress && where.eq('wallet', walletAddress),
+      custodialId && where.eq('custodial_id', custodialId)
+    ));
 
-        try {
-          const decodedData = await this.decodeEntityPayload(entity);
-          const config: UserConfig = JSON.parse(decodedData);
-          console.log(`User config loaded:`, config);
-          return config;
-        } catch (decodeError) {
-          console.error('Error decoding user config:', decodeError);
-          return null;
+    const folders = new Map<string, Folder>();
+    for (const entity of entities) {
+      try {
+        const folder: Folder = { ...JSON.parse(await this.decodeEntityPayload(entity)), entityKey: entity.key };
+        const current = folders.get(folder.id);
+        if (!current || folder.createdAt > current.createdAt) {
+          folders.set(folder.id, folder);
         }
+      } catch (error) {
+        console.log(`Could not decode folder entity ${entity.key}:`, error);
       }
-
-      console.log(`No config found for wallet: ${walletAddress}, using defaults`);
-      return null;
-    } catch (error) {
-      console.error('Error getting user config:', error);
-      throw new Error(`Config load failed: ${(error as Error).message}`);
     }
+    return Array.from(folders.values()).sort((a, b) => a.path.localeCompare(b.path));
   }
 
-  getDefaultConfig(walletAddress: string): UserConfig {
+  async getFolderTree(walletAddress?: string, custodialId?: string): Promise<{ folders: Folder[]; tree: FolderNode[]; rootDiagramCount: number }> {
+    const [folders, diagrams] = await Promise.all([
+      this.listFolders(walletAddress, custodialId),
+      this.listDiagrams(undefined, walletAddress, custodialId)
+    ]);
+    const rootScope = new Set([ROOT_FOLDER_ID]);
     return {
-      walletAddress,
-      btlDays: 100,
-      autoSave: false,
-      showBalance: true,
-      encryptByDefault: false,
-      timestamp: Date.now()
+      folders,
+      tree: this.folderTree.buildTree(folders, diagrams),
+      rootDiagramCount: diagrams.filter((diagram) => this.folderTree.inScope(diagram, rootScope, folders)).length
     };
   }
 
   /**
-   * Get user tier information and limits
+   * Diagrams in a folder (ROOT_FOLDER_ID for diagrams not in any folder), optionally including its subfolders
    */
-  getUserTierInfo(walletAddress?: string, custodialId?: string) {
-    const tier = this.userService.getUserTier(walletAddress, custodialId);
-    const limits = this.userService.getUserLimits(tier);
-    const displayInfo = this.userService.getUserDisplayInfo(tier, walletAddress || custodialId);
+  async listDiagramsInFolder(folderId: string, recursive: boolean, walletAddress?: string, custodialId?: string): Promise<DiagramMetadata[]> {
+    const [folders, diagrams] = await Promise.all([
+      this.listFolders(walletAddress, custodialId),
+      this.listDiagrams(undefined, walletAddress, custodialId)
+    ]);
+    if (folderId !== ROOT_FOLDER_ID && !folders.some((folder) => folder.id === folderId)) {
+      throw new Error(`Folder ${folderId} not found`);
+    }
 
-    return {
-      tier,
-      limits,
-      displayInfo
-    };
+    const scope = this.folderTree.scope(folders, folderId, recursive);
+    return diagrams.filter((diagram) => this.folderTree.inScope(diagram, scope, folders));
   }
 
-  // Encryption helper methods
-  private encryptContent(content: string, password: string): string {
+  async createFolder(request: FolderRequest, walletAddress?: string, custodialId?: string): Promise<FolderResult> {
     try {
-      const encrypted = CryptoJS.AES.encrypt(content, password).toString();
-      console.log('🔐 Content encrypted successfully');
-      return encrypted;
+      if (!walletAddress && !custodialId) {
+        throw new Error('Folders need a wallet or custodial account');
+      }
+
+      const name = this.folderTree.normalizeName(request.name);
+      const folders = await this.listFolders(walletAddress, custodialId);
+      const parent = request.parentId ? folders.find((folder) => folder.id === request.parentId) : null;
+      if (request.parentId && !parent) {
+        throw new Error(`Parent folder ${request.parentId} not found`);
+      }
+
+      const folder: Folder = {
+        id: crypto.randomBytes(16).toString('hex'),
+        name,
+        path: this.folderTree.childPath(folders, parent ?? null, name),
+        parentId: parent?.id,
+        createdAt: Date.now()
+      };
+
+      const attributes: Attribute[] = [
+        attr('type', 'folder'),
+        attr('folder_id', folder.id),
+        attr('name', folder.name),
+        attr('path', folder.path),
+        attr('timestamp', folder.createdAt)
+      ];
+
+      if (folder.parentId) {
+        attributes.push(attr('parent_id', folder.parentId));
+      }
+      if (walletAddress) {
+        attributes.push(attr('wallet', walletAddress));
+      }
+      if (custodialId) {
+        attributes.push(attr('custodial_id', custodialId));
+      }
+
+      const { entityKey, transaction } = await this.createOrPrepare({
+        payload: this.encoder.encode(JSON.stringify(folder)),
+        attributes,
+        expiresInSeconds: FOLDER_BTL_DAYS * 24 * 60 * 60,
+        contentType: 'application/json'
+      });
+
+      console.log(`📁 Folder ${folder.path} ${transaction ? 'prepared for MetaMask' : 'created'}`);
+      return { folder: { ...folder, entityKey }, transaction };
     } catch (error) {
-      console.error('❌ Encryption failed:', error);
-      throw new Error('Encryption failed');
+      console.error('❌ Error creating folder:', error);
+      throw new Error(`Create folder failed: ${(error as Error).message}`);
     }
   }
 
-  private decryptContent(encryptedContent: string, password: string): string {
+  // Only empty folders can be deleted; move or delete their diagrams and subfolders first
+  async deleteFolder(folderId: string, walletAddress?: string, custodialId?: string): Promise<{ folderId: string; transaction?: ArkivTransactionRequest }> {
     try {
-      const decrypted = CryptoJS.AES.decrypt(encryptedContent, password);
-      const plaintext = decrypted.toString(CryptoJS.enc.Utf8);
+      const folders = await this.listFolders(walletAddress, custodialId);
+      if (!folders.some((folder) => folder.id === folderId)) {
+        throw new Error(`Folder ${folderId} not found`);
+      }
+      if (folders.some((folder) => folder.parentId === folderId)) {
+        throw new Error(`Folder ${folderId} is not empty: it has subfolders`);
+      }
+
+      const diagrams = await this.listAllDiagrams(undefined, walletAddress, custodialId);
+      if (diagrams.some((diagram) => diagram.folderId === folderId)) {
+        throw new Error(`Folder ${folderId} is not empty: it has diagrams (including any in the trash)`);
+      }
+
+      const entities = (await this.queryEntities(where.and(where.eq('type', 'folder'), where.eq('folder_id', folderId))))
+        .filter((entity) => this.isOwnedByCaller(entity, walletAddress, custodialId));
+      const keys = entities.map((entity) => entity.key);
 
-      if (!plaintext) {
-        throw new Error('Decryption failed - invalid password or corrupted data');
+      if (!this.storage.canWrite()) {
+        console.log('⚠️ Backend has no private key - frontend must delete the folder via MetaMask');
+        return { folderId, transaction: encodeArkivTransaction({ deletes: keys }) };
       }
 
-      console.log('🔓 Content decrypted successfully');
-      return plaintext;
+      await this.deleteEntities(keys);
+      console.log(`📁 Folder ${folderId} deleted`);
+      return { folderId };
     } catch (error) {
-      console.error('❌ Decryption failed:', error);
-      throw new Error('Decryption failed - invalid password');
+      console.error('❌ Error deleting folder:', error);
+      throw new Error(`Delete folder failed: ${(error as Error).message}`);
     }
   }
 
-  async exportChunk(chunkRequest: ChunkExportRequest, walletAddress?: string): Promise<string> {
+  /**
+   * Move a diagram into a folder (ROOT_FOLDER_ID or none for the root). The move is an event next to the diagram
+   * that lives as long as the diagram does; changeDiagramBTL extends it together with the diagram.
+   */
+  async moveDiagram(diagramId: string, folderId: string | undefined, walletAddress?: string, custodialId?: string): Promise<DiagramMoveResult> {
     try {
-      console.log(`Starting chunk export for chunk: ${chunkRequest.chunkId}, diagram: ${chunkRequest.diagramId}`);
+      const target = folderId || ROOT_FOLDER_ID;
+      await this.assertDiagramOwner(diagramId, walletAddress, custodialId);
+      const entities = (await this.findDiagramEntitiesForBTL(diagramId, walletAddress, custodialId))
+        .filter(({ kind }) => kind !== 'event');
+      if (entities.length === 0) {
+        throw new Error(`Diagram ${diagramId} not found`);
+      }
 
-  this.ensureWriteClient();
+      if (target !== ROOT_FOLDER_ID) {
+        const folders = await this.listFolders(walletAddress, custodialId);
+        if (!folders.some((folder) => folder.id === target)) {
+          throw new Error(`Folder ${target} not found`);
+        }
+      }
 
-      // Get user configuration for BTL
-      let btlBlocks = 4320000; // default ~100 days
-      if (walletAddress) {
-        try {
-          const userConfig = await this.getUserConfig(walletAddress);
-          if (userConfig) {
-            btlBlocks = Math.floor(userConfig.btlDays * 24 * 60 * 60 / 2);
-            console.log(`Using user config BTL: ${userConfig.btlDays} days = ${btlBlocks} blocks`);
+      const attributes: Attribute[] = [
+        attr('type', 'move'),
+        attr('originalDiagramId', diagramId),
+        attr('folderId', target),
+        attr('timestamp', Date.now())
+      ];
+
+      if (walletAddress) {
+        attributes.push(attr('wallet', walletAddress));
+      }
+      if (custodialId) {
+        attributes.push(attr('custodial_id', custodialId));
+      }
+
+      const { transaction } = await this.createOrPrepare({
+        payload: this.encoder.encode(JSON.stringify({
+          type: 'move',
+          originalDiagramId: diagramId,
+          folderId: target,
+          timestamp: Date.now(),
+          wallet: walletAddress
+        })),
+        attributes,
+        expiresInSeconds: await this.eventLifetimeSeconds(entities.map(({ entity }) => entity)),
+        contentType: 'application/json'
+      });
+
+      console.log(`📁 Diagram ${diagramId} ${transaction ? 'move prepared for MetaMask' : 'moved'} to ${target}`);
+      return { diagramId, folderId: target === ROOT_FOLDER_ID ? undefined : target, transaction };
+    } catch (error) {
+      console.error('❌ Error moving diagram:', error);
+      throw new Error(`Move failed: ${(error as Error).message}`);
+    }
+  }
+
+  async setDiagramTags(diagramId: string, tags: string[], walletAddress?: string, custodialId?: string): Promise<DiagramTagsResult> {
+    try {
+      const normalized = normalizeTags(tags);
+      await this.assertDiagramOwner(diagramId, walletAddress, custodialId);
+      const entities = (await this.findDiagramEntitiesForBTL(diagramId, walletAddress, custodialId))
+        .filter(({ kind }) => kind !== 'event');
+      if (entities.length === 0) {
+        throw new Error(`Diagram ${diagramId} not found`);
+      }
+
+      // Always written, also when empty, so the event supersedes the tags of the saved version
+      const attributes: Attribute[] = [
+        attr('type', 'tags'),
+        attr('originalDiagramId', diagramId),
+        attr(TAGS_ATTRIBUTE, formatTagsAttribute(normalized)),
+        attr('timestamp', Date.now())
+      ];
+
+      if (walletAddress) {
+        attributes.push(attr('wallet', walletAddress));
+      }
+      if (custodialId) {
+        attributes.push(attr('custodial_id', custodialId));
+      }
+
+      const { transaction } = await this.createOrPrepare({
+        payload: this.encoder.encode(JSON.stringify({
+          type: 'tags',
+          originalDiagramId: diagramId,
+          tags: normalized,
+          timestamp: Date.now(),
+          wallet: walletAddress
+        })),
+        attributes,
+        expiresInSeconds: await this.eventLifetimeSeconds(entities.map(({ entity }) => entity)),
+        contentType: 'application/json'
+      });
+
+      console.log(`🏷️ Diagram ${diagramId} tags ${transaction ? 'prepared for MetaMask' : 'set'}: ${normalized.join(', ') || '(none)'}`);
+      return { diagramId, tags: normalized, transaction };
+    } catch (error) {
+      console.error('❌ Error setting diagram tags:', error);
+      throw new Error(`Tagging failed: ${(error as Error).message}`);
+    }
+  }
+
+  /**
+   * Tags used on the caller's diagrams, most used first (for autocomplete)
+   */
+  async listUserTags(walletAddress?: string, custodialId?: string): Promise<TagUsage[]> {
+    const counts = new Map<string, number>();
+    for (const diagram of await this.listDiagrams(undefined, walletAddress, custodialId)) {
+      for (const tag of diagram.tags ?? []) {
+        counts.set(tag, (counts.get(tag) ?? 0) + 1);
+      }
+    }
+
+    return Array.from(counts, ([tag, count]) => ({ tag, count }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+  }
+
+  // Events describing a diagram live until its earliest entity expires
+  private async eventLifetimeSeconds(diagramEntities: StorageEntity[]): Promise<number> {
+    const timing = await this.storage.getBlockTiming();
+    const expiries = (await Promise.all(diagramEntities.map((entity) => this.entityExpiryBlock(entity))))
+      .filter((block): block is number => block !== null);
+    const lifetimeBlocks = expiries.length
+      ? Math.max(1, Math.min(...expiries) - Number(timing.currentBlock))
+      : Math.ceil(DEFAULT_EVENT_BTL_DAYS * 24 * 60 * 60 / timing.blockTimeSeconds);
+    return lifetimeBlocks * timing.blockTimeSeconds;
+  }
+
+  async createFolderShareToken(shareRequest: FolderShareRequest, walletAddress?: string, custodialId?: string): Promise<ShareTokenResponse> {
+    try {
+      const userTier = this.userService.getUserTier(walletAddress, custodialId);
+      if (!this.userService.canCreateShareToken(userTier)) {
+        throw new Error(`Sharing is not available for ${userTier} tier. Upgrade to access sharing features.`);
+      }
+
+      const folders = await this.listFolders(walletAddress, custodialId);
+      if (!folders.some((folder) => folder.id === shareRequest.folderId)) {
+        throw new Error('Folder not found or access denied');
+      }
+
+      const createdBy = walletAddress || custodialId!;
+      const shareTokenData = this.userService.createShareTokenData(shareRequest, createdBy);
+      return await this.storeShareToken(shareTokenData, attr('folder_id', shareRequest.folderId));
+    } catch (error) {
+      console.error('Folder share token creation failed:', error);
+      throw new Error(`Share token creation failed: ${(error as Error).message}`);
+    }
+  }
+
+  /**
+   * Folder shared by a token with its subfolders and the diagrams in them; null for unknown, expired or diagram tokens
+   */
+  async accessSharedFolder(token: string): Promise<SharedFolder | null> {
+    const shareTokenData = await this.findShareToken(token);
+    if (!shareTokenData || !shareTokenData.folderId || (shareTokenData.expiresAt && Date.now() > shareTokenData.expiresAt)) {
+      return null;
+    }
+
+    // The folder belongs to whoever created the token, as a wallet or a custodial user
+    const isWallet = /^0x[0-9a-fA-F]{40}$/.test(shareTokenData.createdBy);
+    const walletAddress = isWallet ? shareTokenData.createdBy : undefined;
+    const custodialId = isWallet ? undefined : shareTokenData.createdBy;
+
+    const [folders, diagrams] = await Promise.all([
+      this.listFolders(walletAddress, custodialId),
+      this.listDiagrams(undefined, walletAddress, custodialId)
+    ]);
+    const folder = folders.find((candidate) => candidate.id === shareTokenData.folderId);
+    if (!folder) {
+      return null;
+    }
+
+    const scope = this.folderTree.scope(folders, folder.id, true);
+    return {
+      folder,
+      folders: folders.filter((candidate) => candidate.id !== folder.id && scope.has(candidate.id)),
+      diagrams: diagrams.filter((diagram) => this.folderTree.inScope(diagram, scope, folders))
+    };
+  }
+
+  async accessSharedFolderDiagram(token: string, diagramId: string): Promise<DiagramData | null> {
+    const shared = await this.accessSharedFolder(token);
+    if (!shared || !shared.diagrams.some((diagram) => diagram.id === diagramId)) {
+      return null;
+    }
+    return (await this.readDiagram(diagramId))?.data ?? null;
+  }
+
+  // Write with the backend key, or hand back an unsigned transaction for MetaMask when there is none
+  private async createOrPrepare(create: EntityCreate): Promise<{ entityKey?: string; transaction?: ArkivTransactionRequest }> {
+    if (!this.storage.canWrite()) {
+      const prepared = this.prepareEntityCreate(create);
+      return {
+        transaction: encodeArkivTransaction({
+          creates: [{
+            payload: prepared.payload,
+            attributes: prepared.attributes,
+            contentType: prepared.contentType,
+            btlBlocks: Math.ceil(create.expiresInSeconds / BLOCK_TIME_SECONDS)
+          }]
+        })
+      };
+    }
+
+    const [entityKey] = await this.createEntities([create]);
+    return { entityKey };
+  }
+
+  async saveUserConfig(config: UserConfig): Promise<string> {
+    try {
+      console.log(`Saving user config for wallet: ${config.walletAddress}`);
+
+      this.ensureWriteClient();
+
+      const configJson = JSON.stringify(config);
+      const encodedData = this.encoder.encode(configJson);
+
+      const attributes: Attribute[] = [
+        attr('type', 'user_config'),
+        attr('wallet', config.walletAddress),
+        attr('auto_renew', config.autoRenew?.mode ?? 'off'),
+        attr('timestamp', config.timestamp),
+        attr('btl_days', config.btlDays)
+      ];
+
+      const expiresInSeconds = blocksToSeconds(Math.floor(365 * 24 * 60 * 60 / 2));
+      const createdKeys = await this.createEntities([{
+        payload: encodedData,
+        attributes,
+        expiresInSeconds,
+        contentType: 'application/json'
+      }]);
+
+      if (!createdKeys.length) {
+        throw new Error('Failed to store user configuration');
+      }
+
+      console.log(`User config saved with entity key: ${createdKeys[0]}`);
+
+      return createdKeys[0];
+    } catch (error) {
+      console.error('Error saving user config:', error);
+      throw new Error(`Config save failed: ${(error as Error).message}`);
+    }
+  }
+
+  async getUserConfig(walletAddress: string): Promise<UserConfig | null> {
+    try {
+      const query = this.userConfigQuery(walletAddress);
+      if (!query) {
+        return null;
+      }
+      console.log(`Getting user config query: ${buildQuery(query)}`);
+
+      const queryResult = await this.queryEntities(query);
+      console.log(`Config query result: ${queryResult?.length || 0} entities found`);
+
+      if (queryResult && queryResult.length > 0) {
+        const entity = this.newestUserConfig(queryResult);
+
+        try {
+          const decodedData = await this.decodeEntityPayload(entity);
+          const config: UserConfig = JSON.parse(decodedData);
+          console.log(`User config loaded:`, config);
+          return config;
+        } catch (decodeError) {
+          console.error('Error decoding user config:', decodeError);
+          return null;
+        }
+      }
+
+      console.log(`No config found for wallet: ${walletAddress}, using defaults`);
+      return null;
+    } catch (error) {
+      console.error('Error getting user config:', error);
+      throw new Error(`Config load failed: ${(error as Error).message}`);
+    }
+  }
+
+  // The newest configuration wins; ones saved without a timestamp are ordered by the block that created them
+  private newestUserConfig(entities: StorageEntity[]): StorageEntity {
+    return [...entities].sort((a, b) => (Number(readAttr(b, 'timestamp') ?? 0) - Number(readAttr(a, 'timestamp') ?? 0))
+      || Number((b.createdAtBlock ?? 0n) - (a.createdAtBlock ?? 0n)))[0];
+  }
+
+  /**
+   * Configurations of a wallet or guest account. They turn on auto-renew paid by the backend, so only the ones the
+   * backend key signed count; without a key there are none.
+   */
+  private userConfigQuery(walletAddress: string): QueryNode | null {
+    const signer = this.storage.signerAddress();
+    if (!this.storage.canWrite() || !signer) {
+      return null;
+    }
+    return where.and(where.eq('type', 'user_config'), where.eq('wallet', walletAddress), where.eq('$owner', signer));
+  }
+
+  /**
+   * Guest account and access token records. Anyone can write an entity claiming a custodial or token ID, so only
+   * the ones signed by the backend key count; without a key there are no guest accounts or access tokens.
+   */
+  private credentialRecordsQuery(type: CredentialRecordType, key: string, value: string): QueryNode {
+    const signer = this.storage.signerAddress();
+    if (!this.storage.canWrite() || !signer) {
+      throw new Error('Guest accounts and access tokens are not available: the backend is running without a signing key');
+    }
+    return where.and(where.eq('type', type), where.eq(key, value), where.eq('$owner', signer));
+  }
+
+  async findCustodialAccount(custodialId: string): Promise<CustodialAccount | null> {
+    const entities = await this.queryEntities(this.credentialRecordsQuery('custodial_account', 'custodial_id', custodialId));
+    const latest = [...entities].sort((a, b) => Number(readAttr(b, 'created_at') ?? 0) - Number(readAttr(a, 'created_at') ?? 0))[0];
+    return latest ? JSON.parse(await this.decodeEntityPayload(latest)) : null;
+  }
+
+  // Store an account record, replacing older ones (a new recovery code invalidates the previous one)
+  async storeCustodialAccount(account: CustodialAccount): Promise<void> {
+    const previous = await this.queryEntities(this.credentialRecordsQuery('custodial_account', 'custodial_id', account.custodialId));
+    await this.createEntities([{
+      payload: this.encoder.encode(JSON.stringify(account)),
+      attributes: [
+        attr('type', 'custodial_account'),
+        attr('custodial_id', account.custodialId),
+        attr('created_at', account.createdAt)
+      ],
+      expiresInSeconds: CUSTODIAL_ACCOUNT_BTL_DAYS * 24 * 60 * 60,
+      contentType: 'application/json'
+    }]);
+    await this.deleteEntities(previous.map((entity) => entity.key));
+  }
+
+  // Sessions expire with their entity, so a lapsed session disappears from the chain as well
+  async storeCustodialSession(session: CustodialSession): Promise<void> {
+    await this.createEntities([{
+      payload: this.encoder.encode(JSON.stringify(session)),
+      attributes: [
+        attr('type', 'custodial_session'),
+        attr('session_id', session.id),
+        attr('custodial_id', session.custodialId),
+        attr('created_at', session.createdAt),
+        attr('expires_at', session.expiresAt)
+      ],
+      expiresInSeconds: Math.max(BLOCK_TIME_SECONDS, Math.ceil((session.expiresAt - Date.now()) / 1000)),
+      contentType: 'application/json'
+    }]);
+  }
+
+  async findCustodialSession(sessionId: string): Promise<CustodialSession | null> {
+    const [entity] = await this.queryEntities(this.credentialRecordsQuery('custodial_session', 'session_id', sessionId));
+    return entity ? JSON.parse(await this.decodeEntityPayload(entity)) : null;
+  }
+
+  async listCustodialSessions(custodialId: string): Promise<CustodialSession[]> {
+    const entities = await this.queryEntities(this.credentialRecordsQuery('custodial_session', 'custodial_id', custodialId));
+    const sessions: CustodialSession[] = await Promise.all(entities.map(async (entity) => JSON.parse(await this.decodeEntityPayload(entity))));
+    return sessions.filter((session) => session.expiresAt > Date.now()).sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  // Delete a session of the guest account; false when it does not exist (or belongs to another account)
+  async deleteCustodialSession(sessionId: string, custodialId: string): Promise<boolean> {
+    const entities = (await this.queryEntities(this.credentialRecordsQuery('custodial_session', 'session_id', sessionId)))
+      .filter((entity) => readAttr(entity, 'custodial_id') === custodialId);
+    if (entities.length === 0) {
+      return false;
+    }
+    await this.deleteEntities(entities.map((entity) => entity.key));
+    return true;
+  }
+
+  // Account, session and access token records of a guest account, e.g. once it has been moved to a wallet
+  async deleteCustodialRecords(custodialId: string): Promise<number> {
+    const entities = (await Promise.all(CREDENTIAL_RECORD_TYPES
+      .map((type) => this.queryEntities(this.credentialRecordsQuery(type, 'custodial_id', custodialId))))).flat();
+    return (await this.deleteEntities(entities.map((entity) => entity.key))).length;
+  }
+
+  async storeAccessToken(token: AccessToken): Promise<void> {
+    await this.createEntities([{
+      payload: this.encoder.encode(JSON.stringify(token)),
+      attributes: [
+        attr('type', 'access_token'),
+        attr('token_id', token.id),
+        token.walletAddress ? attr('wallet', token.walletAddress) : attr('custodial_id', token.custodialId!),
+        attr('created_at', token.createdAt),
+        attr('expires_at', token.expiresAt)
+      ],
+      expiresInSeconds: Math.max(BLOCK_TIME_SECONDS, Math.ceil((token.expiresAt - Date.now()) / 1000)),
+      contentType: 'application/json'
+    }]);
+  }
+
+  async findAccessToken(tokenId: string): Promise<AccessToken | null> {
+    const [entity] = await this.queryEntities(this.credentialRecordsQuery('access_token', 'token_id', tokenId));
+    return entity ? JSON.parse(await this.decodeEntityPayload(entity)) : null;
+  }
+
+  // Unexpired tokens of a wallet or guest account, newest first, with the last recorded use
+  async listAccessTokens(walletAddress?: string, custodialId?: string): Promise<Array<AccessToken & { lastUsedAt?: number }>> {
+    const [key, value] = walletAddress ? ['wallet', walletAddress] : ['custodial_id', custodialId!];
+    const [entities, uses] = await Promise.all([
+      this.queryEntities(this.credentialRecordsQuery('access_token', key, value)),
+      this.queryEntities(this.credentialRecordsQuery('access_token_use', key, value))
+    ]);
+
+    const lastUsed = new Map<string, number>();
+    for (const use of uses) {
+      const tokenId = String(readAttr(use, 'token_id'));
+      lastUsed.set(tokenId, Math.max(lastUsed.get(tokenId) ?? 0, Number(readAttr(use, 'used_at') ?? 0)));
+    }
+    const tokens: AccessToken[] = await Promise.all(entities.map(async (entity) => JSON.parse(await this.decodeEntityPayload(entity))));
+    return tokens
+      .filter((token) => token.expiresAt > Date.now())
+      .map((token) => ({ ...token, lastUsedAt: lastUsed.get(token.id) }))
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  // Delete a token (and its use records) of the wallet or guest account; false when it does not exist or is not theirs
+  async deleteAccessToken(tokenId: string, walletAddress?: string, custodialId?: string): Promise<boolean> {
+    const [key, value] = walletAddress ? ['wallet', walletAddress] : ['custodial_id', custodialId!];
+    const [tokens, uses] = await Promise.all((['access_token', 'access_token_use'] as const).map(async (type) =>
+      (await this.queryEntities(this.credentialRecordsQuery(type, 'token_id', tokenId))).filter((entity) => readAttr(entity, key) === value)));
+    if (tokens.length === 0) {
+      return false;
+    }
+    await this.deleteEntities([...tokens, ...uses].map((entity) => entity.key));
+    return true;
+  }
+
+  // Last use of a token, one record per token (entities cannot be updated, so the previous record is replaced)
+  async recordAccessTokenUse(token: AccessToken, usedAt: number): Promise<void> {
+    const previous = await this.queryEntities(this.credentialRecordsQuery('access_token_use', 'token_id', token.id));
+    await this.createEntities([{
+      payload: this.encoder.encode(JSON.stringify({ tokenId: token.id, usedAt })),
+      attributes: [
+        attr('type', 'access_token_use'),
+        attr('token_id', token.id),
+        token.walletAddress ? attr('wallet', token.walletAddress) : attr('custodial_id', token.custodialId!),
+        attr('used_at', usedAt)
+      ],
+      expiresInSeconds: Math.max(BLOCK_TIME_SECONDS, Math.ceil((token.expiresAt - Date.now()) / 1000)),
+      contentType: 'application/json'
+    }]);
+    await this.deleteEntities(previous.map((entity) => entity.key));
+  }
+
+  /**
+   * Move everything a guest account owns to a wallet. Owner attributes cannot change in place, so diagram versions,
+   * chunks, manifests, events, folders, share tokens and config are written again for the wallet (keeping their
+   * remaining lifetime) and the guest copies deleted. Version chains are rebuilt oldest first so every version points
+   * at its predecessor's new key. Finally the diagrams are extended to the wallet tier's default BTL.
+   */
+  async linkCustodialAccount(custodialId: string, walletAddress: string): Promise<AccountLinkResult> {
+    this.ensureWriteClient();
+    const wallet = walletAddress.toLowerCase();
+
+    const [owned, created, configs, walletConfig] = await Promise.all([
+      this.queryEntities(where.eq('custodial_id', custodialId)),
+      this.queryEntities(where.eq('created_by', custodialId)),
+      this.queryEntities(this.userConfigQuery(custodialId)!),
+      this.getUserConfig(wallet)
+    ]);
+
+    const entities = new Map<string, StorageEntity>();
+    for (const entity of [...owned, ...created, ...(walletConfig ? [] : configs)]) {
+      if (!CREDENTIAL_RECORD_TYPES.includes(readAttr(entity, 'type') as CredentialRecordType)) {
+        entities.set(entity.key, entity);
+      }
+    }
+    console.log(`🔗 Moving guest account ${custodialId} to wallet ${wallet}: ${entities.size} entities`);
+
+    const result: AccountLinkResult = { custodialId, walletAddress: wallet, diagramIds: [], moved: {}, failed: 0, liftedDiagrams: 0 };
+    const timing = await this.storage.getBlockTiming();
+    const newKeys = new Map<string, string>(); // Guest entity key -> key of its wallet copy
+    let pending = Array.from(entities.values());
+    while (pending.length > 0) {
+      const pendingKeys = new Set(pending.map((entity) => entity.key));
+      const linked = pending.filter((entity) => !pendingKeys.has(String(readAttr(entity, 'previous_entity_key'))));
+      const ready = linked.length > 0 ? linked : pending; // A broken chain must not stall the move
+      pending = pending.filter((entity) => !ready.includes(entity));
+
+      for (let i = 0; i < ready.length; i += MAX_REHOMED_PER_TRANSACTION) {
+        const batch: StorageEntity[] = [];
+        const creates: EntityCreate[] = [];
+        for (const entity of ready.slice(i, i + MAX_REHOMED_PER_TRANSACTION)) {
+          try {
+            creates.push(await this.rehomedEntity(entity, custodialId, wallet, newKeys, timing));
+            batch.push(entity);
+          } catch (error) {
+            console.error(`❌ Could not copy entity ${entity.key} to the wallet:`, error);
+            result.failed++;
           }
-        } catch (configError) {
-          console.log(`Could not load user config, using default BTL:`, configError);
+        }
+
+        try {
+          const keys = await this.createEntities(creates);
+          batch.forEach((entity, index) => newKeys.set(entity.key, keys[index]));
+        } catch (error) {
+          console.error(`❌ Copying ${batch.length} entities of guest account ${custodialId} failed:`, error);
+          result.failed += batch.length;
         }
       }
+    }
+
+    // The guest copies go only once their wallet copies exist
+    const moved = Array.from(entities.values()).filter((entity) => newKeys.has(entity.key));
+    const diagramIds = new Set(moved.flatMap((entity) => this.touchedDiagramIds(entity.attributes)));
+    const superseded = walletConfig ? configs.map((entity) => entity.key) : [];
+    const deletions = [...moved.map((entity) => entity.key), ...superseded];
+    for (let i = 0; i < deletions.length; i += MAX_DELETES_PER_TRANSACTION) {
+      await this.deleteEntities(deletions.slice(i, i + MAX_DELETES_PER_TRANSACTION), Array.from(diagramIds));
+    }
+    for (const entity of moved) {
+      const type = String(readAttr(entity, 'type') ?? 'unknown');
+      result.moved[type] = (result.moved[type] ?? 0) + 1;
+    }
+
+    // Diagrams in the trash keep their purge date
+    const trashed = new Set(moved.filter((entity) => readAttr(entity, 'type') === 'trash').flatMap((entity) => this.touchedDiagramIds(entity.attributes)));
+    result.diagramIds = moved
+      .filter((entity) => ['diagram', 'diagram_chunk'].includes(String(readAttr(entity, 'type'))))
+      .flatMap((entity) => this.touchedDiagramIds(entity.attributes))
+      .filter((diagramId, index, all) => all.indexOf(diagramId) === index);
+    const walletBtlDays = this.userService.getUserLimits(UserTier.WALLET).defaultBTLDays;
+    for (const diagramId of result.diagramIds.filter((diagramId) => !trashed.has(diagramId))) {
+      try {
+        const extension = await this.changeDiagramBTL(diagramId, walletBtlDays, wallet);
+        if (extension.extendedEntities.length > 0) {
+          result.liftedDiagrams++;
+        }
+      } catch (error) {
+        console.error(`⚠️ Could not extend diagram ${diagramId} to the wallet BTL:`, error);
+      }
+    }
+
+    console.log(`✅ Guest account ${custodialId} moved to ${wallet}: ${moved.length} entities, ${result.failed} failed, ${result.liftedDiagrams} diagrams extended`);
+    return result;
+  }
+
+  // Copy of a guest entity owned by the wallet, expiring when the original would
+  private async rehomedEntity(entity: StorageEntity, custodialId: string, wallet: string, newKeys: Map<string, string>, timing: BlockTiming): Promise<EntityCreate> {
+    const expiresAtBlock = await this.entityExpiryBlock(entity);
+    if (expiresAtBlock === null) {
+      throw new Error(`Expiry of entity ${entity.key} is unknown`);
+    }
+    const rehome = (value: unknown) => value === custodialId ? wallet : value;
+    const relink = (value: unknown) => newKeys.get(String(value)) ?? value;
+
+    const attributes = entity.attributes
+      .filter((attribute) => !['custodial_id', 'wallet', CONTENT_ENCODING_ATTRIBUTE].includes(attribute.key))
+      .map((attribute) => {
+        switch (attribute.key) {
+          case 'created_by':
+            return attr(attribute.key, rehome(attribute.value) as string);
+          case 'user_tier':
+            return attr(attribute.key, UserTier.WALLET);
+          case 'previous_entity_key':
+            return attr(attribute.key, relink(attribute.value) as string);
+          default:
+            return attribute;
+        }
+      });
+    attributes.push(attr('wallet', wallet));
+
+    // Payloads repeat the owner for share tokens (createdBy), config (walletAddress) and version links
+    let payload = await this.decodeEntityPayload(entity);
+    try {
+      const data = JSON.parse(payload);
+      if (data && typeof data === 'object' && !Array.isArray(data)) {
+        ['createdBy', 'walletAddress'].filter((key) => key in data).forEach((key) => data[key] = rehome(data[key]));
+        if (data.previousEntityKey) {
+          data.previousEntityKey = relink(data.previousEntityKey);
+        }
+        if (data.custodialId === custodialId) {
+          delete data.custodialId;
+        }
+        payload = JSON.stringify(data);
+      }
+    } catch {
+      // Not JSON, copied as-is
+    }
+
+    return {
+      payload: this.encoder.encode(payload),
+      attributes,
+      expiresInSeconds: Math.max(timing.blockTimeSeconds, (expiresAtBlock - Number(timing.currentBlock)) * timing.blockTimeSeconds),
+      contentType: entity.contentType
+    };
+  }
+
+  getDefaultConfig(walletAddress: string): UserConfig {
+    return {
+      walletAddress,
+      btlDays: 100,
+      autoSave: false,
+      showBalance: true,
+      encryptByDefault: false,
+      autoRenew: { mode: 'off' },
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Get user tier information and limits
+   */
+  getUserTierInfo(walletAddress?: string, custodialId?: string) {
+    const tier = this.userService.getUserTier(walletAddress, custodialId);
+    const limits = this.userService.getUserLimits(tier);
+    const displayInfo = this.userService.getUserDisplayInfo(tier, walletAddress || custodialId);
+
+    return {
+      tier,
+      limits,
+      displayInfo
+    };
+  }
+
+  // BTL for chunk uploads: the wallet's configured BTL, otherwise ~100 days
+  private async chunkBtlBlocks(walletAddress?: string): Promise<number> {
+    let btlBlocks = 4320000; // default ~100 days
+    if (walletAddress) {
+      try {
+        const userConfig = await this.getUserConfig(walletAddress);
+        if (userConfig) {
+          btlBlocks = Math.floor(userConfig.btlDays * 24 * 60 * 60 / 2);
+          console.log(`Using user config BTL: ${userConfig.btlDays} days = ${btlBlocks} blocks`);
+        }
+      } catch (configError) {
+        console.log(`Could not load user config, using default BTL:`, configError);
+      }
+    }
+    return btlBlocks;
+  }
+
+  private sha256Hex(bytes: Uint8Array): string {
+    return crypto.createHash('sha256').update(bytes).digest('hex');
+  }
+
+  // Uploads without a wallet or custodial owner can be resumed by anyone holding the upload ID
+  private isUploadOwner(entity: StorageEntity, walletAddress?: string, custodialId?: string): boolean {
+    const ownerWallet = readAttr(entity, 'wallet');
+    const ownerCustodialId = readAttr(entity, 'custodial_id');
+    if (!ownerWallet && !ownerCustodialId) {
+      return true;
+    }
+    return (!!walletAddress && String(ownerWallet).toLowerCase() === walletAddress.toLowerCase()) ||
+      (!!custodialId && ownerCustodialId === custodialId);
+  }
+
+  private validateChunkManifest(request: ChunkManifestRequest): void {
+    const { totalChunks, byteLength, chunks } = request;
+
+    if (!Number.isInteger(totalChunks) || totalChunks < 1) {
+      throw new Error('Invalid manifest: totalChunks must be a positive integer');
+    }
+    if (!Number.isInteger(byteLength) || byteLength < 1) {
+      throw new Error('Invalid manifest: byteLength must be a positive integer');
+    }
+    if (!/^[0-9a-f]{64}$/.test(request.sha256)) {
+      throw new Error('Invalid manifest: sha256 must be a hex SHA-256 digest');
+    }
+    if (!Array.isArray(chunks) || chunks.length !== totalChunks) {
+      throw new Error(`Invalid manifest: expected ${totalChunks} chunk entries`);
+    }
+
+    let total = 0;
+    chunks.forEach((chunk, index) => {
+      if (chunk.index !== index) {
+        throw new Error(`Invalid manifest: chunk entries must be ordered, expected index ${index}`);
+      }
+      if (!Number.isInteger(chunk.byteLength) || chunk.byteLength < 1) {
+        throw new Error(`Invalid manifest: chunk ${index} has an invalid byteLength`);
+      }
+      if (!/^[0-9a-f]{64}$/.test(chunk.sha256)) {
+        throw new Error(`Invalid manifest: chunk ${index} has an invalid sha256`);
+      }
+      total += chunk.byteLength;
+    });
+
+    if (total !== byteLength) {
+      throw new Error(`Invalid manifest: chunk sizes add up to ${total} bytes, expected ${byteLength}`);
+    }
+  }
+
+  private async findChunkManifest(uploadId: string): Promise<{ entity: StorageEntity; manifest: ChunkManifest } | null> {
+    const entities = await this.queryEntities(where.and(where.eq('type', 'diagram_manifest'), where.eq('upload_id', uploadId)));
+    if (!entities || entities.length === 0) {
+      return null;
+    }
+
+    const entity = entities[0];
+    const manifest: ChunkManifest = JSON.parse(await this.decodeEntityPayload(entity));
+    return { entity, manifest };
+  }
+
+  // Chunks of an upload whose bytes match the manifest checksum, by chunk index
+  private async loadVerifiedChunks(manifest: ChunkManifest): Promise<Map<number, { entityKey: string; chunk: ChunkData }>> {
+    const entities = await this.queryEntities(where.and(where.eq('type', 'diagram_chunk'), where.eq('upload_id', manifest.uploadId)));
+    const verified = new Map<number, { entityKey: string; chunk: ChunkData }>();
+
+    for (const entity of entities || []) {
+      try {
+        const chunk: ChunkData = JSON.parse(await this.decodeEntityPayload(entity));
+        const expected = manifest.chunks[chunk.chunkIndex];
+        if (!expected || verified.has(chunk.chunkIndex)) {
+          continue;
+        }
+
+        const bytes = new Uint8Array(chunk.content);
+        if (bytes.length === expected.byteLength && this.sha256Hex(bytes) === expected.sha256) {
+          verified.set(chunk.chunkIndex, { entityKey: entity.key, chunk });
+        } else {
+          console.log(`⚠️ Chunk ${chunk.chunkIndex} of upload ${manifest.uploadId} does not match the manifest (entity ${entity.key})`);
+        }
+      } catch (error) {
+        console.error('🔍 Error parsing chunk entity:', error);
+      }
+    }
+
+    return verified;
+  }
+
+  private chunkUploadStatus(entity: StorageEntity, manifest: ChunkManifest, verified: Map<number, unknown>): ChunkUploadStatus {
+    const receivedChunks = manifest.chunks.map((chunk) => chunk.index).filter((index) => verified.has(index));
+    const missingChunks = manifest.chunks.map((chunk) => chunk.index).filter((index) => !verified.has(index));
+
+    return {
+      uploadId: manifest.uploadId,
+      diagramId: manifest.diagramId,
+      manifestKey: entity.key,
+      totalChunks: manifest.totalChunks,
+      receivedChunks,
+      missingChunks,
+      complete: missingChunks.length === 0
+    };
+  }
+
+  /**
+   * Start (or resume) a chunked upload. Re-sending the manifest of the same document returns the existing upload
+   * together with the chunks that are already stored, so the client only sends the missing ones.
+   */
+  async createChunkManifest(request: ChunkManifestRequest, walletAddress?: string, custodialId?: string): Promise<ChunkUploadStatus> {
+    try {
+      this.validateChunkManifest(request);
+      this.ensureWriteClient();
+
+      // A new upload for an existing diagram ID replaces its content, which only the owner may do
+      await this.assertDiagramOwner(request.diagramId, walletAddress, custodialId).catch((error: Error) => {
+        if (!error.message.includes('not found')) {
+          throw error;
+        }
+      });
+
+      const existing = await this.queryEntities(where.and(
+        where.eq('type', 'diagram_manifest'),
+        where.eq('diagram_id', request.diagramId),
+        where.eq('sha256', request.sha256)
+      ));
+      const resumable = (existing || []).find((entity) => this.isUploadOwner(entity, walletAddress, custodialId));
+      if (resumable) {
+        const manifest: ChunkManifest = JSON.parse(await this.decodeEntityPayload(resumable));
+        const status = this.chunkUploadStatus(resumable, manifest, await this.loadVerifiedChunks(manifest));
+        console.log(`🔁 Resuming upload ${manifest.uploadId} for diagram ${request.diagramId}: ${status.receivedChunks.length}/${status.totalChunks} chunks stored`);
+        return status;
+      }
+
+      const manifest: ChunkManifest = {
+        uploadId: crypto.randomBytes(16).toString('hex'),
+        diagramId: request.diagramId,
+        title: request.title,
+        author: request.author,
+        totalChunks: request.totalChunks,
+        byteLength: request.byteLength,
+        sha256: request.sha256,
+        chunks: request.chunks.map((chunk) => ({ index: chunk.index, byteLength: chunk.byteLength, sha256: chunk.sha256 })),
+        timestamp: Date.now()
+      };
+
+      const attributes: Attribute[] = [
+        attr('type', 'diagram_manifest'),
+        attr('upload_id', manifest.uploadId),
+        attr('diagram_id', manifest.diagramId),
+        attr('title', manifest.title),
+        attr('author', manifest.author),
+        attr('sha256', manifest.sha256),
+        attr('total_chunks', manifest.totalChunks),
+        attr('byte_length', manifest.byteLength),
+        attr('timestamp', manifest.timestamp)
+      ];
+
+      if (walletAddress) {
+        attributes.push(attr('wallet', walletAddress));
+      }
+      if (custodialId) {
+        attributes.push(attr('custodial_id', custodialId));
+      }
+
+      const btlBlocks = await this.chunkBtlBlocks(walletAddress);
+      const createdKeys = await this.createEntities([{
+        payload: this.encoder.encode(JSON.stringify(manifest)),
+        attributes,
+        expiresInSeconds: blocksToSeconds(btlBlocks),
+        contentType: 'application/json'
+      }]);
+
+      if (!createdKeys.length) {
+        throw new Error('Failed to create manifest entity in Arkiv - no receipt returned');
+      }
+
+      console.log(`🧾 Created manifest for upload ${manifest.uploadId}: ${manifest.totalChunks} chunks, ${manifest.byteLength} bytes`);
+      return this.chunkUploadStatus({ key: createdKeys[0] } as StorageEntity, manifest, new Map());
+    } catch (error) {
+      console.error('💥 Error creating chunk manifest:', error);
+      throw new Error(`Chunk manifest failed: ${(error as Error).message}`);
+    }
+  }
+
+  /**
+   * Which chunks of an upload are stored and verified
+   */
+  async getChunkUploadStatus(uploadId: string, walletAddress?: string, custodialId?: string): Promise<ChunkUploadStatus> {
+    const found = await this.findChunkManifest(uploadId);
+    if (!found) {
+      throw new Error(`Upload ${uploadId} not found`);
+    }
+    if (!this.isUploadOwner(found.entity, walletAddress, custodialId)) {
+      throw new Error(`Access denied: upload ${uploadId} belongs to another user`);
+    }
+
+    return this.chunkUploadStatus(found.entity, found.manifest, await this.loadVerifiedChunks(found.manifest));
+  }
+
+  async exportChunk(chunkRequest: ChunkExportRequest, walletAddress?: string, custodialId?: string): Promise<string> {
+    try {
+      console.log(`Starting chunk export for chunk: ${chunkRequest.chunkId}, diagram: ${chunkRequest.diagramId}`);
+
+  this.ensureWriteClient();
+
+      const found = await this.findChunkManifest(chunkRequest.uploadId);
+      if (!found) {
+        throw new Error(`Upload ${chunkRequest.uploadId} not found - create a manifest first`);
+      }
+      if (!this.isUploadOwner(found.entity, walletAddress, custodialId)) {
+        throw new Error(`Access denied: upload ${chunkRequest.uploadId} belongs to another user`);
+      }
+
+      const { manifest } = found;
+      const expected = manifest.chunks[chunkRequest.chunkIndex];
+      if (manifest.diagramId !== chunkRequest.diagramId || manifest.totalChunks !== chunkRequest.totalChunks || !expected) {
+        throw new Error(`Chunk ${chunkRequest.chunkIndex} does not match manifest of upload ${manifest.uploadId}`);
+      }
+
+      const bytes = new Uint8Array(chunkRequest.content);
+      const sha256 = this.sha256Hex(bytes);
+      if (bytes.length !== expected.byteLength || sha256 !== expected.sha256) {
+        throw new Error(`Chunk ${chunkRequest.chunkIndex} checksum does not match manifest of upload ${manifest.uploadId}`);
+      }
+
+      // A re-sent chunk that is already stored is acknowledged without writing it again
+      const stored = await this.queryEntities(where.and(
+        where.eq('type', 'diagram_chunk'),
+        where.eq('upload_id', manifest.uploadId),
+        where.eq('chunk_index', chunkRequest.chunkIndex),
+        where.eq('sha256', sha256)
+      ));
+      if (stored && stored.length > 0) {
+        console.log(`🔁 Chunk ${chunkRequest.chunkIndex + 1}/${chunkRequest.totalChunks} of upload ${manifest.uploadId} already stored: ${stored[0].key}`);
+        return stored[0].key;
+      }
+
+      const btlBlocks = await this.chunkBtlBlocks(walletAddress);
 
       const chunkData: ChunkData = {
         chunkId: chunkRequest.chunkId,
@@ -1947,7 +3904,9 @@ export class ArkivService {
         chunkIndex: chunkRequest.chunkIndex,
         totalChunks: chunkRequest.totalChunks,
         content: chunkRequest.content,
-        isLastChunk: chunkRequest.isLastChunk
+        isLastChunk: chunkRequest.isLastChunk,
+        uploadId: manifest.uploadId,
+        sha256
       };
 
       const chunkJson = JSON.stringify(chunkData);
@@ -1957,6 +3916,8 @@ export class ArkivService {
         attr('type', 'diagram_chunk'),
         attr('chunk_id', chunkRequest.chunkId),
         attr('diagram_id', chunkRequest.diagramId),
+        attr('upload_id', manifest.uploadId),
+        attr('sha256', sha256),
         attr('title', chunkRequest.title),
         attr('author', chunkRequest.author),
         attr('chunk_index', chunkRequest.chunkIndex),
@@ -1967,6 +3928,9 @@ export class ArkivService {
       if (walletAddress) {
         attributes.push(attr('wallet', walletAddress));
       }
+      if (custodialId) {
+        attributes.push(attr('custodial_id', custodialId));
+      }
 
       console.log(`Creating chunk entity in Arkiv: ${chunkRequest.chunkIndex + 1}/${chunkRequest.totalChunks}`);
 
@@ -1983,6 +3947,8 @@ export class ArkivService {
 
       const entityKey = createdKeys[0];
       console.log(`✅ Chunk ${chunkRequest.chunkIndex + 1}/${chunkRequest.totalChunks} exported successfully with entity key: ${entityKey}`);
+      // Re-indexed from the assembled document on the next search
+      this.searchIndex.remove(chunkRequest.diagramId);
       return entityKey;
     } catch (error) {
       console.error('💥 Error exporting chunk to Arkiv:', error);
@@ -1990,90 +3956,139 @@ export class ArkivService {
     }
   }
 
+  // Reassemble the newest upload whose chunks all match its manifest
+  private async assembleFromManifests(diagramId: string, manifestEntities: StorageEntity[]): Promise<{ manifest: ChunkManifest; bytes: Uint8Array; entity: StorageEntity }> {
+    const sorted = [...manifestEntities].sort((a, b) => Number(readAttr(b, 'timestamp') ?? 0) - Number(readAttr(a, 'timestamp') ?? 0));
+    const failures: string[] = [];
+
+    for (const entity of sorted) {
+      const manifest: ChunkManifest = JSON.parse(await this.decodeEntityPayload(entity));
+      const verified = await this.loadVerifiedChunks(manifest);
+      const status = this.chunkUploadStatus(entity, manifest, verified);
+
+      if (!status.complete) {
+        console.log(`⚠️ Upload ${manifest.uploadId} of ${diagramId} is incomplete, missing chunks: ${status.missingChunks.join(', ')}`);
+        failures.push(`upload ${manifest.uploadId} is missing chunks ${status.missingChunks.join(', ')}`);
+        continue;
+      }
+
+      const bytes = new Uint8Array(manifest.byteLength);
+      let offset = 0;
+      for (const entry of manifest.chunks) {
+        const chunkBytes = new Uint8Array(verified.get(entry.index)!.chunk.content);
+        bytes.set(chunkBytes, offset);
+        offset += chunkBytes.length;
+      }
+
+      if (this.sha256Hex(bytes) !== manifest.sha256) {
+        console.log(`⚠️ Upload ${manifest.uploadId} of ${diagramId} does not match the document checksum`);
+        failures.push(`upload ${manifest.uploadId} does not match the document checksum`);
+        continue;
+      }
+
+      console.log(`✅ Verified ${manifest.totalChunks} chunks of upload ${manifest.uploadId} against its manifest`);
+      return { manifest, bytes, entity };
+    }
+
+    throw new Error(`Sharded diagram failed manifest verification: ${failures.join('; ')}`);
+  }
+
   async importShardedDiagram(diagramId: string, decryptionPassword?: string): Promise<DiagramData | null> {
     try {
       console.log(`🧩 Starting sharded diagram import for ID: ${diagramId}`);
 
-      // Find all chunks for this diagram
-  const query = `type = "diagram_chunk" && diagram_id = "${diagramId}"`;
-  console.log(`Executing chunk query: ${query}`);
-  const queryResult = await this.queryEntities(query);
+      let reconstructed: Uint8Array;
+      let source: { diagramId: string; title: string; author: string; timestamp: number };
+      let sourceEntity: StorageEntity; // Manifest or chunk, identifies who stored the diagram
+      let savedAt: number;
+
+      const manifestEntities = await this.queryEntities(where.and(where.eq('type', 'diagram_manifest'), where.eq('diagram_id', diagramId)));
+      if (manifestEntities && manifestEntities.length > 0) {
+        const { manifest, bytes, entity } = await this.assembleFromManifests(diagramId, manifestEntities);
+        reconstructed = bytes;
+        source = manifest;
+        sourceEntity = entity;
+        savedAt = manifest.timestamp;
+      } else {
+        // Legacy chunks uploaded without a manifest
+        const query = where.and(where.eq('type', 'diagram_chunk'), where.eq('diagram_id', diagramId));
+        console.log(`Executing chunk query: ${buildQuery(query)}`);
+        const queryResult = await this.queryEntities(query);
 
-      console.log(`Found ${queryResult?.length || 0} chunks for diagram ${diagramId}`);
+        console.log(`Found ${queryResult?.length || 0} chunks for diagram ${diagramId}`);
 
-      if (!queryResult || queryResult.length === 0) {
-        console.log(`❌ No chunks found for diagram ID: ${diagramId}`);
+        if (!queryResult || queryResult.length === 0) {
+          console.log(`❌ No chunks found for diagram ID: ${diagramId}`);
 
-        // Check if there's evidence of this sharded diagram having existed
-        console.log(`🔍 Checking for expired sharded diagram evidence...`);
-        try {
-          // Look for any reference to this diagram ID in chunk metadata or other entities
-          const evidenceQuery = `diagram_id = "${diagramId}"`;
-          const evidenceResult = await this.queryEntities(evidenceQuery);
+          // Check if there's evidence of this sharded diagram having existed
+          console.log(`🔍 Checking for expired sharded diagram evidence...`);
+          try {
+            // Look for any reference to this diagram ID in chunk metadata or other entities
+            const evidenceQuery = where.eq('diagram_id', diagramId);
+            const evidenceResult = await this.queryEntities(evidenceQuery);
 
-          if (evidenceResult && evidenceResult.length > 0) {
-            console.log(`⏰ Found evidence of sharded diagram ${diagramId} but chunks not accessible`);
-            throw new Error(`This sharded diagram has expired and is no longer available on the blockchain. The diagram chunks may have exceeded their Block Time to Live (BTL) period.`);
-          }
-        } catch (evidenceError) {
-          if ((evidenceError as Error).message.includes('expired')) {
-            throw evidenceError; // Re-throw our custom expiration errors
+            if (evidenceResult && evidenceResult.length > 0) {
+              console.log(`⏰ Found evidence of sharded diagram ${diagramId} but chunks not accessible`);
+              throw new Error(`This sharded diagram has expired and is no longer available on the blockchain. The diagram chunks may have exceeded their Block Time to Live (BTL) period.`);
+            }
+          } catch (evidenceError) {
+            if ((evidenceError as Error).message.includes('expired')) {
+              throw evidenceError; // Re-throw our custom expiration errors
+            }
+            console.log(`Could not check for sharded diagram expiration evidence:`, evidenceError);
           }
-          console.log(`Could not check for sharded diagram expiration evidence:`, evidenceError);
-        }
 
-        return null;
-      }
+          return null;
+        }
 
-      // Parse and sort chunks
-      const chunks: ChunkData[] = [];
-      for (const entity of queryResult) {
-        try {
-          const decodedData = await this.decodeEntityPayload(entity);
-          const chunkData: ChunkData = JSON.parse(decodedData);
-          chunks.push(chunkData);
-        } catch (error) {
-          console.error('❌ Error parsing chunk data:', error);
-          throw new Error('Failed to parse chunk data');
+        // Parse and sort chunks
+        const chunks: ChunkData[] = [];
+        for (const entity of queryResult) {
+          try {
+            const decodedData = await this.decodeEntityPayload(entity);
+            const chunkData: ChunkData = JSON.parse(decodedData);
+            chunks.push(chunkData);
+          } catch (error) {
+            console.error('❌ Error parsing chunk data:', error);
+            throw new Error('Failed to parse chunk data');
+          }
         }
-      }
 
-      // Sort chunks by index
-      chunks.sort((a, b) => a.chunkIndex - b.chunkIndex);
+        // Sort chunks by index
+        chunks.sort((a, b) => a.chunkIndex - b.chunkIndex);
 
-      console.log(`🔧 Reconstructing document from ${chunks.length} chunks`);
+        console.log(`🔧 Reconstructing document from ${chunks.length} chunks`);
 
-      // Reconstruct the document
-      const totalSize = chunks.reduce((sum, chunk) => sum + chunk.content.length, 0);
-      const reconstructed = new Uint8Array(totalSize);
-      let offset = 0;
+        // Reconstruct the document
+        const totalSize = chunks.reduce((sum, chunk) => sum + chunk.content.length, 0);
+        reconstructed = new Uint8Array(totalSize);
+        let offset = 0;
 
-      for (const chunk of chunks) {
-        const chunkBytes = new Uint8Array(chunk.content);
-        reconstructed.set(chunkBytes, offset);
-        offset += chunkBytes.length;
+        for (const chunk of chunks) {
+          const chunkBytes = new Uint8Array(chunk.content);
+          reconstructed.set(chunkBytes, offset);
+          offset += chunkBytes.length;
+        }
+
+        source = { ...chunks[0], timestamp: Date.now() }; // Legacy chunks carry no upload timestamp
+        sourceEntity = queryResult[0];
+        savedAt = 0; // Unknown, so every event applies
       }
 
       // Decode the reconstructed XML
       let xmlString = this.decoder.decode(reconstructed);
 
-      // Check if the content is encrypted (look for encryption marker or try to determine)
-      let isEncrypted = false;
-      try {
-        // If content starts with encrypted AES pattern, it's likely encrypted
-        if (xmlString.indexOf('mxGraphModel') === -1 && xmlString.length > 100) {
-          isEncrypted = true;
-          console.log(`🔐 Sharded diagram appears to be encrypted`);
-        }
-      } catch (e) {
-        // Continue with assumption it might be encrypted
+      // Chunks carry the (possibly encrypted) content as-is
+      const isEncrypted = encryptionFormat(xmlString) !== null;
+      if (isEncrypted) {
+        console.log(`🔐 Sharded diagram is encrypted`);
       }
 
       // Handle decryption if needed
       if (isEncrypted && decryptionPassword) {
         console.log(`🔓 Attempting to decrypt sharded diagram content`);
         try {
-          xmlString = this.decryptContent(xmlString, decryptionPassword);
+          xmlString = await decryptContent(xmlString, decryptionPassword);
           console.log(`✅ Sharded diagram decrypted successfully`);
         } catch (decryptError) {
           console.error('❌ Failed to decrypt sharded diagram:', decryptError);
@@ -2081,12 +4096,11 @@ export class ArkivService {
         }
       } else if (isEncrypted && !decryptionPassword) {
         // Try to get password from user config
-        const firstChunk = chunks[0];
         try {
-          const userConfig = await this.getUserConfig(firstChunk.author);
+          const userConfig = await this.getUserConfig(source.author);
           if (userConfig && userConfig.encryptionPassword) {
             console.log(`🔐 Using encryption password from user config for sharded diagram`);
-            xmlString = this.decryptContent(xmlString, userConfig.encryptionPassword);
+            xmlString = await decryptContent(xmlString, userConfig.encryptionPassword);
             console.log(`✅ Sharded diagram decrypted with user config password`);
           } else {
             throw new Error('Sharded diagram is encrypted but no decryption password available');
@@ -2096,20 +4110,19 @@ export class ArkivService {
         }
       }
 
-      // Create DiagramData from the first chunk metadata and reconstructed content
-      const firstChunk = chunks[0];
+      // Create DiagramData from the manifest (or first chunk) metadata and reconstructed content
       const diagramData: DiagramData = {
-        id: firstChunk.diagramId,
-        title: firstChunk.title,
-        author: firstChunk.author,
+        id: source.diagramId,
+        title: source.title,
+        author: source.author,
         content: xmlString,
-        timestamp: Date.now(), // Use current timestamp for reconstruction
+        timestamp: source.timestamp,
         version: 1,
         encrypted: isEncrypted
       };
 
       console.log(`✅ Sharded diagram reconstructed successfully: ${diagramId}`);
-      return diagramData;
+      return await this.projectDiagramData(diagramData, sourceEntity, savedAt);
 
     } catch (error) {
       console.error('❌ Error importing sharded diagram:', error);
@@ -2128,7 +4141,7 @@ export class ArkivService {
     return await this.listDiagrams(author, walletAddress, custodialId);
   }
 
-  async performDelete(payload: any): Promise<boolean> {
+  async performDelete(payload: any): Promise<DiagramDeletionResult> {
     const { diagramId, walletAddress, custodialId } = payload;
     return await this.deleteDiagram(diagramId, walletAddress, custodialId);
   }
@@ -2139,12 +4152,18 @@ export class ArkivService {
 
       // Query for all diagrams with the same base ID (different versions have same ID but different entity keys)
       // First try to find by exact ID match
-      const query = `type = "diagram" && id = "${diagramId}"`;
-      console.log(`Executing versions query: ${query}`);
+      const query = where.and(where.eq('type', 'diagram'), where.eq('id', diagramId));
+      console.log(`Executing versions query: ${buildQuery(query)}`);
 
-      const queryResult = await this.queryEntities(query);
+      const queryResult = this.ownedVersions(await this.queryEntities(query));
       console.log(`Found ${queryResult.length} potential versions`);
 
+      // The history is private to the diagram's owner
+      const head = [...queryResult].sort((a, b) => this.compareDiagramVersions(a, b))[0];
+      if (head && !this.isOwnedByCaller(head, walletAddress, custodialId)) {
+        throw new Error(`Access denied: diagram ${diagramId} belongs to another account`);
+      }
+
       const versions: DiagramMetadata[] = [];
 
       for (const entity of queryResult) {
@@ -2153,17 +4172,16 @@ export class ArkivService {
           const decodedPayload = await this.decodeEntityPayload(entity);
           const diagram: DiagramData = JSON.parse(decodedPayload);
 
-          // Only include if user has access (same author or shared)
-          if (this.userService.hasAccessToDiagram(diagram, walletAddress, custodialId)) {
-            versions.push({
-              id: diagram.id,
-              title: diagram.title,
-              author: diagram.author,
-              timestamp: diagram.timestamp,
-              version: diagram.version || 1,
-              entityKey: entity.key
-            });
-          }
+          versions.push({
+            id: diagram.id,
+            title: diagram.title,
+            author: diagram.author,
+            timestamp: diagram.timestamp,
+            version: diagram.version || 1,
+            entityKey: entity.key,
+            previousEntityKey: diagram.previousEntityKey,
+            restoredFromVersion: diagram.restoredFromVersion
+          });
         } catch (decodeError) {
           console.log(`Could not decode entity ${entity.key}:`, decodeError);
           continue;
@@ -2187,6 +4205,130 @@ export class ArkivService {
     }
   }
 
+  async restoreDiagramVersion(diagramId: string, version: number, walletAddress?: string, custodialId?: string): Promise<{ entityKey: string; diagramData: DiagramData }> {
+    try {
+      console.log(`⏪ Restoring diagram ${diagramId} to version ${version}`);
+      await this.assertDiagramOwner(diagramId, walletAddress, custodialId);
+
+      const versionEntity = await this.findDiagramVersionEntity(diagramId, version);
+      if (!versionEntity) {
+        throw new Error(`Version ${version} of diagram '${diagramId}' not found`);
+      }
+
+      const historical: DiagramData = JSON.parse(await this.decodeEntityPayload(versionEntity));
+
+      // Republish the historical content (still encrypted if it was) as the new head of the chain
+      const diagramData: DiagramData = {
+        id: diagramId,
+        title: historical.title,
+        author: historical.author,
+        content: historical.content,
+        timestamp: Date.now(),
+        version: 1,
+        encrypted: historical.encrypted,
+        restoredFromVersion: historical.version || version,
+        restoredFromEntityKey: versionEntity.key
+      };
+
+      const entityKey = await this.exportDiagram(diagramData, walletAddress, undefined, undefined, custodialId, diagramId);
+      console.log(`✅ Diagram ${diagramId} restored from version ${version} as version ${diagramData.version}`);
+
+      return { entityKey, diagramData };
+    } catch (error) {
+      console.error('❌ Error restoring diagram version:', error);
+      throw new Error(`Restore failed: ${(error as Error).message}`);
+    }
+  }
+
+  /**
+   * Re-encrypts a diagram still in the legacy CryptoJS format with the AES-256-GCM envelope, as a new version.
+   * Content encrypted twice (in the plugin, then by the backend) keeps both layers; both need the same password.
+   * Returns a null entity key when there was nothing to upgrade.
+   */
+  async upgradeDiagramEncryption(diagramId: string, password: string, walletAddress?: string, custodialId?: string): Promise<{ entityKey: string | null; diagramData: DiagramData; layers: EncryptionFormat[] }> {
+    try {
+      console.log(`🔐 Upgrading encryption of diagram ${diagramId}`);
+
+      const entity = await this.findLatestDiagramEntity(diagramId);
+      if (!entity) {
+        throw new Error(`Diagram '${diagramId}' not found (large diagrams stored in chunks are upgraded by saving them again)`);
+      }
+
+      if (!this.isOwnedByCaller(entity, walletAddress, custodialId)) {
+        throw new Error(`Access denied: cannot upgrade diagram ${diagramId}`);
+      }
+
+      const latest: DiagramData = JSON.parse(await this.decodeEntityPayload(entity));
+
+      // Peel the layers off, outermost first
+      const layers: EncryptionFormat[] = [];
+      let content = latest.content;
+      for (let format = encryptionFormat(content); format; format = encryptionFormat(content)) {
+        content = await decryptContent(content, password);
+        layers.push(format);
+      }
+      if (!layers.includes('cryptojs-aes')) {
+        return { entityKey: null, diagramData: latest, layers };
+      }
+
+      // PBKDF2 for every layer: an inner layer is decrypted by the plugin, which has no scrypt
+      for (let layer = 0; layer < layers.length; layer++) {
+        content = await encryptContent(content, password);
+      }
+
+      const diagramData: DiagramData = {
+        id: diagramId,
+        title: latest.title,
+        author: latest.author,
+        content,
+        timestamp: Date.now(),
+        version: 1,
+        encrypted: true
+      };
+
+      const entityKey = await this.exportDiagram(diagramData, walletAddress, undefined, undefined, custodialId, diagramId);
+      console.log(`✅ Diagram ${diagramId} re-encrypted (${layers.length} layer(s)) as version ${diagramData.version}`);
+
+      return { entityKey, diagramData, layers };
+    } catch (error) {
+      console.error('❌ Error upgrading diagram encryption:', error);
+      throw new Error(`Encryption upgrade failed: ${(error as Error).message}`);
+    }
+  }
+
+  async diffDiagramVersions(diagramId: string, fromVersion: number, toVersion?: number, walletAddress?: string, custodialId?: string, shareToken?: string): Promise<DiagramDiff> {
+    try {
+      console.log(`🔀 Diffing diagram ${diagramId}: v${fromVersion} -> ${toVersion ? `v${toVersion}` : 'latest'}`);
+      await this.assertDiagramHistoryAccess(diagramId, walletAddress, custodialId, shareToken);
+
+      const [fromDiagram, toDiagram] = await Promise.all([
+        this.importDiagram(diagramId, undefined, fromVersion),
+        this.importDiagram(diagramId, undefined, toVersion)
+      ]);
+
+      if (!fromDiagram || !toDiagram) {
+        throw new Error(`Diagram '${diagramId}' not found`);
+      }
+
+      let changes: Pick<DiagramDiff, 'summary' | 'pages' | 'patch'>;
+      try {
+        changes = this.diagramDiff.diff(fromDiagram.content, toDiagram.content);
+      } catch (parseError) {
+        throw new Error(`Diagram content could not be parsed (client-side encrypted?): ${(parseError as Error).message}`);
+      }
+
+      return {
+        diagramId,
+        from: { version: fromDiagram.version || 1, timestamp: fromDiagram.timestamp },
+        to: { version: toDiagram.version || 1, timestamp: toDiagram.timestamp },
+        ...changes
+      };
+    } catch (error) {
+      console.error('❌ Error diffing diagram versions:', error);
+      throw new Error(`Diff failed: ${(error as Error).message}`);
+    }
+  }
+
   public async shutdown() {
     console.log('🛑 Shutting down ArkivService...');
     await this.retryQueue.shutdown();
@@ -0,0 +1,256 @@
+/**
+ * Arkiv Storage Adapter
+ * Entities stored on an Arkiv chain through @arkiv-network/sdk
+ */
+import { createPublicClient, createWalletClient, http, type PublicArkivClient, type RpcEntity, type RpcIncludeData, type RpcQueryOptions, type WalletArkivClient } from '@arkiv-network/sdk';
+import { privateKeyToAccount } from '@arkiv-network/sdk/accounts';
+import { kaolin, mendoza, marketplace, localhost } from '@arkiv-network/sdk/chains';
+import { toBytes, type Chain, type Hex } from 'viem';
+import { BlockTiming, CreateEntityRequest, ExtendEntityRequest, QueryPage, QueryPageOptions, StorageAdapter, StorageEntity } from './storageAdapter';
+
+const KNOWN_CHAINS: Chain[] = [kaolin, mendoza, marketplace, localhost];
+
+// Page size used when counting (only keys are returned)
+const COUNT_PAGE_SIZE = 1000;
+
+function includeData(fields: { attributes: boolean; payload: boolean; metadata: boolean }): RpcIncludeData {
+  return {
+    key: true,
+    attributes: fields.attributes,
+    payload: fields.payload,
+    contentType: fields.metadata,
+    expiration: fields.metadata,
+    owner: fields.metadata,
+    createdAtBlock: fields.metadata,
+    lastModifiedAtBlock: false,
+    transactionIndexInBlock: false,
+    operationIndexInTransaction: false
+  };
+}
+
+function toStorageEntity(entity: RpcEntity): StorageEntity {
+  return {
+    key: entity.key,
+    owner: entity.owner,
+    contentType: entity.contentType,
+    expiresAtBlock: entity.expiresAt !== undefined ? BigInt(entity.expiresAt) : undefined,
+    createdAtBlock: entity.createdAtBlock !== undefined ? BigInt(entity.createdAtBlock) : undefined,
+    payload: entity.value !== undefined ? toBytes(entity.value as Hex) : undefined,
+    attributes: [
+      ...(entity.stringAttributes ?? []).map(({ key, value }) => ({ key, value })),
+      ...(entity.numericAttributes ?? []).map(({ key, value }) => ({ key, value: Number(value) }))
+    ]
+  };
+}
+
+function withCustomRpc(chain: Chain, rpcUrl: string, wsUrl?: string): Chain {
+  const httpUrls = [rpcUrl] as const;
+  const wsUrls = wsUrl ? ([wsUrl] as const) : undefined;
+  return {
+    ...chain,
+    rpcUrls: {
+      ...chain.rpcUrls,
+      default: {
+        ...chain.rpcUrls?.default,
+        http: httpUrls,
+        ...(wsUrls ? { webSocket: wsUrls } : {})
+      }
+    }
+  } as Chain;
+}
+
+function resolveChain(chainId: number, rpcUrl: string, wsUrl: string): Chain {
+  const match = KNOWN_CHAINS.find((chain) => chain.id === chainId);
+  if (match) {
+    return withCustomRpc(match, rpcUrl, wsUrl);
+  }
+
+  const httpUrls = [rpcUrl] as const;
+  const wsUrls = wsUrl ? ([wsUrl] as const) : undefined;
+
+  return {
+    id: chainId,
+    name: `Arkiv ${chainId}`,
+    network: `arkiv-${chainId}`,
+    nativeCurrency: {
+      name: 'Ether',
+      symbol: 'ETH',
+      decimals: 18
+    },
+    rpcUrls: {
+      default: {
+        http: httpUrls,
+        ...(wsUrls ? { webSocket: wsUrls } : {})
+      }
+    },
+    testnet: true
+  } as Chain;
+}
+
+export class ArkivStorageAdapter implements StorageAdapter {
+  readonly name = 'arkiv';
+  private writeClient: WalletArkivClient | null = null;
+  private readClient: PublicArkivClient | null = null;
+
+  constructor(
+    private chainId: string,
+    private privateKey: string | undefined,
+    private rpcUrl: string,
+    private wsUrl: string
+  ) {}
+
+  async initialize(): Promise<void> {
+    try {
+      const numericChainId = parseInt(this.chainId, 10);
+      if (Number.isNaN(numericChainId)) {
+        throw new Error(`Invalid ARKIV_CHAIN_ID value: ${this.chainId}`);
+      }
+      const chain = resolveChain(numericChainId, this.rpcUrl, this.wsUrl);
+
+      const publicClient = createPublicClient({
+        chain,
+        transport: http(this.rpcUrl)
+      });
+      this.readClient = publicClient;
+      console.log('Arkiv read-only client initialized successfully');
+
+      if (this.privateKey) {
+        const normalizedPrivateKey = this.privateKey.startsWith('0x')
+          ? (this.privateKey as Hex)
+          : (`0x${this.privateKey}` as Hex);
+
+        const account = privateKeyToAccount(normalizedPrivateKey);
+        const walletClient = createWalletClient({
+          chain,
+          transport: http(this.rpcUrl),
+          account
+        });
+        this.writeClient = walletClient;
+        console.log('Arkiv write client initialized successfully');
+      } else {
+        console.log('Arkiv write client not configured – operating in read-only mode');
+      }
+    } catch (error) {
+      console.error('Failed to initialize Arkiv client:', error);
+      throw new Error('Arkiv initialization failed');
+    }
+  }
+
+  canWrite(): boolean {
+    return this.writeClient !== null;
+  }
+
+  signerAddress(): string | null {
+    return this.writeClient?.account?.address ?? null;
+  }
+
+  private getQueryClient(): PublicArkivClient {
+    if (!this.readClient) {
+      throw new Error('Arkiv client is not initialized');
+    }
+
+    return this.readClient;
+  }
+
+  private ensureWriteClient(): WalletArkivClient {
+    if (!this.writeClient) {
+      throw new Error('Backend is running without a signing key. Use the Draw.io plugin with MetaMask to sign and pay for transactions.');
+    }
+
+    return this.writeClient;
+  }
+
+  async query(query: string): Promise<StorageEntity[]> {
+    return await this.getQueryClient().query(query);
+  }
+
+  // arkiv_query with options; the SDK's query() only sends the query string
+  private async rawQuery(query: string, options: RpcQueryOptions) {
+    return await this.getQueryClient().request({ method: 'arkiv_query', params: [query, options] });
+  }
+
+  async queryPage(query: string, options: QueryPageOptions): Promise<QueryPage> {
+    const result = await this.rawQuery(query, {
+      includeData: includeData({ attributes: true, payload: !!options.withPayload, metadata: true }),
+      orderBy: options.orderBy?.map((order) => ({ name: order.attribute, type: order.type, desc: !!order.desc })),
+      resultsPerPage: options.limit,
+      ...(options.cursor ? { cursor: options.cursor } : {}),
+      ...(options.atBlock !== undefined ? { atBlock: Number(options.atBlock) } : {})
+    });
+
+    return {
+      entities: result.data.map(toStorageEntity),
+      cursor: result.cursor || undefined,
+      block: BigInt(result.blockNumber)
+    };
+  }
+
+  async count(query: string, atBlock?: bigint): Promise<number> {
+    let total = 0;
+    let cursor: string | undefined;
+    do {
+      const result = await this.rawQuery(query, {
+        includeData: includeData({ attributes: false, payload: false, metadata: false }),
+        resultsPerPage: COUNT_PAGE_SIZE,
+        ...(cursor ? { cursor } : {}),
+        ...(atBlock !== undefined ? { atBlock: Number(atBlock) } : {})
+      });
+      total += result.data.length;
+      cursor = result.cursor || undefined;
+    } while (cursor);
+    return total;
+  }
+
+  async getBlockTiming(): Promise<BlockTiming> {
+    const timing = await this.getQueryClient().getBlockTiming();
+    return { currentBlock: BigInt(timing.currentBlock), blockTimeSeconds: Number(timing.blockDuration) };
+  }
+
+  async getEntity(entityKey: string): Promise<StorageEntity | null> {
+    return await this.getQueryClient().getEntity(entityKey as Hex);
+  }
+
+  async createEntities(requests: CreateEntityRequest[]): Promise<string[]> {
+    if (!requests.length) {
+      return [];
+    }
+
+    const result = await this.ensureWriteClient().mutateEntities({
+      creates: requests.map((request) => ({
+        payload: request.payload,
+        attributes: request.attributes,
+        contentType: request.contentType,
+        expiresIn: Math.max(1, Math.floor(request.expiresInSeconds))
+      }))
+    });
+
+    return result.createdEntities ?? [];
+  }
+
+  async deleteEntities(entityKeys: string[]): Promise<string[]> {
+    if (!entityKeys.length) {
+      return [];
+    }
+
+    const result = await this.ensureWriteClient().mutateEntities({
+      deletes: entityKeys.map((entityKey) => ({ entityKey: entityKey as Hex }))
+    });
+
+    return result.deletedEntities ?? [];
+  }
+
+  async extendEntities(extensions: ExtendEntityRequest[]): Promise<string[]> {
+    if (!extensions.length) {
+      return [];
+    }
+
+    const result = await this.ensureWriteClient().mutateEntities({
+      extensions: extensions.map((extension) => ({
+        entityKey: extension.entityKey as Hex,
+        expiresIn: Math.max(1, Math.floor(extension.expiresInSeconds))
+      }))
+    });
+
+    return result.extendedEntities ?? [];
+  }
+}
@@ -0,0 +1,472 @@
+/**
+ * Auth Service
+ * Sign-In with Ethereum: hands out single-use nonces, verifies signed EIP-4361 messages and issues short-lived
+ * session tokens (HMAC-signed claims, nothing is stored server-side). The session address is lowercase, the form
+ * wallet attributes are stored in.
+ *
+ * Guest (custodial) accounts: a session credential (`cs_<session id>.<secret>`) identifies the account, and a
+ * recovery code (`rc_<custodial id>.<secret>`) opens a new session when the credential is lost. Only SHA-256 hashes
+ * of the secrets are stored, as backend-signed Arkiv entities.
+ *
+ * Personal access tokens (`pat_<token id>.<secret>`) act for the wallet or guest account that created them, limited to
+ * their scopes, e.g. for scripts and CI. They are stored the same way.
+ */
+import crypto from 'crypto';
+import { getAddress, verifyMessage } from 'ethers';
+import { ArkivService } from './arkivService';
+import { AccessToken, AccessTokenInfo, AccessTokenScope, AccountLinkResult, CustodialSession, CustodialSessionInfo } from '../types/diagram';
+import { LruCache } from '../utils/lruCache';
+import { parseSiweMessage, SiweMessage } from '../utils/siwe';
+
+const NONCE_TTL_MS = 5 * 60 * 1000;
+// Tolerated clock difference between the wallet and the backend
+const CLOCK_SKEW_MS = 60 * 1000;
+
+export const GUEST_CREDENTIAL_PREFIX = 'cs_';
+const RECOVERY_CODE_PREFIX = 'rc_';
+// SIWE resource naming the guest account a wallet agrees to take over
+const LINK_RESOURCE_PREFIX = 'urn:drawiodb:link-guest:';
+const MAX_SESSION_LABEL_LENGTH = 120;
+// Verified guest sessions and access tokens are re-read from the chain after this long, which bounds how late a
+// revocation made on another backend instance takes effect
+const GUEST_SESSION_CACHE_TTL_MS = 60 * 1000;
+
+export const ACCESS_TOKEN_PREFIX = 'pat_';
+export const ACCESS_TOKEN_SCOPES: AccessTokenScope[] = ['read', 'write', 'share', 'admin'];
+const MAX_ACCESS_TOKEN_DAYS = 365;
+const MAX_ACCESS_TOKENS = 20; // Per wallet or guest account
+const MAX_ACCESS_TOKEN_NAME_LENGTH = 100;
+// A token's last use is written to the chain at most this often; in between it is only kept in memory
+const TOKEN_USE_PERSIST_MS = 60 * 60 * 1000;
+
+export interface AuthServiceOptions {
+  sessionSecret?: string; // Random per process when unset, so sessions end on restart
+  sessionTtlMinutes: number;
+  siweDomains: string[]; // Domains a message may be issued for; empty - the Host the request was sent to
+  chainId: number; // Chain a message has to be issued for, the Arkiv chain the backend writes to
+  custodialSessionDays: number;
+}
+
+export interface GuestCaller {
+  custodialId: string;
+  sessionId: string;
+}
+
+export interface GuestCredential {
+  credential: string; // Shown once; only its hash is stored
+  session: CustodialSessionInfo;
+}
+
+export interface GuestSignIn extends GuestCredential {
+  custodialId: string;
+  recoveryCode?: string; // New accounts only
+}
+
+// Wallet or guest account an access token acts for
+export interface TokenOwner {
+  walletAddress?: string;
+  custodialId?: string;
+}
+
+export interface TokenCaller extends TokenOwner {
+  tokenId: string;
+  scopes: AccessTokenScope[];
+}
+
+export interface AccessTokenRequest {
+  name: string;
+  scopes: AccessTokenScope[];
+  expiresInDays: number;
+}
+
+export interface WalletSession {
+  address: string;
+  chainId: number;
+  issuedAt: number;
+  expiresAt: number;
+}
+
+export interface SiweNonce {
+  nonce: string;
+  expiresAt: number;
+}
+
+function hashSecret(secret: string): string {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function secretMatches(secret: string, expectedHash: string): boolean {
+  const actual = Buffer.from(hashSecret(secret), 'hex');
+  const expected = Buffer.from(expectedHash, 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// `<prefix><id>.<secret>` -> [id, secret]
+function splitCredential(value: string, prefix: string): [string, string] | null {
+  if (typeof value !== 'string' || !value.startsWith(prefix)) {
+    return null;
+  }
+  const separator = value.lastIndexOf('.');
+  if (separator <= prefix.length || separator === value.length - 1) {
+    return null;
+  }
+  return [value.slice(prefix.length, separator), value.slice(separator + 1)];
+}
+
+export class AuthService {
+  private nonces = new Map<string, number>(); // Nonce -> expiry (ms)
+  private secret: Buffer;
+  private guestSessions = new LruCache<string, CustodialSession>({ maxEntries: 10000, ttlMs: GUEST_SESSION_CACHE_TTL_MS });
+  private accessTokens = new LruCache<string, AccessToken>({ maxEntries: 10000, ttlMs: GUEST_SESSION_CACHE_TTL_MS });
+  private tokenUses = new Map<string, { usedAt: number; persistedAt: number }>(); // Token ID -> last use
+  private tokenUseWrites: Promise<void> = Promise.resolve(); // Use records are written one at a time
+
+  constructor(
+    private options: AuthServiceOptions,
+    private arkivService: ArkivService
+  ) {
+    this.secret = options.sessionSecret ? Buffer.from(options.sessionSecret) : crypto.randomBytes(32);
+  }
+
+  issueNonce(): SiweNonce {
+    const now = Date.now();
+    for (const [nonce, expiresAt] of this.nonces) {
+      if (expiresAt <= now) {
+        this.nonces.delete(nonce);
+      }
+    }
+
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const expiresAt = now + NONCE_TTL_MS;
+    this.nonces.set(nonce, expiresAt);
+    return { nonce, expiresAt };
+  }
+
+  /**
+   * Session token for the wallet that signed `message`; `host` is the Host header of the sign-in request
+   */
+  async signIn(message: string, signature: string, host?: string): Promise<{ token: string; session: WalletSession }> {
+    const { siwe, address } = this.verifySignedMessage(message, signature, host);
+    return this.issueWalletSession(address, siwe.chainId);
+  }
+
+  /**
+   * Move a guest account to the wallet that signed `message`. The caller proves the guest account with its session
+   * credential and the wallet with a SIWE message naming the account (`urn:drawiodb:link-guest:<custodial id>` in
+   * its resources). Once everything has moved, the guest account's recovery code and sessions stop working.
+   */
+  async linkWallet(caller: GuestCaller, message: string, signature: string, host?: string): Promise<AccountLinkResult & { token: string; session: WalletSession }> {
+    const { siwe, address } = this.verifySignedMessage(message, signature, host);
+    if (!siwe.resources.includes(`${LINK_RESOURCE_PREFIX}${caller.custodialId}`)) {
+      throw new Error('Link rejected: the signed message does not name this guest account');
+    }
+
+    const result = await this.arkivService.linkCustodialAccount(caller.custodialId, address);
+    if (result.failed === 0) {
+      this.guestSessions.deleteWhere((session) => session.custodialId === caller.custodialId);
+      await this.arkivService.deleteCustodialRecords(caller.custodialId);
+      console.log(`👤 Guest account ${caller.custodialId} retired after moving to ${address}`);
+    }
+    return { ...result, ...this.issueWalletSession(address, siwe.chainId) };
+  }
+
+  // Checks a signed SIWE message against this site, its nonce and the signature; returns the lowercase signer
+  private verifySignedMessage(message: string, signature: string, host?: string): { siwe: SiweMessage; address: string } {
+    const siwe = parseSiweMessage(message);
+    const now = Date.now();
+
+    const domains = this.options.siweDomains.length > 0 ? this.options.siweDomains : [host ?? ''];
+    if (!domains.some((domain) => domain.toLowerCase() === siwe.domain.toLowerCase())) {
+      throw new Error(`Sign-in rejected: message is for ${siwe.domain}, not this site`);
+    }
+    if (siwe.chainId !== this.options.chainId) {
+      throw new Error(`Sign-in rejected: message is for chain ${siwe.chainId}, not chain ${this.options.chainId}`);
+    }
+    if (Date.parse(siwe.issuedAt) > now + CLOCK_SKEW_MS) {
+      throw new Error('Sign-in rejected: message is issued in the future');
+    }
+    if (siwe.expirationTime && Date.parse(siwe.expirationTime) <= now) {
+      throw new Error('Sign-in rejected: message has expired');
+    }
+    if (siwe.notBefore && Date.parse(siwe.notBefore) > now + CLOCK_SKEW_MS) {
+      throw new Error('Sign-in rejected: message is not valid yet');
+    }
+
+    // Single use: the nonce is gone whether or not the signature checks out
+    const nonceExpiry = this.nonces.get(siwe.nonce);
+    this.nonces.delete(siwe.nonce);
+    if (!nonceExpiry || nonceExpiry <= now) {
+      throw new Error('Sign-in rejected: unknown or expired nonce, request a new one');
+    }
+
+    let signer: string;
+    try {
+      signer = verifyMessage(message, signature);
+    } catch {
+      throw new Error('Sign-in rejected: malformed signature');
+    }
+    let address: string;
+    try {
+      address = getAddress(siwe.address);
+    } catch {
+      throw new Error('Sign-in rejected: address checksum is invalid');
+    }
+    if (signer !== address) {
+      throw new Error('Sign-in rejected: signature does not match the address');
+    }
+    return { siwe, address: address.toLowerCase() };
+  }
+
+  private issueWalletSession(address: string, chainId: number): { token: string; session: WalletSession } {
+    const now = Date.now();
+    const session: WalletSession = {
+      address,
+      chainId,
+      issuedAt: now,
+      expiresAt: now + this.options.sessionTtlMinutes * 60 * 1000
+    };
+    return { token: this.signSession(session), session };
+  }
+
+  /**
+   * Session carried by a token, null when it is forged, malformed or expired
+   */
+  verifySession(token: string): WalletSession | null {
+    const [claims, signature] = token.split('.');
+    if (!claims || !signature) {
+      return null;
+    }
+
+    const expected = this.sign(claims);
+    const actual = Buffer.from(signature, 'base64url');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return null;
+    }
+
+    try {
+      const session: WalletSession = JSON.parse(Buffer.from(claims, 'base64url').toString('utf8'));
+      return typeof session.address === 'string' && session.expiresAt > Date.now() ? session : null;
+    } catch {
+      return null;
+    }
+  }
+
+  private signSession(session: WalletSession): string {
+    const claims = Buffer.from(JSON.stringify(session)).toString('base64url');
+    return `${claims}.${this.sign(claims).toString('base64url')}`;
+  }
+
+  private sign(claims: string): Buffer {
+    return crypto.createHmac('sha256', this.secret).update(claims).digest();
+  }
+
+  /**
+   * New guest account with its first session and a recovery code
+   */
+  async createGuest(label?: string): Promise<GuestSignIn> {
+    const custodialId = this.arkivService.generateCustodialId();
+    const recoveryCode = await this.storeRecoveryCode(custodialId);
+    const signIn = await this.openGuestSession(custodialId, label);
+    console.log(`👤 Guest account ${custodialId} created`);
+    return { ...signIn, custodialId, recoveryCode };
+  }
+
+  // New session for the guest account a recovery code belongs to
+  async recoverGuest(recoveryCode: string, label?: string): Promise<GuestSignIn> {
+    const parts = splitCredential(recoveryCode?.trim(), RECOVERY_CODE_PREFIX);
+    const account = parts ? await this.arkivService.findCustodialAccount(parts[0]) : null;
+    if (!parts || !account || !secretMatches(parts[1], account.recoveryHash)) {
+      throw new Error('Recovery failed: the recovery code is not valid');
+    }
+
+    const signIn = await this.openGuestSession(account.custodialId, label);
+    console.log(`👤 Guest account ${account.custodialId} recovered`);
+    return { ...signIn, custodialId: account.custodialId };
+  }
+
+  /**
+   * Replace the caller's session with a new one (new secret, new expiry)
+   */
+  async refreshGuestSession(caller: GuestCaller, label?: string): Promise<GuestCredential> {
+    const refreshed = await this.openGuestSession(caller.custodialId, label);
+    await this.revokeGuestSession(caller.custodialId, caller.sessionId);
+    return refreshed;
+  }
+
+  // A new recovery code; the previous one stops working
+  async rotateRecoveryCode(custodialId: string): Promise<string> {
+    return await this.storeRecoveryCode(custodialId);
+  }
+
+  async listGuestSessions(caller: GuestCaller): Promise<CustodialSessionInfo[]> {
+    return (await this.arkivService.listCustodialSessions(caller.custodialId))
+      .map((session) => this.sessionInfo(session, caller.sessionId));
+  }
+
+  async revokeGuestSession(custodialId: string, sessionId: string): Promise<boolean> {
+    this.guestSessions.delete(sessionId);
+    return await this.arkivService.deleteCustodialSession(sessionId, custodialId);
+  }
+
+  /**
+   * Guest account a session credential belongs to, null when it is unknown, revoked or expired
+   */
+  async verifyGuestCredential(credential: string): Promise<GuestCaller | null> {
+    const parts = splitCredential(credential, GUEST_CREDENTIAL_PREFIX);
+    if (!parts) {
+      return null;
+    }
+    const [sessionId, secret] = parts;
+
+    let session = this.guestSessions.get(sessionId) ?? null;
+    if (!session) {
+      session = await this.arkivService.findCustodialSession(sessionId);
+      if (session) {
+        this.guestSessions.set(sessionId, session);
+      }
+    }
+
+    if (!session || session.expiresAt <= Date.now() || !secretMatches(secret, session.secretHash)) {
+      return null;
+    }
+    return { custodialId: session.custodialId, sessionId };
+  }
+
+  private async openGuestSession(custodialId: string, label?: string): Promise<GuestCredential> {
+    const now = Date.now();
+    const secret = crypto.randomBytes(32).toString('hex');
+    const session: CustodialSession = {
+      id: crypto.randomBytes(12).toString('hex'),
+      custodialId,
+      secretHash: hashSecret(secret),
+      label: label?.slice(0, MAX_SESSION_LABEL_LENGTH),
+      createdAt: now,
+      expiresAt: now + this.options.custodialSessionDays * 24 * 60 * 60 * 1000
+    };
+
+    await this.arkivService.storeCustodialSession(session);
+    this.guestSessions.set(session.id, session);
+    return { credential: `${GUEST_CREDENTIAL_PREFIX}${session.id}.${secret}`, session: this.sessionInfo(session, session.id) };
+  }
+
+  private async storeRecoveryCode(custodialId: string): Promise<string> {
+    const secret = crypto.randomBytes(24).toString('hex');
+    await this.arkivService.storeCustodialAccount({ custodialId, recoveryHash: hashSecret(secret), createdAt: Date.now() });
+    return `${RECOVERY_CODE_PREFIX}${custodialId}.${secret}`;
+  }
+
+  private sessionInfo(session: CustodialSession, currentSessionId?: string): CustodialSessionInfo {
+    return {
+      id: session.id,
+      label: session.label,
+      createdAt: session.createdAt,
+      expiresAt: session.expiresAt,
+      current: session.id === currentSessionId
+    };
+  }
+
+  /**
+   * New access token for a wallet or guest account; the returned token is shown once
+   */
+  async createAccessToken(owner: TokenOwner, request: AccessTokenRequest): Promise<{ token: string; accessToken: AccessTokenInfo }> {
+    const name = typeof request.name === 'string' ? request.name.trim() : '';
+    if (!name || name.length > MAX_ACCESS_TOKEN_NAME_LENGTH) {
+      throw new Error(`Invalid access token: name is required (at most ${MAX_ACCESS_TOKEN_NAME_LENGTH} characters)`);
+    }
+    if (!Array.isArray(request.scopes) || request.scopes.length === 0 || !request.scopes.every((scope) => ACCESS_TOKEN_SCOPES.includes(scope))) {
+      throw new Error(`Invalid access token: scopes must be some of ${ACCESS_TOKEN_SCOPES.join(', ')}`);
+    }
+    if (!Number.isInteger(request.expiresInDays) || request.expiresInDays < 1 || request.expiresInDays > MAX_ACCESS_TOKEN_DAYS) {
+      throw new Error(`Invalid access token: expiresInDays must be a whole number of days between 1 and ${MAX_ACCESS_TOKEN_DAYS}`);
+    }
+    if ((await this.arkivService.listAccessTokens(owner.walletAddress, owner.custodialId)).length >= MAX_ACCESS_TOKENS) {
+      throw new Error(`Invalid access token: at most ${MAX_ACCESS_TOKENS} tokens per account, revoke one first`);
+    }
+
+    const now = Date.now();
+    const secret = crypto.randomBytes(32).toString('hex');
+    const accessToken: AccessToken = {
+      id: crypto.randomBytes(12).toString('hex'),
+      name,
+      scopes: Array.from(new Set(request.scopes)),
+      secretHash: hashSecret(secret),
+      walletAddress: owner.walletAddress,
+      custodialId: owner.walletAddress ? undefined : owner.custodialId,
+      createdAt: now,
+      expiresAt: now + request.expiresInDays * 24 * 60 * 60 * 1000
+    };
+
+    await this.arkivService.storeAccessToken(accessToken);
+    this.accessTokens.set(accessToken.id, accessToken);
+    console.log(`🎫 Access token ${accessToken.id} (${accessToken.scopes.join(', ')}) created for ${owner.walletAddress ?? owner.custodialId}`);
+    return { token: `${ACCESS_TOKEN_PREFIX}${accessToken.id}.${secret}`, accessToken: this.accessTokenInfo(accessToken) };
+  }
+
+  async listAccessTokens(owner: TokenOwner): Promise<AccessTokenInfo[]> {
+    return (await this.arkivService.listAccessTokens(owner.walletAddress, owner.custodialId))
+      .map((token) => this.accessTokenInfo(token, token.lastUsedAt));
+  }
+
+  async revokeAccessToken(owner: TokenOwner, tokenId: string): Promise<boolean> {
+    const revoked = await this.arkivService.deleteAccessToken(tokenId, owner.walletAddress, owner.custodialId);
+    if (revoked) {
+      this.accessTokens.delete(tokenId);
+      this.tokenUses.delete(tokenId);
+    }
+    return revoked;
+  }
+
+  /**
+   * Owner and scopes of an access token, null when it is unknown, revoked or expired. Records the use.
+   */
+  async verifyAccessToken(credential: string): Promise<TokenCaller | null> {
+    const parts = splitCredential(credential, ACCESS_TOKEN_PREFIX);
+    if (!parts) {
+      return null;
+    }
+    const [tokenId, secret] = parts;
+
+    let accessToken = this.accessTokens.get(tokenId) ?? null;
+    if (!accessToken) {
+      accessToken = await this.arkivService.findAccessToken(tokenId);
+      if (accessToken) {
+        this.accessTokens.set(tokenId, accessToken);
+      }
+    }
+
+    if (!accessToken || accessToken.expiresAt <= Date.now() || !secretMatches(secret, accessToken.secretHash)) {
+      return null;
+    }
+
+    this.recordTokenUse(accessToken);
+    return { tokenId, scopes: accessToken.scopes, walletAddress: accessToken.walletAddress, custodialId: accessToken.custodialId };
+  }
+
+  private recordTokenUse(accessToken: AccessToken) {
+    const now = Date.now();
+    const previous = this.tokenUses.get(accessToken.id);
+    const persist = !previous || now - previous.persistedAt >= TOKEN_USE_PERSIST_MS;
+    this.tokenUses.set(accessToken.id, { usedAt: now, persistedAt: persist ? now : previous.persistedAt });
+    if (persist) {
+      this.tokenUseWrites = this.tokenUseWrites
+        .then(() => this.arkivService.recordAccessTokenUse(accessToken, now))
+        .catch((error) => {
+          // Retried on the next use
+          this.tokenUses.set(accessToken.id, { usedAt: this.tokenUses.get(accessToken.id)?.usedAt ?? now, persistedAt: 0 });
+          console.error(`⚠️ Could not record use of access token ${accessToken.id}:`, error);
+        });
+    }
+  }
+
+  private accessTokenInfo(token: AccessToken, lastUsedAt?: number): AccessTokenInfo {
+    const usedAt = Math.max(lastUsedAt ?? 0, this.tokenUses.get(token.id)?.usedAt ?? 0);
+    return {
+      id: token.id,
+      name: token.name,
+      scopes: token.scopes,
+      createdAt: token.createdAt,
+      expiresAt: token.expiresAt,
+      lastUsedAt: usedAt > 0 ? usedAt : undefined
+    };
+  }
+}
@@ -0,0 +1,331 @@
+/**
+ * Diagram Diff Service
+ * Semantic comparison of two draw.io documents, modelled on DiffSync.js (EditorUi.diffPages / diffCells)
+ */
+import { DiagramCellGeometry, DiagramCellSnapshot, DiagramDiff, DiagramPageDiff } from '../types/diagram';
+import { childElements, DEFAULT_PAGE_ID, DrawioCell, DrawioPage, extractCells, extractPages, serializeXml, stripHtml, XmlElement } from '../utils/drawioXml';
+
+// Patch keys shared with EditorUi in DiffSync.js
+const DIFF_INSERT = 'i';
+const DIFF_REMOVE = 'r';
+const DIFF_UPDATE = 'u';
+
+type CellPatch = Record<string, string | number | null>;
+
+export class DiagramDiffService {
+  /**
+   * Compare two draw.io documents page by page and cell by cell
+   */
+  diff(oldXml: string, newXml: string): Pick<DiagramDiff, 'summary' | 'pages' | 'patch'> {
+    const oldPages = extractPages(oldXml);
+    const newPages = extractPages(newXml);
+
+    // A bare <mxGraphModel> has no page ID - it is the first page of the other document,
+    // and two single-page documents always describe the same page
+    if (oldPages[0].id === DEFAULT_PAGE_ID || (oldPages.length === 1 && newPages.length === 1)) {
+      oldPages[0] = { ...oldPages[0], id: newPages[0].id };
+    } else if (newPages[0].id === DEFAULT_PAGE_ID) {
+      newPages[0] = { ...newPages[0], id: oldPages[0].id };
+    }
+
+    const pages: DiagramPageDiff[] = [];
+    const patch: Record<string, unknown> = {};
+    const inserted: Array<{ id: string; data: string; previous: string }> = [];
+    const removed: string[] = [];
+    const updated: Record<string, unknown> = {};
+
+    const lookup = new Map<string, { page: DrawioPage; previous: string }>();
+    newPages.forEach((page, index) => {
+      lookup.set(page.id, { page, previous: index > 0 ? newPages[index - 1].id : '' });
+    });
+
+    let previousOldId = '';
+    for (const oldPage of oldPages) {
+      const match = lookup.get(oldPage.id);
+      lookup.delete(oldPage.id);
+
+      if (!match) {
+        removed.push(oldPage.id);
+        pages.push(this.wholePageDiff(oldPage, 'removed'));
+      } else {
+        const { pageDiff, cellPatch } = this.diffPage(oldPage, match.page);
+        const pagePatch: Record<string, unknown> = {};
+
+        if (Object.keys(cellPatch).length > 0) {
+          pagePatch.cells = cellPatch;
+        }
+        if (match.previous !== previousOldId) {
+          pagePatch.previous = match.previous;
+        }
+        if (oldPage.name !== match.page.name) {
+          pagePatch.name = match.page.name;
+          pageDiff.renamedFrom = oldPage.name;
+        }
+        if (Object.keys(pagePatch).length > 0) {
+          updated[oldPage.id] = pagePatch;
+          pageDiff.status = 'updated';
+        }
+
+        pages.push(pageDiff);
+      }
+
+      previousOldId = oldPage.id;
+    }
+
+    for (const { page, previous } of lookup.values()) {
+      inserted.push({ id: page.id, data: serializeXml(page.node), previous });
+      pages.push(this.wholePageDiff(page, 'added'));
+    }
+
+    if (Object.keys(updated).length > 0) {
+      patch[DIFF_UPDATE] = updated;
+    }
+    if (removed.length > 0) {
+      patch[DIFF_REMOVE] = removed;
+    }
+    if (inserted.length > 0) {
+      patch[DIFF_INSERT] = inserted;
+    }
+
+    const count = (key: 'added' | 'removed' | 'moved' | 'restyled' | 'relabelled') =>
+      pages.reduce((total, page) => total + Object.keys(page[key]).length, 0);
+
+    return {
+      summary: {
+        added: count('added'),
+        removed: count('removed'),
+        moved: count('moved'),
+        restyled: count('restyled'),
+        relabelled: count('relabelled')
+      },
+      pages,
+      patch
+    };
+  }
+
+  /**
+   * Cell level diff of a page present in both documents
+   */
+  private diffPage(oldPage: DrawioPage, newPage: DrawioPage): { pageDiff: DiagramPageDiff; cellPatch: Record<string, unknown> } {
+    const pageDiff = this.emptyPageDiff(newPage, 'unchanged');
+    const cellPatch: Record<string, unknown> = {};
+    const removed: string[] = [];
+    const updated: Record<string, CellPatch> = {};
+
+    const lookup = new Map<string, DrawioCell>();
+    for (const cell of extractCells(newPage.model)) {
+      lookup.set(cell.id, cell);
+    }
+
+    for (const oldCell of extractCells(oldPage.model)) {
+      const newCell = lookup.get(oldCell.id);
+      lookup.delete(oldCell.id);
+
+      if (!newCell) {
+        removed.push(oldCell.id);
+        pageDiff.removed[oldCell.id] = this.snapshot(oldCell);
+        continue;
+      }
+
+      const diff = this.diffCell(oldCell, newCell);
+      if (diff.parent !== undefined || (oldCell.previous ?? '') !== (newCell.previous ?? '')) {
+        diff.previous = newCell.previous ?? '';
+      }
+      if (Object.keys(diff).length > 0) {
+        updated[oldCell.id] = diff;
+      }
+
+      const oldGeometry = this.parseGeometry(oldCell.geometry);
+      const newGeometry = this.parseGeometry(newCell.geometry);
+      if (oldCell.parent !== newCell.parent || JSON.stringify(oldGeometry) !== JSON.stringify(newGeometry)) {
+        pageDiff.moved[oldCell.id] = {
+          from: { parent: oldCell.parent, geometry: oldGeometry },
+          to: { parent: newCell.parent, geometry: newGeometry }
+        };
+      }
+      if (oldCell.style !== newCell.style) {
+        pageDiff.restyled[oldCell.id] = { from: oldCell.style, to: newCell.style };
+      }
+      if (oldCell.label !== newCell.label || oldCell.value !== newCell.value || oldCell.xmlValue !== newCell.xmlValue) {
+        pageDiff.relabelled[oldCell.id] = { from: stripHtml(oldCell.label), to: stripHtml(newCell.label) };
+      }
+    }
+
+    const inserted: CellPatch[] = [];
+    for (const cell of lookup.values()) {
+      inserted.push(this.jsonForCell(cell));
+      pageDiff.added[cell.id] = this.snapshot(cell);
+    }
+
+    if (Object.keys(updated).length > 0) {
+      cellPatch[DIFF_UPDATE] = updated;
+    }
+    if (removed.length > 0) {
+      cellPatch[DIFF_REMOVE] = removed;
+    }
+    if (inserted.length > 0) {
+      cellPatch[DIFF_INSERT] = inserted;
+    }
+
+    return { pageDiff, cellPatch };
+  }
+
+  /**
+   * Same fields as EditorUi.prototype.diffCell
+   */
+  private diffCell(oldCell: DrawioCell, newCell: DrawioCell): CellPatch {
+    const diff: CellPatch = {};
+
+    if (oldCell.vertex !== newCell.vertex) {
+      diff.vertex = newCell.vertex ? 1 : 0;
+    }
+    if (oldCell.edge !== newCell.edge) {
+      diff.edge = newCell.edge ? 1 : 0;
+    }
+    if (oldCell.connectable !== newCell.connectable) {
+      diff.connectable = newCell.connectable ? 1 : 0;
+    }
+    if (oldCell.parent !== newCell.parent) {
+      diff.parent = newCell.parent ?? '';
+    }
+    if (oldCell.source !== newCell.source) {
+      diff.source = newCell.source ?? '';
+    }
+    if (oldCell.target !== newCell.target) {
+      diff.target = newCell.target ?? '';
+    }
+    if (oldCell.xmlValue !== undefined && newCell.xmlValue !== undefined) {
+      if (oldCell.xmlValue !== newCell.xmlValue) {
+        diff.xmlValue = newCell.xmlValue;
+      }
+    } else if (oldCell.value !== newCell.value || oldCell.xmlValue !== newCell.xmlValue) {
+      if (newCell.xmlValue !== undefined) {
+        diff.xmlValue = newCell.xmlValue;
+      } else {
+        diff.value = newCell.value ?? null;
+      }
+    }
+    if (oldCell.style !== newCell.style) {
+      diff.style = newCell.style ?? null;
+    }
+    if (oldCell.visible !== newCell.visible) {
+      diff.visible = newCell.visible ? 1 : 0;
+    }
+    if (oldCell.collapsed !== newCell.collapsed) {
+      diff.collapsed = newCell.collapsed ? 1 : 0;
+    }
+
+    const oldGeometry = oldCell.geometry ? serializeXml(oldCell.geometry) : '';
+    const newGeometry = newCell.geometry ? serializeXml(newCell.geometry) : '';
+    if (oldGeometry !== newGeometry && newGeometry) {
+      diff.geometry = newGeometry;
+    }
+
+    return diff;
+  }
+
+  /**
+   * Same shape as EditorUi.prototype.getJsonForCell
+   */
+  private jsonForCell(cell: DrawioCell): CellPatch {
+    const result: CellPatch = { id: cell.id };
+
+    if (cell.vertex) {
+      result.vertex = 1;
+    }
+    if (cell.edge) {
+      result.edge = 1;
+    }
+    if (!cell.connectable) {
+      result.connectable = 0;
+    }
+    if (cell.parent !== undefined) {
+      result.parent = cell.parent;
+    }
+    if (cell.previous !== undefined) {
+      result.previous = cell.previous;
+    }
+    if (cell.source !== undefined) {
+      result.source = cell.source;
+    }
+    if (cell.target !== undefined) {
+      result.target = cell.target;
+    }
+    if (cell.style !== undefined) {
+      result.style = cell.style;
+    }
+    if (cell.geometry) {
+      result.geometry = serializeXml(cell.geometry);
+    }
+    if (cell.collapsed) {
+      result.collapsed = 1;
+    }
+    if (!cell.visible) {
+      result.visible = 0;
+    }
+    if (cell.xmlValue !== undefined) {
+      result.xmlValue = cell.xmlValue;
+    } else if (cell.value !== undefined) {
+      result.value = cell.value;
+    }
+
+    return result;
+  }
+
+  private snapshot(cell: DrawioCell): DiagramCellSnapshot {
+    return {
+      id: cell.id,
+      parent: cell.parent,
+      label: stripHtml(cell.label),
+      style: cell.style,
+      vertex: cell.vertex,
+      edge: cell.edge,
+      source: cell.source,
+      target: cell.target,
+      geometry: this.parseGeometry(cell.geometry)
+    };
+  }
+
+  private parseGeometry(geometry?: XmlElement): DiagramCellGeometry | undefined {
+    if (!geometry) {
+      return undefined;
+    }
+
+    const number = (value?: string) => (value !== undefined && !Number.isNaN(Number(value)) ? Number(value) : 0);
+    const result: DiagramCellGeometry = {
+      x: number(geometry.attributes.x),
+      y: number(geometry.attributes.y),
+      width: number(geometry.attributes.width),
+      height: number(geometry.attributes.height)
+    };
+
+    if (geometry.attributes.relative === '1') {
+      result.relative = true;
+    }
+
+    const points = childElements(geometry, 'Array')
+      .filter((array) => array.attributes.as === 'points')
+      .flatMap((array) => childElements(array, 'mxPoint'))
+      .map((point) => ({ x: number(point.attributes.x), y: number(point.attributes.y) }));
+    if (points.length > 0) {
+      result.points = points;
+    }
+
+    return result;
+  }
+
+  private emptyPageDiff(page: DrawioPage, status: DiagramPageDiff['status']): DiagramPageDiff {
+    return { id: page.id, name: page.name, status, added: {}, removed: {}, moved: {}, restyled: {}, relabelled: {} };
+  }
+
+  // Every cell of an added or removed page (layer root cells 0/1 are not reported)
+  private wholePageDiff(page: DrawioPage, status: 'added' | 'removed'): DiagramPageDiff {
+    const pageDiff = this.emptyPageDiff(page, status);
+    for (const cell of extractCells(page.model)) {
+      if (cell.vertex || cell.edge) {
+        pageDiff[status][cell.id] = this.snapshot(cell);
+      }
+    }
+    return pageDiff;
+  }
+}
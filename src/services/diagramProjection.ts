@@ -0,0 +1,152 @@
+/**
+ * Diagram Projection Service
+ * Rename, BTL-change, protection, trash, move and tag events are side entities next to a diagram. The effective state of a diagram is
+ * its newest saved version with those events folded on top in timestamp order.
+ */
+import type { Attribute } from '@arkiv-network/sdk';
+import { DiagramEvent, DiagramEventType, DiagramProjection } from '../types/diagram';
+import { ROOT_FOLDER_ID } from './folderTree';
+import { parseTagsAttribute, TAGS_ATTRIBUTE } from '../utils/tags';
+
+export const DIAGRAM_EVENT_TYPES: DiagramEventType[] = ['rename', 'btl_change', 'protection', 'trash', 'move', 'tags'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export interface ProjectionBase {
+  title: string;
+  timestamp: number; // When the version was saved
+  btlDays?: number; // BTL the version was saved with
+  tags?: string[]; // Tags the version was saved with
+}
+
+interface EventEntity {
+  key: string;
+  attributes: Attribute[];
+}
+
+const readAttr = (entity: EventEntity, key: string) => entity.attributes.find((attribute) => attribute.key === key)?.value;
+
+export class DiagramProjectionService {
+  /**
+   * Read an event from its entity attributes; null for other entity types or incomplete events
+   */
+  parseEvent(entity: EventEntity): DiagramEvent | null {
+    const type = readAttr(entity, 'type');
+    const diagramId = readAttr(entity, 'originalDiagramId');
+    const timestamp = Number(readAttr(entity, 'timestamp'));
+
+    if (!DIAGRAM_EVENT_TYPES.includes(type as DiagramEventType) || !diagramId || !Number.isFinite(timestamp)) {
+      return null;
+    }
+
+    const event: DiagramEvent = { type: type as DiagramEventType, diagramId: String(diagramId), timestamp, entityKey: entity.key };
+
+    if (event.type === 'rename') {
+      const newTitle = readAttr(entity, 'newTitle');
+      if (typeof newTitle !== 'string' || !newTitle.trim()) {
+        return null;
+      }
+      event.newTitle = newTitle;
+    }
+
+    if (event.type === 'btl_change') {
+      // Stored as a string attribute
+      const newBTLDays = Number(readAttr(entity, 'newBTLDays'));
+      if (!Number.isFinite(newBTLDays) || newBTLDays <= 0) {
+        return null;
+      }
+      event.newBTLDays = newBTLDays;
+
+      // Absolute expiry the entities were extended to; older events only carry the day count
+      const expiresAt = Number(readAttr(entity, 'expiresAt'));
+      if (Number.isFinite(expiresAt) && expiresAt > 0) {
+        event.expiresAt = expiresAt;
+      }
+    }
+
+    if (event.type === 'trash') {
+      const purgeAt = Number(readAttr(entity, 'purgeAt'));
+      if (!Number.isFinite(purgeAt) || purgeAt <= 0) {
+        return null;
+      }
+      event.purgeAt = purgeAt;
+    }
+
+    if (event.type === 'move') {
+      const folderId = readAttr(entity, 'folderId');
+      if (typeof folderId !== 'string' || !folderId) {
+        return null;
+      }
+      event.folderId = folderId;
+    }
+
+    if (event.type === 'tags') {
+      // An empty list (",,") clears the tags
+      const tags = readAttr(entity, TAGS_ATTRIBUTE);
+      if (typeof tags !== 'string') {
+        return null;
+      }
+      event.tags = parseTagsAttribute(tags);
+    }
+
+    return event;
+  }
+
+  /**
+   * Fold events onto a saved version. A version carries its own title, BTL and tags, so renames, BTL changes and tag
+   * changes recorded before it was saved are superseded; protection, trash and folder moves are not part of a version and always apply. Restoring
+   * a diagram deletes its trash events, so any remaining one means the diagram is in the trash.
+   */
+  project(base: ProjectionBase, events: DiagramEvent[]): DiagramProjection {
+    const projection: DiagramProjection = {
+      title: base.title,
+      btlDays: base.btlDays,
+      expiresAt: base.btlDays ? base.timestamp + base.btlDays * DAY_MS : undefined,
+      protected: false,
+      tags: base.tags ?? [],
+      appliedEvents: 0
+    };
+
+    const ordered = [...events].sort((a, b) => a.timestamp - b.timestamp || a.entityKey.localeCompare(b.entityKey));
+
+    for (const event of ordered) {
+      switch (event.type) {
+        case 'rename':
+          if (event.timestamp <= base.timestamp) {
+            continue;
+          }
+          projection.title = event.newTitle ?? projection.title;
+          break;
+        case 'btl_change':
+          if (event.timestamp <= base.timestamp) {
+            continue;
+          }
+          projection.btlDays = event.newBTLDays;
+          projection.expiresAt = event.expiresAt ?? event.timestamp + (event.newBTLDays ?? 0) * DAY_MS;
+          break;
+        case 'protection':
+          if (!projection.protected) {
+            projection.protected = true;
+            projection.protectedAt = event.timestamp;
+          }
+          break;
+        case 'trash':
+          projection.trashedAt = event.timestamp;
+          projection.purgeAt = event.purgeAt;
+          break;
+        case 'move':
+          projection.folderId = event.folderId === ROOT_FOLDER_ID ? undefined : event.folderId;
+          break;
+        case 'tags':
+          if (event.timestamp <= base.timestamp) {
+            continue;
+          }
+          projection.tags = event.tags ?? [];
+          break;
+      }
+      projection.appliedEvents++;
+    }
+
+    return projection;
+  }
+}
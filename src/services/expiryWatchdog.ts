@@ -0,0 +1,192 @@
+/**
+ * Expiry Watchdog
+ * Periodically scans diagrams of wallet and custodial users with auto-renew switched on for entities expiring within a
+ * window. The diagram is extended when their UserConfig auto-renew policy asks for it, otherwise the owner gets an
+ * in-app warning.
+ */
+import { ArkivService } from './arkivService';
+import { NotificationService } from './notificationService';
+import { AutoRenewPolicy, ExpiringDiagram, NotificationType, UserConfig } from '../types/diagram';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_OPENED_WITHIN_DAYS = 90;
+const DEFAULT_RENEW_DAYS = 100;
+// Opening a diagram is written to the chain at most this often
+const OPENED_RECORD_INTERVAL_MS = DAY_MS;
+
+export interface ExpiryWatchdogOptions {
+  intervalMinutes: number;
+  windowDays: number; // Warn about (or renew) diagrams expiring within this many days
+}
+
+export interface ExpiryWatchdogRun {
+  startedAt: number;
+  scanned: number;
+  warned: number;
+  renewed: number;
+  failed: number;
+}
+
+export class ExpiryWatchdog {
+  private interval: NodeJS.Timeout | null = null;
+  private running = false;
+  private lastRun: ExpiryWatchdogRun | null = null;
+  // Diagram ID -> last time this process recorded its owner opening it
+  private lastOpened = new Map<string, number>();
+
+  constructor(
+    private arkivService: ArkivService,
+    private notifications: NotificationService,
+    private options: ExpiryWatchdogOptions
+  ) {}
+
+  start() {
+    if (this.interval) {
+      clearInterval(this.interval);
+    }
+
+    this.interval = setInterval(() => {
+      this.runOnce().catch((error) => console.error('❌ Expiry watchdog run failed:', error));
+    }, this.options.intervalMinutes * 60 * 1000);
+
+    console.log(`⏱️ Expiry watchdog started (every ${this.options.intervalMinutes} min, ${this.options.windowDays} day window)`);
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  getStatus() {
+    return {
+      active: this.interval !== null,
+      running: this.running,
+      intervalMinutes: this.options.intervalMinutes,
+      windowDays: this.options.windowDays,
+      lastRun: this.lastRun
+    };
+  }
+
+  /**
+   * The owner opening a diagram counts as activity for the 'if_opened' policy (saving a version counts too). It is
+   * kept on the chain so it survives restarts; other callers are ignored.
+   */
+  async recordOpened(diagramId: string, walletAddress?: string, custodialId?: string) {
+    if ((!walletAddress && !custodialId) || !this.arkivService.hasWriteAccess()) {
+      return;
+    }
+    if (Date.now() - (this.lastOpened.get(diagramId) ?? 0) < OPENED_RECORD_INTERVAL_MS) {
+      return;
+    }
+
+    try {
+      await this.arkivService.recordDiagramOpened(diagramId, walletAddress, custodialId);
+      this.lastOpened.set(diagramId, Date.now());
+    } catch (error) {
+      if (!(error as Error).message.includes('Access denied')) {
+        throw error;
+      }
+    }
+  }
+
+  async runOnce(): Promise<ExpiryWatchdogRun | null> {
+    if (this.running) {
+      return null;
+    }
+
+    this.running = true;
+    const run: ExpiryWatchdogRun = { startedAt: Date.now(), scanned: 0, warned: 0, renewed: 0, failed: 0 };
+
+    try {
+      const expiring = await this.arkivService.findExpiringDiagrams(this.options.windowDays);
+      run.scanned = expiring.length;
+      console.log(`⏱️ Expiry watchdog: ${expiring.length} diagram(s) expire within ${this.options.windowDays} days`);
+
+      const configs = new Map<string, UserConfig | null>();
+      for (const diagram of expiring) {
+        const recipient = this.notifications.recipientKey(diagram.walletAddress, diagram.custodialId);
+        if (!recipient) {
+          continue;
+        }
+
+        const configKey = diagram.walletAddress || diagram.custodialId!;
+        if (!configs.has(configKey)) {
+          configs.set(configKey, await this.arkivService.getUserConfig(configKey).catch(() => null));
+        }
+        const userConfig = configs.get(configKey) ?? null;
+
+        await this.handleExpiring(recipient, diagram, userConfig, run);
+      }
+
+      return run;
+    } finally {
+      this.lastRun = run;
+      this.running = false;
+    }
+  }
+
+  private async handleExpiring(recipient: string, diagram: ExpiringDiagram, userConfig: UserConfig | null, run: ExpiryWatchdogRun) {
+    const policy: AutoRenewPolicy = userConfig?.autoRenew ?? { mode: 'off' };
+    const expiresOn = new Date(diagram.expiresAt).toISOString().slice(0, 10);
+
+    if (!(await this.shouldRenew(policy, diagram))) {
+      if (this.notifications.notify(recipient, this.notification('expiry_warning', diagram, `"${diagram.title}" expires on ${expiresOn}. Extend its storage time to keep it.`))) {
+        run.warned++;
+      }
+      return;
+    }
+
+    if (!this.arkivService.hasWriteAccess()) {
+      if (this.notifications.notify(recipient, this.notification('expiry_warning', diagram, `"${diagram.title}" expires on ${expiresOn}. Auto-renew needs a MetaMask signature - extend it from the plugin.`))) {
+        run.warned++;
+      }
+      return;
+    }
+
+    const renewDays = policy.renewDays ?? userConfig?.btlDays ?? DEFAULT_RENEW_DAYS;
+    try {
+      const result = await this.arkivService.changeDiagramBTL(diagram.diagramId, renewDays, diagram.walletAddress, diagram.custodialId);
+      if (result.extendedEntities.length === 0) {
+        throw new Error(`a ${result.btlDays} day BTL does not extend it`);
+      }
+
+      run.renewed++;
+      this.notifications.notify(recipient, {
+        ...this.notification('auto_renewed', diagram, `"${diagram.title}" was renewed automatically until ${new Date(result.expiresAt).toISOString().slice(0, 10)}.`),
+        expiresAt: result.expiresAt,
+        expiresAtBlock: result.expiresAtBlock
+      });
+    } catch (error) {
+      run.failed++;
+      console.error(`❌ Auto-renew failed for diagram ${diagram.diagramId}:`, error);
+      this.notifications.notify(recipient, this.notification('auto_renew_failed', diagram, `"${diagram.title}" expires on ${expiresOn} and could not be renewed automatically: ${(error as Error).message}`));
+    }
+  }
+
+  private async shouldRenew(policy: AutoRenewPolicy, diagram: ExpiringDiagram): Promise<boolean> {
+    switch (policy.mode) {
+      case 'always':
+        return true;
+      case 'if_opened': {
+        const lastOpened = await this.arkivService.findDiagramLastOpened(diagram.diagramId).catch(() => 0);
+        const lastActivity = Math.max(this.lastOpened.get(diagram.diagramId) ?? 0, lastOpened, diagram.lastSavedAt);
+        return Date.now() - lastActivity <= (policy.openedWithinDays ?? DEFAULT_OPENED_WITHIN_DAYS) * DAY_MS;
+      }
+      default:
+        return false;
+    }
+  }
+
+  private notification(type: NotificationType, diagram: ExpiringDiagram, message: string) {
+    return {
+      type,
+      diagramId: diagram.diagramId,
+      title: diagram.title,
+      message,
+      expiresAt: diagram.expiresAt,
+      expiresAtBlock: diagram.expiresAtBlock
+    };
+  }
+}
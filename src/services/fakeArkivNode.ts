@@ -0,0 +1,584 @@
+/**
+ * Fake Arkiv Node
+ * In-process stand-in for an Arkiv JSON-RPC endpoint so the backend and plugin can run offline (CI, local dev).
+ * Implements what @arkiv-network/sdk uses: signed entity transactions (create/update/delete/extend), arkiv_query with
+ * attribute queries, and the chain calls viem needs to send a transaction and wait for its receipt.
+ * Entities expire by block; a block is produced every `blockTimeSeconds` of wall-clock time, or on demand via mine().
+ */
+import { brotliDecompressSync } from 'zlib';
+import { localhost } from '@arkiv-network/sdk/chains';
+import {
+  bytesToHex,
+  encodeAbiParameters,
+  encodeEventTopics,
+  fromRlp,
+  hexToBytes,
+  hexToString,
+  keccak256,
+  parseAbi,
+  parseTransaction,
+  recoverTransactionAddress,
+  toHex,
+  type Address,
+  type Hex,
+  type TransactionSerialized
+} from 'viem';
+import { matchesQuery, parseQuery } from '../utils/entityQuery';
+import { ARKIV_ADDRESS } from '../utils/arkivTransaction';
+
+const ARKIV_EVENTS = parseAbi([
+  'event ArkivEntityCreated(uint256 indexed entityKey, address indexed ownerAddress, uint256 expirationBlock, uint256 cost)',
+  'event ArkivEntityUpdated(uint256 indexed entityKey, address indexed ownerAddress, uint256 oldExpirationBlock, uint256 newExpirationBlock, uint256 cost)',
+  'event ArkivEntityDeleted(uint256 indexed entityKey, address indexed ownerAddress)',
+  'event ArkivEntityBTLExtended(uint256 indexed entityKey, address indexed ownerAddress, uint256 oldExpirationBlock, uint256 newExpirationBlock, uint256 cost)'
+]);
+
+const ZERO_HASH: Hex = `0x${'00'.repeat(32)}`;
+const EMPTY_BLOOM: Hex = `0x${'00'.repeat(256)}`;
+const BASE_FEE = 7n;
+const PRIORITY_FEE = 1n;
+const GAS_PER_OPERATION = 50_000n;
+
+export interface FakeArkivNodeOptions {
+  hostname?: string;
+  port?: number;
+  chainId?: number;
+  blockTimeSeconds?: number;
+}
+
+interface FakeEntity {
+  key: Hex;
+  owner: Address;
+  contentType: string;
+  payload: Hex;
+  stringAttributes: Array<{ key: string; value: string }>;
+  numericAttributes: Array<{ key: string; value: number }>;
+  createdAtBlock: number;
+  lastModifiedAtBlock: number;
+  expiresAtBlock: number;
+  transactionIndex: number;
+  operationIndex: number;
+}
+
+interface DecodedOperations {
+  creates: Array<{ btl: number; contentType: string; payload: Hex; stringAttributes: FakeEntity['stringAttributes']; numericAttributes: FakeEntity['numericAttributes'] }>;
+  updates: Array<{ entityKey: Hex; contentType: string; btl: number; payload: Hex; stringAttributes: FakeEntity['stringAttributes']; numericAttributes: FakeEntity['numericAttributes'] }>;
+  deletes: Hex[];
+  extensions: Array<{ entityKey: Hex; btl: number }>;
+}
+
+interface RpcLog {
+  address: Address;
+  topics: Hex[];
+  data: Hex;
+}
+
+interface JsonRpcRequest {
+  jsonrpc?: string;
+  id?: number | string | null;
+  method: string;
+  params?: unknown[];
+}
+
+interface QueryOptions {
+  includeData?: Record<string, boolean>;
+  orderBy?: Array<{ name: string; type: 'string' | 'numeric'; desc: boolean }>;
+  resultsPerPage?: number;
+  cursor?: string;
+  atBlock?: number;
+}
+
+class RpcError extends Error {
+  constructor(public code: number, message: string) {
+    super(message);
+  }
+}
+
+// RLP drops leading zero bytes, so zero arrives as `0x`
+function hexToInt(value: Hex): number {
+  return value === '0x' ? 0 : Number(BigInt(value));
+}
+
+function asList(value: unknown, name: string): unknown[] {
+  if (!Array.isArray(value)) {
+    throw new RpcError(-32602, `Malformed Arkiv transaction: ${name} must be a list`);
+  }
+  return value;
+}
+
+function decodeAttributes(value: unknown) {
+  return asList(value, 'attributes').map((pair) => asList(pair, 'attribute') as Hex[]);
+}
+
+function decodeOperations(data: Hex): DecodedOperations {
+  let decoded: unknown;
+  try {
+    decoded = fromRlp(bytesToHex(brotliDecompressSync(hexToBytes(data))), 'hex');
+  } catch (error) {
+    throw new RpcError(-32602, `Malformed Arkiv transaction: ${(error as Error).message}`);
+  }
+
+  const [creates = [], updates = [], deletes = [], extensions = []] = asList(decoded, 'transaction');
+  const strings = (value: unknown) => decodeAttributes(value).map(([key, attribute]) => ({ key: hexToString(key), value: hexToString(attribute) }));
+  const numbers = (value: unknown) => decodeAttributes(value).map(([key, attribute]) => ({ key: hexToString(key), value: hexToInt(attribute) }));
+
+  return {
+    creates: asList(creates, 'creates').map((item) => {
+      const [btl, contentType, payload, stringAttributes, numericAttributes] = asList(item, 'create') as [Hex, Hex, Hex, unknown, unknown];
+      return { btl: hexToInt(btl), contentType: hexToString(contentType), payload, stringAttributes: strings(stringAttributes), numericAttributes: numbers(numericAttributes) };
+    }),
+    updates: asList(updates, 'updates').map((item) => {
+      const [entityKey, contentType, btl, payload, stringAttributes, numericAttributes] = asList(item, 'update') as [Hex, Hex, Hex, Hex, unknown, unknown];
+      return { entityKey, contentType: hexToString(contentType), btl: hexToInt(btl), payload, stringAttributes: strings(stringAttributes), numericAttributes: numbers(numericAttributes) };
+    }),
+    deletes: asList(deletes, 'deletes') as Hex[],
+    extensions: asList(extensions, 'extensions').map((item) => {
+      const [entityKey, btl] = asList(item, 'extension') as [Hex, Hex];
+      return { entityKey, btl: hexToInt(btl) };
+    })
+  };
+}
+
+export class FakeArkivNode {
+  readonly hostname: string;
+  readonly port: number;
+  readonly chainId: number;
+  readonly blockTimeSeconds: number;
+
+  private entities = new Map<string, FakeEntity>();
+  private nonces = new Map<string, number>();
+  private receipts = new Map<Hex, Record<string, unknown>>();
+  private transactions = new Map<Hex, Record<string, unknown>>();
+  private startedAt = Date.now();
+  private minedBlocks = 0;
+  private lastTransactionBlock = -1;
+  private transactionsInBlock = 0;
+  private server: ReturnType<typeof Bun.serve> | null = null;
+
+  constructor(options: FakeArkivNodeOptions = {}) {
+    this.hostname = options.hostname ?? '127.0.0.1';
+    this.port = options.port ?? 8545;
+    this.chainId = options.chainId ?? localhost.id;
+    this.blockTimeSeconds = options.blockTimeSeconds ?? 2;
+
+    if (!(this.blockTimeSeconds > 0)) {
+      throw new Error(`Fake Arkiv node block time must be positive, got ${this.blockTimeSeconds}`);
+    }
+  }
+
+  /**
+   * Listen for JSON-RPC over HTTP; returns the endpoint URL
+   */
+  async start(): Promise<string> {
+    if (!this.server) {
+      this.server = Bun.serve({
+        hostname: this.hostname,
+        port: this.port,
+        fetch: (request) => this.handleHttp(request)
+      });
+      console.log(`🧪 Fake Arkiv node listening on ${this.url()} (chain ${this.chainId}, ${this.blockTimeSeconds}s blocks)`);
+    }
+    return this.url();
+  }
+
+  async stop(): Promise<void> {
+    this.server?.stop(true);
+    this.server = null;
+  }
+
+  url(): string {
+    return `http://${this.hostname}:${this.server?.port ?? this.port}`;
+  }
+
+  currentBlock(): number {
+    return 1 + Math.floor((Date.now() - this.startedAt) / (this.blockTimeSeconds * 1000)) + this.minedBlocks;
+  }
+
+  /**
+   * Advance the chain without waiting, e.g. to expire entities in a test
+   */
+  mine(blocks = 1): number {
+    this.minedBlocks += Math.max(0, Math.floor(blocks));
+    return this.currentBlock();
+  }
+
+  // Live entities only; expired ones are dropped the first time they are seen
+  private liveEntities(): FakeEntity[] {
+    const block = this.currentBlock();
+    const live: FakeEntity[] = [];
+    for (const [key, entity] of this.entities) {
+      if (entity.expiresAtBlock > block) {
+        live.push(entity);
+      } else {
+        this.entities.delete(key);
+      }
+    }
+    return live;
+  }
+
+  private liveEntity(entityKey: Hex): FakeEntity | undefined {
+    const entity = this.entities.get(entityKey.toLowerCase());
+    return entity && entity.expiresAtBlock > this.currentBlock() ? entity : undefined;
+  }
+
+  private async handleHttp(request: Request): Promise<Response> {
+    if (request.method !== 'POST') {
+      return new Response('Fake Arkiv node: POST JSON-RPC requests', { status: 405 });
+    }
+
+    let body: JsonRpcRequest | JsonRpcRequest[];
+    try {
+      body = await request.json() as JsonRpcRequest | JsonRpcRequest[];
+    } catch {
+      return Response.json({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+    }
+
+    const result = Array.isArray(body)
+      ? await Promise.all(body.map((call) => this.handleRequest(call)))
+      : await this.handleRequest(body);
+    return Response.json(result);
+  }
+
+  async handleRequest(request: JsonRpcRequest): Promise<Record<string, unknown>> {
+    const id = request.id ?? null;
+    try {
+      const result = await this.dispatch(request.method, request.params ?? []);
+      return { jsonrpc: '2.0', id, result };
+    } catch (error) {
+      const code = error instanceof RpcError ? error.code : -32000;
+      return { jsonrpc: '2.0', id, error: { code, message: (error as Error).message } };
+    }
+  }
+
+  private async dispatch(method: string, params: unknown[]): Promise<unknown> {
+    switch (method) {
+      case 'eth_chainId':
+        return toHex(this.chainId);
+      case 'net_version':
+        return String(this.chainId);
+      case 'eth_blockNumber':
+        return toHex(this.currentBlock());
+      case 'eth_getBlockByNumber':
+        return this.block(params[0] as string);
+      case 'eth_gasPrice':
+        return toHex(BASE_FEE + PRIORITY_FEE);
+      case 'eth_maxPriorityFeePerGas':
+        return toHex(PRIORITY_FEE);
+      case 'eth_getBalance':
+        return toHex(10n ** 24n);
+      case 'eth_getTransactionCount': {
+        const address = String(params[0]).toLowerCase();
+        return toHex(this.nonces.get(address) ?? 0);
+      }
+      case 'eth_estimateGas': {
+        const call = params[0] as { from?: Address; to?: Address; data?: Hex };
+        if (call.to?.toLowerCase() !== ARKIV_ADDRESS || !call.data) {
+          return toHex(21_000);
+        }
+        const operations = decodeOperations(call.data);
+        this.applyOperations(call.from ?? ARKIV_ADDRESS, operations, true);
+        const count = operations.creates.length + operations.updates.length + operations.deletes.length + operations.extensions.length;
+        return toHex(21_000n + GAS_PER_OPERATION * BigInt(count));
+      }
+      case 'eth_sendRawTransaction':
+        return await this.sendRawTransaction(params[0] as Hex);
+      case 'eth_getTransactionReceipt':
+        return this.receipts.get(params[0] as Hex) ?? null;
+      case 'eth_getTransactionByHash':
+        return this.transactions.get(params[0] as Hex) ?? null;
+      case 'arkiv_query':
+        return this.query(params[0] as string, params[1] as QueryOptions | undefined);
+      case 'arkiv_getEntityCount':
+        return this.liveEntities().length;
+      case 'arkiv_getBlockTiming':
+        return {
+          current_block: this.currentBlock(),
+          current_block_time: Math.floor(Date.now() / 1000),
+          duration: this.blockTimeSeconds
+        };
+      case 'evm_mine':
+        this.mine(1);
+        return '0x0';
+      default:
+        throw new RpcError(-32601, `Method ${method} is not supported by the fake Arkiv node`);
+    }
+  }
+
+  private blockHash(number: number): Hex {
+    return keccak256(toHex(`fake-arkiv-block-${number}`));
+  }
+
+  private block(tag: string): Record<string, unknown> | null {
+    const current = this.currentBlock();
+    const number = tag === 'latest' || tag === 'pending' || tag === 'safe' || tag === 'finalized' || !tag
+      ? current
+      : tag === 'earliest' ? 0 : hexToInt(tag as Hex);
+
+    if (number > current) {
+      return null;
+    }
+
+    return {
+      number: toHex(number),
+      hash: this.blockHash(number),
+      parentHash: number > 0 ? this.blockHash(number - 1) : ZERO_HASH,
+      timestamp: toHex(Math.floor(this.startedAt / 1000 + number * this.blockTimeSeconds)),
+      baseFeePerGas: toHex(BASE_FEE),
+      gasLimit: toHex(30_000_000),
+      gasUsed: '0x0',
+      difficulty: '0x0',
+      totalDifficulty: '0x0',
+      extraData: '0x',
+      logsBloom: EMPTY_BLOOM,
+      miner: ARKIV_ADDRESS,
+      mixHash: ZERO_HASH,
+      nonce: '0x0000000000000000',
+      receiptsRoot: ZERO_HASH,
+      sha3Uncles: ZERO_HASH,
+      stateRoot: ZERO_HASH,
+      transactionsRoot: ZERO_HASH,
+      size: '0x0',
+      transactions: [],
+      uncles: []
+    };
+  }
+
+  private async sendRawTransaction(serialized: Hex): Promise<Hex> {
+    const transaction = parseTransaction(serialized);
+    const from = (await recoverTransactionAddress({ serializedTransaction: serialized as TransactionSerialized })).toLowerCase() as Address;
+    const hash = keccak256(serialized);
+
+    if (transaction.chainId !== undefined && transaction.chainId !== this.chainId) {
+      throw new RpcError(-32000, `invalid chain id ${transaction.chainId}, expected ${this.chainId}`);
+    }
+
+    const nonce = this.nonces.get(from) ?? 0;
+    if (transaction.nonce !== undefined && transaction.nonce !== nonce) {
+      throw new RpcError(-32000, `nonce ${transaction.nonce} does not match account nonce ${nonce}`);
+    }
+
+    const operations = transaction.to?.toLowerCase() === ARKIV_ADDRESS && transaction.data
+      ? decodeOperations(transaction.data)
+      : null;
+    // Validate the whole batch first: a failing operation reverts the transaction
+    if (operations) {
+      this.applyOperations(from, operations, true);
+    }
+
+    const blockNumber = this.currentBlock();
+    if (blockNumber !== this.lastTransactionBlock) {
+      this.lastTransactionBlock = blockNumber;
+      this.transactionsInBlock = 0;
+    }
+    const transactionIndex = this.transactionsInBlock++;
+    const logs = operations ? this.applyOperations(from, operations, false, hash, transactionIndex) : [];
+    this.nonces.set(from, nonce + 1);
+    const blockHash = this.blockHash(blockNumber);
+    const gasUsed = 21_000n + GAS_PER_OPERATION * BigInt(logs.length / 2);
+
+    this.transactions.set(hash, {
+      hash,
+      from,
+      to: transaction.to ?? null,
+      input: transaction.data ?? '0x',
+      nonce: toHex(nonce),
+      value: toHex(transaction.value ?? 0n),
+      gas: toHex(transaction.gas ?? gasUsed),
+      maxFeePerGas: toHex(transaction.maxFeePerGas ?? BASE_FEE + PRIORITY_FEE),
+      maxPriorityFeePerGas: toHex(transaction.maxPriorityFeePerGas ?? PRIORITY_FEE),
+      chainId: toHex(this.chainId),
+      type: '0x2',
+      accessList: [],
+      blockHash,
+      blockNumber: toHex(blockNumber),
+      transactionIndex: toHex(transactionIndex),
+      v: '0x0',
+      r: ZERO_HASH,
+      s: ZERO_HASH,
+      yParity: '0x0'
+    });
+
+    this.receipts.set(hash, {
+      transactionHash: hash,
+      transactionIndex: toHex(transactionIndex),
+      blockHash,
+      blockNumber: toHex(blockNumber),
+      from,
+      to: transaction.to ?? null,
+      contractAddress: null,
+      cumulativeGasUsed: toHex(gasUsed),
+      gasUsed: toHex(gasUsed),
+      effectiveGasPrice: toHex(BASE_FEE + PRIORITY_FEE),
+      logsBloom: EMPTY_BLOOM,
+      status: '0x1',
+      type: '0x2',
+      logs: logs.map((log, logIndex) => ({
+        ...log,
+        blockHash,
+        blockNumber: toHex(blockNumber),
+        transactionHash: hash,
+        transactionIndex: toHex(transactionIndex),
+        logIndex: toHex(logIndex),
+        removed: false
+      }))
+    });
+
+    return hash;
+  }
+
+  /**
+   * Apply a decoded Arkiv transaction. Logs come in pairs per operation, ordered creates, deletes, updates, extends,
+   * which is how the SDK maps receipt logs back to entity keys (it reads the first log of each pair).
+   */
+  private applyOperations(
+    from: Address,
+    operations: DecodedOperations,
+    dryRun: boolean,
+    transactionHash: Hex = ZERO_HASH,
+    transactionIndex = 0
+  ): RpcLog[] {
+    const block = this.currentBlock();
+    const owner = from.toLowerCase() as Address;
+    const logs: RpcLog[] = [];
+    let operationIndex = 0;
+
+    const emit = (eventName: (typeof ARKIV_EVENTS)[number]['name'], entityKey: Hex, args: bigint[]) => {
+      const topics = encodeEventTopics({ abi: ARKIV_EVENTS, eventName, args: { entityKey: BigInt(entityKey), ownerAddress: owner } } as Parameters<typeof encodeEventTopics>[0]) as Hex[];
+      const data = args.length ? encodeAbiParameters(args.map(() => ({ type: 'uint256' })), args) : '0x';
+      logs.push({ address: ARKIV_ADDRESS, topics, data }, { address: ARKIV_ADDRESS, topics, data });
+    };
+
+    const requireOwned = (entityKey: Hex, action: string): FakeEntity => {
+      const entity = this.liveEntity(entityKey);
+      if (!entity) {
+        throw new RpcError(-32000, `execution reverted: cannot ${action} entity ${entityKey}: not found or expired`);
+      }
+      if (action !== 'extend' && entity.owner !== owner) {
+        throw new RpcError(-32000, `execution reverted: cannot ${action} entity ${entityKey}: not the owner`);
+      }
+      return entity;
+    };
+
+    const requireBtl = (btl: number) => {
+      if (!Number.isInteger(btl) || btl <= 0) {
+        throw new RpcError(-32000, `execution reverted: BTL must be a positive number of blocks, got ${btl}`);
+      }
+    };
+
+    for (const create of operations.creates) {
+      requireBtl(create.btl);
+      const key = keccak256(`${transactionHash}${toHex(operationIndex, { size: 32 }).slice(2)}` as Hex);
+      if (!dryRun) {
+        this.entities.set(key, {
+          key,
+          owner,
+          contentType: create.contentType,
+          payload: create.payload,
+          stringAttributes: create.stringAttributes,
+          numericAttributes: create.numericAttributes,
+          createdAtBlock: block,
+          lastModifiedAtBlock: block,
+          expiresAtBlock: block + create.btl,
+          transactionIndex,
+          operationIndex
+        });
+      }
+      emit('ArkivEntityCreated', key, [BigInt(block + create.btl), 0n]);
+      operationIndex++;
+    }
+
+    for (const entityKey of operations.deletes) {
+      requireOwned(entityKey, 'delete');
+      if (!dryRun) {
+        this.entities.delete(entityKey.toLowerCase());
+      }
+      emit('ArkivEntityDeleted', entityKey, []);
+      operationIndex++;
+    }
+
+    for (const update of operations.updates) {
+      requireBtl(update.btl);
+      const entity = requireOwned(update.entityKey, 'update');
+      const oldExpiry = entity.expiresAtBlock;
+      if (!dryRun) {
+        Object.assign(entity, {
+          contentType: update.contentType,
+          payload: update.payload,
+          stringAttributes: update.stringAttributes,
+          numericAttributes: update.numericAttributes,
+          lastModifiedAtBlock: block,
+          expiresAtBlock: block + update.btl
+        });
+      }
+      emit('ArkivEntityUpdated', update.entityKey, [BigInt(oldExpiry), BigInt(block + update.btl), 0n]);
+      operationIndex++;
+    }
+
+    for (const extension of operations.extensions) {
+      requireBtl(extension.btl);
+      const entity = requireOwned(extension.entityKey, 'extend');
+      const oldExpiry = entity.expiresAtBlock;
+      if (!dryRun) {
+        entity.expiresAtBlock += extension.btl;
+      }
+      emit('ArkivEntityBTLExtended', extension.entityKey, [BigInt(oldExpiry), BigInt(oldExpiry + extension.btl), 0n]);
+      operationIndex++;
+    }
+
+    return logs;
+  }
+
+  private query(query: string, options: QueryOptions = {}): Record<string, unknown> {
+    let tree;
+    try {
+      tree = parseQuery(query);
+    } catch (error) {
+      throw new RpcError(-32602, (error as Error).message);
+    }
+
+    // Entities created after `atBlock` are hidden; deletes and updates are not replayed
+    const matches = this.liveEntities().filter((entity) => (options.atBlock === undefined || entity.createdAtBlock <= options.atBlock) && matchesQuery(tree, {
+      key: entity.key,
+      owner: entity.owner,
+      attributes: [...entity.stringAttributes, ...entity.numericAttributes]
+    }));
+
+    matches.sort((left, right) => {
+      for (const order of options.orderBy ?? []) {
+        const attributes = order.type === 'numeric' ? 'numericAttributes' : 'stringAttributes';
+        const leftValue = left[attributes].find((attribute) => attribute.key === order.name)?.value;
+        const rightValue = right[attributes].find((attribute) => attribute.key === order.name)?.value;
+        if (leftValue !== rightValue) {
+          const result = leftValue === undefined ? 1 : rightValue === undefined ? -1 : leftValue < rightValue ? -1 : 1;
+          return order.desc ? -result : result;
+        }
+      }
+      return left.createdAtBlock - right.createdAtBlock || left.transactionIndex - right.transactionIndex || left.operationIndex - right.operationIndex;
+    });
+
+    // Cursors are plain offsets into the ordered result
+    const offset = options.cursor ? Number.parseInt(options.cursor, 10) || 0 : 0;
+    const pageSize = options.resultsPerPage && options.resultsPerPage > 0 ? options.resultsPerPage : matches.length;
+    const page = matches.slice(offset, offset + pageSize);
+    const nextOffset = offset + page.length;
+
+    const include = (field: string) => !options.includeData || options.includeData[field] !== false;
+
+    return {
+      blockNumber: toHex(this.currentBlock()),
+      cursor: nextOffset < matches.length ? String(nextOffset) : '',
+      data: page.map((entity) => ({
+        key: entity.key,
+        ...(include('contentType') ? { contentType: entity.contentType } : {}),
+        ...(include('payload') ? { value: entity.payload } : {}),
+        ...(include('expiration') ? { expiresAt: toHex(entity.expiresAtBlock) } : {}),
+        ...(include('owner') ? { owner: entity.owner } : {}),
+        ...(include('createdAtBlock') ? { createdAtBlock: toHex(entity.createdAtBlock) } : {}),
+        ...(include('lastModifiedAtBlock') ? { lastModifiedAtBlock: toHex(entity.lastModifiedAtBlock) } : {}),
+        ...(include('transactionIndexInBlock') ? { transactionIndexInBlock: toHex(entity.transactionIndex) } : {}),
+        ...(include('operationIndexInTransaction') ? { operationIndexInTransaction: toHex(entity.operationIndex) } : {}),
+        ...(include('attributes') ? { stringAttributes: entity.stringAttributes, numericAttributes: entity.numericAttributes } : {})
+      }))
+    };
+  }
+}
@@ -0,0 +1,104 @@
+/**
+ * Folder Tree Service
+ * Folders are `type = "folder"` entities with a full path; a diagram's folder comes from its newest move event
+ * (see DiagramProjectionService). This service validates names and works out paths, subtrees and the tree view.
+ */
+import { DiagramMetadata, Folder, FolderNode } from '../types/diagram';
+
+// Move target meaning "no folder"; diagrams never moved are in the root too
+export const ROOT_FOLDER_ID = 'root';
+
+const MAX_FOLDER_NAME_LENGTH = 100;
+const MAX_FOLDER_DEPTH = 10;
+
+export class FolderTreeService {
+  /**
+   * Trimmed folder name; throws for names that would break paths
+   */
+  normalizeName(name: unknown): string {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) {
+      throw new Error('Invalid folder: name is required');
+    }
+    if (trimmed.length > MAX_FOLDER_NAME_LENGTH) {
+      throw new Error(`Invalid folder: name must be at most ${MAX_FOLDER_NAME_LENGTH} characters`);
+    }
+    if (trimmed.includes('/')) {
+      throw new Error('Invalid folder: name cannot contain "/"');
+    }
+    return trimmed;
+  }
+
+  /**
+   * Path of a new folder `name` under `parent` (null for the root); paths are unique per owner
+   */
+  childPath(folders: Folder[], parent: Folder | null, name: string): string {
+    const path = `${parent ? parent.path : ''}/${name}`;
+    if (path.split('/').length - 1 > MAX_FOLDER_DEPTH) {
+      throw new Error(`Invalid folder: folders can be nested at most ${MAX_FOLDER_DEPTH} levels deep`);
+    }
+    if (folders.some((folder) => folder.path.toLowerCase() === path.toLowerCase())) {
+      throw new Error(`Folder ${path} already exists`);
+    }
+    return path;
+  }
+
+  /**
+   * IDs of a folder and, when `recursive`, all folders below it
+   */
+  scope(folders: Folder[], folderId: string, recursive: boolean): Set<string> {
+    const ids = new Set([folderId]);
+    if (!recursive || folderId === ROOT_FOLDER_ID) {
+      return ids;
+    }
+
+    let added = true;
+    while (added) {
+      added = false;
+      for (const folder of folders) {
+        if (folder.parentId && ids.has(folder.parentId) && !ids.has(folder.id)) {
+          ids.add(folder.id);
+          added = true;
+        }
+      }
+    }
+    return ids;
+  }
+
+  /**
+   * Whether a diagram is in one of the folders of a scope. Diagrams whose folder no longer exists count as root.
+   */
+  inScope(diagram: Pick<DiagramMetadata, 'folderId'>, scope: Set<string>, folders: Folder[]): boolean {
+    const folderId = diagram.folderId && folders.some((folder) => folder.id === diagram.folderId)
+      ? diagram.folderId
+      : ROOT_FOLDER_ID;
+    return scope.has(folderId);
+  }
+
+  /**
+   * Nested folders sorted by name, with the number of diagrams directly in each
+   */
+  buildTree(folders: Folder[], diagrams: Array<Pick<DiagramMetadata, 'folderId'>>): FolderNode[] {
+    const nodes = new Map<string, FolderNode>(folders.map((folder) => [folder.id, { ...folder, children: [], diagramCount: 0 }]));
+
+    for (const diagram of diagrams) {
+      const node = diagram.folderId ? nodes.get(diagram.folderId) : undefined;
+      if (node) {
+        node.diagramCount++;
+      }
+    }
+
+    const roots: FolderNode[] = [];
+    for (const node of nodes.values()) {
+      const parent = node.parentId ? nodes.get(node.parentId) : undefined;
+      (parent ? parent.children : roots).push(node);
+    }
+
+    const sort = (list: FolderNode[]) => {
+      list.sort((a, b) => a.name.localeCompare(b.name));
+      list.forEach((node) => sort(node.children));
+    };
+    sort(roots);
+    return roots;
+  }
+}
@@ -0,0 +1,70 @@
+/**
+ * Notification Service
+ * In-app notifications per user (wallet address or custodial ID), kept in memory and served by
+ * GET /api/notifications. Notifications are lost on restart; the expiry watchdog re-raises open ones on its next run.
+ */
+import crypto from 'crypto';
+import { UserNotification } from '../types/diagram';
+
+// Oldest notifications are dropped beyond this many per user
+const MAX_NOTIFICATIONS_PER_USER = 100;
+
+export type NotificationInput = Omit<UserNotification, 'id' | 'createdAt' | 'read'>;
+
+export class NotificationService {
+  private notifications = new Map<string, UserNotification[]>(); // Newest first
+
+  /**
+   * Key notifications are stored under; wallet addresses are case-insensitive
+   */
+  recipientKey(walletAddress?: string, custodialId?: string): string | null {
+    if (walletAddress) {
+      return walletAddress.toLowerCase();
+    }
+    return custodialId || null;
+  }
+
+  /**
+   * Add a notification unless the same one (type, diagram and expiry block) was already raised
+   */
+  notify(recipient: string, input: NotificationInput): UserNotification | null {
+    const existing = this.notifications.get(recipient) ?? [];
+    const duplicate = existing.some((notification) => notification.type === input.type &&
+      notification.diagramId === input.diagramId &&
+      notification.expiresAtBlock === input.expiresAtBlock);
+    if (duplicate) {
+      return null;
+    }
+
+    const notification: UserNotification = {
+      ...input,
+      id: crypto.randomBytes(8).toString('hex'),
+      createdAt: Date.now(),
+      read: false
+    };
+
+    this.notifications.set(recipient, [notification, ...existing].slice(0, MAX_NOTIFICATIONS_PER_USER));
+    console.log(`🔔 Notification for ${recipient}: ${notification.message}`);
+    return notification;
+  }
+
+  list(recipient: string, unreadOnly = false): UserNotification[] {
+    const notifications = this.notifications.get(recipient) ?? [];
+    return unreadOnly ? notifications.filter((notification) => !notification.read) : [...notifications];
+  }
+
+  markRead(recipient: string, notificationId: string): boolean {
+    const notification = this.notifications.get(recipient)?.find((candidate) => candidate.id === notificationId);
+    if (!notification) {
+      return false;
+    }
+    notification.read = true;
+    return true;
+  }
+
+  markAllRead(recipient: string): number {
+    const unread = (this.notifications.get(recipient) ?? []).filter((notification) => !notification.read);
+    unread.forEach((notification) => { notification.read = true; });
+    return unread.length;
+  }
+}
@@ -0,0 +1,144 @@
+/**
+ * Search Index
+ * In-process inverted index over the extracted text of diagrams (see utils/diagramText), ranked with BM25. Each
+ * diagram is indexed from one entity (its newest version); saving re-indexes it and search fills in the rest lazily,
+ * so the index is rebuilt from the chain after a restart. The index holds every account's diagrams, so ranking
+ * statistics are computed over the diagrams a search is scoped to.
+ */
+import { DiagramTextEntry } from '../utils/diagramText';
+import { DiagramTextMatch } from '../types/diagram';
+
+// BM25 parameters (the usual defaults)
+const K1 = 1.2;
+const B = 0.75;
+const EXCERPT_RADIUS = 60;
+
+interface IndexedDiagram {
+  sourceKey: string; // Entity the text was extracted from
+  entries: DiagramTextEntry[];
+  termFrequencies: Map<string, number>;
+  length: number; // Number of terms
+}
+
+export interface TextSearchHit {
+  diagramId: string;
+  score: number;
+  match?: DiagramTextMatch;
+}
+
+export function tokenize(text: string): string[] {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? []).filter((term) => term.length > 1);
+}
+
+export class SearchIndex {
+  private diagrams = new Map<string, IndexedDiagram>();
+
+  /**
+   * Whether the diagram is indexed from this entity (its current version)
+   */
+  isCurrent(diagramId: string, sourceKey: string): boolean {
+    return this.diagrams.get(diagramId)?.sourceKey === sourceKey;
+  }
+
+  upsert(diagramId: string, sourceKey: string, entries: DiagramTextEntry[]) {
+    const termFrequencies = new Map<string, number>();
+    let length = 0;
+    for (const entry of entries) {
+      for (const term of tokenize(entry.text)) {
+        termFrequencies.set(term, (termFrequencies.get(term) ?? 0) + 1);
+        length++;
+      }
+    }
+
+    this.diagrams.set(diagramId, { sourceKey, entries, termFrequencies, length });
+  }
+
+  remove(diagramId: string) {
+    this.diagrams.delete(diagramId);
+  }
+
+  /**
+   * BM25-ranked diagrams among `diagramIds` containing any query term, best first, with the best matching cell.
+   * Document frequencies and lengths come from `diagramIds` alone, so diagrams outside the scope do not move scores.
+   */
+  search(query: string, diagramIds: Iterable<string>): TextSearchHit[] {
+    const terms = Array.from(new Set(tokenize(query)));
+    const scope = new Map<string, IndexedDiagram>();
+    for (const diagramId of diagramIds) {
+      const diagram = this.diagrams.get(diagramId);
+      if (diagram) {
+        scope.set(diagramId, diagram);
+      }
+    }
+    if (terms.length === 0 || scope.size === 0) {
+      return [];
+    }
+
+    const documentCount = scope.size;
+    let totalLength = 0;
+    const documentFrequencies = new Map<string, number>(terms.map((term) => [term, 0]));
+    for (const diagram of scope.values()) {
+      totalLength += diagram.length;
+      for (const term of terms) {
+        if (diagram.termFrequencies.has(term)) {
+          documentFrequencies.set(term, documentFrequencies.get(term)! + 1);
+        }
+      }
+    }
+    const averageLength = totalLength / documentCount || 1;
+    const hits: TextSearchHit[] = [];
+
+    for (const [diagramId, diagram] of scope) {
+      let score = 0;
+      for (const term of terms) {
+        const frequency = diagram.termFrequencies.get(term);
+        if (!frequency) {
+          continue;
+        }
+        const documentFrequency = documentFrequencies.get(term)!;
+        const idf = Math.log(1 + (documentCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+        score += idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * diagram.length / averageLength));
+      }
+
+      if (score > 0) {
+        hits.push({ diagramId, score, match: this.bestMatch(diagram.entries, terms) });
+      }
+    }
+
+    return hits.sort((a, b) => b.score - a.score);
+  }
+
+  get size(): number {
+    return this.diagrams.size;
+  }
+
+  // Entry with the most distinct query terms, with the text around the first one
+  private bestMatch(entries: DiagramTextEntry[], terms: string[]): DiagramTextMatch | undefined {
+    let best: { entry: DiagramTextEntry; matched: number } | undefined;
+    for (const entry of entries) {
+      const entryTerms = new Set(tokenize(entry.text));
+      const matched = terms.filter((term) => entryTerms.has(term)).length;
+      if (matched > 0 && (!best || matched > best.matched)) {
+        best = { entry, matched };
+      }
+    }
+    if (!best) {
+      return undefined;
+    }
+
+    const { entry } = best;
+    const lower = entry.text.toLowerCase();
+    const position = Math.max(0, Math.min(...terms.map((term) => lower.indexOf(term)).filter((index) => index >= 0)));
+    const start = Math.max(0, position - EXCERPT_RADIUS);
+    const end = Math.min(entry.text.length, position + EXCERPT_RADIUS);
+
+    return {
+      pageId: entry.pageId,
+      pageName: entry.pageName,
+      cellId: entry.cellId,
+      field: entry.field,
+      property: entry.property,
+      text: `${start > 0 ? '...' : ''}${entry.text.slice(start, end).replace(/\s+/g, ' ')}${end < entry.text.length ? '...' : ''}`
+    };
+  }
+}
@@ -0,0 +1,283 @@
+/**
+ * SQLite Storage Adapter
+ * Local entity store for deployments without chain access. Queries use the Arkiv attribute syntax and
+ * entities expire on a virtual block clock (one block every BLOCK_TIME_SECONDS of wall-clock time).
+ */
+import { Database } from 'bun:sqlite';
+import { mkdirSync } from 'fs';
+import { dirname } from 'path';
+import crypto from 'crypto';
+import type { Attribute, MimeType } from '@arkiv-network/sdk';
+import { parseQuery, QueryNode } from '../utils/entityQuery';
+import { BLOCK_TIME_SECONDS, BlockTiming, CreateEntityRequest, ExtendEntityRequest, QueryPage, QueryPageOptions, StorageAdapter, StorageEntity } from './storageAdapter';
+
+// Owner recorded on entities written by this backend (there is no signing account)
+const LOCAL_OWNER = '0x0000000000000000000000000000000000000000';
+
+const SQL_OPERATORS: Record<string, string> = {
+  '=': '=',
+  '!=': '<>',
+  '<': '<',
+  '<=': '<=',
+  '>': '>',
+  '>=': '>=',
+  '~': 'GLOB',
+  '!~': 'NOT GLOB'
+};
+
+interface EntityRow {
+  key: string;
+  owner: string;
+  content_type: string;
+  payload: Uint8Array | null;
+  created_at_block: number;
+  expires_at_block: number;
+}
+
+interface AttributeRow {
+  key: string;
+  string_value: string | null;
+  numeric_value: number | null;
+}
+
+export class SqliteStorageAdapter implements StorageAdapter {
+  readonly name = 'sqlite';
+  private db: Database | null = null;
+
+  constructor(private path: string) {}
+
+  async initialize(): Promise<void> {
+    try {
+      if (this.path !== ':memory:') {
+        mkdirSync(dirname(this.path), { recursive: true });
+      }
+
+      const db = new Database(this.path, { create: true });
+      db.exec('PRAGMA journal_mode = WAL');
+      db.exec('PRAGMA foreign_keys = ON');
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS entities (
+          key TEXT PRIMARY KEY,
+          owner TEXT NOT NULL,
+          content_type TEXT NOT NULL,
+          payload BLOB,
+          created_at_block INTEGER NOT NULL,
+          expires_at_block INTEGER NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS entity_attributes (
+          entity_key TEXT NOT NULL REFERENCES entities(key) ON DELETE CASCADE,
+          key TEXT NOT NULL,
+          string_value TEXT,
+          numeric_value INTEGER
+        );
+        CREATE INDEX IF NOT EXISTS idx_entities_expiry ON entities(expires_at_block);
+        CREATE INDEX IF NOT EXISTS idx_attributes_entity ON entity_attributes(entity_key);
+        CREATE INDEX IF NOT EXISTS idx_attributes_string ON entity_attributes(key, string_value);
+        CREATE INDEX IF NOT EXISTS idx_attributes_numeric ON entity_attributes(key, numeric_value);
+      `);
+
+      this.db = db;
+      console.log(`SQLite storage initialized at ${this.path}`);
+    } catch (error) {
+      console.error('Failed to initialize SQLite storage:', error);
+      throw new Error(`SQLite storage initialization failed: ${(error as Error).message}`);
+    }
+  }
+
+  canWrite(): boolean {
+    return true;
+  }
+
+  signerAddress(): string | null {
+    return LOCAL_OWNER;
+  }
+
+  private getDb(): Database {
+    if (!this.db) {
+      throw new Error('SQLite storage is not initialized');
+    }
+    return this.db;
+  }
+
+  private currentBlock(): number {
+    return Math.floor(Date.now() / 1000 / BLOCK_TIME_SECONDS);
+  }
+
+  private blocksFor(seconds: number): number {
+    return Math.max(1, Math.ceil(seconds / BLOCK_TIME_SECONDS));
+  }
+
+  // Expired entities are never returned; they are removed on the next write
+  private purgeExpired(): void {
+    this.getDb().query('DELETE FROM entities WHERE expires_at_block <= ?').run(this.currentBlock());
+  }
+
+  /**
+   * Compile a query tree to a WHERE clause over `entities e`, collecting bound parameters.
+   * String values only match string attributes and numbers only numeric ones, as on Arkiv.
+   */
+  private compile(node: QueryNode, params: Array<string | number>): string {
+    switch (node.type) {
+      case 'and':
+      case 'or':
+        return `(${node.nodes.map((child) => this.compile(child, params)).join(node.type === 'and' ? ' AND ' : ' OR ')})`;
+      case 'not':
+        return `NOT ${this.compile(node.node, params)}`;
+      case 'compare': {
+        const operator = SQL_OPERATORS[node.operator];
+
+        // Entity metadata rather than attributes
+        if (node.key === '$owner') {
+          params.push(String(node.value).toLowerCase());
+          return `(lower(e.owner) ${operator} ?)`;
+        }
+        if (node.key === '$key') {
+          params.push(String(node.value).toLowerCase());
+          return `(lower(e.key) ${operator} ?)`;
+        }
+
+        const column = typeof node.value === 'number' ? 'a.numeric_value' : 'a.string_value';
+        params.push(node.key, node.value);
+        return `EXISTS (SELECT 1 FROM entity_attributes a WHERE a.entity_key = e.key AND a.key = ? AND ${column} ${operator} ?)`;
+      }
+    }
+  }
+
+  private toEntity(row: EntityRow): StorageEntity {
+    const attributes = this.getDb()
+      .query('SELECT key, string_value, numeric_value FROM entity_attributes WHERE entity_key = ? ORDER BY rowid')
+      .all(row.key) as AttributeRow[];
+
+    return {
+      key: row.key,
+      owner: row.owner,
+      contentType: row.content_type as MimeType,
+      payload: row.payload ? new Uint8Array(row.payload) : undefined,
+      createdAtBlock: BigInt(row.created_at_block),
+      expiresAtBlock: BigInt(row.expires_at_block),
+      attributes: attributes.map((attribute): Attribute => ({
+        key: attribute.key,
+        value: attribute.string_value ?? Number(attribute.numeric_value)
+      }))
+    };
+  }
+
+  async query(query: string): Promise<StorageEntity[]> {
+    const params: Array<string | number> = [];
+    const where = this.compile(parseQuery(query), params);
+
+    const rows = this.getDb()
+      .query(`SELECT e.* FROM entities e WHERE e.expires_at_block > ? AND ${where} ORDER BY e.created_at_block, e.rowid`)
+      .all(this.currentBlock(), ...params) as EntityRow[];
+
+    return rows.map((row) => this.toEntity(row));
+  }
+
+  // Cursors are offsets into the ordered result; entities created after `atBlock` are left out
+  async queryPage(query: string, options: QueryPageOptions): Promise<QueryPage> {
+    const block = options.atBlock !== undefined ? Number(options.atBlock) : this.currentBlock();
+    const params: Array<string | number> = [this.currentBlock(), block];
+    const where = this.compile(parseQuery(query), params);
+
+    const orderParams: string[] = [];
+    const orderBy = (options.orderBy ?? []).map((order) => {
+      orderParams.push(order.attribute);
+      const column = order.type === 'numeric' ? 'numeric_value' : 'string_value';
+      return `(SELECT a.${column} FROM entity_attributes a WHERE a.entity_key = e.key AND a.key = ?) ${order.desc ? 'DESC' : 'ASC'} NULLS LAST`;
+    });
+    const offset = options.cursor ? Number.parseInt(options.cursor, 10) || 0 : 0;
+    const payloadColumn = options.withPayload ? 'e.payload' : 'NULL AS payload';
+
+    const rows = this.getDb()
+      .query(`SELECT e.key, e.owner, e.content_type, ${payloadColumn}, e.created_at_block, e.expires_at_block FROM entities e
+        WHERE e.expires_at_block > ? AND e.created_at_block <= ? AND ${where}
+        ORDER BY ${[...orderBy, 'e.created_at_block', 'e.rowid'].join(', ')} LIMIT ? OFFSET ?`)
+      .all(...params, ...orderParams, options.limit + 1, offset) as EntityRow[];
+
+    const page = rows.slice(0, options.limit);
+    return {
+      entities: page.map((row) => this.toEntity(row)),
+      cursor: rows.length > options.limit ? String(offset + page.length) : undefined,
+      block: BigInt(block)
+    };
+  }
+
+  async count(query: string, atBlock?: bigint): Promise<number> {
+    const params: Array<string | number> = [this.currentBlock(), atBlock !== undefined ? Number(atBlock) : this.currentBlock()];
+    const where = this.compile(parseQuery(query), params);
+
+    const row = this.getDb()
+      .query(`SELECT COUNT(*) AS total FROM entities e WHERE e.expires_at_block > ? AND e.created_at_block <= ? AND ${where}`)
+      .get(...params) as { total: number };
+    return row.total;
+  }
+
+  async getBlockTiming(): Promise<BlockTiming> {
+    return { currentBlock: BigInt(this.currentBlock()), blockTimeSeconds: BLOCK_TIME_SECONDS };
+  }
+
+  async getEntity(entityKey: string): Promise<StorageEntity | null> {
+    const row = this.getDb()
+      .query('SELECT * FROM entities WHERE key = ? AND expires_at_block > ?')
+      .get(entityKey, this.currentBlock()) as EntityRow | null;
+
+    return row ? this.toEntity(row) : null;
+  }
+
+  async createEntities(requests: CreateEntityRequest[]): Promise<string[]> {
+    const db = this.getDb();
+    const insertEntity = db.query('INSERT INTO entities (key, owner, content_type, payload, created_at_block, expires_at_block) VALUES (?, ?, ?, ?, ?, ?)');
+    const insertAttribute = db.query('INSERT INTO entity_attributes (entity_key, key, string_value, numeric_value) VALUES (?, ?, ?, ?)');
+
+    for (const request of requests) {
+      for (const attribute of request.attributes) {
+        if (typeof attribute.value === 'number' && (!Number.isInteger(attribute.value) || attribute.value < 0)) {
+          throw new Error(`Numeric attribute '${attribute.key}' must be a non-negative integer`);
+        }
+      }
+    }
+
+    this.purgeExpired();
+
+    const block = this.currentBlock();
+    const create = db.transaction((batch: CreateEntityRequest[]) => batch.map((request) => {
+      const key = `0x${crypto.randomBytes(32).toString('hex')}`;
+      insertEntity.run(key, LOCAL_OWNER, request.contentType, request.payload, block, block + this.blocksFor(request.expiresInSeconds));
+      for (const attribute of request.attributes) {
+        insertAttribute.run(
+          key,
+          attribute.key,
+          typeof attribute.value === 'string' ? attribute.value : null,
+          typeof attribute.value === 'number' ? attribute.value : null
+        );
+      }
+      return key;
+    }));
+
+    return create(requests);
+  }
+
+  async deleteEntities(entityKeys: string[]): Promise<string[]> {
+    const db = this.getDb();
+    const remove = db.query('DELETE FROM entities WHERE key = ? AND expires_at_block > ?');
+
+    const block = this.currentBlock();
+    const deleted = db.transaction((keys: string[]) => keys.filter((key) => remove.run(key, block).changes > 0));
+    const result = deleted(entityKeys);
+
+    this.purgeExpired();
+    return result;
+  }
+
+  async extendEntities(extensions: ExtendEntityRequest[]): Promise<string[]> {
+    const db = this.getDb();
+    const extend = db.query('UPDATE entities SET expires_at_block = expires_at_block + ? WHERE key = ? AND expires_at_block > ?');
+
+    const block = this.currentBlock();
+    const extended = db.transaction((batch: ExtendEntityRequest[]) => batch
+      .filter((extension) => extend.run(this.blocksFor(extension.expiresInSeconds), extension.entityKey, block).changes > 0)
+      .map((extension) => extension.entityKey));
+
+    return extended(extensions);
+  }
+}
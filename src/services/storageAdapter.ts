@@ -0,0 +1,99 @@
+/**
+ * Storage Adapter
+ * Entity store behind ArkivService: entities with a payload, typed attributes and an expiry (in blocks)
+ */
+import type { Attribute, MimeType } from '@arkiv-network/sdk';
+
+// Arkiv produces a block every 2 seconds; local stores use the same clock for expiry
+export const BLOCK_TIME_SECONDS = 2;
+
+export interface StorageEntity {
+  key: string;
+  owner?: string;
+  contentType?: MimeType;
+  expiresAtBlock?: bigint;
+  createdAtBlock?: bigint;
+  payload?: Uint8Array;
+  attributes: Attribute[];
+}
+
+export interface CreateEntityRequest {
+  payload: Uint8Array;
+  attributes: Attribute[];
+  contentType: MimeType;
+  expiresInSeconds: number;
+}
+
+export interface ExtendEntityRequest {
+  entityKey: string;
+  expiresInSeconds: number; // Added to the current expiry
+}
+
+export interface QueryOrder {
+  attribute: string;
+  type: 'string' | 'numeric';
+  desc?: boolean;
+}
+
+export interface QueryPageOptions {
+  orderBy?: QueryOrder[]; // Ties keep creation order
+  limit: number;
+  cursor?: string; // From the previous page
+  atBlock?: bigint; // Read the store as of this block, so later writes do not shift the pages
+  withPayload?: boolean; // Payloads are left out unless asked for
+}
+
+export interface QueryPage {
+  entities: StorageEntity[];
+  cursor?: string; // Absent on the last page
+  block: bigint; // Block the page was read at
+}
+
+export interface BlockTiming {
+  currentBlock: bigint;
+  blockTimeSeconds: number;
+}
+
+export interface StorageAdapter {
+  readonly name: string;
+
+  initialize(): Promise<void>;
+
+  /**
+   * Whether the adapter can write (the Arkiv adapter needs a signing key)
+   */
+  canWrite(): boolean;
+
+  /**
+   * Address entities created through this adapter are owned by; only the owner can delete them
+   */
+  signerAddress(): string | null;
+
+  /**
+   * Entities matching an Arkiv attribute query, expired entities excluded
+   */
+  query(query: string): Promise<StorageEntity[]>;
+
+  /**
+   * One page of a query, ordered and cut in the store
+   */
+  queryPage(query: string, options: QueryPageOptions): Promise<QueryPage>;
+
+  /**
+   * Number of entities matching a query (keys only, no attributes or payloads are read)
+   */
+  count(query: string, atBlock?: bigint): Promise<number>;
+
+  /**
+   * Current block and block duration, for converting between expiry blocks and wall-clock time
+   */
+  getBlockTiming(): Promise<BlockTiming>;
+
+  getEntity(entityKey: string): Promise<StorageEntity | null>;
+
+  createEntities(requests: CreateEntityRequest[]): Promise<string[]>;
+
+  deleteEntities(entityKeys: string[]): Promise<string[]>;
+
+  extendEntities(extensions: ExtendEntityRequest[]): Promise<string[]>;
+}
@@ -0,0 +1,93 @@
+/**
+ * Trash Purger
+ * Periodically deletes diagrams that stayed in the trash past their restore window, with everything recorded for
+ * them (see ArkivService.deleteDiagram). Needs the backend signing key; without it trashed diagrams simply expire.
+ */
+import { ArkivService } from './arkivService';
+
+export interface TrashPurgerOptions {
+  purgeIntervalMinutes: number;
+}
+
+export interface TrashPurgeRun {
+  startedAt: number;
+  candidates: number;
+  purged: number;
+  failed: number;
+}
+
+export class TrashPurger {
+  private interval: NodeJS.Timeout | null = null;
+  private running = false;
+  private lastRun: TrashPurgeRun | null = null;
+
+  constructor(
+    private arkivService: ArkivService,
+    private options: TrashPurgerOptions
+  ) {}
+
+  start() {
+    if (this.interval) {
+      clearInterval(this.interval);
+    }
+
+    this.interval = setInterval(() => {
+      this.runOnce().catch((error) => console.error('❌ Trash purge run failed:', error));
+    }, this.options.purgeIntervalMinutes * 60 * 1000);
+
+    console.log(`🗑️ Trash purger started (every ${this.options.purgeIntervalMinutes} min)`);
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  getStatus() {
+    return {
+      active: this.interval !== null,
+      running: this.running,
+      purgeIntervalMinutes: this.options.purgeIntervalMinutes,
+      lastRun: this.lastRun
+    };
+  }
+
+  async runOnce(): Promise<TrashPurgeRun | null> {
+    if (this.running) {
+      return null;
+    }
+    if (!this.arkivService.hasWriteAccess()) {
+      console.log('⚠️ Trash purger: backend has no signing key, trashed diagrams are left to expire');
+      return null;
+    }
+
+    this.running = true;
+    const run: TrashPurgeRun = { startedAt: Date.now(), candidates: 0, purged: 0, failed: 0 };
+
+    try {
+      const candidates = await this.arkivService.findDiagramsToPurge(run.startedAt);
+      run.candidates = candidates.length;
+      console.log(`🗑️ Trash purger: ${candidates.length} diagram(s) past the restore window`);
+
+      for (const candidate of candidates) {
+        try {
+          const result = await this.arkivService.deleteDiagram(candidate.diagramId, candidate.walletAddress, candidate.custodialId);
+          if (result.failed > 0) {
+            throw new Error(`${result.failed} entities could not be deleted`);
+          }
+          run.purged++;
+        } catch (error) {
+          run.failed++;
+          console.error(`❌ Purging diagram ${candidate.diagramId} failed:`, error);
+        }
+      }
+
+      return run;
+    } finally {
+      this.lastRun = run;
+      this.running = false;
+    }
+  }
+}
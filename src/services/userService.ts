@@ -1,4 +1,4 @@
-import { UserTier, UserLimits, ShareToken, ShareTokenRequest } from '../types/diagram';
+import { UserTier, UserLimits, ShareToken, ShareTokenRequest, FolderShareRequest } from '../types/diagram';
 import crypto from 'crypto';
 
 export class UserService {
@@ -118,7 +118,7 @@ export class UserService {
   /**
    * Create share token data
    */
-  createShareTokenData(request: ShareTokenRequest, createdBy: string): ShareToken {
+  createShareTokenData(request: ShareTokenRequest | FolderShareRequest, createdBy: string): ShareToken {
     const now = Date.now();
     const expiresAt = request.expiresInDays
       ? now + (request.expiresInDays * 24 * 60 * 60 * 1000)
@@ -126,7 +126,7 @@ export class UserService {
 
     return {
       token: this.generateShareToken(),
-      diagramId: request.diagramId,
+      ...('folderId' in request ? { folderId: request.folderId } : { diagramId: request.diagramId }),
       createdBy,
       createdAt: now,
       expiresAt,
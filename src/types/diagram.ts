@@ -6,6 +6,18 @@ export interface DiagramData {
   timestamp: number;
   version: number;
   encrypted?: boolean; // Czy diagram jest zaszyfrowany
+  previousEntityKey?: string; // Klucz encji poprzedniej wersji
+  restoredFromVersion?: number; // Wersja, z której przywrócono diagram
+  restoredFromEntityKey?: string;
+  btlDays?: number; // Efektywny BTL w dniach (po zdarzeniach btl_change)
+  expiresAt?: number; // Efektywny czas wygaśnięcia (ms)
+  expiresAtBlock?: number; // Blok, w którym wygasa najwcześniejsza encja diagramu
+  protected?: boolean; // Czy diagram został zabezpieczony
+  protectedAt?: number;
+  trashedAt?: number; // Kiedy przeniesiono do kosza (ms), brak - diagram nie jest w koszu
+  purgeAt?: number; // Kiedy zostanie trwale usunięty z kosza (ms)
+  folderId?: string; // Folder diagramu (zdarzenie move), brak - katalog główny
+  tags?: string[]; // Tagi nadane przez użytkownika (atrybut tags lub zdarzenie tags)
 }
 
 export interface DiagramMetadata {
@@ -15,9 +27,200 @@ export interface DiagramMetadata {
   timestamp: number;
   version: number;
   entityKey?: string;
+  previousEntityKey?: string;
+  restoredFromVersion?: number;
+  btlDays?: number;
+  expiresAt?: number;
+  expiresAtBlock?: number;
+  protected?: boolean;
+  protectedAt?: number;
+  trashedAt?: number;
+  purgeAt?: number;
+  folderId?: string;
+  tags?: string[];
+  sizeKb?: number;
+}
+
+// Zdarzenia zapisywane obok diagramu (encje type=rename / btl_change / protection / trash / move / tags)
+export type DiagramEventType = 'rename' | 'btl_change' | 'protection' | 'trash' | 'move' | 'tags';
+
+export interface DiagramEvent {
+  type: DiagramEventType;
+  diagramId: string;
+  timestamp: number;
+  entityKey: string;
+  newTitle?: string; // rename
+  newBTLDays?: number; // btl_change
+  expiresAt?: number; // btl_change - faktyczny czas wygaśnięcia encji po przedłużeniu (ms)
+  purgeAt?: number; // trash - kiedy diagram zostanie trwale usunięty (ms)
+  folderId?: string; // move - folder docelowy, ROOT_FOLDER_ID dla katalogu głównego
+  tags?: string[]; // tags - pełna lista tagów po zmianie
+}
+
+// Efektywny stan diagramu: ostatnia wersja + zdarzenia w kolejności czasowej
+export interface DiagramProjection {
+  title: string;
+  btlDays?: number;
+  expiresAt?: number;
+  protected: boolean;
+  protectedAt?: number;
+  trashedAt?: number;
+  purgeAt?: number;
+  folderId?: string;
+  tags: string[];
+  appliedEvents: number;
+}
+
+// Diagram, którego najwcześniej wygasająca encja wygasa w oknie watchdoga
+export interface ExpiringDiagram {
+  diagramId: string;
+  title: string;
+  walletAddress?: string;
+  custodialId?: string;
+  expiresAtBlock: number;
+  expiresAt: number; // ms
+  lastSavedAt: number; // ms
+  sharded: boolean;
+}
+
+export type NotificationType = 'expiry_warning' | 'auto_renewed' | 'auto_renew_failed';
+
+// Powiadomienie w aplikacji (GET /api/notifications)
+export interface UserNotification {
+  id: string;
+  type: NotificationType;
+  diagramId: string;
+  title: string;
+  message: string;
+  expiresAt: number; // ms
+  expiresAtBlock: number;
+  createdAt: number;
+  read: boolean;
+}
+
+// Przedłużenie jednej encji diagramu (wersja, manifest lub chunk) do wspólnego bloku wygaśnięcia
+export interface BTLExtension {
+  entityKey: string;
+  kind: 'diagram' | 'manifest' | 'chunk' | 'event'; // event - zdarzenie move, które musi żyć tak długo jak diagram
+  expiresAtBlock: number; // Blok wygaśnięcia przed przedłużeniem
+  numberOfBlocks: number; // O ile bloków przedłużyć
+}
+
+export interface BTLExtensionResult {
+  diagramId: string;
+  requestedBTLDays: number;
+  btlDays: number; // Po limicie tieru użytkownika
+  oldBTLDays: number; // Pozostały czas życia przed zmianą (dni)
+  currentBlock: number;
+  expiresAtBlock: number; // Nowy bezwzględny blok wygaśnięcia
+  expiresAt: number; // Szacowany czas wygaśnięcia (ms)
+  extensions: BTLExtension[];
+  extendedEntities: string[]; // Puste, gdy transakcję musi podpisać MetaMask
+  transaction?: ArkivTransactionRequest; // Niepodpisana transakcja dla MetaMask, gdy backend nie ma klucza
+}
+
+export type EntityDeletionStatus = 'deleted' | 'pending' | 'skipped' | 'failed';
+
+// Wynik usuwania jednej encji powiązanej z diagramem (wersja, chunk, manifest, share token, zdarzenie)
+export interface EntityDeletion {
+  entityKey: string;
+  type: string; // Atrybut `type` encji
+  status: EntityDeletionStatus; // 'pending' - czeka na podpis MetaMask
+  reason?: string; // Dlaczego pominięto lub nie usunięto
+}
+
+export interface DiagramDeletionResult {
+  diagramId: string;
+  deleted: number;
+  skipped: number;
+  failed: number;
+  transactions: number; // Liczba wysłanych (lub przygotowanych) transakcji
+  entities: EntityDeletion[];
+  transactionsToSign?: ArkivTransactionRequest[]; // Niepodpisane transakcje dla MetaMask, gdy backend nie ma klucza
+}
+
+// Przeniesienie diagramu do kosza (znacznik type=trash obok diagramu)
+export interface DiagramTrashResult {
+  diagramId: string;
+  trashedAt: number;
+  purgeAt: number;
+  transaction?: ArkivTransactionRequest; // Niepodpisana transakcja dla MetaMask, gdy backend nie ma klucza
+}
+
+// Przywrócenie z kosza usuwa znaczniki kosza
+export interface DiagramRestoreResult {
+  diagramId: string;
+  removedMarkers: string[];
+  transaction?: ArkivTransactionRequest;
+}
+
+// Diagram z kosza, którego okno przywracania minęło
+export interface PurgeCandidate {
+  diagramId: string;
+  walletAddress?: string;
+  custodialId?: string;
+  purgeAt: number;
+}
+
+// Folder (kolekcja) diagramów; ścieżka jest pełna, np. /Praca/Klienci
+export interface Folder {
+  id: string;
+  name: string;
+  path: string;
+  parentId?: string; // Brak - folder w katalogu głównym
+  createdAt: number;
+  entityKey?: string;
+}
+
+export interface FolderNode extends Folder {
+  children: FolderNode[];
+  diagramCount: number; // Diagramy bezpośrednio w tym folderze
+}
+
+export interface FolderRequest {
+  name: string;
+  parentId?: string;
+}
+
+export interface FolderResult {
+  folder: Folder;
+  transaction?: ArkivTransactionRequest; // Niepodpisana transakcja dla MetaMask, gdy backend nie ma klucza
+}
+
+export interface DiagramMoveResult {
+  diagramId: string;
+  folderId?: string; // Brak - przeniesiono do katalogu głównego
+  transaction?: ArkivTransactionRequest;
+}
+
+export interface DiagramTagsResult {
+  diagramId: string;
+  tags: string[];
+  transaction?: ArkivTransactionRequest;
+}
+
+// Tag użytkownika z liczbą diagramów (podpowiedzi w pluginie)
+export interface TagUsage {
+  tag: string;
+  count: number;
+}
+
+// Zawartość folderu udostępnionego tokenem
+export interface SharedFolder {
+  folder: Folder;
+  folders: Folder[]; // Podfoldery
+  diagrams: DiagramMetadata[];
+}
+
+// Transakcja Arkiv do wysłania przez portfel (eth_sendTransaction)
+export interface ArkivTransactionRequest {
+  to: string;
+  data: string;
+  value: string;
 }
 
 export interface ExportRequest {
+  diagramId?: string; // Istniejący diagram - zapis tworzy nową wersję
   title: string;
   author: string;
   content: string;
@@ -35,6 +238,8 @@ export interface ExportResponse {
   success: boolean;
   diagramId?: string;
   entityKey?: string;
+  version?: number;
+  previousEntityKey?: string;
   error?: string;
 }
 
@@ -45,15 +250,27 @@ export interface UserConfig {
   showBalance: boolean; // Czy pokazywać balance
   encryptionPassword?: string; // Hasło do szyfrowania diagramów
   encryptByDefault: boolean; // Czy domyślnie szyfrować nowe diagramy
+  autoRenew?: AutoRenewPolicy; // Automatyczne przedłużanie wygasających diagramów
   timestamp: number;
 }
 
+// Polityka watchdoga wygaśnięć: off - tylko ostrzeżenia, always - zawsze przedłużaj,
+// if_opened - przedłużaj tylko diagramy otwierane / zapisywane w ostatnich openedWithinDays dniach
+export type AutoRenewMode = 'off' | 'always' | 'if_opened';
+
+export interface AutoRenewPolicy {
+  mode: AutoRenewMode;
+  openedWithinDays?: number; // if_opened (domyślnie 90)
+  renewDays?: number; // Na ile dni przedłużać (domyślnie btlDays z konfiguracji)
+}
+
 export interface ConfigRequest {
   btlDays?: number;
   autoSave?: boolean;
   showBalance?: boolean;
   encryptionPassword?: string;
   encryptByDefault?: boolean;
+  autoRenew?: AutoRenewPolicy;
 }
 
 export interface ConfigResponse {
@@ -71,6 +288,8 @@ export interface ChunkData {
   totalChunks: number;
   content: number[]; // Uint8Array as number array for JSON transport
   isLastChunk: boolean;
+  uploadId?: string; // Upload (manifest) the chunk belongs to - absent on legacy chunks
+  sha256?: string; // Hex SHA-256 of the chunk bytes
 }
 
 export interface ChunkExportRequest {
@@ -82,6 +301,7 @@ export interface ChunkExportRequest {
   totalChunks: number;
   content: number[];
   isLastChunk: boolean;
+  uploadId: string;
 }
 
 export interface ChunkExportResponse {
@@ -91,6 +311,44 @@ export interface ChunkExportResponse {
   error?: string;
 }
 
+export interface ChunkManifestEntry {
+  index: number;
+  byteLength: number;
+  sha256: string; // Hex SHA-256 bajtów fragmentu
+}
+
+export interface ChunkManifest {
+  uploadId: string;
+  diagramId: string;
+  title: string;
+  author: string;
+  totalChunks: number;
+  byteLength: number; // Rozmiar całego dokumentu w bajtach
+  sha256: string; // Hex SHA-256 całego dokumentu
+  chunks: ChunkManifestEntry[];
+  timestamp: number;
+}
+
+export interface ChunkManifestRequest {
+  diagramId: string;
+  title: string;
+  author: string;
+  totalChunks: number;
+  byteLength: number;
+  sha256: string;
+  chunks: ChunkManifestEntry[];
+}
+
+export interface ChunkUploadStatus {
+  uploadId: string;
+  diagramId: string;
+  manifestKey: string;
+  totalChunks: number;
+  receivedChunks: number[]; // Indeksy fragmentów zapisanych z poprawną sumą kontrolną
+  missingChunks: number[];
+  complete: boolean;
+}
+
 export enum UserTier {
   FREE = 'free',
   WALLET = 'wallet',
@@ -108,7 +366,8 @@ export interface UserLimits {
 
 export interface ShareToken {
   token: string;
-  diagramId: string;
+  diagramId?: string; // Udostępniony diagram albo
+  folderId?: string; // udostępniony folder (z podfolderami)
   createdBy: string;
   createdAt: number;
   expiresAt?: number;
@@ -122,6 +381,12 @@ export interface ShareTokenRequest {
   expiresInDays?: number;
 }
 
+export interface FolderShareRequest {
+  folderId: string;
+  isPublic: boolean;
+  expiresInDays?: number;
+}
+
 export interface ShareTokenResponse {
   success: boolean;
   token?: string;
@@ -129,29 +394,125 @@ export interface ShareTokenResponse {
   error?: string;
 }
 
+// Konto gościa (custodial); kod odzyskiwania przechowywany tylko jako hash
+export interface CustodialAccount {
+  custodialId: string;
+  recoveryHash: string; // SHA-256 kodu odzyskiwania
+  createdAt: number;
+}
+
+// Sesja gościa; sekret przechowywany tylko jako hash
+export interface CustodialSession {
+  id: string;
+  custodialId: string;
+  secretHash: string; // SHA-256 sekretu sesji
+  label?: string; // Urządzenie / przeglądarka (User-Agent)
+  createdAt: number;
+  expiresAt: number;
+}
+
+// Sesja zwracana przez API - bez hasha sekretu
+export interface CustodialSessionInfo {
+  id: string;
+  label?: string;
+  createdAt: number;
+  expiresAt: number;
+  current: boolean; // Sesja, którą wykonano żądanie
+}
+
+// Zakresy osobistych tokenów dostępu; admin obejmuje wszystkie pozostałe
+export type AccessTokenScope = 'read' | 'write' | 'share' | 'admin';
+
+// Osobisty token dostępu (skrypty, CI); sekret przechowywany tylko jako hash
+export interface AccessToken {
+  id: string;
+  name: string;
+  scopes: AccessTokenScope[];
+  secretHash: string; // SHA-256 sekretu tokenu
+  walletAddress?: string; // Właściciel - portfel albo konto gościa
+  custodialId?: string;
+  createdAt: number;
+  expiresAt: number;
+}
+
+// Token zwracany przez API - bez hasha sekretu
+export interface AccessTokenInfo {
+  id: string;
+  name: string;
+  scopes: AccessTokenScope[];
+  createdAt: number;
+  expiresAt: number;
+  lastUsedAt?: number;
+}
+
+// Przeniesienie konta gościa na portfel: encje zapisane ponownie pod adresem portfela
+export interface AccountLinkResult {
+  custodialId: string;
+  walletAddress: string;
+  diagramIds: string[];
+  moved: Record<string, number>; // Liczba przeniesionych encji według typu
+  failed: number; // Encje, które zostały przy koncie gościa
+  liftedDiagrams: number; // Diagramy przedłużone do domyślnego BTL portfela
+}
+
 export interface SearchRequest {
   query?: string; // General text search
   title?: string; // Title-specific search
   author?: string; // Author search
-  tags?: string[]; // Tag-based search
+  tags?: string[]; // Diagrams carrying all of these tags
   dateFrom?: number; // Timestamp range start
   dateTo?: number; // Timestamp range end
   sizeMin?: number; // Minimum size in KB
   sizeMax?: number; // Maximum size in KB
   encrypted?: boolean; // Filter by encryption status
-  sortBy?: 'timestamp' | 'title' | 'author' | 'size'; // Sort criteria
+  folderId?: string; // Only diagrams in this folder ('root' for unfiled)
+  recursive?: boolean; // Include subfolders of folderId
+  sortBy?: 'timestamp' | 'title' | 'author' | 'size' | 'score'; // Sort criteria
   sortOrder?: 'asc' | 'desc'; // Sort direction
   limit?: number; // Maximum results
-  offset?: number; // Pagination offset
+  cursor?: string; // Opaque cursor from the previous page
+}
+
+// Zapytanie o stronę diagramów: filtry z SearchRequest trafiają do zapytania Arkiv, `accept` i `text` działają na
+// efektywnym stanie (tytuł po zmianach nazwy, tagi, folder)
+export interface DiagramPageQuery extends Omit<SearchRequest, 'query' | 'title'> {
+  accept?: (diagram: DiagramMetadata) => SearchResult | null; // Filtr i ocena; null pomija diagram
+  text?: {
+    query: string;
+    rank: (diagram: SearchResult, hit?: SearchResult) => SearchResult | null; // hit - trafienie w tekście komórek
+  };
+}
+
+// Strona listy; `total` jest szacunkiem stałym dla wszystkich stron jednego listowania
+export interface DiagramPage<T extends DiagramMetadata = DiagramMetadata> {
+  data: T[];
+  cursor: string | null; // Przekazać jako `cursor`, aby pobrać następną stronę
+  hasMore: boolean;
+  total: number;
 }
 
 export interface SearchResult extends DiagramMetadata {
   score?: number; // Relevance score
   excerpt?: string; // Content excerpt
-  tags?: string[]; // Extracted tags
+  match?: DiagramTextMatch; // Page and cell the excerpt comes from
 }
 
-export interface DirectDiagramResult {
+// Komórka, w której znaleziono tekst zapytania
+export interface DiagramTextMatch {
+  pageId: string;
+  pageName: string;
+  cellId: string;
+  field: 'label' | 'tooltip' | 'property';
+  property?: string; // Nazwa właściwości (field = property)
+  text: string; // Fragment tekstu wokół dopasowania
+}
+
+export interface DiagramValidators {
+  etag: string; // Quoted entity tag: newest version's entity key plus the state its events set
+  lastModified: number; // Last change (ms)
+}
+
+export interface DirectDiagramResult extends DiagramValidators {
   content: string | Uint8Array; // Content in requested format
   contentType: string; // MIME type
   title: string; // Diagram title
@@ -161,4 +522,50 @@ export interface DiagramThumbnailOptions {
   size: 'small' | 'medium' | 'large';
   width?: number;
   height?: number;
-}
\ No newline at end of file
+}
+export interface DiagramCellGeometry {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+  relative?: boolean;
+  points?: Array<{ x: number; y: number }>; // Punkty pośrednie krawędzi
+}
+
+export interface DiagramCellSnapshot {
+  id: string;
+  parent?: string;
+  label: string; // Etykieta bez znaczników HTML
+  style?: string;
+  vertex: boolean;
+  edge: boolean;
+  source?: string;
+  target?: string;
+  geometry?: DiagramCellGeometry;
+}
+
+export interface DiagramCellChange<T> {
+  from: T;
+  to: T;
+}
+
+export interface DiagramPageDiff {
+  id: string;
+  name: string;
+  status: 'added' | 'removed' | 'updated' | 'unchanged';
+  renamedFrom?: string;
+  added: Record<string, DiagramCellSnapshot>; // Klucz: id komórki
+  removed: Record<string, DiagramCellSnapshot>;
+  moved: Record<string, DiagramCellChange<{ parent?: string; geometry?: DiagramCellGeometry }>>;
+  restyled: Record<string, DiagramCellChange<string | undefined>>;
+  relabelled: Record<string, DiagramCellChange<string>>;
+}
+
+export interface DiagramDiff {
+  diagramId: string;
+  from: { version: number; timestamp: number };
+  to: { version: number; timestamp: number };
+  summary: { added: number; removed: number; moved: number; restyled: number; relabelled: number };
+  pages: DiagramPageDiff[];
+  patch: Record<string, unknown>; // Patch w formacie DiffSync.js (EditorUi.applyPatches)
+}
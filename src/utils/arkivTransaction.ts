@@ -0,0 +1,69 @@
+/**
+ * Arkiv transaction encoding
+ * Builds the calldata of an Arkiv mutation (brotli-compressed RLP sent to the Arkiv system address) without signing
+ * it, so a wallet in the plugin can send a transaction the backend prepared. Layout follows @arkiv-network/sdk.
+ */
+import { brotliCompressSync } from 'zlib';
+import type { Attribute } from '@arkiv-network/sdk';
+import { bytesToHex, hexToBytes, toHex, toRlp, type Address, type Hex } from 'viem';
+import type { ArkivTransactionRequest } from '../types/diagram';
+
+export const ARKIV_ADDRESS: Address = '0x00000000000000000000000000000061726b6976';
+
+export interface ArkivCreateOperation {
+  payload: Uint8Array;
+  attributes: Attribute[];
+  contentType: string;
+  btlBlocks: number;
+}
+
+export interface ArkivExtendOperation {
+  entityKey: string;
+  numberOfBlocks: number;
+}
+
+export interface ArkivOperations {
+  creates?: ArkivCreateOperation[];
+  deletes?: string[]; // Entity keys
+  extensions?: ArkivExtendOperation[];
+}
+
+const encodeAttributes = (attributes: Attribute[], kind: 'string' | 'number') => attributes
+  .filter((attribute) => typeof attribute.value === kind)
+  .map((attribute) => [toHex(attribute.key), toHex(attribute.value)]);
+
+function blocks(value: number, name: string): Hex {
+  if (!Number.isSafeInteger(value) || value < 1) {
+    throw new Error(`Invalid Arkiv transaction: ${name} must be a positive number of blocks, got ${value}`);
+  }
+  return toHex(value);
+}
+
+/**
+ * Unsigned transaction for eth_sendTransaction; the sender pays for and owns any created entities
+ */
+export function encodeArkivTransaction({ creates = [], deletes = [], extensions = [] }: ArkivOperations): ArkivTransactionRequest {
+  if (!creates.length && !deletes.length && !extensions.length) {
+    throw new Error('Invalid Arkiv transaction: no operations');
+  }
+
+  const operations = [
+    creates.map((create) => [
+      blocks(create.btlBlocks, 'BTL'),
+      toHex(create.contentType),
+      bytesToHex(create.payload),
+      encodeAttributes(create.attributes, 'string'),
+      encodeAttributes(create.attributes, 'number')
+    ]),
+    [], // updates
+    deletes.map((entityKey) => entityKey as Hex),
+    extensions.map((extension) => [extension.entityKey as Hex, blocks(extension.numberOfBlocks, 'extension')]),
+    [] // ownership changes
+  ];
+
+  return {
+    to: ARKIV_ADDRESS,
+    data: bytesToHex(brotliCompressSync(hexToBytes(toRlp(operations)))),
+    value: '0x0'
+  };
+}
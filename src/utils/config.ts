@@ -1,13 +1,59 @@
+import { localhost } from '@arkiv-network/sdk/chains';
+import { EncryptionKdf, parseEncryptionKdf } from './contentCipher';
+import { ContentEncoding, parseContentEncoding } from './payloadCodec';
+
 interface ArkivConfig {
   chainId: string;
   privateKey?: string;
   rpcUrl: string;
   wsUrl: string;
+  payloadEncoding: ContentEncoding;
+  encryptionKdf: EncryptionKdf; // Key derivation for diagrams the backend encrypts
+  fakeNode: FakeNodeConfig;
+}
+
+interface FakeNodeConfig {
+  enabled: boolean; // Serve ARKIV_RPC_URL from an in-process fake node (localhost chain only)
+  blockTimeSeconds: number;
+}
+
+interface StorageConfig {
+  driver: 'arkiv' | 'sqlite'; // sqlite: local store for deployments without chain access
+  sqlitePath: string;
+}
+
+interface ExpiryWatchdogConfig {
+  enabled: boolean;
+  intervalMinutes: number;
+  windowDays: number; // Warn about (or auto-renew) diagrams expiring within this many days
+}
+
+interface TrashConfig {
+  retentionDays: number; // Trashed diagrams can be restored for this many days, then they are purged
+  purgeIntervalMinutes: number;
+}
+
+interface CacheConfig {
+  payloadMaxMb: number; // Decoded entity payloads, keyed by entity key (an entity never changes)
+  diagramEntries: number; // Resolved newest versions, keyed by diagram ID
+  diagramTtlSeconds: number; // Picks up writes signed elsewhere (MetaMask, other backend instances)
+}
+
+interface AuthConfig {
+  sessionSecret?: string; // HMAC key for Sign-In with Ethereum session tokens
+  sessionTtlMinutes: number;
+  siweDomains: string[]; // Domains sign-in messages may name; empty - the Host of the sign-in request
+  custodialSessionDays: number; // Lifetime of a guest session credential, renewed by the plugin while in use
 }
 
 interface AppConfig {
   port: number | string;
   arkiv: ArkivConfig;
+  storage: StorageConfig;
+  expiryWatchdog: ExpiryWatchdogConfig;
+  trash: TrashConfig;
+  cache: CacheConfig;
+  auth: AuthConfig;
 }
 
 export const config: AppConfig = {
@@ -16,15 +62,106 @@ export const config: AppConfig = {
     chainId: process.env.ARKIV_CHAIN_ID || process.env.GOLEM_CHAIN_ID || '60138453025',
     privateKey: process.env.ARKIV_PRIVATE_KEY || process.env.GOLEM_PRIVATE_KEY,
     rpcUrl: process.env.ARKIV_RPC_URL || process.env.GOLEM_RPC_URL || 'https://kaolin.hoodi.arkiv.network/rpc',
-    wsUrl: process.env.ARKIV_WS_URL || process.env.GOLEM_WS_URL || 'wss://kaolin.hoodi.arkiv.network/rpc/ws'
+    wsUrl: process.env.ARKIV_WS_URL || process.env.GOLEM_WS_URL || 'wss://kaolin.hoodi.arkiv.network/rpc/ws',
+    payloadEncoding: parseContentEncoding(process.env.ARKIV_PAYLOAD_ENCODING),
+    encryptionKdf: parseEncryptionKdf(process.env.ENCRYPTION_KDF),
+    fakeNode: {
+      enabled: process.env.ARKIV_FAKE_NODE === 'true',
+      blockTimeSeconds: Number(process.env.ARKIV_FAKE_BLOCK_TIME || 2)
+    }
+  },
+  storage: {
+    driver: (process.env.STORAGE_DRIVER || 'arkiv') as StorageConfig['driver'],
+    sqlitePath: process.env.SQLITE_PATH || './data/drawiodb.sqlite'
+  },
+  expiryWatchdog: {
+    enabled: process.env.EXPIRY_WATCHDOG_ENABLED !== 'false',
+    intervalMinutes: Number(process.env.EXPIRY_WATCHDOG_INTERVAL_MINUTES || 60),
+    windowDays: Number(process.env.EXPIRY_WATCHDOG_WINDOW_DAYS || 7)
+  },
+  trash: {
+    retentionDays: Number(process.env.TRASH_RETENTION_DAYS || 30),
+    purgeIntervalMinutes: Number(process.env.TRASH_PURGE_INTERVAL_MINUTES || 60)
+  },
+  cache: {
+    payloadMaxMb: Number(process.env.ENTITY_CACHE_MAX_MB ?? 64),
+    diagramEntries: Number(process.env.DIAGRAM_CACHE_ENTRIES ?? 500),
+    diagramTtlSeconds: Number(process.env.DIAGRAM_CACHE_TTL_SECONDS ?? 30)
+  },
+  auth: {
+    sessionSecret: process.env.SESSION_SECRET,
+    sessionTtlMinutes: Number(process.env.SESSION_TTL_MINUTES || 60),
+    siweDomains: (process.env.SIWE_DOMAINS || '').split(',').map((domain) => domain.trim()).filter(Boolean),
+    custodialSessionDays: Number(process.env.CUSTODIAL_SESSION_DAYS || 30)
   }
 };
 
 export function validateConfig(): void {
+  if (config.storage.driver !== 'arkiv' && config.storage.driver !== 'sqlite') {
+    throw new Error(`STORAGE_DRIVER must be 'arkiv' or 'sqlite', got '${config.storage.driver}'`);
+  }
+
+  const { intervalMinutes, windowDays } = config.expiryWatchdog;
+  if (!(intervalMinutes > 0)) {
+    throw new Error(`EXPIRY_WATCHDOG_INTERVAL_MINUTES must be a positive number, got ${process.env.EXPIRY_WATCHDOG_INTERVAL_MINUTES}`);
+  }
+  if (!(windowDays > 0)) {
+    throw new Error(`EXPIRY_WATCHDOG_WINDOW_DAYS must be a positive number, got ${process.env.EXPIRY_WATCHDOG_WINDOW_DAYS}`);
+  }
+
+  const { retentionDays, purgeIntervalMinutes } = config.trash;
+  if (!(retentionDays > 0)) {
+    throw new Error(`TRASH_RETENTION_DAYS must be a positive number, got ${process.env.TRASH_RETENTION_DAYS}`);
+  }
+  if (!(purgeIntervalMinutes > 0)) {
+    throw new Error(`TRASH_PURGE_INTERVAL_MINUTES must be a positive number, got ${process.env.TRASH_PURGE_INTERVAL_MINUTES}`);
+  }
+
+  // 0 turns a cache off
+  const cacheSettings: Array<[string, number]> = [
+    ['ENTITY_CACHE_MAX_MB', config.cache.payloadMaxMb],
+    ['DIAGRAM_CACHE_ENTRIES', config.cache.diagramEntries],
+    ['DIAGRAM_CACHE_TTL_SECONDS', config.cache.diagramTtlSeconds]
+  ];
+  for (const [name, value] of cacheSettings) {
+    if (!(value >= 0)) {
+      throw new Error(`${name} must be zero or a positive number, got ${process.env[name]}`);
+    }
+  }
+
+  if (!(config.auth.sessionTtlMinutes > 0)) {
+    throw new Error(`SESSION_TTL_MINUTES must be a positive number, got ${process.env.SESSION_TTL_MINUTES}`);
+  }
+  if (!(config.auth.custodialSessionDays > 0)) {
+    throw new Error(`CUSTODIAL_SESSION_DAYS must be a positive number, got ${process.env.CUSTODIAL_SESSION_DAYS}`);
+  }
+  if (!config.auth.sessionSecret) {
+    console.warn('[config] SESSION_SECRET is not set – wallet sessions are signed with a random key and end when the server restarts.');
+  }
+
+  if (config.storage.driver === 'sqlite') {
+    console.log(`[config] Using local SQLite storage at ${config.storage.sqlitePath} – no chain connection is made.`);
+    return;
+  }
+
   if (!config.arkiv.rpcUrl) {
     throw new Error('ARKIV_RPC_URL (or GOLEM_RPC_URL) environment variable is required');
   }
 
+  if (config.arkiv.fakeNode.enabled) {
+    if (config.arkiv.chainId !== String(localhost.id)) {
+      throw new Error(`ARKIV_FAKE_NODE requires ARKIV_CHAIN_ID=${localhost.id} (the localhost chain), got ${config.arkiv.chainId}`);
+    }
+    const { hostname } = new URL(config.arkiv.rpcUrl);
+    if (hostname !== '127.0.0.1' && hostname !== 'localhost') {
+      throw new Error(`ARKIV_FAKE_NODE requires a local ARKIV_RPC_URL (e.g. ${localhost.rpcUrls.default.http[0]}), got ${config.arkiv.rpcUrl}`);
+    }
+    if (!(config.arkiv.fakeNode.blockTimeSeconds > 0)) {
+      throw new Error(`ARKIV_FAKE_BLOCK_TIME must be a positive number of seconds, got ${process.env.ARKIV_FAKE_BLOCK_TIME}`);
+    }
+    console.log(`[config] Using an in-process fake Arkiv node at ${config.arkiv.rpcUrl} – entities are kept in memory only.`);
+  }
+
   if (!config.arkiv.wsUrl) {
     throw new Error('ARKIV_WS_URL (or GOLEM_WS_URL) environment variable is required');
   }
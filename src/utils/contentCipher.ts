@@ -0,0 +1,172 @@
+/**
+ * Diagram content encryption
+ * Content is encrypted with AES-256-GCM under a key derived from the password and stored as a versioned JSON
+ * envelope that carries everything needed to decrypt it again (binary fields in base64):
+ *
+ *   {"v":1,"alg":"AES-256-GCM","kdf":{"name":"PBKDF2","hash":"SHA-256","iterations":600000,"salt":"..."},
+ *    "iv":"...","tag":"...","data":"..."}
+ *
+ * scrypt keys record {"name":"scrypt","cost":32768,"blockSize":8,"parallelization":1,"salt":"..."} instead. The plugin
+ * writes the same envelope with WebCrypto, which has no scrypt, so content it has to decrypt uses PBKDF2.
+ *
+ * Content encrypted before the envelope is CryptoJS passphrase AES (OpenSSL "Salted__" format, key from
+ * EVP_BytesToKey with MD5). It still decrypts, and is upgraded by encrypting it again.
+ */
+import crypto from 'crypto';
+import { promisify } from 'util';
+import CryptoJS from 'crypto-js';
+
+export type EncryptionKdf = 'pbkdf2' | 'scrypt';
+export type EncryptionFormat = 'aes-256-gcm' | 'cryptojs-aes';
+
+interface Pbkdf2Params {
+  name: 'PBKDF2';
+  hash: 'SHA-256';
+  iterations: number;
+  salt: string;
+}
+
+interface ScryptParams {
+  name: 'scrypt';
+  cost: number; // N
+  blockSize: number; // r
+  parallelization: number; // p
+  salt: string;
+}
+
+export interface EncryptionEnvelope {
+  v: 1;
+  alg: 'AES-256-GCM';
+  kdf: Pbkdf2Params | ScryptParams;
+  iv: string;
+  tag: string;
+  data: string;
+}
+
+const ENCRYPTION_KDFS: EncryptionKdf[] = ['pbkdf2', 'scrypt'];
+const PBKDF2_ITERATIONS = 600000; // OWASP recommendation for PBKDF2-HMAC-SHA256
+const SCRYPT_COST = 2 ** 15;
+const SCRYPT_BLOCK_SIZE = 8;
+const SCRYPT_PARALLELIZATION = 1;
+// Upper bounds on parameters read from an envelope, so a crafted one cannot tie up the server deriving a key
+const MAX_PBKDF2_ITERATIONS = 10000000;
+const MAX_SCRYPT_COST = 2 ** 17;
+const MAX_SCRYPT_BLOCK_SIZE = 16;
+const MAX_SCRYPT_PARALLELIZATION = 4;
+const KEY_BYTES = 32;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const LEGACY_PREFIX = 'U2FsdGVkX1'; // base64 of "Salted__"
+
+const pbkdf2 = promisify(crypto.pbkdf2);
+const scrypt = promisify(crypto.scrypt) as (password: crypto.BinaryLike, salt: crypto.BinaryLike, keylen: number, options: crypto.ScryptOptions) => Promise<Buffer>;
+
+export function parseEncryptionKdf(value: string | undefined, fallback: EncryptionKdf = 'pbkdf2'): EncryptionKdf {
+  if (!value) {
+    return fallback;
+  }
+
+  const kdf = value.trim().toLowerCase();
+  if (!ENCRYPTION_KDFS.includes(kdf as EncryptionKdf)) {
+    throw new Error(`Unsupported encryption KDF '${value}' (expected one of: ${ENCRYPTION_KDFS.join(', ')})`);
+  }
+  return kdf as EncryptionKdf;
+}
+
+function parseEnvelope(content: string): EncryptionEnvelope | null {
+  if (!content.startsWith('{')) {
+    return null;
+  }
+  try {
+    const envelope = JSON.parse(content);
+    const isEnvelope = envelope?.v === 1 && envelope.alg === 'AES-256-GCM' &&
+      (envelope.kdf?.name === 'PBKDF2' || envelope.kdf?.name === 'scrypt') && typeof envelope.kdf.salt === 'string' &&
+      typeof envelope.iv === 'string' && typeof envelope.tag === 'string' && typeof envelope.data === 'string';
+    return isEnvelope ? envelope : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * How content is encrypted, null for plain content
+ */
+export function encryptionFormat(content: unknown): EncryptionFormat | null {
+  if (typeof content !== 'string') {
+    return null;
+  }
+  if (parseEnvelope(content)) {
+    return 'aes-256-gcm';
+  }
+  return content.startsWith(LEGACY_PREFIX) ? 'cryptojs-aes' : null;
+}
+
+async function deriveKey(password: string, kdf: EncryptionEnvelope['kdf']): Promise<Buffer> {
+  const salt = Buffer.from(kdf.salt, 'base64');
+  if (kdf.name === 'PBKDF2') {
+    if (kdf.hash !== 'SHA-256' || !Number.isInteger(kdf.iterations) || kdf.iterations < 1 || kdf.iterations > MAX_PBKDF2_ITERATIONS) {
+      throw new Error('Unsupported PBKDF2 parameters');
+    }
+    return await pbkdf2(password, salt, kdf.iterations, KEY_BYTES, 'sha256');
+  }
+
+  const { cost, blockSize, parallelization } = kdf;
+  if (!Number.isInteger(Math.log2(cost)) || cost < 2 || cost > MAX_SCRYPT_COST ||
+      !Number.isInteger(blockSize) || blockSize < 1 || blockSize > MAX_SCRYPT_BLOCK_SIZE ||
+      !Number.isInteger(parallelization) || parallelization < 1 || parallelization > MAX_SCRYPT_PARALLELIZATION) {
+    throw new Error('Unsupported scrypt parameters');
+  }
+  return await scrypt(password, salt, KEY_BYTES, { N: cost, r: blockSize, p: parallelization, maxmem: 256 * cost * blockSize });
+}
+
+export async function encryptContent(content: string, password: string, kdfName: EncryptionKdf = 'pbkdf2'): Promise<string> {
+  const salt = crypto.randomBytes(SALT_BYTES).toString('base64');
+  const kdf: EncryptionEnvelope['kdf'] = kdfName === 'scrypt'
+    ? { name: 'scrypt', cost: SCRYPT_COST, blockSize: SCRYPT_BLOCK_SIZE, parallelization: SCRYPT_PARALLELIZATION, salt }
+    : { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt };
+
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', await deriveKey(password, kdf), iv);
+  const data = Buffer.concat([cipher.update(content, 'utf8'), cipher.final()]);
+
+  const envelope: EncryptionEnvelope = {
+    v: 1,
+    alg: 'AES-256-GCM',
+    kdf,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+  return JSON.stringify(envelope);
+}
+
+/**
+ * Decrypts an envelope or legacy CryptoJS content. A wrong password and tampered content both fail.
+ */
+export async function decryptContent(content: string, password: string): Promise<string> {
+  const envelope = parseEnvelope(content);
+  if (!envelope) {
+    if (!content.startsWith(LEGACY_PREFIX)) {
+      throw new Error('Decryption failed - content is not encrypted');
+    }
+    let plaintext = '';
+    try {
+      plaintext = CryptoJS.AES.decrypt(content, password).toString(CryptoJS.enc.Utf8);
+    } catch {
+      // Malformed UTF-8 from a wrong key
+    }
+    if (!plaintext) {
+      throw new Error('Decryption failed - invalid password or corrupted data');
+    }
+    return plaintext;
+  }
+
+  const key = await deriveKey(password, envelope.kdf);
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]).toString('utf8');
+  } catch {
+    throw new Error('Decryption failed - invalid password or corrupted data');
+  }
+}
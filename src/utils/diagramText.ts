@@ -0,0 +1,51 @@
+/**
+ * Diagram text extraction
+ * Collects the human-readable text of a draw.io document per page and cell: labels (HTML stripped), tooltips and
+ * custom properties of UserObject/object cells. Compressed <diagram> pages are inflated; styles and geometry are skipped.
+ */
+import { extractCells, extractPages, parseXml, stripHtml } from './drawioXml';
+
+export type DiagramTextField = 'label' | 'tooltip' | 'property';
+
+export interface DiagramTextEntry {
+  pageId: string;
+  pageName: string;
+  cellId: string;
+  field: DiagramTextField;
+  property?: string; // Name of the custom property
+  text: string;
+}
+
+// Wrapper attributes that are not user text
+const WRAPPER_ATTRIBUTES = new Set(['id', 'label', 'tooltip', 'placeholders', 'link']);
+
+export function extractDiagramText(xml: string): DiagramTextEntry[] {
+  const entries: DiagramTextEntry[] = [];
+
+  for (const page of extractPages(xml)) {
+    const add = (cellId: string, field: DiagramTextField, raw: string | undefined, html: boolean, property?: string) => {
+      const text = raw ? (html ? stripHtml(raw) : raw.trim()) : '';
+      if (text) {
+        entries.push({ pageId: page.id, pageName: page.name, cellId, field, property, text });
+      }
+    };
+
+    for (const cell of extractCells(page.model)) {
+      const html = /(^|;)html=1(;|$)/.test(cell.style ?? '');
+      add(cell.id, 'label', cell.label, html);
+
+      if (!cell.xmlValue) {
+        continue;
+      }
+      const wrapper = parseXml(cell.xmlValue);
+      add(cell.id, 'tooltip', wrapper.attributes.tooltip, html);
+      for (const [name, value] of Object.entries(wrapper.attributes)) {
+        if (!WRAPPER_ATTRIBUTES.has(name)) {
+          add(cell.id, 'property', value, false, name);
+        }
+      }
+    }
+  }
+
+  return entries;
+}
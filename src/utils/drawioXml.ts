@@ -0,0 +1,319 @@
+/**
+ * draw.io XML helpers
+ * Minimal XML reader/writer plus the page and cell model used by draw.io (see DiffSync.js)
+ */
+import { inflateRawSync } from 'zlib';
+
+// Largest uncompressed size of the compressed pages of one document
+const MAX_INFLATED_BYTES = 32 * 1024 * 1024;
+
+export interface XmlElement {
+  name: string;
+  attributes: Record<string, string>;
+  children: XmlNode[];
+}
+
+export type XmlNode = XmlElement | string;
+
+export interface DrawioPage {
+  id: string;
+  name: string;
+  node: XmlElement; // <diagram> element with an uncompressed <mxGraphModel> child
+  model: XmlElement;
+}
+
+export interface DrawioCell {
+  id: string;
+  parent?: string;
+  previous?: string; // Previous sibling under the same parent (z-order)
+  value?: string;
+  xmlValue?: string; // Serialized <UserObject>/<object> wrapper for cells with custom properties
+  label: string;
+  style?: string;
+  vertex: boolean;
+  edge: boolean;
+  connectable: boolean;
+  visible: boolean;
+  collapsed: boolean;
+  source?: string;
+  target?: string;
+  geometry?: XmlElement;
+}
+
+// Page ID used when the document is a bare <mxGraphModel> without <diagram> pages
+export const DEFAULT_PAGE_ID = 'default';
+
+const NAMED_ENTITIES: Record<string, string> = {
+  lt: '<',
+  gt: '>',
+  amp: '&',
+  quot: '"',
+  apos: '\''
+};
+
+// Largest Unicode code point; references past it are left as written instead of throwing
+const MAX_CODE_POINT = 0x10ffff;
+
+function decodeEntities(text: string): string {
+  return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (match, entity: string) => {
+    if (entity.startsWith('#')) {
+      const codePoint = entity.startsWith('#x') ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return codePoint <= MAX_CODE_POINT ? String.fromCodePoint(codePoint) : match;
+    }
+    return NAMED_ENTITIES[entity] ?? match;
+  });
+}
+
+function escapeAttribute(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\n/g, '&#xa;');
+}
+
+function escapeText(value: string): string {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Parse an XML document and return its root element
+ */
+export function parseXml(xml: string): XmlElement {
+  const root: XmlElement = { name: '#document', attributes: {}, children: [] };
+  const stack: XmlElement[] = [root];
+  const tagPattern = /<(\/?)([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+  const attributePattern = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let position = 0;
+
+  while (position < xml.length) {
+    const next = xml.indexOf('<', position);
+    if (next === -1) {
+      stack[stack.length - 1].children.push(decodeEntities(xml.slice(position)));
+      break;
+    }
+    if (next > position) {
+      stack[stack.length - 1].children.push(decodeEntities(xml.slice(position, next)));
+    }
+
+    if (xml.startsWith('<!--', next)) {
+      const end = xml.indexOf('-->', next + 4);
+      position = end === -1 ? xml.length : end + 3;
+      continue;
+    }
+    if (xml.startsWith('<![CDATA[', next)) {
+      const end = xml.indexOf(']]>', next + 9);
+      stack[stack.length - 1].children.push(xml.slice(next + 9, end === -1 ? xml.length : end));
+      position = end === -1 ? xml.length : end + 3;
+      continue;
+    }
+    if (xml.startsWith('<?', next) || xml.startsWith('<!', next)) {
+      const end = xml.indexOf('>', next);
+      position = end === -1 ? xml.length : end + 1;
+      continue;
+    }
+
+    tagPattern.lastIndex = next;
+    const match = tagPattern.exec(xml);
+    if (!match) {
+      throw new Error(`Malformed XML near position ${next}`);
+    }
+    position = tagPattern.lastIndex;
+
+    const [, closing, name, rawAttributes, selfClosing] = match;
+    if (closing) {
+      const open = stack.pop();
+      if (!open || open.name !== name || stack.length === 0) {
+        throw new Error(`Unexpected closing tag </${name}>`);
+      }
+      continue;
+    }
+
+    const element: XmlElement = { name, attributes: {}, children: [] };
+    for (const attribute of rawAttributes.matchAll(attributePattern)) {
+      element.attributes[attribute[1]] = decodeEntities(attribute[2] ?? attribute[3] ?? '');
+    }
+    stack[stack.length - 1].children.push(element);
+    if (!selfClosing) {
+      stack.push(element);
+    }
+  }
+
+  if (stack.length !== 1) {
+    throw new Error(`Unclosed tag <${stack[stack.length - 1].name}>`);
+  }
+
+  const documentElement = root.children.find((child): child is XmlElement => typeof child !== 'string');
+  if (!documentElement) {
+    throw new Error('XML document has no root element');
+  }
+  return documentElement;
+}
+
+/**
+ * Serialize an element back to XML (attribute order is preserved)
+ */
+export function serializeXml(element: XmlElement): string {
+  const attributes = Object.entries(element.attributes)
+    .map(([key, value]) => ` ${key}="${escapeAttribute(value)}"`)
+    .join('');
+
+  if (element.children.length === 0) {
+    return `<${element.name}${attributes}/>`;
+  }
+
+  const children = element.children
+    .map((child) => (typeof child === 'string' ? escapeText(child) : serializeXml(child)))
+    .join('');
+  return `<${element.name}${attributes}>${children}</${element.name}>`;
+}
+
+export function childElements(element: XmlElement, name?: string): XmlElement[] {
+  return element.children.filter((child): child is XmlElement =>
+    typeof child !== 'string' && (!name || child.name === name));
+}
+
+export function textContent(element: XmlElement): string {
+  return element.children
+    .map((child) => (typeof child === 'string' ? child : textContent(child)))
+    .join('');
+}
+
+/**
+ * Inflate the content of a compressed <diagram> page (base64 + raw deflate + URI encoding). A few KB of deflate can
+ * inflate to gigabytes, so output past `maxBytes` is refused.
+ */
+export function decompressDiagram(data: string, maxBytes = MAX_INFLATED_BYTES): string {
+  let inflated: string;
+  try {
+    inflated = inflateRawSync(Buffer.from(data.trim(), 'base64'), { maxOutputLength: maxBytes }).toString('utf8');
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === 'ERR_BUFFER_TOO_LARGE') {
+      throw new Error(`Compressed page inflates to more than ${maxBytes} bytes`);
+    }
+    throw error;
+  }
+  try {
+    return decodeURIComponent(inflated);
+  } catch {
+    return inflated;
+  }
+}
+
+/**
+ * Split a draw.io document (<mxfile>, <diagram> or bare <mxGraphModel>) into pages
+ */
+export function extractPages(xml: string): DrawioPage[] {
+  const root = parseXml(xml);
+
+  if (root.name === 'mxGraphModel') {
+    return [{
+      id: DEFAULT_PAGE_ID,
+      name: 'Page-1',
+      node: { name: 'diagram', attributes: { id: DEFAULT_PAGE_ID, name: 'Page-1' }, children: [root] },
+      model: root
+    }];
+  }
+
+  const diagrams = root.name === 'diagram' ? [root] : childElements(root, 'diagram');
+  if (diagrams.length === 0) {
+    throw new Error(`Unsupported diagram document root <${root.name}>`);
+  }
+
+  // The limit covers all pages of the document together
+  let inflateBudget = MAX_INFLATED_BYTES;
+  return diagrams.map((diagram, index) => {
+    let model = childElements(diagram, 'mxGraphModel')[0];
+    if (!model) {
+      const compressed = textContent(diagram).trim();
+      if (compressed) {
+        const xml = decompressDiagram(compressed, Math.max(1, inflateBudget));
+        inflateBudget -= Buffer.byteLength(xml);
+        model = parseXml(xml);
+      } else {
+        model = { name: 'mxGraphModel', attributes: {}, children: [{ name: 'root', attributes: {}, children: [] }] };
+      }
+    }
+
+    const id = diagram.attributes.id || `page-${index + 1}`;
+    const name = diagram.attributes.name || `Page-${index + 1}`;
+    return {
+      id,
+      name,
+      node: { name: 'diagram', attributes: { ...diagram.attributes, id, name }, children: [model] },
+      model
+    };
+  });
+}
+
+/**
+ * List the cells of a page in document order (mxCell, or UserObject/object wrapping an mxCell)
+ */
+export function extractCells(model: XmlElement): DrawioCell[] {
+  const root = childElements(model, 'root')[0];
+  if (!root) {
+    return [];
+  }
+
+  const cells: DrawioCell[] = [];
+  const lastChild = new Map<string, string>();
+
+  for (const element of childElements(root)) {
+    let cellNode: XmlElement | undefined = element;
+    let wrapper: XmlElement | undefined;
+
+    if (element.name !== 'mxCell') {
+      wrapper = element;
+      cellNode = childElements(element, 'mxCell')[0];
+    }
+    const id = wrapper?.attributes.id ?? cellNode?.attributes.id;
+    if (!id) {
+      continue;
+    }
+
+    const attributes = cellNode?.attributes ?? {};
+    const parent = attributes.parent;
+    const parentKey = parent ?? '';
+
+    const cell: DrawioCell = {
+      id,
+      parent,
+      previous: lastChild.get(parentKey),
+      label: wrapper ? (wrapper.attributes.label ?? '') : (attributes.value ?? ''),
+      style: attributes.style,
+      vertex: attributes.vertex === '1',
+      edge: attributes.edge === '1',
+      connectable: attributes.connectable !== '0',
+      visible: attributes.visible !== '0',
+      collapsed: attributes.collapsed === '1',
+      source: attributes.source,
+      target: attributes.target,
+      geometry: cellNode ? childElements(cellNode, 'mxGeometry')[0] : undefined
+    };
+
+    if (wrapper) {
+      cell.xmlValue = serializeXml({ ...wrapper, children: [] });
+    } else if (attributes.value !== undefined) {
+      cell.value = attributes.value;
+    }
+
+    lastChild.set(parentKey, id);
+    cells.push(cell);
+  }
+
+  return cells;
+}
+
+/**
+ * Strip HTML markup from a label (draw.io labels with html=1 contain markup)
+ */
+export function stripHtml(label: string): string {
+  return decodeEntities(label
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(div|p|li)>/gi, '\n')
+    .replace(/<[^>]*>/g, ''))
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+}
@@ -0,0 +1,239 @@
+/**
+ * Arkiv attribute query language
+ * Parser for queries such as `type = "diagram" && (wallet = "0x.." || custodial_id = "c1") && version >= 2`
+ */
+
+export type QueryValue = string | number;
+
+export type QueryOperator = '=' | '!=' | '<' | '<=' | '>' | '>=' | '~' | '!~';
+
+export type QueryNode =
+  | { type: 'and'; nodes: QueryNode[] }
+  | { type: 'or'; nodes: QueryNode[] }
+  | { type: 'not'; node: QueryNode }
+  | { type: 'compare'; key: string; operator: QueryOperator; value: QueryValue };
+
+type Token =
+  | { kind: 'identifier'; value: string }
+  | { kind: 'string'; value: string }
+  | { kind: 'number'; value: number }
+  | { kind: 'operator'; value: QueryOperator }
+  | { kind: 'punctuation'; value: '&&' | '||' | '(' | ')' | '!' };
+
+// Longest operators first so `<=` is not read as `<`
+const SYMBOLS = ['&&', '||', '!=', '!~', '<=', '>=', '=', '<', '>', '~', '(', ')', '!'];
+const OPERATORS = new Set<string>(['=', '!=', '<', '<=', '>', '>=', '~', '!~']);
+
+function tokenize(query: string): Token[] {
+  const tokens: Token[] = [];
+  let position = 0;
+
+  while (position < query.length) {
+    const char = query[position];
+
+    if (/\s/.test(char)) {
+      position++;
+      continue;
+    }
+
+    if (char === '"') {
+      let value = '';
+      position++;
+      while (position < query.length && query[position] !== '"') {
+        if (query[position] === '\\' && position + 1 < query.length) {
+          position++;
+        }
+        value += query[position];
+        position++;
+      }
+      if (position >= query.length) {
+        throw new Error('Invalid query: unterminated string literal');
+      }
+      position++;
+      tokens.push({ kind: 'string', value });
+      continue;
+    }
+
+    // Bare hex literals (`$key = 0xabc..`, `$owner = 0x12..`) compare as strings
+    const hex = /^0x[0-9a-fA-F]+/.exec(query.slice(position));
+    if (hex) {
+      tokens.push({ kind: 'string', value: hex[0] });
+      position += hex[0].length;
+      continue;
+    }
+
+    const number = /^-?\d+(\.\d+)?/.exec(query.slice(position));
+    if (number) {
+      tokens.push({ kind: 'number', value: Number(number[0]) });
+      position += number[0].length;
+      continue;
+    }
+
+    const identifier = /^\$?[A-Za-z_][A-Za-z0-9_.-]*/.exec(query.slice(position));
+    if (identifier) {
+      tokens.push({ kind: 'identifier', value: identifier[0] });
+      position += identifier[0].length;
+      continue;
+    }
+
+    const symbol = SYMBOLS.find((candidate) => query.startsWith(candidate, position));
+    if (!symbol) {
+      throw new Error(`Invalid query: unexpected character '${char}' at position ${position}`);
+    }
+    tokens.push(OPERATORS.has(symbol)
+      ? { kind: 'operator', value: symbol as QueryOperator }
+      : { kind: 'punctuation', value: symbol as '&&' | '||' | '(' | ')' | '!' });
+    position += symbol.length;
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a query into a tree: `||` binds looser than `&&`, `!` negates a parenthesised group
+ */
+export function parseQuery(query: string): QueryNode {
+  const tokens = tokenize(query);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isPunctuation = (value: string) => peek()?.kind === 'punctuation' && peek()?.value === value;
+
+  const parseOr = (): QueryNode => {
+    const nodes = [parseAnd()];
+    while (isPunctuation('||')) {
+      position++;
+      nodes.push(parseAnd());
+    }
+    return nodes.length === 1 ? nodes[0] : { type: 'or', nodes };
+  };
+
+  const parseAnd = (): QueryNode => {
+    const nodes = [parseUnary()];
+    while (isPunctuation('&&')) {
+      position++;
+      nodes.push(parseUnary());
+    }
+    return nodes.length === 1 ? nodes[0] : { type: 'and', nodes };
+  };
+
+  const parseUnary = (): QueryNode => {
+    if (isPunctuation('!')) {
+      position++;
+      return { type: 'not', node: parseUnary() };
+    }
+
+    if (isPunctuation('(')) {
+      position++;
+      const node = parseOr();
+      if (!isPunctuation(')')) {
+        throw new Error('Invalid query: missing closing parenthesis');
+      }
+      position++;
+      return node;
+    }
+
+    const key = tokens[position++];
+    const operator = tokens[position++];
+    const value = tokens[position++];
+
+    if (key?.kind !== 'identifier') {
+      throw new Error('Invalid query: expected an attribute name');
+    }
+    if (operator?.kind !== 'operator') {
+      throw new Error(`Invalid query: expected a comparison after '${key.value}'`);
+    }
+    if (value?.kind !== 'string' && value?.kind !== 'number') {
+      throw new Error(`Invalid query: expected a string or number after '${key.value} ${operator.value}'`);
+    }
+    if ((operator.value === '~' || operator.value === '!~') && value.kind !== 'string') {
+      throw new Error(`Invalid query: glob match on '${key.value}' needs a string pattern`);
+    }
+
+    return { type: 'compare', key: key.value, operator: operator.value, value: value.value };
+  };
+
+  if (tokens.length === 0) {
+    throw new Error('Invalid query: query is empty');
+  }
+
+  const node = parseOr();
+  if (position < tokens.length) {
+    throw new Error(`Invalid query: unexpected '${String(tokens[position].value)}'`);
+  }
+  return node;
+}
+
+export interface QueryTarget {
+  key: string;
+  owner?: string;
+  attributes: Array<{ key: string; value: QueryValue }>;
+}
+
+// Glob syntax as understood by `~`: `*` any run, `?` one character, `[...]` a character class
+function globToRegExp(pattern: string): RegExp {
+  let source = '';
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+    if (char === '*') {
+      source += '.*';
+    } else if (char === '?') {
+      source += '.';
+    } else if (char === '[' && pattern.indexOf(']', index + 1) > index) {
+      const end = pattern.indexOf(']', index + 1);
+      const body = pattern.slice(index + 1, end).replace(/\\/g, '\\\\');
+      source += `[${body}]`;
+      index = end;
+    } else {
+      source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 's');
+}
+
+function compareValues(actual: QueryValue, operator: QueryOperator, expected: QueryValue): boolean {
+  switch (operator) {
+    case '=':
+      return actual === expected;
+    case '!=':
+      return actual !== expected;
+    case '<':
+      return actual < expected;
+    case '<=':
+      return actual <= expected;
+    case '>':
+      return actual > expected;
+    case '>=':
+      return actual >= expected;
+    case '~':
+      return globToRegExp(String(expected)).test(String(actual));
+    case '!~':
+      return !globToRegExp(String(expected)).test(String(actual));
+  }
+}
+
+/**
+ * Evaluate a query tree against one entity, with the same semantics as the SQLite compiler:
+ * a comparison holds when the entity has an attribute of that name and type satisfying it
+ */
+export function matchesQuery(node: QueryNode, target: QueryTarget): boolean {
+  switch (node.type) {
+    case 'and':
+      return node.nodes.every((child) => matchesQuery(child, target));
+    case 'or':
+      return node.nodes.some((child) => matchesQuery(child, target));
+    case 'not':
+      return !matchesQuery(node.node, target);
+    case 'compare': {
+      if (node.key === '$owner' || node.key === '$key') {
+        const actual = node.key === '$owner' ? target.owner : target.key;
+        return actual !== undefined
+          && compareValues(actual.toLowerCase(), node.operator, String(node.value).toLowerCase());
+      }
+
+      return target.attributes.some((attribute) => attribute.key === node.key
+        && typeof attribute.value === typeof node.value
+        && compareValues(attribute.value, node.operator, node.value));
+    }
+  }
+}
@@ -0,0 +1,43 @@
+/**
+ * HTTP validators
+ * ETag / Last-Modified headers for read-only diagram responses, and the conditional-request check that answers a
+ * repeat request with 304 Not Modified. If-None-Match wins over If-Modified-Since (RFC 9110, 13.2.2).
+ */
+import type { Context } from 'hono';
+import crypto from 'crypto';
+import { DiagramValidators } from '../types/diagram';
+
+/**
+ * `variant`: anything else the response depends on at the same URL (e.g. request headers), hashed into the ETag
+ */
+export function validatorHeaders(validators: DiagramValidators, variant?: string): Record<string, string> {
+  const variantTag = variant ? `-${crypto.createHash('sha256').update(variant).digest('hex').slice(0, 8)}` : '';
+  return {
+    'ETag': `${validators.etag.slice(0, -1)}${variantTag}"`,
+    'Last-Modified': new Date(validators.lastModified).toUTCString()
+  };
+}
+
+export function isNotModified(c: Context, headers: Record<string, string>): boolean {
+  const ifNoneMatch = c.req.header('if-none-match');
+  if (ifNoneMatch) {
+    // Weak comparison: W/"x" matches "x"
+    const etag = headers['ETag'].replace(/^W\//, '');
+    return ifNoneMatch.trim() === '*' || ifNoneMatch.split(',').some((tag) => tag.trim().replace(/^W\//, '') === etag);
+  }
+
+  const ifModifiedSince = c.req.header('if-modified-since');
+  if (ifModifiedSince) {
+    const since = Date.parse(ifModifiedSince);
+    // HTTP dates have one-second precision
+    return !Number.isNaN(since) && Math.floor(Date.parse(headers['Last-Modified']) / 1000) <= Math.floor(since / 1000);
+  }
+  return false;
+}
+
+/**
+ * 304 for a request whose validators still match, null when the full response has to be sent
+ */
+export function notModifiedResponse(c: Context, headers: Record<string, string>): Response | null {
+  return isNotModified(c, headers) ? c.body(null, 304, headers) : null;
+}
@@ -0,0 +1,48 @@
+/**
+ * Listing cursors
+ * Opaque position in a diagram listing (base64url JSON). A cursor belongs to the chain query and sort it was issued
+ * for and carries the block the first page was read at, so every page reads the same snapshot and reports the same
+ * total.
+ */
+import crypto from 'crypto';
+
+export interface ListingCursor {
+  fingerprint: string; // Chain query and sort the cursor was issued for
+  block: string; // Snapshot block
+  total: number; // Total reported on the first page
+  offset?: number; // Ranked listings: position in the ranked result
+  chainCursor?: string; // Streamed listings: chain page to continue from...
+  skip?: number; // ...and the number of its entities already listed
+}
+
+export function listingFingerprint(...parts: unknown[]): string {
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex').slice(0, 16);
+}
+
+export function encodeListingCursor(cursor: ListingCursor): string {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+/**
+ * Parsed cursor; throws for anything that was not issued by encodeListingCursor
+ */
+export function decodeListingCursor(value: string): ListingCursor {
+  let cursor: ListingCursor;
+  try {
+    cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('Invalid cursor');
+  }
+
+  const validPosition = (position: unknown) => position === undefined || (Number.isSafeInteger(position) && (position as number) >= 0);
+  if (!cursor || typeof cursor !== 'object'
+    || typeof cursor.fingerprint !== 'string'
+    || !/^\d+$/.test(String(cursor.block))
+    || !Number.isSafeInteger(cursor.total)
+    || !validPosition(cursor.offset)
+    || !validPosition(cursor.skip)
+    || (cursor.chainCursor !== undefined && typeof cursor.chainCursor !== 'string')) {
+    throw new Error('Invalid cursor');
+  }
+  return cursor;
+}
@@ -0,0 +1,93 @@
+/**
+ * LRU cache
+ * Map-backed least-recently-used cache (a Map iterates in insertion order, so re-inserting on access keeps the least
+ * recently used entry first). Entries can expire after `ttlMs`, and `maxWeight` bounds the summed `weigh` of the
+ * values - e.g. payload bytes - on top of the entry count.
+ */
+export interface LruCacheOptions<V> {
+  maxEntries: number;
+  ttlMs?: number; // Entries older than this are treated as missing
+  maxWeight?: number;
+  weigh?: (value: V) => number;
+}
+
+interface CacheEntry<V> {
+  value: V;
+  weight: number;
+  storedAt: number;
+}
+
+export class LruCache<K, V> {
+  private entries = new Map<K, CacheEntry<V>>();
+  private totalWeight = 0;
+
+  constructor(private options: LruCacheOptions<V>) {}
+
+  get(key: K): V | undefined {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (this.options.ttlMs !== undefined && Date.now() - entry.storedAt > this.options.ttlMs) {
+      this.delete(key);
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key: K, value: V) {
+    this.delete(key);
+
+    const weight = this.options.weigh?.(value) ?? 1;
+    if (this.options.maxEntries <= 0 || (this.options.maxWeight !== undefined && weight > this.options.maxWeight)) {
+      return; // Would evict everything else and still not fit
+    }
+
+    this.entries.set(key, { value, weight, storedAt: Date.now() });
+    this.totalWeight += weight;
+
+    for (const oldest of this.entries.keys()) {
+      const overWeight = this.options.maxWeight !== undefined && this.totalWeight > this.options.maxWeight;
+      if (this.entries.size <= this.options.maxEntries && !overWeight) {
+        break;
+      }
+      this.delete(oldest);
+    }
+  }
+
+  delete(key: K): boolean {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return false;
+    }
+    this.entries.delete(key);
+    this.totalWeight -= entry.weight;
+    return true;
+  }
+
+  /**
+   * Drop every entry whose value matches
+   */
+  deleteWhere(predicate: (value: V, key: K) => boolean): number {
+    let deleted = 0;
+    for (const [key, entry] of Array.from(this.entries)) {
+      if (predicate(entry.value, key)) {
+        this.delete(key);
+        deleted++;
+      }
+    }
+    return deleted;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.totalWeight = 0;
+  }
+
+  get size(): number {
+    return this.entries.size;
+  }
+}
@@ -0,0 +1,64 @@
+/**
+ * Entity payload compression
+ * Payloads are compressed before they are written to Arkiv; the codec is recorded in the content_encoding attribute
+ */
+import { brotliCompressSync, brotliDecompressSync, constants, deflateSync, inflateSync } from 'zlib';
+
+export type ContentEncoding = 'br' | 'deflate' | 'identity';
+
+export const CONTENT_ENCODING_ATTRIBUTE = 'content_encoding';
+
+const CONTENT_ENCODINGS: ContentEncoding[] = ['br', 'deflate', 'identity'];
+// Largest decompressed payload of one entity; anyone can write an entity, and a few KB can inflate to gigabytes
+const MAX_DECOMPRESSED_BYTES = 32 * 1024 * 1024;
+
+export function parseContentEncoding(value: string | undefined, fallback: ContentEncoding = 'br'): ContentEncoding {
+  if (!value) {
+    return fallback;
+  }
+
+  const encoding = value.trim().toLowerCase();
+  if (!CONTENT_ENCODINGS.includes(encoding as ContentEncoding)) {
+    throw new Error(`Unsupported content encoding '${value}' (expected one of: ${CONTENT_ENCODINGS.join(', ')})`);
+  }
+  return encoding as ContentEncoding;
+}
+
+export function compressPayload(payload: Uint8Array, encoding: ContentEncoding): Uint8Array {
+  switch (encoding) {
+    case 'br':
+      return new Uint8Array(brotliCompressSync(payload, {
+        params: {
+          [constants.BROTLI_PARAM_MODE]: constants.BROTLI_MODE_TEXT,
+          [constants.BROTLI_PARAM_SIZE_HINT]: payload.length
+        }
+      }));
+    case 'deflate':
+      return new Uint8Array(deflateSync(payload, { level: constants.Z_BEST_COMPRESSION }));
+    default:
+      return payload;
+  }
+}
+
+/**
+ * Entities without a content_encoding attribute were stored uncompressed. Output past `maxBytes` is refused.
+ */
+export function decompressPayload(payload: Uint8Array, encoding?: string, maxBytes = MAX_DECOMPRESSED_BYTES): Uint8Array {
+  try {
+    switch (encoding ?? 'identity') {
+      case 'br':
+        return new Uint8Array(brotliDecompressSync(payload, { maxOutputLength: maxBytes }));
+      case 'deflate':
+        return new Uint8Array(inflateSync(payload, { maxOutputLength: maxBytes }));
+      case 'identity':
+        return payload;
+      default:
+        throw new Error(`Unsupported content encoding '${encoding}'`);
+    }
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === 'ERR_BUFFER_TOO_LARGE') {
+      throw new Error(`Compressed payload inflates to more than ${maxBytes} bytes`);
+    }
+    throw error;
+  }
+}
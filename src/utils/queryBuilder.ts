@@ -0,0 +1,101 @@
+/**
+ * Arkiv query builder
+ * Builds attribute queries from typed conditions instead of string interpolation: attribute names are validated,
+ * string values are quoted and escaped, and numeric comparisons only accept non-negative integers (uint64 on Arkiv).
+ *
+ *   buildQuery(where.and(where.eq('type', 'diagram'), where.eq('id', diagramId), where.gte('version', 2)))
+ *   // type = "diagram" && id = "abc" && version >= 2
+ */
+import type { QueryNode, QueryOperator, QueryValue } from './entityQuery';
+
+// Falsy entries (from `flag && where.eq(..)`) are skipped
+export type Condition = QueryNode | null | undefined | false | '' | 0;
+
+// Attribute names as accepted by the query grammar, plus the entity metadata keys
+const ATTRIBUTE_NAME = /^[A-Za-z_][A-Za-z0-9_.-]*$/;
+const METADATA_KEYS = new Set(['$owner', '$key']);
+const HEX_VALUE = /^0x[0-9a-fA-F]+$/;
+
+function attributeName(key: string): string {
+  if (typeof key !== 'string' || (!ATTRIBUTE_NAME.test(key) && !METADATA_KEYS.has(key))) {
+    throw new Error(`Invalid query attribute name: ${JSON.stringify(key)}`);
+  }
+  return key;
+}
+
+function numericValue(key: string, value: number): number {
+  if (typeof value !== 'number' || !Number.isSafeInteger(value) || value < 0) {
+    throw new Error(`Invalid query value for '${key}': expected a non-negative integer, got ${JSON.stringify(value)}`);
+  }
+  return value;
+}
+
+function stringValue(key: string, value: string): string {
+  if (typeof value !== 'string') {
+    throw new Error(`Invalid query value for '${key}': expected a string, got ${JSON.stringify(value)}`);
+  }
+  return value;
+}
+
+function compare(key: string, operator: QueryOperator, value: QueryValue): QueryNode {
+  const name = attributeName(key);
+  // Owner and entity key are matched as bare hex, as the SDK does
+  if (METADATA_KEYS.has(name) && (typeof value !== 'string' || !HEX_VALUE.test(value))) {
+    throw new Error(`Invalid query value for '${name}': expected a hex string, got ${JSON.stringify(value)}`);
+  }
+  return {
+    type: 'compare',
+    key: name,
+    operator,
+    value: typeof value === 'number' ? numericValue(name, value) : stringValue(name, value)
+  };
+}
+
+function combine(type: 'and' | 'or', conditions: Condition[]): QueryNode {
+  const nodes = conditions.filter((condition): condition is QueryNode => Boolean(condition));
+  if (nodes.length === 0) {
+    throw new Error(`Invalid query: '${type}' needs at least one condition`);
+  }
+  return nodes.length === 1 ? nodes[0] : { type, nodes };
+}
+
+/**
+ * Conditions for buildQuery. The type of the value picks the comparison: strings match string attributes,
+ * numbers match numeric attributes. and()/or() skip falsy entries so optional filters can be inlined.
+ */
+export const where = {
+  eq: (key: string, value: QueryValue): QueryNode => compare(key, '=', value),
+  neq: (key: string, value: QueryValue): QueryNode => compare(key, '!=', value),
+  lt: (key: string, value: number): QueryNode => compare(key, '<', numericValue(key, value)),
+  lte: (key: string, value: number): QueryNode => compare(key, '<=', numericValue(key, value)),
+  gt: (key: string, value: number): QueryNode => compare(key, '>', numericValue(key, value)),
+  gte: (key: string, value: number): QueryNode => compare(key, '>=', numericValue(key, value)),
+  glob: (key: string, pattern: string): QueryNode => compare(key, '~', stringValue(key, pattern)),
+  and: (...conditions: Condition[]): QueryNode => combine('and', conditions),
+  or: (...conditions: Condition[]): QueryNode => combine('or', conditions),
+  not: (condition: QueryNode): QueryNode => ({ type: 'not', node: condition })
+};
+
+function quote(value: string): string {
+  return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Serialize a condition tree to Arkiv query syntax; nested groups are always parenthesised
+ */
+export function buildQuery(node: QueryNode): string {
+  switch (node.type) {
+    case 'and':
+    case 'or':
+      return node.nodes
+        .map((child) => (child.type === 'and' || child.type === 'or' ? `(${buildQuery(child)})` : buildQuery(child)))
+        .join(node.type === 'and' ? ' && ' : ' || ');
+    case 'not':
+      return `!(${buildQuery(node.node)})`;
+    case 'compare': {
+      const { key, operator, value } = compare(node.key, node.operator, node.value) as Extract<QueryNode, { type: 'compare' }>;
+      const literal = typeof value === 'number' || METADATA_KEYS.has(key) ? String(value) : quote(value);
+      return `${key} ${operator} ${literal}`;
+    }
+  }
+}
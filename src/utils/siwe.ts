@@ -0,0 +1,142 @@
+/**
+ * Sign-In with Ethereum (EIP-4361) messages
+ * Parses the plain-text message a wallet signs, e.g.
+ *
+ *   drawiodb.online wants you to sign in with your Ethereum account:
+ *   0xAbC...
+ *
+ *   Sign in to drawiodb
+ *
+ *   URI: https://drawiodb.online
+ *   Version: 1
+ *   Chain ID: 60138453025
+ *   Nonce: 8f2c...
+ *   Issued At: 2026-10-18T12:00:00.000Z
+ *
+ * Checking the fields against the request (domain, nonce, time window) and the signature is up to the caller.
+ */
+export interface SiweMessage {
+  scheme?: string;
+  domain: string;
+  address: string;
+  statement?: string;
+  uri: string;
+  version: string;
+  chainId: number;
+  nonce: string;
+  issuedAt: string;
+  expirationTime?: string;
+  notBefore?: string;
+  requestId?: string;
+  resources: string[];
+}
+
+const HEADER_PATTERN = /^(?:([a-zA-Z][a-zA-Z0-9+.-]*):\/\/)?(\S+) wants you to sign in with your Ethereum account:$/;
+const ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+const NONCE_PATTERN = /^[a-zA-Z0-9]{8,}$/;
+
+// Message fields in the order EIP-4361 requires them; the first five are mandatory
+const FIELDS: Array<[label: string, key: keyof SiweMessage]> = [
+  ['URI', 'uri'],
+  ['Version', 'version'],
+  ['Chain ID', 'chainId'],
+  ['Nonce', 'nonce'],
+  ['Issued At', 'issuedAt'],
+  ['Expiration Time', 'expirationTime'],
+  ['Not Before', 'notBefore'],
+  ['Request ID', 'requestId']
+];
+const REQUIRED_FIELDS = 5;
+
+function invalid(reason: string): never {
+  throw new Error(`Invalid SIWE message: ${reason}`);
+}
+
+function parseTime(value: string | undefined, field: string): void {
+  if (value !== undefined && Number.isNaN(Date.parse(value))) {
+    invalid(`${field} is not an RFC 3339 timestamp`);
+  }
+}
+
+export function parseSiweMessage(message: string): SiweMessage {
+  if (typeof message !== 'string') {
+    invalid('expected a string');
+  }
+  const lines = message.split('\n');
+
+  const header = HEADER_PATTERN.exec(lines[0] ?? '');
+  if (!header) {
+    invalid('missing "<domain> wants you to sign in with your Ethereum account:" line');
+  }
+  const address = lines[1] ?? '';
+  if (!ADDRESS_PATTERN.test(address)) {
+    invalid('missing account address');
+  }
+  if (lines[2] !== '') {
+    invalid('expected an empty line after the address');
+  }
+
+  // An optional statement, enclosed in empty lines, comes before the fields
+  let index = 3;
+  let statement: string | undefined;
+  if (lines[index] !== '') {
+    statement = lines[index];
+    index++;
+    if (lines[index] !== '') {
+      invalid('expected an empty line after the statement');
+    }
+  }
+  index++;
+
+  const parsed: Partial<Record<keyof SiweMessage, string>> = {};
+  for (const [position, [label, key]] of FIELDS.entries()) {
+    const line = lines[index];
+    if (line !== undefined && line.startsWith(`${label}: `)) {
+      parsed[key] = line.slice(label.length + 2);
+      index++;
+    } else if (position < REQUIRED_FIELDS) {
+      invalid(`missing "${label}"`);
+    }
+  }
+
+  const resources: string[] = [];
+  if (lines[index] === 'Resources:') {
+    index++;
+    while (lines[index]?.startsWith('- ')) {
+      resources.push(lines[index].slice(2));
+      index++;
+    }
+  }
+  if (index < lines.length) {
+    invalid(`unexpected line "${lines[index]}"`);
+  }
+
+  if (parsed.version !== '1') {
+    invalid(`unsupported version "${parsed.version}"`);
+  }
+  if (!/^\d+$/.test(parsed.chainId!)) {
+    invalid('Chain ID is not a number');
+  }
+  if (!NONCE_PATTERN.test(parsed.nonce!)) {
+    invalid('Nonce must be at least 8 letters or digits');
+  }
+  parseTime(parsed.issuedAt, 'Issued At');
+  parseTime(parsed.expirationTime, 'Expiration Time');
+  parseTime(parsed.notBefore, 'Not Before');
+
+  return {
+    scheme: header[1],
+    domain: header[2],
+    address,
+    statement,
+    uri: parsed.uri!,
+    version: parsed.version,
+    chainId: Number(parsed.chainId),
+    nonce: parsed.nonce!,
+    issuedAt: parsed.issuedAt!,
+    expirationTime: parsed.expirationTime,
+    notBefore: parsed.notBefore,
+    requestId: parsed.requestId,
+    resources
+  };
+}
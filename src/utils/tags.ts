@@ -0,0 +1,60 @@
+/**
+ * Diagram tags
+ * Tags are stored in the `tags` string attribute as ",tag1,tag2," so a single tag can be matched in the chain query
+ * with a glob (tags ~ "*,tag1,*"). Tags are lowercase; spaces become dashes.
+ */
+export const TAGS_ATTRIBUTE = 'tags';
+
+const MAX_TAG_LENGTH = 32;
+const MAX_TAGS = 20;
+// Letters, digits, dashes and underscores - no commas or glob characters
+const TAG_PATTERN = /^[\p{L}\p{N}_-]+$/u;
+
+/**
+ * Lowercased, de-duplicated tags; throws for tags that cannot be stored
+ */
+export function normalizeTags(tags: unknown): string[] {
+  if (!Array.isArray(tags)) {
+    throw new Error('Invalid tags: expected an array of strings');
+  }
+
+  const normalized: string[] = [];
+  for (const tag of tags) {
+    if (typeof tag !== 'string') {
+      throw new Error('Invalid tags: expected an array of strings');
+    }
+    const value = tag.trim().toLowerCase().replace(/\s+/g, '-');
+    if (!value) {
+      continue;
+    }
+    if (value.length > MAX_TAG_LENGTH || !TAG_PATTERN.test(value)) {
+      throw new Error(`Invalid tag "${tag}": use up to ${MAX_TAG_LENGTH} letters, digits, "-" or "_"`);
+    }
+    if (!normalized.includes(value)) {
+      normalized.push(value);
+    }
+  }
+
+  if (normalized.length > MAX_TAGS) {
+    throw new Error(`Invalid tags: at most ${MAX_TAGS} tags per diagram`);
+  }
+  return normalized;
+}
+
+export function formatTagsAttribute(tags: string[]): string {
+  return `,${tags.join(',')},`;
+}
+
+export function parseTagsAttribute(value: unknown): string[] {
+  if (typeof value !== 'string') {
+    return [];
+  }
+  return value.split(',').filter((tag) => tag.length > 0);
+}
+
+/**
+ * Glob matching diagrams (or tag events) carrying a normalized tag
+ */
+export function tagGlob(tag: string): string {
+  return `*,${tag},*`;
+}
@@ -0,0 +1,358 @@
+const axios = require('axios');
+const config = require('../config');
+const TestReporter = require('../utils/TestReporter');
+
+// Diagram history, trash, tags, folders, search and listing for one guest account. Runs against a backend with
+// ARKIV_FAKE_NODE=true (see README).
+describe('Diagram API Tests', () => {
+  let reporter;
+  let apiClient;
+  let authHeaders;
+
+  const diagramXml = (label) =>
+    `<mxGraphModel><root><mxCell id="0"/><mxCell id="1" parent="0"/><mxCell id="2" value="${label}" vertex="1" parent="1"/></root></mxGraphModel>`;
+
+  const saveDiagram = async (title, label, diagramId) => {
+    const response = await apiClient.post('/diagrams/export', {
+      diagramId,
+      title,
+      author: 'tests',
+      content: diagramXml(label)
+    }, { headers: authHeaders });
+    expect(response.status).toBe(200);
+    return response.data;
+  };
+
+  beforeAll(async () => {
+    reporter = global.testReporter || new TestReporter();
+    apiClient = axios.create({
+      baseURL: config.API_BASE_URL,
+      timeout: config.NETWORK_TIMEOUT,
+      validateStatus: () => true // Assert on status codes instead of catching them
+    });
+
+    const guest = await apiClient.post('/auth/custodial');
+    authHeaders = { Authorization: `Bearer ${guest.data.credential}` };
+  });
+
+  describe('Versions', () => {
+    let diagramId;
+
+    beforeAll(async () => {
+      diagramId = (await saveDiagram('Versioned diagram', 'first')).diagramId;
+      await saveDiagram('Versioned diagram', 'second', diagramId);
+    });
+
+    test('should list every version of a diagram, newest first', async () => {
+      const startTime = Date.now();
+      try {
+        const response = await apiClient.get(`/diagrams/${diagramId}/versions`, { headers: authHeaders });
+
+        expect(response.status).toBe(200);
+        expect(response.data.data.map((version) => version.version)).toEqual([2, 1]);
+        expect(response.data.data[0].previousEntityKey).toBe(response.data.data[1].entityKey);
+
+        reporter.addTestResult('api', 'Version Listing', 'passed', Date.now() - startTime);
+      } catch (error) {
+        reporter.addTestResult('api', 'Version Listing', 'failed', Date.now() - startTime, error);
+        throw error;
+      }
+    });
+
+    test('should diff two versions', async () => {
+      const startTime = Date.now();
+      try {
+        const response = await apiClient.get(`/diagrams/${diagramId}/diff?from=1&to=2`, { headers: authHeaders });
+
+        expect(response.status).toBe(200);
+        expect(response.data.data.summary.relabelled).toBe(1);
+        expect(response.data.data.pages[0].relabelled['2']).toEqual({ from: 'first', to: 'second' });
+
+        reporter.addTestResult('api', 'Version Diff', 'passed', Date.now() - startTime);
+      } catch (error) {
+        reporter.addTestResult('api', 'Version Diff', 'failed', Date.now() - startTime, error);
+        throw error;
+      }
+    });
+
+    test('should diff labels with character references past the Unicode range', async () => {
+      const startTime = Date.now();
+      try {
+        const label = 'out of range &#x110000; &#99999999;';
+        const otherId = (await saveDiagram('Odd references', 'plain')).diagramId;
+        await saveDiagram('Odd references', label, otherId);
+
+        const response = await apiClient.get(`/diagrams/${otherId}/diff?from=1&to=2`, { headers: authHeaders });
+
+        expect(response.status).toBe(200);
+        expect(response.data.data.pages[0].relabelled['2']).toEqual({ from: 'plain', to: label });
+
+        reporter.addTestResult('api', 'Version Diff Invalid Character References', 'passed', Date.now() - startTime);
+      } catch (error) {
+        reporter.addTestResult('api', 'Version Diff Invalid Character References', 'failed', Date.now() - startTime, error);
+        throw error;
+      }
+    });
+
+    test('should load an older version', async () => {
+      const startTime = Date.now();
+      try {
+        const response = await apiClient.get(`/diagrams/import/${diagramId}?version=1`, { headers: authHeaders });
+
+        expect(response.status).toBe(200);
+        expect(JSON.stringify(response.data)).toContain('first');
+
+        reporter.addTestResult('api', 'Version Import', 'passed', Date.now() - startTime);
+      } catch (error) {
+        reporter.addTestResult('api', 'Version Import', 'failed', Date.now() - startTime, error);
+        throw error;
+      }
+    });
+
+    test('should restore an older version as a new version', async () => {
+      const startTime = Date.now();
+      try {
+        const response = await apiClient.post(`/diagrams/${diagramId}/versions/1/restore`, {}, { headers: authHeaders });
+
+        expect(response.status).toBe(200);
+        expect(response.data.version).toBe(3);
+        expect(response.data.restoredFromVersion).toBe(1);
+
+        const latest = await apiClient.get(`/diagrams/import/${diagramId}`, { headers: authHeaders });
+        expect(JSON.stringify(latest.data)).toContain('first');
+
+        reporter.addTestResult('api', 'Version Restore', 'passed', Date.now() - startTime);
+      } catch (error) {
+        reporter.addTestResult('api', 'Version Restore', 'failed', Date.now() - startTime, error);
+        throw error;
+      }
+    });
+
+    test('should report a missing version', async () => {
+      const startTime = Date.now();
+      try {
+        const response = await apiClient.post(`/diagrams/${diagramId}/versions/99/restore`, {}, { headers: authHeaders });
+
+        expect(response.status).toBe(404);
+
+        reporter.addTestResult('api', 'Version Restore Missing', 'passed', Date.now() - startTime);
+      } catch (error) {
+        reporter.addTestResult('api', 'Version Restore Missing', 'failed', Date.now() - startTime, error);
+        throw error;
+      }
+    });
+  });
+
+  describe('Encryption Upgrade', () => {
+    test('should leave unencrypted diagrams alone', async () => {
+      const startTime = Date.now();
+      try {
+        const { diagramId } = await saveDiagram('Plain diagram', 'plain');
+
+        const response = await apiClient.post(`/diagrams/${diagramId}/encryption/upgrade`, { password: 'secret' }, { headers: authHeaders });
+
+        expect(response.status).toBe(200);
+        expect(response.data.upgraded).toBe(false);
+        expect(response.data.version).toBe(1);
+
+        reporter.addTestResult('api', 'Encryption Upgrade Plain Diagram', 'passed', Date.now() - startTime);
+      } catch (error) {
+        reporter.addTestResult('api', 'Encryption Upgrade Plain Diagram', 'failed', Date.now() - startTime, error);
+        throw error;
+      }
+    });
+
+    test('should require a password', async () => {
+      const startTime = Date.now();
+      try {
+        const { diagramId } = await saveDiagram('Plain diagram', 'plain');
+
+        const response = await apiClient.post(`/diagrams/${diagramId}/encryption/upgrade`, {}, { headers: authHeaders });
+
+        expect(response.status).toBe(400);
+
+        reporter.addTestResult('api', 'Encryption Upgrade Missing Password', 'passed', Date.now() - startTime);
+      } catch (error) {
+        reporter.addTestResult('api', 'Encryption Upgrade Missing Password', 'failed', Date.now() - startTime, error);
+        throw error;
+      }
+    });
+  });
+
+  describe('Trash', () => {
+    test('should move a diagram to the trash and back', async () => {
+      const startTime = Date.now();
+      try {
+        const { diagramId } = await saveDiagram('Trashed diagram', 'trash');
+
+        const trashed = await apiClient.delete(`/diagrams/${diagramId}`, { headers: authHeaders });
+        expect(trashed.status).toBe(200);
+        expect(trashed.data.trashed).toBe(true);
+
+        const trash = await apiClient.get('/diagrams/trash', { headers: authHeaders });
+        expect(trash.data.data.map((diagram) => diagram.id)).toContain(diagramId);
+
+        const listed = await apiClient.get('/diagrams/list', { headers: authHeaders });
+        expect(listed.data.data.map((diagram) => diagram.id)).not.toContain(diagramId);
+
+        const restored = await apiClient.post(`/diagrams/${diagramId}/restore`, {}, { headers: authHeaders });
+        expect(restored.status).toBe(200);
+
+        const relisted = await apiClient.get('/diagrams/list', { headers: authHeaders });
+        expect(relisted.data.data.map((diagram) => diagram.id)).toContain(diagramId);
+
+        reporter.addTestResult('api', 'Trash and Restore', 'passed', Date.now() - startTime);
+      } catch (error) {
+        reporter.addTestResult('api', 'Trash and Restore', 'failed', Date.now() - startTime, error);
+        throw error;
+      }
+    });
+  });
+
+  describe('Tags and Folders', () => {
+    let diagramId;
+
+    beforeAll(async () => {
+      diagramId = (await saveDiagram('Organised diagram', 'organised')).diagramId;
+    });
+
+    test('should tag a diagram and count its tags', async () => {
+      const startTime = Date.now();
+      try {
+        const response = await apiClient.put(`/diagrams/${diagramId}/tags`, { tags: ['Infra', 'draft'] }, { headers: authHeaders });
+        expect(response.status).toBe(200);
+        expect(response.data.tags).toEqual(['infra', 'draft']);
+
+        const tags = await apiClient.get('/tags', { headers: authHeaders });
+        expect(tags.data.data).toEqual(expect.arrayContaining([{ tag: 'infra', count: 1 }, { tag: 'draft', count: 1 }]));
+
+        const byTag = await apiClient.get('/diagrams/search?tags=infra', { headers: authHeaders });
+        expect(byTag.data.data.map((diagram) => diagram.id)).toEqual([diagramId]);
+
+        reporter.addTestResult('api', 'Diagram Tags', 'passed', Date.now() - startTime);
+      } catch (error) {
+        reporter.addTestResult('api', 'Diagram Tags', 'failed', Date.now() - startTime, error);
+        throw error;
+      }
+    });
+
+    test('should file a diagram in a folder', async () => {
+      const startTime = Date.now();
+      try {
+        const folder = await apiClient.post('/folders', { name: 'Architecture' }, { headers: authHeaders });
+        expect(folder.status).toBe(200);
+        expect(folder.data.folder.path).toBe('/Architecture');
+
+        const moved = await apiClient.put(`/diagrams/${diagramId}/folder`, { folderId: folder.data.folder.id }, { headers: authHeaders });
+        expect(moved.status).toBe(200);
+
+        const inFolder = await apiClient.get(`/diagrams/list?folder=${folder.data.folder.id}`, { headers: authHeaders });
+        expect(inFolder.data.data.map((diagram) => diagram.id)).toEqual([diagramId]);
+
+        const unfiled = await apiClient.get('/diagrams/list?folder=root', { headers: authHeaders });
+        expect(unfiled.data.data.map((diagram) => diagram.id)).not.toContain(diagramId);
+
+        reporter.addTestResult('api', 'Diagram Folders', 'passed', Date.now() - startTime);
+      } catch (error) {
+        reporter.addTestResult('api', 'Diagram Folders', 'failed', Date.now() - startTime, error);
+        throw error;
+      }
+    });
+  });
+
+  describe('Search', () => {
+    let diagramId;
+
+    beforeAll(async () => {
+      diagramId = (await saveDiagram('Payment gateway', 'ledger reconciliation')).diagramId;
+    });
+
+    test('should find a diagram by title', async () => {
+      const startTime = Date.now();
+      try {
+        const response = await apiClient.get('/diagrams/search?query=gateway', { headers: authHeaders });
+
+        expect(response.status).toBe(200);
+        expect(response.data.data.map((diagram) => diagram.id)).toContain(diagramId);
+
+        reporter.addTestResult('api', 'Search by Title', 'passed', Date.now() - startTime);
+      } catch (error) {
+        reporter.addTestResult('api', 'Search by Title', 'failed', Date.now() - startTime, error);
+        throw error;
+      }
+    });
+
+    test('should find a diagram by its labels', async () => {
+      const startTime = Date.now();
+      try {
+        const response = await apiClient.post('/diagrams/search', { query: 'reconciliation' }, { headers: authHeaders });
+
+        expect(response.status).toBe(200);
+        expect(response.data.data.map((diagram) => diagram.id)).toEqual([diagramId]);
+
+        reporter.addTestResult('api', 'Search by Content', 'passed', Date.now() - startTime);
+      } catch (error) {
+        reporter.addTestResult('api', 'Search by Content', 'failed', Date.now() - startTime, error);
+        throw error;
+      }
+    });
+
+    test('should require a session to search', async () => {
+      const startTime = Date.now();
+      try {
+        const response = await apiClient.get('/diagrams/search?query=gateway');
+
+        expect(response.status).toBe(401);
+
+        reporter.addTestResult('api', 'Search Unauthenticated', 'passed', Date.now() - startTime);
+      } catch (error) {
+        reporter.addTestResult('api', 'Search Unauthenticated', 'failed', Date.now() - startTime, error);
+        throw error;
+      }
+    });
+  });
+
+  describe('Pagination', () => {
+    test('should page through every diagram with the cursor', async () => {
+      const startTime = Date.now();
+      try {
+        const first = await apiClient.get('/diagrams/list?limit=2', { headers: authHeaders });
+        expect(first.status).toBe(200);
+        expect(first.data.data).toHaveLength(2);
+        expect(first.data.hasMore).toBe(true);
+
+        const seen = first.data.data.map((diagram) => diagram.id);
+        let cursor = first.data.cursor;
+        while (cursor) {
+          const page = await apiClient.get(`/diagrams/list?limit=2&cursor=${encodeURIComponent(cursor)}`, { headers: authHeaders });
+          expect(page.status).toBe(200);
+          seen.push(...page.data.data.map((diagram) => diagram.id));
+          cursor = page.data.hasMore ? page.data.cursor : null;
+        }
+
+        // `total` of a streamed listing is an estimate, so compare with the whole listing in one page
+        const all = await apiClient.get('/diagrams/list?limit=100', { headers: authHeaders });
+        expect(seen).toEqual(all.data.data.map((diagram) => diagram.id));
+
+        reporter.addTestResult('api', 'Cursor Pagination', 'passed', Date.now() - startTime);
+      } catch (error) {
+        reporter.addTestResult('api', 'Cursor Pagination', 'failed', Date.now() - startTime, error);
+        throw error;
+      }
+    });
+
+    test('should reject a malformed cursor', async () => {
+      const startTime = Date.now();
+      try {
+        const response = await apiClient.get('/diagrams/list?cursor=not-a-cursor', { headers: authHeaders });
+
+        expect(response.status).toBe(400);
+
+        reporter.addTestResult('api', 'Cursor Pagination Invalid Cursor', 'passed', Date.now() - startTime);
+      } catch (error) {
+        reporter.addTestResult('api', 'Cursor Pagination Invalid Cursor', 'failed', Date.now() - startTime, error);
+        throw error;
+      }
+    });
+  });
+});
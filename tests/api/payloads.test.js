@@ -0,0 +1,131 @@
+const axios = require('axios');
+const zlib = require('zlib');
+const { createPublicClient, createWalletClient, bytesToHex, defineChain, http, toHex, toRlp } = require('viem');
+const { generatePrivateKey, privateKeyToAccount } = require('viem/accounts');
+const config = require('../config');
+const TestReporter = require('../utils/TestReporter');
+
+// Entities anyone can write straight to the chain, read back through the public routes. Needs a backend with
+// ARKIV_FAKE_NODE=true and TEST_ARKIV_RPC_URL pointing at its ARKIV_RPC_URL (see README).
+describe('Untrusted Payload Tests', () => {
+  const ARKIV_ADDRESS = '0x00000000000000000000000000000061726b6976';
+  const BOMB_BYTES = 64 * 1024 * 1024; // Twice the backend's decompression limit
+
+  let reporter;
+  let apiClient;
+  let walletClient;
+  let publicClient;
+
+  // Create one entity signed by a throwaway key, as an outsider would (layout of src/utils/arkivTransaction.ts)
+  const writeEntity = async (payload, attributes) => {
+    const encode = (kind) => Object.entries(attributes)
+      .filter(([, value]) => typeof value === kind)
+      .map(([key, value]) => [toHex(key), toHex(value)]);
+    const operations = [
+      [[toHex(1000), toHex('application/json'), bytesToHex(payload), encode('string'), encode('number')]],
+      [],
+      [],
+      [],
+      []
+    ];
+
+    const hash = await walletClient.sendTransaction({
+      to: ARKIV_ADDRESS,
+      data: bytesToHex(zlib.brotliCompressSync(Buffer.from(toRlp(operations).slice(2), 'hex')))
+    });
+    await publicClient.waitForTransactionReceipt({ hash });
+  };
+
+  beforeAll(async () => {
+    reporter = global.testReporter || new TestReporter();
+    apiClient = axios.create({
+      baseURL: config.API_BASE_URL,
+      timeout: config.NETWORK_TIMEOUT,
+      validateStatus: () => true // Assert on status codes instead of catching them
+    });
+
+    const transport = http(config.ARKIV_RPC_URL);
+    publicClient = createPublicClient({ transport });
+    const chain = defineChain({
+      id: await publicClient.getChainId(),
+      name: 'Fake Arkiv',
+      nativeCurrency: { name: 'GLM', symbol: 'GLM', decimals: 18 },
+      rpcUrls: { default: { http: [config.ARKIV_RPC_URL] } }
+    });
+    walletClient = createWalletClient({ account: privateKeyToAccount(generatePrivateKey()), chain, transport });
+  });
+
+  const bombs = [
+    ['br', () => zlib.brotliCompressSync(Buffer.alloc(BOMB_BYTES), { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 1 } })],
+    ['deflate', () => zlib.deflateSync(Buffer.alloc(BOMB_BYTES), { level: 1 })]
+  ];
+
+  test.each(bombs)('should refuse a %s payload that inflates past the limit', async (encoding, compress) => {
+    const startTime = Date.now();
+    try {
+      const diagramId = `bomb${Date.now()}${encoding}`;
+      await writeEntity(compress(), {
+        type: 'diagram',
+        id: diagramId,
+        title: 'Bomb',
+        author: 'outsider',
+        content_encoding: encoding,
+        timestamp: Date.now(),
+        version: 1
+      });
+
+      const response = await apiClient.get(`/diagrams/import/${diagramId}`);
+      expect(response.status).toBe(422);
+      expect(response.data.error).toContain('inflates to more than');
+
+      const health = await apiClient.get('/health');
+      expect(health.status).toBe(200);
+
+      reporter.addTestResult('api', `Compression Bomb (${encoding})`, 'passed', Date.now() - startTime);
+    } catch (error) {
+      reporter.addTestResult('api', `Compression Bomb (${encoding})`, 'failed', Date.now() - startTime, error);
+      throw error;
+    }
+  });
+
+  test('should not open a folder through a share token an outsider wrote', async () => {
+    const startTime = Date.now();
+    try {
+      const owner = (await apiClient.post('/auth/custodial')).data;
+      const headers = { Authorization: `Bearer ${owner.credential}` };
+      const folder = (await apiClient.post('/folders', { name: 'Private' }, { headers })).data.folder;
+
+      const token = `forged${Date.now()}`;
+      const shareToken = {
+        token,
+        folderId: folder.id,
+        createdBy: owner.custodialId,
+        isPublic: true,
+        createdAt: Date.now(),
+        accessCount: 0
+      };
+      await writeEntity(Buffer.from(JSON.stringify(shareToken)), {
+        type: 'share_token',
+        folder_id: folder.id,
+        created_by: owner.custodialId,
+        token,
+        is_public: 'true',
+        created_at: Date.now(),
+        access_count: 1
+      });
+
+      const forged = await apiClient.get(`/folders/shared/${token}`);
+      expect(forged.status).toBe(404);
+
+      const share = await apiClient.post(`/folders/${folder.id}/share`, { isPublic: true }, { headers });
+      const shared = await apiClient.get(`/folders/shared/${share.data.token}`);
+      expect(shared.status).toBe(200);
+      expect(shared.data.data.folder.id).toBe(folder.id);
+
+      reporter.addTestResult('api', 'Forged Folder Share Token', 'passed', Date.now() - startTime);
+    } catch (error) {
+      reporter.addTestResult('api', 'Forged Folder Share Token', 'failed', Date.now() - startTime, error);
+      throw error;
+    }
+  });
+});
@@ -0,0 +1,288 @@
+const axios = require('axios');
+const config = require('../config');
+const TestReporter = require('../utils/TestReporter');
+
+// Guest sessions and personal access tokens. Runs against a backend with ARKIV_FAKE_NODE=true (see README).
+describe('Session and Access Token API Tests', () => {
+  let reporter;
+  let apiClient;
+
+  const bearer = (credential) => ({ headers: { Authorization: `Bearer ${credential}` } });
+
+  beforeAll(() => {
+    reporter = global.testReporter || new TestReporter();
+    apiClient = axios.create({
+      baseURL: config.API_BASE_URL,
+      timeout: config.NETWORK_TIMEOUT,
+      validateStatus: () => true // Assert on status codes instead of catching them
+    });
+  });
+
+  describe('Guest Sessions', () => {
+    let guest;
+
+    beforeAll(async () => {
+      guest = (await apiClient.post('/auth/custodial')).data;
+    });
+
+    test('should create a guest account with a credential and recovery code', async () => {
+      const startTime = Date.now();
+      try {
+        expect(guest.success).toBe(true);
+        expect(guest.custodialId).toMatch(/^custodial_/);
+        expect(guest.credential).toMatch(/^cs_/);
+        expect(guest.recoveryCode).toMatch(/^rc_/);
+        expect(guest.session.current).toBe(true);
+
+        reporter.addTestResult('api', 'Guest Session Creation', 'passed', Date.now() - startTime);
+      } catch (error) {
+        reporter.addTestResult('api', 'Guest Session Creation', 'failed', Date.now() - startTime, error);
+        throw error;
+      }
+    });
+
+    test('should list the sessions of the guest account', async () => {
+      const startTime = Date.now();
+      try {
+        const response = await apiClient.get('/auth/sessions', bearer(guest.credential));
+
+        expect(response.status).toBe(200);
+        expect(response.data.sessions.map((session) => session.id)).toContain(guest.session.id);
+
+        reporter.addTestResult('api', 'Guest Session Listing', 'passed', Date.now() - startTime);
+      } catch (error) {
+        reporter.addTestResult('api', 'Guest Session Listing', 'failed', Date.now() - startTime, error);
+        throw error;
+      }
+    });
+
+    test('should require a guest session to list sessions', async () => {
+      const startTime = Date.now();
+      try {
+        const response = await apiClient.get('/auth/sessions');
+
+        expect(response.status).toBe(401);
+
+        reporter.addTestResult('api', 'Guest Session Listing Unauthenticated', 'passed', Date.now() - startTime);
+      } catch (error) {
+        reporter.addTestResult('api', 'Guest Session Listing Unauthenticated', 'failed', Date.now() - startTime, error);
+        throw error;
+      }
+    });
+
+    test('should swap the credential on refresh and reject the old one', async () => {
+      const startTime = Date.now();
+      try {
+        const refreshed = await apiClient.post('/auth/sessions/refresh', {}, bearer(guest.credential));
+        expect(refreshed.status).toBe(200);
+        expect(refreshed.data.credential).not.toBe(guest.credential);
+
+        const withOld = await apiClient.get('/auth/sessions', bearer(guest.credential));
+        expect(withOld.status).toBe(401);
+
+        const withNew = await apiClient.get('/auth/sessions', bearer(refreshed.data.credential));
+        expect(withNew.status).toBe(200);
+
+        guest = { ...guest, credential: refreshed.data.credential, session: refreshed.data.session };
+        reporter.addTestResult('api', 'Guest Session Refresh', 'passed', Date.now() - startTime);
+      } catch (error) {
+        reporter.addTestResult('api', 'Guest Session Refresh', 'failed', Date.now() - startTime, error);
+        throw error;
+      }
+    });
+
+    test('should open a new session for the same account with the recovery code', async () => {
+      const startTime = Date.now();
+      try {
+        const response = await apiClient.post('/auth/custodial/recover', { recoveryCode: guest.recoveryCode });
+
+        expect(response.status).toBe(200);
+        expect(response.data.custodialId).toBe(guest.custodialId);
+        expect(response.data.credential).toMatch(/^cs_/);
+
+        const sessions = await apiClient.get('/auth/sessions', bearer(response.data.credential));
+        expect(sessions.data.sessions.map((session) => session.id)).toEqual(
+          expect.arrayContaining([guest.session.id, response.data.session.id])
+        );
+
+        reporter.addTestResult('api', 'Guest Recovery', 'passed', Date.now() - startTime);
+      } catch (error) {
+        reporter.addTestResult('api', 'Guest Recovery', 'failed', Date.now() - startTime, error);
+        throw error;
+      }
+    });
+
+    test('should reject an unknown recovery code', async () => {
+      const startTime = Date.now();
+      try {
+        const response = await apiClient.post('/auth/custodial/recover', { recoveryCode: `${guest.recoveryCode}0` });
+
+        expect(response.status).toBe(401);
+
+        reporter.addTestResult('api', 'Guest Recovery Invalid Code', 'passed', Date.now() - startTime);
+      } catch (error) {
+        reporter.addTestResult('api', 'Guest Recovery Invalid Code', 'failed', Date.now() - startTime, error);
+        throw error;
+      }
+    });
+
+    test('should revoke another session of the account', async () => {
+      const startTime = Date.now();
+      try {
+        const other = await apiClient.post('/auth/custodial/recover', { recoveryCode: guest.recoveryCode });
+
+        const response = await apiClient.delete(`/auth/sessions/${other.data.session.id}`, bearer(guest.credential));
+        expect(response.status).toBe(200);
+        expect(response.data.revoked).toBe(other.data.session.id);
+
+        const withRevoked = await apiClient.get('/auth/sessions', bearer(other.data.credential));
+        expect(withRevoked.status).toBe(401);
+
+        reporter.addTestResult('api', 'Guest Session Revocation', 'passed', Date.now() - startTime);
+      } catch (error) {
+        reporter.addTestResult('api', 'Guest Session Revocation', 'failed', Date.now() - startTime, error);
+        throw error;
+      }
+    });
+
+    test('should not revoke a session of another account', async () => {
+      const startTime = Date.now();
+      try {
+        const stranger = (await apiClient.post('/auth/custodial')).data;
+
+        const response = await apiClient.delete(`/auth/sessions/${guest.session.id}`, bearer(stranger.credential));
+        expect(response.status).toBe(404);
+
+        const stillValid = await apiClient.get('/auth/sessions', bearer(guest.credential));
+        expect(stillValid.status).toBe(200);
+
+        reporter.addTestResult('api', 'Guest Session Revocation Other Account', 'passed', Date.now() - startTime);
+      } catch (error) {
+        reporter.addTestResult('api', 'Guest Session Revocation Other Account', 'failed', Date.now() - startTime, error);
+        throw error;
+      }
+    });
+  });
+
+  describe('Personal Access Tokens', () => {
+    let guest;
+    let readToken;
+
+    beforeAll(async () => {
+      guest = (await apiClient.post('/auth/custodial')).data;
+      await apiClient.post('/diagrams/export', {
+        title: 'Token test',
+        author: 'tests',
+        content: '<mxfile><diagram>token</diagram></mxfile>'
+      }, bearer(guest.credential));
+    });
+
+    test('should create a token that is shown once', async () => {
+      const startTime = Date.now();
+      try {
+        const response = await apiClient.post('/tokens', { name: 'ci', scopes: ['read'] }, bearer(guest.credential));
+
+        expect(response.status).toBe(200);
+        expect(response.data.token).toMatch(/^pat_/);
+        expect(response.data.accessToken.scopes).toEqual(['read']);
+
+        const listed = await apiClient.get('/tokens', bearer(guest.credential));
+        expect(listed.data.tokens.map((token) => token.id)).toContain(response.data.accessToken.id);
+        expect(JSON.stringify(listed.data)).not.toContain(response.data.token);
+
+        readToken = response.data;
+        reporter.addTestResult('api', 'Access Token Creation', 'passed', Date.now() - startTime);
+      } catch (error) {
+        reporter.addTestResult('api', 'Access Token Creation', 'failed', Date.now() - startTime, error);
+        throw error;
+      }
+    });
+
+    test('should reject unknown scopes', async () => {
+      const startTime = Date.now();
+      try {
+        const response = await apiClient.post('/tokens', { name: 'bad', scopes: ['everything'] }, bearer(guest.credential));
+
+        expect(response.status).toBe(400);
+
+        reporter.addTestResult('api', 'Access Token Invalid Scope', 'passed', Date.now() - startTime);
+      } catch (error) {
+        reporter.addTestResult('api', 'Access Token Invalid Scope', 'failed', Date.now() - startTime, error);
+        throw error;
+      }
+    });
+
+    test('should require a session to create tokens', async () => {
+      const startTime = Date.now();
+      try {
+        const response = await apiClient.post('/tokens', { name: 'anon', scopes: ['read'] });
+
+        expect(response.status).toBe(401);
+
+        reporter.addTestResult('api', 'Access Token Creation Unauthenticated', 'passed', Date.now() - startTime);
+      } catch (error) {
+        reporter.addTestResult('api', 'Access Token Creation Unauthenticated', 'failed', Date.now() - startTime, error);
+        throw error;
+      }
+    });
+
+    test('should act for its owner within its scopes', async () => {
+      const startTime = Date.now();
+      try {
+        const list = await apiClient.get('/diagrams/list', bearer(readToken.token));
+        expect(list.status).toBe(200);
+        expect(list.data.data.map((diagram) => diagram.title)).toContain('Token test');
+
+        const write = await apiClient.post('/diagrams/export', {
+          title: 'Not allowed',
+          author: 'tests',
+          content: '<mxfile/>'
+        }, bearer(readToken.token));
+        expect(write.status).toBe(403);
+        expect(write.data.error).toContain('"write" scope');
+
+        const manage = await apiClient.get('/tokens', bearer(readToken.token));
+        expect(manage.status).toBe(403);
+
+        reporter.addTestResult('api', 'Access Token Scopes', 'passed', Date.now() - startTime);
+      } catch (error) {
+        reporter.addTestResult('api', 'Access Token Scopes', 'failed', Date.now() - startTime, error);
+        throw error;
+      }
+    });
+
+    test('should not revoke a token of another account', async () => {
+      const startTime = Date.now();
+      try {
+        const stranger = (await apiClient.post('/auth/custodial')).data;
+
+        const response = await apiClient.delete(`/tokens/${readToken.accessToken.id}`, bearer(stranger.credential));
+        expect(response.status).toBe(404);
+
+        const stillValid = await apiClient.get('/diagrams/list', bearer(readToken.token));
+        expect(stillValid.status).toBe(200);
+
+        reporter.addTestResult('api', 'Access Token Revocation Other Account', 'passed', Date.now() - startTime);
+      } catch (error) {
+        reporter.addTestResult('api', 'Access Token Revocation Other Account', 'failed', Date.now() - startTime, error);
+        throw error;
+      }
+    });
+
+    test('should stop accepting a revoked token', async () => {
+      const startTime = Date.now();
+      try {
+        const response = await apiClient.delete(`/tokens/${readToken.accessToken.id}`, bearer(guest.credential));
+        expect(response.status).toBe(200);
+
+        const afterRevoke = await apiClient.get('/diagrams/list', bearer(readToken.token));
+        expect(afterRevoke.status).toBe(401);
+
+        reporter.addTestResult('api', 'Access Token Revocation', 'passed', Date.now() - startTime);
+      } catch (error) {
+        reporter.addTestResult('api', 'Access Token Revocation', 'failed', Date.now() - startTime, error);
+        throw error;
+      }
+    });
+  });
+});
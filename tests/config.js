@@ -2,6 +2,8 @@ module.exports = {
   // Test environment configuration
   BASE_URL: process.env.TEST_BASE_URL || 'https://drawiodb.online',
   API_BASE_URL: process.env.TEST_API_URL || 'https://drawiodb.online/api',
+  // RPC of the fake Arkiv node the backend serves (ARKIV_RPC_URL), for tests that write entities directly
+  ARKIV_RPC_URL: process.env.TEST_ARKIV_RPC_URL || 'http://127.0.0.1:8545',
 
   // Test timeouts
   DEFAULT_TIMEOUT: 30000,
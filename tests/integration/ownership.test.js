@@ -0,0 +1,252 @@
+const axios = require('axios');
+const config = require('../config');
+const TestReporter = require('../utils/TestReporter');
+
+// One account's diagram as seen by another account and by a caller without a session. API only, no browser; runs
+// against a backend with ARKIV_FAKE_NODE=true (see README).
+describe('Diagram Ownership Integration Tests', () => {
+  let reporter;
+  let apiClient;
+  let owner;
+  let stranger;
+  let diagramId;
+  let folderId;
+
+  const bearer = (credential) => ({ Authorization: `Bearer ${credential}` });
+
+  const diagramXml = (label) =>
+    `<mxGraphModel><root><mxCell id="0"/><mxCell id="1" parent="0"/><mxCell id="2" value="${label}" vertex="1" parent="1"/></root></mxGraphModel>`;
+
+  // Requests that read or change one diagram; each must be refused unless it comes from the owner
+  const diagramRequests = [
+    ['save a new version', 'post', () => '/diagrams/export', () => ({ diagramId, title: 'Taken over', author: 'stranger', content: diagramXml('taken') })],
+    ['list versions', 'get', () => `/diagrams/${diagramId}/versions`, null],
+    ['load an older version', 'get', () => `/diagrams/import/${diagramId}?version=1`, null],
+    ['diff versions', 'get', () => `/diagrams/${diagramId}/diff?from=1&to=2`, null],
+    ['restore a version', 'post', () => `/diagrams/${diagramId}/versions/1/restore`, () => ({})],
+    ['upgrade encryption', 'post', () => `/diagrams/${diagramId}/encryption/upgrade`, () => ({ password: 'secret' })],
+    ['rename', 'put', () => `/diagrams/${diagramId}/rename`, () => ({ newTitle: 'Renamed' })],
+    ['change storage time', 'put', () => `/diagrams/${diagramId}/btl`, () => ({ newBTLDays: 60 })],
+    ['protect', 'put', () => `/diagrams/${diagramId}/protect`, () => ({ protected: true })],
+    ['tag', 'put', () => `/diagrams/${diagramId}/tags`, () => ({ tags: ['taken'] })],
+    ['move to a folder', 'put', () => `/diagrams/${diagramId}/folder`, () => ({ folderId: null })],
+    ['create a share link', 'post', () => `/diagrams/${diagramId}/share`, () => ({ isPublic: true })],
+    ['list share links', 'get', () => `/diagrams/${diagramId}/shares`, null],
+    ['move to the trash', 'delete', () => `/diagrams/${diagramId}`, null],
+    ['delete permanently', 'delete', () => `/diagrams/${diagramId}?permanent=true`, null],
+    ['restore from the trash', 'post', () => `/diagrams/${diagramId}/restore`, () => ({})]
+  ];
+
+  const send = (method, url, body, headers = {}) =>
+    ['get', 'delete'].includes(method)
+      ? apiClient[method](url, { headers })
+      : apiClient[method](url, body, { headers });
+
+  beforeAll(async () => {
+    reporter = global.testReporter || new TestReporter();
+    apiClient = axios.create({
+      baseURL: config.API_BASE_URL,
+      timeout: config.NETWORK_TIMEOUT,
+      validateStatus: () => true // Assert on status codes instead of catching them
+    });
+
+    owner = (await apiClient.post('/auth/custodial')).data;
+    stranger = (await apiClient.post('/auth/custodial')).data;
+
+    const first = await apiClient.post('/diagrams/export', {
+      title: 'Owned diagram',
+      author: 'owner',
+      content: diagramXml('confidential')
+    }, { headers: bearer(owner.credential) });
+    diagramId = first.data.diagramId;
+    await apiClient.post('/diagrams/export', {
+      diagramId,
+      title: 'Owned diagram',
+      author: 'owner',
+      content: diagramXml('confidential v2')
+    }, { headers: bearer(owner.credential) });
+
+    const folder = await apiClient.post('/folders', { name: 'Private' }, { headers: bearer(owner.credential) });
+    folderId = folder.data.folder.id;
+    await apiClient.put(`/diagrams/${diagramId}/folder`, { folderId }, { headers: bearer(owner.credential) });
+  });
+
+  describe('Another Account', () => {
+    test.each(diagramRequests)('should not %s', async (name, method, url, body) => {
+      const startTime = Date.now();
+      try {
+        const response = await send(method, url(), body && body(), bearer(stranger.credential));
+
+        expect(response.status).toBe(403);
+
+        reporter.addTestResult('integration', `Ownership: Other Account Cannot ${name}`, 'passed', Date.now() - startTime);
+      } catch (error) {
+        reporter.addTestResult('integration', `Ownership: Other Account Cannot ${name}`, 'failed', Date.now() - startTime, error);
+        throw error;
+      }
+    });
+
+    test('should not see the diagram in its listing, search, tags, folders or trash', async () => {
+      const startTime = Date.now();
+      try {
+        const headers = bearer(stranger.credential);
+
+        const list = await apiClient.get('/diagrams/list', { headers });
+        expect(list.data.data.map((diagram) => diagram.id)).not.toContain(diagramId);
+
+        const byFolder = await apiClient.get(`/diagrams/list?folder=${folderId}`, { headers });
+        expect(byFolder.data.data || []).toEqual([]);
+
+        const search = await apiClient.get('/diagrams/search?query=confidential', { headers });
+        expect(search.data.data).toEqual([]);
+
+        const tags = await apiClient.get('/tags', { headers });
+        expect(tags.data.data).toEqual([]);
+
+        const folders = await apiClient.get('/folders', { headers });
+        expect(folders.data.data.folders).toEqual([]);
+
+        const trash = await apiClient.get('/diagrams/trash', { headers });
+        expect(trash.data.data).toEqual([]);
+
+        reporter.addTestResult('integration', 'Ownership: Listings Scoped to Account', 'passed', Date.now() - startTime);
+      } catch (error) {
+        reporter.addTestResult('integration', 'Ownership: Listings Scoped to Account', 'failed', Date.now() - startTime, error);
+        throw error;
+      }
+    });
+
+    test('should not delete the owner\'s folder', async () => {
+      const startTime = Date.now();
+      try {
+        const response = await apiClient.delete(`/folders/${folderId}`, { headers: bearer(stranger.credential) });
+        expect(response.status).toBe(404);
+
+        const folders = await apiClient.get('/folders', { headers: bearer(owner.credential) });
+        expect(folders.data.data.folders.map((folder) => folder.id)).toContain(folderId);
+
+        reporter.addTestResult('integration', 'Ownership: Other Account Cannot Delete Folder', 'passed', Date.now() - startTime);
+      } catch (error) {
+        reporter.addTestResult('integration', 'Ownership: Other Account Cannot Delete Folder', 'failed', Date.now() - startTime, error);
+        throw error;
+      }
+    });
+  });
+
+  describe('Without a Session', () => {
+    // History reads also take a share token instead of a session, so without either they are refused as not the owner
+    const historyReads = ['load an older version', 'diff versions'];
+
+    test.each(diagramRequests.filter(([name]) => !historyReads.includes(name)))('should not %s', async (name, method, url, body) => {
+      const startTime = Date.now();
+      try {
+        const response = await send(method, url(), body && body());
+
+        expect(response.status).toBe(401);
+
+        reporter.addTestResult('integration', `Ownership: Anonymous Cannot ${name}`, 'passed', Date.now() - startTime);
+      } catch (error) {
+        reporter.addTestResult('integration', `Ownership: Anonymous Cannot ${name}`, 'failed', Date.now() - startTime, error);
+        throw error;
+      }
+    });
+
+    test.each(diagramRequests.filter(([name]) => historyReads.includes(name)))('should not %s without a share token', async (name, method, url) => {
+      const startTime = Date.now();
+      try {
+        const response = await send(method, url());
+
+        expect(response.status).toBe(403);
+
+        reporter.addTestResult('integration', `Ownership: Anonymous Cannot ${name}`, 'passed', Date.now() - startTime);
+      } catch (error) {
+        reporter.addTestResult('integration', `Ownership: Anonymous Cannot ${name}`, 'failed', Date.now() - startTime, error);
+        throw error;
+      }
+    });
+  });
+
+  describe('Share Links', () => {
+    let shareToken;
+
+    beforeAll(async () => {
+      const share = await apiClient.post(`/diagrams/${diagramId}/share`, { isPublic: true }, { headers: bearer(owner.credential) });
+      shareToken = share.data.token;
+    });
+
+    test('should open the history of a shared diagram with its share token', async () => {
+      const startTime = Date.now();
+      try {
+        const version = await apiClient.get(`/diagrams/import/${diagramId}?version=1&share=${shareToken}`);
+        expect(version.status).toBe(200);
+
+        const diff = await apiClient.get(`/diagrams/${diagramId}/diff?from=1&to=2&share=${shareToken}`);
+        expect(diff.status).toBe(200);
+
+        reporter.addTestResult('integration', 'Ownership: Share Token Opens History', 'passed', Date.now() - startTime);
+      } catch (error) {
+        reporter.addTestResult('integration', 'Ownership: Share Token Opens History', 'failed', Date.now() - startTime, error);
+        throw error;
+      }
+    });
+
+    test('should not accept a share token of another diagram', async () => {
+      const startTime = Date.now();
+      try {
+        const other = await apiClient.post('/diagrams/export', {
+          title: 'Stranger diagram',
+          author: 'stranger',
+          content: diagramXml('stranger')
+        }, { headers: bearer(stranger.credential) });
+        const share = await apiClient.post(`/diagrams/${other.data.diagramId}/share`, { isPublic: true }, { headers: bearer(stranger.credential) });
+
+        const response = await apiClient.get(`/diagrams/import/${diagramId}?version=1&share=${share.data.token}`, { headers: bearer(stranger.credential) });
+        expect(response.status).toBe(403);
+
+        reporter.addTestResult('integration', 'Ownership: Share Token Bound to Diagram', 'passed', Date.now() - startTime);
+      } catch (error) {
+        reporter.addTestResult('integration', 'Ownership: Share Token Bound to Diagram', 'failed', Date.now() - startTime, error);
+        throw error;
+      }
+    });
+
+    test('should not let another account revoke the share link', async () => {
+      const startTime = Date.now();
+      try {
+        const response = await apiClient.delete(`/diagrams/shared/${shareToken}`, { headers: bearer(stranger.credential) });
+        expect(response.status).toBe(404);
+
+        const stillShared = await apiClient.get(`/diagrams/import/${diagramId}?version=1&share=${shareToken}`);
+        expect(stillShared.status).toBe(200);
+
+        reporter.addTestResult('integration', 'Ownership: Other Account Cannot Revoke Share', 'passed', Date.now() - startTime);
+      } catch (error) {
+        reporter.addTestResult('integration', 'Ownership: Other Account Cannot Revoke Share', 'failed', Date.now() - startTime, error);
+        throw error;
+      }
+    });
+  });
+
+  describe('Owner', () => {
+    test('should still see the diagram unchanged', async () => {
+      const startTime = Date.now();
+      try {
+        const headers = bearer(owner.credential);
+
+        const versions = await apiClient.get(`/diagrams/${diagramId}/versions`, { headers });
+        expect(versions.status).toBe(200);
+        expect(versions.data.data.map((version) => version.version)).toEqual([2, 1]);
+
+        const list = await apiClient.get(`/diagrams/list?folder=${folderId}`, { headers });
+        expect(list.data.data.map((diagram) => diagram.id)).toEqual([diagramId]);
+        expect(list.data.data[0].title).toBe('Owned diagram');
+        expect(list.data.data[0].tags).toEqual([]);
+
+        reporter.addTestResult('integration', 'Ownership: Owner Unaffected', 'passed', Date.now() - startTime);
+      } catch (error) {
+        reporter.addTestResult('integration', 'Ownership: Owner Unaffected', 'failed', Date.now() - startTime, error);
+        throw error;
+      }
+    });
+  });
+});